@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+
+/**
+ * bank-bundle.ts
+ *
+ * Exports a memory bank to a portable bundle or imports a bundle into a memory bank.
+ * Usage:
+ *   bank-bundle export OUTPUT_FILE [--format json|tar] [--glob PATTERN ...] [--memory-path PATH | --bank NAME]
+ *   bank-bundle import BUNDLE_FILE [--strategy overwrite|skip|keep-both] [--dry-run] [--memory-path PATH | --bank NAME]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { MemoryManager } from '../src/core/memory-manager.js';
+import { BankRegistry } from '../src/core/bank-registry.js';
+import {
+  BundleEncoding,
+  MergeStrategy,
+  MERGE_STRATEGIES,
+  createBundle,
+  writeBundleFile,
+  readBundleFile,
+  importBundle
+} from '../src/core/bank-bundle.js';
+
+const USAGE = `
+Usage:
+  bank-bundle export OUTPUT_FILE [options]
+  bank-bundle import BUNDLE_FILE [options]
+
+Options:
+  --memory-path PATH    Memory bank directory (default: MEMORY_BANK_PATH or ./memory-bank)
+  --bank NAME           Registered memory bank to use instead of --memory-path
+  --format json|tar     Bundle format for export (default: tar for .tar files, json otherwise)
+  --glob PATTERN        Only export files matching the pattern (repeatable)
+  --strategy STRATEGY   How import handles files that exist with different content:
+                        overwrite, skip or keep-both (default: skip)
+  --dry-run             Only report what an import would change
+  --help                Show this help message
+`;
+
+interface BundleArgs {
+  command?: string;
+  file?: string;
+  memoryPath?: string;
+  bank?: string;
+  format?: BundleEncoding;
+  patterns: string[];
+  strategy?: MergeStrategy;
+  dryRun: boolean;
+}
+
+/**
+ * Parse the command-line arguments
+ * @returns Command, bundle file and options
+ */
+function parseArgs(): BundleArgs {
+  const args = process.argv.slice(2);
+  const options: BundleArgs = { patterns: [], dryRun: false };
+  const positional: string[] = [];
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--memory-path' && i + 1 < args.length) {
+      options.memoryPath = args[++i];
+    } else if (args[i] === '--bank' && i + 1 < args.length) {
+      options.bank = args[++i];
+    } else if (args[i] === '--format' && i + 1 < args.length) {
+      options.format = args[++i] as BundleEncoding;
+    } else if (args[i] === '--glob' && i + 1 < args.length) {
+      options.patterns.push(args[++i]);
+    } else if (args[i] === '--strategy' && i + 1 < args.length) {
+      options.strategy = args[++i] as MergeStrategy;
+    } else if (args[i] === '--dry-run') {
+      options.dryRun = true;
+    } else if (args[i] === '--help') {
+      console.log(USAGE);
+      process.exit(0);
+    } else {
+      positional.push(args[i]);
+    }
+  }
+
+  [options.command, options.file] = positional;
+  return options;
+}
+
+/**
+ * Resolve the memory bank directory from the options
+ * @param options Parsed options
+ * @returns Memory bank directory and name
+ */
+async function resolveBank(options: BundleArgs): Promise<{ bankPath: string; name?: string }> {
+  if (options.bank) {
+    const entry = await new BankRegistry().get(options.bank);
+    return { bankPath: entry.path, name: entry.name };
+  }
+
+  return { bankPath: path.resolve(options.memoryPath || process.env.MEMORY_BANK_PATH || './memory-bank') };
+}
+
+async function main(): Promise<void> {
+  const options = parseArgs();
+
+  if ((options.command !== 'export' && options.command !== 'import') || !options.file) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  if (options.format && options.format !== 'json' && options.format !== 'tar') {
+    throw new Error(`Unknown bundle format: ${options.format}. Use json or tar`);
+  }
+
+  if (options.strategy && !MERGE_STRATEGIES.includes(options.strategy)) {
+    throw new Error(`Unknown merge strategy: ${options.strategy}. Use one of: ${MERGE_STRATEGIES.join(', ')}`);
+  }
+
+  const { bankPath, name } = await resolveBank(options);
+  const memoryManager = MemoryManager.forPath(bankPath);
+  const storage = memoryManager.getStorage();
+
+  // Exporting must not create the memory bank directory it reads from
+  if (options.command === 'export') {
+    const found = storage.type !== 'fs' || fs.existsSync(bankPath);
+    if (found) {
+      await storage.init();
+    }
+
+    if (!found || (await storage.list()).length === 0) {
+      throw new Error(`Memory bank not found or empty: ${bankPath}`);
+    }
+  }
+
+  // Read and verify the bundle before touching the memory bank it goes into
+  const bundle = options.command === 'import' ? await readBundleFile(options.file) : null;
+
+  if (options.command === 'import' && options.dryRun) {
+    // A dry run must not create or initialize the memory bank; a missing one
+    // is reported as empty
+    if (storage.type !== 'fs' || fs.existsSync(bankPath)) {
+      await storage.init();
+    }
+  } else {
+    // A new memory bank receives the bundle's files instead of the template files
+    await memoryManager.init(options.command === 'export');
+  }
+
+  try {
+    if (options.command === 'export') {
+      const bundle = await createBundle(memoryManager, { patterns: options.patterns, bankName: name });
+      const size = await writeBundleFile(bundle, options.file, options.format, true);
+
+      console.log(`Exported ${bundle.files.length} files from ${bankPath} to ${options.file} (${size} bytes)`);
+      return;
+    }
+
+    const strategy = options.strategy || 'skip';
+    const report = await importBundle(memoryManager, bundle!, { strategy, dryRun: options.dryRun, source: 'bank-bundle import' });
+
+    console.log(`${options.dryRun ? 'Dry run: importing' : 'Imported'} ${options.file} into ${bankPath} (strategy: ${strategy})`);
+
+    for (const change of report.changes) {
+      const target = change.target !== change.fileName ? ` -> ${change.target}` : '';
+      console.log(`  ${change.action.padEnd(10)} ${change.fileName}${target}`);
+    }
+
+    for (const failure of report.failed) {
+      console.log(`  ${'failed'.padEnd(10)} ${failure.fileName}: ${failure.error}`);
+    }
+
+    console.log(Object.entries(report.summary).map(([action, count]) => `${count} ${action}`).join(', '));
+
+    if (report.failed.length > 0) {
+      process.exitCode = 1;
+    }
+  } finally {
+    memoryManager.stopWatching();
+    await memoryManager.flushGitCommits();
+  }
+}
+
+main().catch(error => {
+  const err = error as Error;
+  console.error(`Error: ${err.message}`);
+  process.exit(1);
+});
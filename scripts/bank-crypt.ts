@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+/**
+ * bank-crypt.ts
+ *
+ * Manages encryption at rest of a memory bank: creates keys, rotates the key
+ * of an encrypted memory bank and exports a decrypted copy.
+ * Usage:
+ *   bank-crypt keygen [KEY_FILE]
+ *   bank-crypt rotate NEW_KEY_FILE [--memory-path PATH | --bank NAME]
+ *   bank-crypt export OUTPUT_DIR [--memory-path PATH | --bank NAME]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { MemoryManager } from '../src/core/memory-manager.js';
+import { BankRegistry } from '../src/core/bank-registry.js';
+import { generateEncryptionKey, readKeyFile } from '../src/core/storage/index.js';
+
+const USAGE = `
+Usage:
+  bank-crypt keygen [KEY_FILE]
+  bank-crypt rotate NEW_KEY_FILE [options]
+  bank-crypt export OUTPUT_DIR [options]
+
+Commands:
+  keygen                Create a key and write it to KEY_FILE, or print it
+  rotate                Re-encrypt the memory bank with the key in NEW_KEY_FILE,
+                        which is created if it does not exist. The current key
+                        is read from MEMORY_BANK_ENCRYPTION_KEY(_FILE).
+  export                Write a decrypted copy of the memory bank to OUTPUT_DIR
+
+Options:
+  --memory-path PATH    Memory bank directory (default: MEMORY_BANK_PATH or ./memory-bank)
+  --bank NAME           Registered memory bank to use instead of --memory-path
+  --help                Show this help message
+`;
+
+interface CryptArgs {
+  command?: string;
+  target?: string;
+  memoryPath?: string;
+  bank?: string;
+}
+
+/**
+ * Parse the command-line arguments
+ * @returns Command, target file or directory and options
+ */
+function parseArgs(): CryptArgs {
+  const args = process.argv.slice(2);
+  const options: CryptArgs = {};
+  const positional: string[] = [];
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--memory-path' && i + 1 < args.length) {
+      options.memoryPath = args[++i];
+    } else if (args[i] === '--bank' && i + 1 < args.length) {
+      options.bank = args[++i];
+    } else if (args[i] === '--help') {
+      console.log(USAGE);
+      process.exit(0);
+    } else {
+      positional.push(args[i]);
+    }
+  }
+
+  [options.command, options.target] = positional;
+  return options;
+}
+
+/**
+ * Resolve the memory bank directory from the options
+ * @param options Parsed options
+ * @returns Memory bank directory
+ */
+async function resolveBankPath(options: CryptArgs): Promise<string> {
+  if (options.bank) {
+    return (await new BankRegistry().get(options.bank)).path;
+  }
+
+  return path.resolve(options.memoryPath || process.env.MEMORY_BANK_PATH || './memory-bank');
+}
+
+/**
+ * Write a new key to a file readable only by its owner
+ * @param keyFile Key file path
+ */
+function writeKeyFile(keyFile: string): void {
+  fs.mkdirSync(path.dirname(path.resolve(keyFile)), { recursive: true });
+  fs.writeFileSync(keyFile, `${generateEncryptionKey()}\n`, { mode: 0o600, flag: 'wx' });
+}
+
+async function main(): Promise<void> {
+  const options = parseArgs();
+
+  if (options.command === 'keygen') {
+    if (!options.target) {
+      console.log(generateEncryptionKey());
+      return;
+    }
+
+    writeKeyFile(options.target);
+    console.log(`Wrote a new encryption key to ${options.target}`);
+    return;
+  }
+
+  if ((options.command !== 'rotate' && options.command !== 'export') || !options.target) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const bankPath = await resolveBankPath(options);
+  const memoryManager = MemoryManager.forPath(bankPath);
+
+  // Neither command may create the memory bank directory it works on
+  if (memoryManager.getStorage().type === 'fs' && !fs.existsSync(bankPath)) {
+    throw new Error(`Memory bank not found: ${bankPath}`);
+  }
+
+  await memoryManager.init(false);
+
+  try {
+    if (options.command === 'export') {
+      const files = await memoryManager.exportDecrypted(path.resolve(options.target));
+      console.log(`Exported ${files.length} decrypted files from ${bankPath} to ${options.target}`);
+      return;
+    }
+
+    if (!memoryManager.isEncrypted()) {
+      throw new Error(`Memory bank is not encrypted: ${bankPath}. Set MEMORY_BANK_ENCRYPTION=true to encrypt it`);
+    }
+
+    if (!fs.existsSync(options.target)) {
+      writeKeyFile(options.target);
+      console.log(`Wrote a new encryption key to ${options.target}`);
+    }
+
+    const count = await memoryManager.rotateEncryptionKey(await readKeyFile(options.target));
+
+    console.log(`Re-encrypted ${count} files in ${bankPath}`);
+    console.log(`Restart servers using this memory bank with MEMORY_BANK_ENCRYPTION_KEY_FILE=${path.resolve(options.target)}`);
+  } finally {
+    memoryManager.stopWatching();
+    await memoryManager.flushGitCommits();
+  }
+}
+
+main().catch(error => {
+  const err = error as Error;
+  console.error(`Error: ${err.message}`);
+  process.exit(1);
+});
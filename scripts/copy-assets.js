@@ -66,6 +66,7 @@ function copyRecursive(src, dest) {
 const assetsToCopy = [
   { src: path.join(rootDir, '.env.example'), dest: path.join(distDir, '.env.example') },
   { src: path.join(rootDir, 'memory-bank'), dest: path.join(distDir, 'memory-bank') },
+  { src: path.join(rootDir, 'templates'), dest: path.join(distDir, 'templates') },
   { src: path.join(rootDir, 'config'), dest: path.join(distDir, 'config') }
 ];
 
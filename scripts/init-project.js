@@ -3,13 +3,16 @@
 /**
  * init-project.js
  * 
- * Initializes a new project directory with memory-bank files
+ * Initializes a new project directory with memory-bank files from a template profile.
+ * Usage: init-project [--profile NAME] [--var name=value ...]
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import readline from 'readline';
+import { listProfiles, getProfile, applyProfile, parseVariableAssignments, DEFAULT_PROFILE } from '../src/core/template-profiles.js';
+import { createStorage } from '../src/core/storage/index.js';
 
 // Get script directory
 const __filename = fileURLToPath(import.meta.url);
@@ -30,10 +33,32 @@ async function askQuestion(question) {
   });
 }
 
+/**
+ * Parse the command-line options
+ * @returns Selected profile and template variables
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const assignments = [];
+  let profile;
+  
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--profile' && i + 1 < args.length) {
+      profile = args[++i];
+    } else if (args[i] === '--var' && i + 1 < args.length) {
+      assignments.push(args[++i]);
+    }
+  }
+  
+  return { profile, variables: parseVariableAssignments(assignments) };
+}
+
 async function main() {
   console.log('TaskFlow Memory Server - Project Initialization');
   console.log('=============================================');
   
+  const options = parseArgs();
+  
   // Get project directory
   let projectDir = await askQuestion('Enter the path to your project directory (or press Enter for current directory): ');
   
@@ -63,31 +88,50 @@ async function main() {
     console.log(`Memory-bank directory already exists at: ${memoryBankDir}`);
   }
   
-  // Copy template files
-  const templateDir = path.join(rootDir, 'memory-bank');
-  if (fs.existsSync(templateDir)) {
-    const templateFiles = fs.readdirSync(templateDir);
-    let filesCreated = 0;
-    
-    for (const file of templateFiles) {
-      const sourcePath = path.join(templateDir, file);
-      const destPath = path.join(memoryBankDir, file);
-      
-      // Only copy if the destination file doesn't exist
-      if (!fs.existsSync(destPath) && fs.statSync(sourcePath).isFile()) {
-        fs.copyFileSync(sourcePath, destPath);
-        console.log(`Created template file: ${file}`);
-        filesCreated++;
-      }
+  // Pick a template profile; variables given with --var are not asked for
+  const profiles = await listProfiles();
+  let profileName = options.profile;
+  
+  if (!profileName) {
+    console.log('\nAvailable template profiles:');
+    for (const profile of profiles) {
+      console.log(`  ${profile.name}${profile.description ? ` - ${profile.description}` : ''}`);
     }
+    profileName = (await askQuestion(`Template profile (or press Enter for ${DEFAULT_PROFILE}): `)).trim() || DEFAULT_PROFILE;
+  }
+  
+  const profile = await getProfile(profileName);
+  const values = { ...options.variables };
+  
+  for (const variable of profile.variables) {
+    if (values[variable.name] !== undefined || variable.name === 'date' || variable.name === 'profile') {
+      continue;
+    }
+    
+    const fallback = variable.name === 'projectName' ? path.basename(projectDir) : variable.default;
+    const label = variable.description || variable.name;
+    const answer = await askQuestion(`${label}${fallback !== undefined ? ` (${fallback})` : ''}: `);
     
-    if (filesCreated === 0) {
-      console.log('All template files already exist. No files were copied.');
-    } else {
-      console.log(`\nSuccessfully initialized project with ${filesCreated} memory-bank files.`);
+    if (answer.trim()) {
+      values[variable.name] = answer.trim();
+    } else if (fallback !== undefined && variable.default === undefined) {
+      values[variable.name] = fallback;
     }
+  }
+  
+  // Create the profile's files in the configured storage; existing files are kept
+  const storage = createStorage(memoryBankDir);
+  await storage.init();
+  const created = await applyProfile(profile.name, storage, values);
+  
+  for (const file of created) {
+    console.log(`Created template file: ${file}`);
+  }
+  
+  if (created.length === 0) {
+    console.log('All template files already exist. No files were created.');
   } else {
-    console.log('Warning: Template directory not found. No files were copied.');
+    console.log(`\nSuccessfully initialized project with ${created.length} memory-bank files from the ${profile.name} profile.`);
   }
   
   // Create project README with instructions
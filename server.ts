@@ -3,6 +3,7 @@
 import TaskflowMemoryServer from './src/index.js';
 import dotenv from 'dotenv';
 import { logger } from './src/logger.js';
+import { parseVariableAssignments } from './src/core/template-profiles.js';
 import path from 'path';
 import fs from 'fs';
 
@@ -29,6 +30,7 @@ async function startServer(): Promise<void> {
   // Parse any command-line options
   const args = process.argv.slice(2);
   const options: { port?: number } = {};
+  const templateVariables: string[] = [];
   
   // Process any command-line arguments
   for (let i = 0; i < args.length; i++) {
@@ -41,6 +43,15 @@ async function startServer(): Promise<void> {
     } else if (args[i] === '--log-level' && i + 1 < args.length) {
       process.env.LOG_LEVEL = args[i + 1];
       i++;
+    } else if (args[i] === '--bank' && i + 1 < args.length) {
+      process.env.MEMORY_BANK_NAME = args[i + 1];
+      i++;
+    } else if (args[i] === '--profile' && i + 1 < args.length) {
+      process.env.MEMORY_BANK_PROFILE = args[i + 1];
+      i++;
+    } else if (args[i] === '--var' && i + 1 < args.length) {
+      templateVariables.push(args[i + 1]);
+      i++;
     } else if (args[i] === '--help') {
       console.log(`
 TaskFlow Memory Server - Context-aware task management server
@@ -52,12 +63,30 @@ Options:
   --port NUMBER         Port for HTTP transport (defaults to stdio transport)
   --memory-path PATH    Path to memory bank directory
   --log-level LEVEL     Logging level (debug, info, warn, error)
+  --bank NAME           Registered memory bank to open instead of --memory-path
+  --profile NAME        Template profile used to populate a new memory bank
+                        (minimal, web-app, library, data-pipeline or a custom profile)
+  --var NAME=VALUE      Template variable for the profile, e.g. projectName=Acme (repeatable)
   --help                Show this help message
       `);
       process.exit(0);
     }
   }
 
+  if (templateVariables.length > 0) {
+    try {
+      const values = {
+        ...(process.env.MEMORY_BANK_PROFILE_VARS ? JSON.parse(process.env.MEMORY_BANK_PROFILE_VARS) : {}),
+        ...parseVariableAssignments(templateVariables)
+      };
+      process.env.MEMORY_BANK_PROFILE_VARS = JSON.stringify(values);
+    } catch (error) {
+      const err = error as Error;
+      console.error(`Invalid template variables: ${err.message}`);
+      process.exit(1);
+    }
+  }
+
   const server = new TaskflowMemoryServer();
 
   // Handle graceful shutdown
@@ -0,0 +1,164 @@
+/**
+ * access-policy.js
+ * Per-file access policy for Memory Bank files
+ */
+
+import logger from '../logger.js';
+import { MemoryBankError, MemoryErrorCode } from './errors.js';
+import { matchGlob } from './utils/glob.js';
+
+// Name of the policy file kept in the Memory Bank root
+export const POLICY_FILE_NAME = '.memory-policy.json';
+
+const ACCESS_LEVELS = ['read-write', 'write-protected', 'read-only', 'hidden'];
+
+// Policy written to new Memory Banks
+const DEFAULT_RULES = [
+  { pattern: 'projectbrief.md', access: 'write-protected' }
+];
+
+export class AccessPolicy {
+  constructor(storage) {
+    this.storage = storage;
+    this.rules = [];
+    this.loadedMtime = null;
+  }
+
+  /**
+   * Create the default policy file if the Memory Bank has none
+   */
+  async ensurePolicyFile() {
+    if (await this.storage.exists(POLICY_FILE_NAME)) {
+      return;
+    }
+
+    await this.storage.write(POLICY_FILE_NAME, JSON.stringify({ rules: DEFAULT_RULES }, null, 2) + '\n');
+    logger.info(`Created default Memory Bank access policy: ${POLICY_FILE_NAME}`);
+  }
+
+  /**
+   * Reload the policy file if it changed since it was last read
+   */
+  async refresh() {
+    const stats = await this.storage.stat(POLICY_FILE_NAME);
+    const mtime = stats ? stats.modified.getTime() : null;
+
+    if (mtime === this.loadedMtime) {
+      return;
+    }
+
+    this.loadedMtime = mtime;
+    this.rules = mtime === null ? [] : await this.readRules();
+  }
+
+  /**
+   * Read and validate the rules in the policy file
+   * @returns {Promise<Object[]>} Valid access rules
+   */
+  async readRules() {
+    try {
+      const policy = JSON.parse(await this.storage.read(POLICY_FILE_NAME) ?? '');
+      const rules = [];
+
+      for (const rule of Array.isArray(policy.rules) ? policy.rules : []) {
+        if (typeof rule?.pattern !== 'string' || !ACCESS_LEVELS.includes(rule.access)) {
+          logger.warn(`Ignoring invalid access rule in ${POLICY_FILE_NAME}: ${JSON.stringify(rule)}`);
+          continue;
+        }
+
+        rules.push({ pattern: rule.pattern, access: rule.access });
+      }
+
+      logger.debug(`Loaded ${rules.length} access rules from ${POLICY_FILE_NAME}`);
+      return rules;
+    } catch (error) {
+      logger.error(`Failed to load ${POLICY_FILE_NAME}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Get the effective access level for a file. When several rules match,
+   * the most restrictive one applies. Dot-files and dot-directories are
+   * reserved for the server and always hidden.
+   * @param {string} relativePath Path relative to the Memory Bank root
+   * @returns {Object} Access level
+   */
+  getAccess(relativePath) {
+    if (relativePath.split('/').some(segment => segment.startsWith('.'))) {
+      return 'hidden';
+    }
+
+    let level = 0;
+
+    for (const rule of this.rules) {
+      if (matchGlob(relativePath, rule.pattern)) {
+        level = Math.max(level, ACCESS_LEVELS.indexOf(rule.access));
+      }
+    }
+
+    return ACCESS_LEVELS[level];
+  }
+
+  /**
+   * Check whether a file should be listed
+   * @param {string} relativePath Path relative to the Memory Bank root
+   * @returns {boolean} True if the file is visible
+   */
+  isVisible(relativePath) {
+    return this.getAccess(relativePath) !== 'hidden';
+  }
+
+  /**
+   * Ensure a file may be read
+   * @param {string} relativePath Path relative to the Memory Bank root
+   */
+  assertReadable(relativePath) {
+    if (this.getAccess(relativePath) === 'hidden') {
+      throw new MemoryBankError(
+        MemoryErrorCode.FILE_HIDDEN,
+        `Access denied: ${relativePath} is hidden by the Memory Bank access policy`,
+        { fileName: relativePath }
+      );
+    }
+  }
+
+  /**
+   * Ensure a file may be written
+   * @param {string} relativePath Path relative to the Memory Bank root
+   * @param {boolean} exists Whether the file already exists
+   */
+  assertWritable(relativePath, exists) {
+    const access = this.getAccess(relativePath);
+
+    if (access === 'hidden') {
+      this.assertReadable(relativePath);
+    }
+
+    if (access === 'read-only') {
+      throw new MemoryBankError(
+        MemoryErrorCode.FILE_READ_ONLY,
+        `Access denied: ${relativePath} is read-only`,
+        { fileName: relativePath }
+      );
+    }
+
+    if (access === 'write-protected' && exists) {
+      throw new MemoryBankError(
+        MemoryErrorCode.FILE_WRITE_PROTECTED,
+        `Access denied: ${relativePath} is write-protected and already exists`,
+        { fileName: relativePath }
+      );
+    }
+  }
+
+  /**
+   * Get the currently loaded rules
+   * @returns {Object[]} Access rules
+   */
+  getRules() {
+    return [...this.rules];
+  }
+}
+
+export default AccessPolicy;
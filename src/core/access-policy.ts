@@ -0,0 +1,184 @@
+/**
+ * access-policy.ts
+ * Per-file access policy for Memory Bank files
+ */
+
+import { logger } from '../logger.js';
+import { MemoryBankError, MemoryErrorCode } from './errors.js';
+import { StorageAdapter } from './storage/index.js';
+import { matchGlob } from './utils/glob.js';
+
+// Name of the policy file kept in the Memory Bank root
+export const POLICY_FILE_NAME = '.memory-policy.json';
+
+/**
+ * Access levels, from least to most restrictive:
+ * - read-write: no restrictions
+ * - write-protected: may be created, but an existing file cannot be overwritten
+ * - read-only: may be read, never written
+ * - hidden: not listed, read or written
+ */
+export type AccessLevel = 'read-write' | 'write-protected' | 'read-only' | 'hidden';
+
+export interface AccessRule {
+  pattern: string;
+  access: AccessLevel;
+}
+
+const ACCESS_LEVELS: AccessLevel[] = ['read-write', 'write-protected', 'read-only', 'hidden'];
+
+// Policy written to new Memory Banks
+const DEFAULT_RULES: AccessRule[] = [
+  { pattern: 'projectbrief.md', access: 'write-protected' }
+];
+
+export class AccessPolicy {
+  private storage: StorageAdapter;
+  private rules: AccessRule[];
+  private loadedMtime: number | null;
+
+  constructor(storage: StorageAdapter) {
+    this.storage = storage;
+    this.rules = [];
+    this.loadedMtime = null;
+  }
+
+  /**
+   * Create the default policy file if the Memory Bank has none
+   */
+  async ensurePolicyFile(): Promise<void> {
+    if (await this.storage.exists(POLICY_FILE_NAME)) {
+      return;
+    }
+
+    await this.storage.write(POLICY_FILE_NAME, JSON.stringify({ rules: DEFAULT_RULES }, null, 2) + '\n');
+    logger.info(`Created default Memory Bank access policy: ${POLICY_FILE_NAME}`);
+  }
+
+  /**
+   * Reload the policy file if it changed since it was last read
+   */
+  async refresh(): Promise<void> {
+    const stats = await this.storage.stat(POLICY_FILE_NAME);
+    const mtime = stats ? stats.modified.getTime() : null;
+
+    if (mtime === this.loadedMtime) {
+      return;
+    }
+
+    this.loadedMtime = mtime;
+    this.rules = mtime === null ? [] : await this.readRules();
+  }
+
+  /**
+   * Read and validate the rules in the policy file
+   * @returns Valid access rules
+   */
+  private async readRules(): Promise<AccessRule[]> {
+    try {
+      const policy = JSON.parse(await this.storage.read(POLICY_FILE_NAME) ?? '');
+      const rules: AccessRule[] = [];
+
+      for (const rule of Array.isArray(policy.rules) ? policy.rules : []) {
+        if (typeof rule?.pattern !== 'string' || !ACCESS_LEVELS.includes(rule.access)) {
+          logger.warn(`Ignoring invalid access rule in ${POLICY_FILE_NAME}: ${JSON.stringify(rule)}`);
+          continue;
+        }
+
+        rules.push({ pattern: rule.pattern, access: rule.access });
+      }
+
+      logger.debug(`Loaded ${rules.length} access rules from ${POLICY_FILE_NAME}`);
+      return rules;
+    } catch (error) {
+      const err = error as Error;
+      logger.error(`Failed to load ${POLICY_FILE_NAME}: ${err.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Get the effective access level for a file. When several rules match,
+   * the most restrictive one applies. Dot-files and dot-directories are
+   * reserved for the server and always hidden.
+   * @param relativePath Path relative to the Memory Bank root
+   * @returns Access level
+   */
+  getAccess(relativePath: string): AccessLevel {
+    if (relativePath.split('/').some(segment => segment.startsWith('.'))) {
+      return 'hidden';
+    }
+
+    let level = 0;
+
+    for (const rule of this.rules) {
+      if (matchGlob(relativePath, rule.pattern)) {
+        level = Math.max(level, ACCESS_LEVELS.indexOf(rule.access));
+      }
+    }
+
+    return ACCESS_LEVELS[level];
+  }
+
+  /**
+   * Check whether a file should be listed
+   * @param relativePath Path relative to the Memory Bank root
+   * @returns True if the file is visible
+   */
+  isVisible(relativePath: string): boolean {
+    return this.getAccess(relativePath) !== 'hidden';
+  }
+
+  /**
+   * Ensure a file may be read
+   * @param relativePath Path relative to the Memory Bank root
+   */
+  assertReadable(relativePath: string): void {
+    if (this.getAccess(relativePath) === 'hidden') {
+      throw new MemoryBankError(
+        MemoryErrorCode.FILE_HIDDEN,
+        `Access denied: ${relativePath} is hidden by the Memory Bank access policy`,
+        { fileName: relativePath }
+      );
+    }
+  }
+
+  /**
+   * Ensure a file may be written
+   * @param relativePath Path relative to the Memory Bank root
+   * @param exists Whether the file already exists
+   */
+  assertWritable(relativePath: string, exists: boolean): void {
+    const access = this.getAccess(relativePath);
+
+    if (access === 'hidden') {
+      this.assertReadable(relativePath);
+    }
+
+    if (access === 'read-only') {
+      throw new MemoryBankError(
+        MemoryErrorCode.FILE_READ_ONLY,
+        `Access denied: ${relativePath} is read-only`,
+        { fileName: relativePath }
+      );
+    }
+
+    if (access === 'write-protected' && exists) {
+      throw new MemoryBankError(
+        MemoryErrorCode.FILE_WRITE_PROTECTED,
+        `Access denied: ${relativePath} is write-protected and already exists`,
+        { fileName: relativePath }
+      );
+    }
+  }
+
+  /**
+   * Get the currently loaded rules
+   * @returns Access rules
+   */
+  getRules(): AccessRule[] {
+    return [...this.rules];
+  }
+}
+
+export default AccessPolicy;
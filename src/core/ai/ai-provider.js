@@ -0,0 +1,12 @@
+/**
+ * ai-provider.js
+ * Interface of the providers answering model requests, and the request and
+ * response shape they share
+ */
+
+// Built-in providers
+export const AI_PROVIDER_TYPES = ['anthropic', 'openai', 'echo'];
+
+export default {
+  AI_PROVIDER_TYPES
+};
@@ -0,0 +1,94 @@
+/**
+ * ai-provider.ts
+ * Interface of the providers answering model requests, and the request and
+ * response shape they share
+ */
+
+// Built-in providers
+export const AI_PROVIDER_TYPES = ['anthropic', 'openai', 'echo'] as const;
+
+export type AIProviderType = typeof AI_PROVIDER_TYPES[number];
+
+export interface AIMessage {
+  role: 'user' | 'assistant';
+  content: string;
+}
+
+/**
+ * A request to a model, the same for every provider
+ */
+export interface AIRequest {
+  /** Conversation so far, ending with the user message to answer */
+  messages: AIMessage[];
+  /** System prompt */
+  system?: string;
+  /** Model; the provider's default model if not given */
+  model?: string;
+  maxTokens: number;
+  temperature: number;
+  /** Ask for a single JSON object as the response */
+  json?: boolean;
+}
+
+export interface AIUsage {
+  inputTokens: number;
+  outputTokens: number;
+}
+
+/**
+ * A model's response, the same for every provider
+ */
+export interface AIResponse {
+  text: string;
+  /** Provider that answered */
+  provider: string;
+  /** Model that answered */
+  model: string;
+  /** Why the model stopped: 'end', 'max_tokens' or a provider-specific reason */
+  stopReason: string | null;
+  usage: AIUsage;
+}
+
+/**
+ * How a single attempt at a request is made
+ */
+export interface AICallOptions {
+  /** Stream the response, passing its text to onText as it arrives */
+  stream: boolean;
+  /** Milliseconds without a response or streamed data before giving up */
+  timeout: number;
+  /** Called with every piece of text as it is streamed */
+  onText: (text: string) => void;
+}
+
+/**
+ * A provider answering model requests. A provider makes a single attempt;
+ * retries are left to the caller. Failures are reported as MemoryBankErrors
+ * with the code AI_REQUEST_FAILED and, in their details, whether the request
+ * is worth retrying and after how many milliseconds.
+ */
+export interface AIProvider {
+  /** Provider type, as selected with AI_PROVIDER */
+  readonly type: string;
+
+  /** Model used when a request does not name one */
+  readonly defaultModel: string;
+
+  /**
+   * Check whether the provider has the settings it needs, such as an API key
+   * @returns True if requests can be made
+   */
+  isConfigured(): boolean;
+
+  /**
+   * Answer a request
+   * @param request Model request
+   * @param options How the attempt is made
+   * @returns Model response
+   */
+  complete(request: AIRequest, options: AICallOptions): Promise<AIResponse>;
+}
+
+export default {
+  AI_PROVIDER_TYPES
+};
@@ -0,0 +1,114 @@
+/**
+ * anthropic-provider.js
+ * Provider calling the Anthropic Messages API. ANTHROPIC_MODEL selects the
+ * model, falling back to MODEL; ANTHROPIC_BASE_URL points it at another
+ * server, such as a local fake one for testing.
+ */
+
+import { postJson, readEventStream, requestError } from './http.js';
+
+const DEFAULT_BASE_URL = 'https://api.anthropic.com';
+const DEFAULT_MODEL = 'claude-3-7-sonnet-20250219';
+
+// Messages API version sent with every request
+const API_VERSION = '2023-06-01';
+
+// The Messages API has no JSON mode, so it is asked for in the system prompt
+const JSON_INSTRUCTION = 'Reply with a single JSON object and nothing else.';
+
+/**
+ * Map a Messages API stop reason to the shared one
+ * @param {string|null|undefined} reason Stop reason of the response
+ * @returns {string|null} Shared stop reason
+ */
+function stopReason(reason) {
+  return reason === 'end_turn' || reason === 'stop_sequence' ? 'end' : reason ?? null;
+}
+
+export class AnthropicProvider {
+  constructor() {
+    this.type = 'anthropic';
+    this.defaultModel = process.env.ANTHROPIC_MODEL || process.env.MODEL || DEFAULT_MODEL;
+    this.apiKey = process.env.ANTHROPIC_API_KEY || undefined;
+    this.baseUrl = (process.env.ANTHROPIC_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  }
+
+  isConfigured() {
+    return this.apiKey !== undefined;
+  }
+
+  async complete(request, options) {
+    const system = [request.system, request.json ? JSON_INSTRUCTION : ''].filter(Boolean).join('\n\n');
+    const body = {
+      model: request.model || this.defaultModel,
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      stream: options.stream,
+      ...(system ? { system } : {}),
+      messages: request.messages
+    };
+    const headers = {
+      'x-api-key': this.apiKey || '',
+      'anthropic-version': API_VERSION
+    };
+
+    const response = {
+      text: '',
+      provider: this.type,
+      model: body.model,
+      stopReason: null,
+      usage: { inputTokens: 0, outputTokens: 0 }
+    };
+
+    return postJson('Messages API', `${this.baseUrl}/v1/messages`, headers, body, options.timeout, async (http, resetTimeout) => {
+      if (!options.stream) {
+        const message = await http.json();
+        response.text = (message.content || [])
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join('');
+        response.model = message.model || response.model;
+        response.stopReason = stopReason(message.stop_reason);
+        response.usage.inputTokens = message.usage?.input_tokens || 0;
+        response.usage.outputTokens = message.usage?.output_tokens || 0;
+        return response;
+      }
+
+      await readEventStream('Messages API', http, resetTimeout, data => {
+        const event = JSON.parse(data);
+
+        switch (event.type) {
+          case 'message_start':
+            response.model = event.message?.model || response.model;
+            response.usage.inputTokens = event.message?.usage?.input_tokens || 0;
+            response.usage.outputTokens = event.message?.usage?.output_tokens || 0;
+            break;
+          case 'content_block_delta':
+            if (event.delta?.type === 'text_delta') {
+              response.text += event.delta.text;
+              options.onText(event.delta.text);
+            }
+            break;
+          case 'message_delta':
+            response.stopReason = stopReason(event.delta?.stop_reason) ?? response.stopReason;
+            response.usage.outputTokens = event.usage?.output_tokens ?? response.usage.outputTokens;
+            break;
+          case 'message_stop':
+            return true;
+          case 'error':
+            throw requestError(
+              `Messages API stream failed: ${event.error?.message || 'unknown error'}`,
+              event.error?.type === 'overloaded_error',
+              { type: event.error?.type }
+            );
+        }
+
+        return false;
+      });
+
+      return response;
+    });
+  }
+}
+
+export default AnthropicProvider;
@@ -0,0 +1,83 @@
+/**
+ * echo-provider.ts
+ * Deterministic provider for tests and offline use, making no network
+ * requests. It answers with the first fixture in AI_FIXTURES_FILE whose
+ * match occurs in the last user message, or else echoes that message.
+ *
+ * The fixture file holds a JSON array of { "match": string, "response":
+ * string | object }; object responses are returned as JSON.
+ */
+
+import fs from 'fs-extra';
+import { AIProvider, AIRequest, AIResponse, AICallOptions } from './ai-provider.js';
+import { requestError } from './http.js';
+import { estimateTokens } from '../context-assembler.js';
+
+interface Fixture {
+  match: string;
+  response: string | Record<string, any>;
+}
+
+export class EchoProvider implements AIProvider {
+  readonly type = 'echo' as const;
+  readonly defaultModel = 'echo';
+  private fixturesFile: string | undefined;
+
+  constructor() {
+    this.fixturesFile = process.env.AI_FIXTURES_FILE || undefined;
+  }
+
+  isConfigured(): boolean {
+    return true;
+  }
+
+  /**
+   * Read the fixtures
+   * @returns Fixtures, or an empty list if no fixture file is set
+   */
+  private async readFixtures(): Promise<Fixture[]> {
+    if (!this.fixturesFile) {
+      return [];
+    }
+
+    let fixtures: unknown;
+    try {
+      fixtures = await fs.readJson(this.fixturesFile);
+    } catch (error) {
+      const err = error as Error;
+      throw requestError(`Cannot read AI fixtures from ${this.fixturesFile}: ${err.message}`, false);
+    }
+
+    if (!Array.isArray(fixtures) || !fixtures.every(fixture => typeof fixture?.match === 'string' && fixture.response !== undefined)) {
+      throw requestError(`AI fixtures in ${this.fixturesFile} must be an array of { match, response } objects`, false);
+    }
+
+    return fixtures;
+  }
+
+  async complete(request: AIRequest, options: AICallOptions): Promise<AIResponse> {
+    const prompt = [...request.messages].reverse().find(message => message.role === 'user')?.content || '';
+    const fixture = (await this.readFixtures()).find(candidate => prompt.includes(candidate.match));
+
+    const text = fixture
+      ? (typeof fixture.response === 'string' ? fixture.response : JSON.stringify(fixture.response))
+      : prompt;
+
+    if (options.stream && text) {
+      options.onText(text);
+    }
+
+    return {
+      text,
+      provider: this.type,
+      model: request.model || this.defaultModel,
+      stopReason: 'end',
+      usage: {
+        inputTokens: estimateTokens([request.system || '', ...request.messages.map(message => message.content)].join('\n')),
+        outputTokens: estimateTokens(text)
+      }
+    };
+  }
+}
+
+export default EchoProvider;
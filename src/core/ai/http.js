@@ -0,0 +1,167 @@
+/**
+ * http.js
+ * HTTP helpers shared by the providers calling model APIs: requests with a
+ * timeout, error responses and server-sent event streams
+ */
+
+import { MemoryBankError, MemoryErrorCode } from '../errors.js';
+
+// Statuses worth retrying: timeouts, conflicts, rate limits and overload
+const RETRYABLE_STATUSES = new Set([408, 409, 429, 500, 502, 503, 504, 529]);
+
+/**
+ * Create the error for a failed request
+ * @param {string} message Error message
+ * @param {boolean} retryable Whether the request is worth retrying
+ * @param {Object<string, *>} details Further details, such as the HTTP status
+ * @returns {MemoryBankError} Error
+ */
+export function requestError(message, retryable, details = {}) {
+  return new MemoryBankError(MemoryErrorCode.AI_REQUEST_FAILED, message, { ...details, retryable });
+}
+
+/**
+ * Create the error for a response with an error status
+ * @param {string} name API name used in the message
+ * @param {Response} response HTTP response
+ * @returns {Promise<MemoryBankError>} Error, with the message of the API's error body if there is one
+ */
+async function responseError(name, response) {
+  let message = response.statusText;
+  let type;
+
+  try {
+    const body = await response.json();
+    message = body?.error?.message || message;
+    type = body?.error?.type;
+  } catch {
+    // Not a JSON error body
+  }
+
+  const retryAfter = parseFloat(response.headers.get('retry-after') || '');
+
+  return requestError(
+    `${name} request failed with status ${response.status}: ${message}`,
+    RETRYABLE_STATUSES.has(response.status),
+    { status: response.status, type, retryAfter: Number.isFinite(retryAfter) ? retryAfter * 1000 : undefined }
+  );
+}
+
+/**
+ * POST a JSON body and handle the response, giving up when no response or
+ * data arrives for a while. Errors other than MemoryBankErrors, such as
+ * network failures, are turned into retryable request errors.
+ * @param {string} name API name used in error messages
+ * @param {string} url Endpoint URL
+ * @param {Object<string, string>} headers Request headers besides the content type
+ * @param {Object<string, *>} body Request body
+ * @param {number} timeout Milliseconds without a response or data before giving up
+ * @param {Function} handle Reads a successful response; calls resetTimeout whenever data arrives
+ * @returns {Promise<T>} Result of handle
+ */
+export async function postJson(
+  name,
+  url,
+  headers,
+  body,
+  timeout,
+  handle
+) {
+  const controller = new AbortController();
+  let timer;
+  const resetTimeout = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => controller.abort(), timeout);
+  };
+
+  try {
+    resetTimeout();
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      throw await responseError(name, response);
+    }
+
+    return await handle(response, resetTimeout);
+  } catch (error) {
+    if (error instanceof MemoryBankError) {
+      throw error;
+    }
+
+    if (controller.signal.aborted) {
+      throw requestError(`${name} request timed out after ${timeout} ms without a response`, true);
+    }
+
+    throw requestError(`${name} request failed: ${error.message}`, !(error instanceof SyntaxError));
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Read a server-sent event stream, passing the data of every event on
+ * @param {string} name API name used in error messages
+ * @param {Response} response HTTP response with the event stream
+ * @param {Function} onData Called whenever data arrives, e.g. to reset a timeout
+ * @param {Function} onEvent Called with the data of an event; returns true at the end of the stream
+ */
+export async function readEventStream(
+  name,
+  response,
+  onData,
+  onEvent
+) {
+  if (!response.body) {
+    throw requestError(`${name} returned an empty stream`, true);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const handleBlock = block => {
+    const data = block
+      .split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).trimStart())
+      .join('\n');
+
+    return data ? onEvent(data) : false;
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+
+    onData();
+    buffer += decoder.decode(value, { stream: true });
+
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop() || '';
+
+    for (const block of blocks) {
+      if (handleBlock(block)) {
+        await reader.cancel();
+        return;
+      }
+    }
+  }
+
+  if (!handleBlock(buffer)) {
+    throw requestError(`${name} stream ended before the response was complete`, true);
+  }
+}
+
+export default {
+  requestError,
+  postJson,
+  readEventStream
+};
@@ -0,0 +1,168 @@
+/**
+ * http.ts
+ * HTTP helpers shared by the providers calling model APIs: requests with a
+ * timeout, error responses and server-sent event streams
+ */
+
+import { MemoryBankError, MemoryErrorCode } from '../errors.js';
+
+// Statuses worth retrying: timeouts, conflicts, rate limits and overload
+const RETRYABLE_STATUSES = new Set([408, 409, 429, 500, 502, 503, 504, 529]);
+
+/**
+ * Create the error for a failed request
+ * @param message Error message
+ * @param retryable Whether the request is worth retrying
+ * @param details Further details, such as the HTTP status
+ * @returns Error
+ */
+export function requestError(message: string, retryable: boolean, details: Record<string, any> = {}): MemoryBankError {
+  return new MemoryBankError(MemoryErrorCode.AI_REQUEST_FAILED, message, { ...details, retryable });
+}
+
+/**
+ * Create the error for a response with an error status
+ * @param name API name used in the message
+ * @param response HTTP response
+ * @returns Error, with the message of the API's error body if there is one
+ */
+async function responseError(name: string, response: Response): Promise<MemoryBankError> {
+  let message = response.statusText;
+  let type: string | undefined;
+
+  try {
+    const body = await response.json();
+    message = body?.error?.message || message;
+    type = body?.error?.type;
+  } catch {
+    // Not a JSON error body
+  }
+
+  const retryAfter = parseFloat(response.headers.get('retry-after') || '');
+
+  return requestError(
+    `${name} request failed with status ${response.status}: ${message}`,
+    RETRYABLE_STATUSES.has(response.status),
+    { status: response.status, type, retryAfter: Number.isFinite(retryAfter) ? retryAfter * 1000 : undefined }
+  );
+}
+
+/**
+ * POST a JSON body and handle the response, giving up when no response or
+ * data arrives for a while. Errors other than MemoryBankErrors, such as
+ * network failures, are turned into retryable request errors.
+ * @param name API name used in error messages
+ * @param url Endpoint URL
+ * @param headers Request headers besides the content type
+ * @param body Request body
+ * @param timeout Milliseconds without a response or data before giving up
+ * @param handle Reads a successful response; calls resetTimeout whenever data arrives
+ * @returns Result of handle
+ */
+export async function postJson<T>(
+  name: string,
+  url: string,
+  headers: Record<string, string>,
+  body: Record<string, any>,
+  timeout: number,
+  handle: (response: Response, resetTimeout: () => void) => Promise<T>
+): Promise<T> {
+  const controller = new AbortController();
+  let timer: NodeJS.Timeout | undefined;
+  const resetTimeout = (): void => {
+    clearTimeout(timer);
+    timer = setTimeout(() => controller.abort(), timeout);
+  };
+
+  try {
+    resetTimeout();
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      throw await responseError(name, response);
+    }
+
+    return await handle(response, resetTimeout);
+  } catch (error) {
+    if (error instanceof MemoryBankError) {
+      throw error;
+    }
+
+    if (controller.signal.aborted) {
+      throw requestError(`${name} request timed out after ${timeout} ms without a response`, true);
+    }
+
+    const err = error as Error;
+    throw requestError(`${name} request failed: ${err.message}`, !(error instanceof SyntaxError));
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Read a server-sent event stream, passing the data of every event on
+ * @param name API name used in error messages
+ * @param response HTTP response with the event stream
+ * @param onData Called whenever data arrives, e.g. to reset a timeout
+ * @param onEvent Called with the data of an event; returns true at the end of the stream
+ */
+export async function readEventStream(
+  name: string,
+  response: Response,
+  onData: () => void,
+  onEvent: (data: string) => boolean
+): Promise<void> {
+  if (!response.body) {
+    throw requestError(`${name} returned an empty stream`, true);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const handleBlock = (block: string): boolean => {
+    const data = block
+      .split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).trimStart())
+      .join('\n');
+
+    return data ? onEvent(data) : false;
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+
+    onData();
+    buffer += decoder.decode(value, { stream: true });
+
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop() || '';
+
+    for (const block of blocks) {
+      if (handleBlock(block)) {
+        await reader.cancel();
+        return;
+      }
+    }
+  }
+
+  if (!handleBlock(buffer)) {
+    throw requestError(`${name} stream ended before the response was complete`, true);
+  }
+}
+
+export default {
+  requestError,
+  postJson,
+  readEventStream
+};
@@ -0,0 +1,58 @@
+/**
+ * ai/index.js
+ * Registry of the providers answering model requests
+ */
+
+import { AnthropicProvider } from './anthropic-provider.js';
+import { OpenAIProvider } from './openai-provider.js';
+import { EchoProvider } from './echo-provider.js';
+
+export * from './ai-provider.js';
+export { AnthropicProvider } from './anthropic-provider.js';
+export { OpenAIProvider } from './openai-provider.js';
+export { EchoProvider } from './echo-provider.js';
+
+// Default provider (can be overridden by env variable)
+export const DEFAULT_AI_PROVIDER = 'anthropic';
+
+// Provider factories by type. Providers read their settings from the
+// environment when they are created.
+const providers = new Map([
+  ['anthropic', () => new AnthropicProvider()],
+  ['openai', () => new OpenAIProvider()],
+  ['echo', () => new EchoProvider()]
+]);
+
+/**
+ * Register a provider, replacing any provider of the same type
+ * @param {string} type Provider type, as selected with AI_PROVIDER
+ * @param {Function} factory Creates the provider
+ */
+export function registerAIProvider(type, factory) {
+  providers.set(type, factory);
+}
+
+/**
+ * Get the types of the registered providers
+ * @returns {string[]} Provider types
+ */
+export function getAIProviderTypes() {
+  return Array.from(providers.keys());
+}
+
+/**
+ * Create a provider
+ * @param {string} type Provider type (default: AI_PROVIDER or anthropic)
+ * @returns {Object} Provider
+ */
+export function createAIProvider(type = process.env.AI_PROVIDER || DEFAULT_AI_PROVIDER) {
+  const factory = providers.get(type);
+
+  if (!factory) {
+    throw new Error(`Unknown AI provider: ${type}. Use one of: ${getAIProviderTypes().join(', ')}`);
+  }
+
+  return factory();
+}
+
+export default { createAIProvider, registerAIProvider, getAIProviderTypes };
@@ -0,0 +1,59 @@
+/**
+ * ai/index.ts
+ * Registry of the providers answering model requests
+ */
+
+import { AnthropicProvider } from './anthropic-provider.js';
+import { OpenAIProvider } from './openai-provider.js';
+import { EchoProvider } from './echo-provider.js';
+import { AIProvider } from './ai-provider.js';
+
+export * from './ai-provider.js';
+export { AnthropicProvider } from './anthropic-provider.js';
+export { OpenAIProvider } from './openai-provider.js';
+export { EchoProvider } from './echo-provider.js';
+
+// Default provider (can be overridden by env variable)
+export const DEFAULT_AI_PROVIDER = 'anthropic';
+
+// Provider factories by type. Providers read their settings from the
+// environment when they are created.
+const providers = new Map<string, () => AIProvider>([
+  ['anthropic', () => new AnthropicProvider()],
+  ['openai', () => new OpenAIProvider()],
+  ['echo', () => new EchoProvider()]
+]);
+
+/**
+ * Register a provider, replacing any provider of the same type
+ * @param type Provider type, as selected with AI_PROVIDER
+ * @param factory Creates the provider
+ */
+export function registerAIProvider(type: string, factory: () => AIProvider): void {
+  providers.set(type, factory);
+}
+
+/**
+ * Get the types of the registered providers
+ * @returns Provider types
+ */
+export function getAIProviderTypes(): string[] {
+  return Array.from(providers.keys());
+}
+
+/**
+ * Create a provider
+ * @param type Provider type (default: AI_PROVIDER or anthropic)
+ * @returns Provider
+ */
+export function createAIProvider(type: string = process.env.AI_PROVIDER || DEFAULT_AI_PROVIDER): AIProvider {
+  const factory = providers.get(type);
+
+  if (!factory) {
+    throw new Error(`Unknown AI provider: ${type}. Use one of: ${getAIProviderTypes().join(', ')}`);
+  }
+
+  return factory();
+}
+
+export default { createAIProvider, registerAIProvider, getAIProviderTypes };
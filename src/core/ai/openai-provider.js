@@ -0,0 +1,112 @@
+/**
+ * openai-provider.js
+ * Provider calling an OpenAI-compatible chat completions API, such as a
+ * local model server. OPENAI_BASE_URL is the API root including the version,
+ * e.g. http://localhost:11434/v1; OPENAI_API_KEY is optional for local servers.
+ * OPENAI_MODEL selects the model.
+ */
+
+import { postJson, readEventStream } from './http.js';
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+/**
+ * Map a chat completions finish reason to the shared stop reason
+ * @param {string|null|undefined} reason Finish reason of the response
+ * @returns {string|null} Shared stop reason
+ */
+function stopReason(reason) {
+  switch (reason) {
+    case 'stop':
+      return 'end';
+    case 'length':
+      return 'max_tokens';
+    default:
+      return reason ?? null;
+  }
+}
+
+export class OpenAIProvider {
+  constructor() {
+    this.type = 'openai';
+    this.defaultModel = process.env.OPENAI_MODEL || DEFAULT_MODEL;
+    this.apiKey = process.env.OPENAI_API_KEY || undefined;
+    this.baseUrl = process.env.OPENAI_BASE_URL?.replace(/\/+$/, '') || undefined;
+  }
+
+  isConfigured() {
+    // A local server needs no key, but then its URL has to be set
+    return this.apiKey !== undefined || this.baseUrl !== undefined;
+  }
+
+  async complete(request, options) {
+    const body = {
+      model: request.model || this.defaultModel,
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      stream: options.stream,
+      // Streamed responses only report usage when asked to, in a final chunk
+      ...(options.stream ? { stream_options: { include_usage: true } } : {}),
+      ...(request.json ? { response_format: { type: 'json_object' } } : {}),
+      messages: [
+        ...(request.system ? [{ role: 'system', content: request.system }] : []),
+        ...request.messages
+      ]
+    };
+    const headers = this.apiKey ? { authorization: `Bearer ${this.apiKey}` } : {};
+
+    const response = {
+      text: '',
+      provider: this.type,
+      model: body.model,
+      stopReason: null,
+      usage: { inputTokens: 0, outputTokens: 0 }
+    };
+    const readUsage = usage => {
+      if (usage) {
+        response.usage.inputTokens = usage.prompt_tokens || 0;
+        response.usage.outputTokens = usage.completion_tokens || 0;
+      }
+    };
+
+    const url = `${this.baseUrl || DEFAULT_BASE_URL}/chat/completions`;
+
+    return postJson('Chat completions API', url, headers, body, options.timeout, async (http, resetTimeout) => {
+      if (!options.stream) {
+        const completion = await http.json();
+        const choice = completion.choices?.[0];
+        response.text = choice?.message?.content || '';
+        response.model = completion.model || response.model;
+        response.stopReason = stopReason(choice?.finish_reason);
+        readUsage(completion.usage);
+        return response;
+      }
+
+      await readEventStream('Chat completions API', http, resetTimeout, data => {
+        if (data === '[DONE]') {
+          return true;
+        }
+
+        const chunk = JSON.parse(data);
+        const choice = chunk.choices?.[0];
+        const text = choice?.delta?.content;
+
+        if (text) {
+          response.text += text;
+          options.onText(text);
+        }
+
+        response.model = chunk.model || response.model;
+        response.stopReason = stopReason(choice?.finish_reason) ?? response.stopReason;
+        readUsage(chunk.usage);
+
+        return false;
+      });
+
+      return response;
+    });
+  }
+}
+
+export default OpenAIProvider;
@@ -0,0 +1,362 @@
+/**
+ * bank-bundle.js
+ * Export and import of a Memory Bank as a single portable bundle.
+ *
+ * A bundle holds the Memory Bank files and a manifest listing each file's
+ * size, SHA-256 checksum, modification time and frontmatter metadata. It is
+ * stored either as one JSON document ({ manifest, files }) or as a tar
+ * archive with manifest.json at the root and the files under files/.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import logger from '../logger.js';
+import { getContentVersion } from './memory-manager.js';
+import { MemoryBankError, MemoryErrorCode, getErrorCode } from './errors.js';
+import { createTar, isTar, readTar } from './utils/tar.js';
+
+export const BUNDLE_FORMAT = 'taskflow-memory-bundle';
+export const BUNDLE_VERSION = 1;
+
+// Entries of a tar bundle
+const MANIFEST_ENTRY = 'manifest.json';
+const FILES_PREFIX = 'files/';
+
+// Suffix added to imported files kept next to an existing file
+const KEEP_BOTH_SUFFIX = '-imported';
+
+export const MERGE_STRATEGIES = ['overwrite', 'skip', 'keep-both'];
+
+/**
+ * Collect the Memory Bank files visible under the access policy into a bundle
+ * @param {MemoryManager} memoryManager Memory Manager of the bank to export
+ * @param {Object} options Glob patterns limiting the exported files and the bank name
+ * @returns {Promise<Object>} Bundle
+ */
+export async function createBundle(memoryManager, options = {}) {
+  const fileNames = await memoryManager.listBankFiles(options.patterns);
+  const entries = [];
+  const files = [];
+
+  for (const fileName of fileNames) {
+    const { content, version } = await memoryManager.readMemoryFileWithVersion(fileName);
+    const { metadata, modified } = await memoryManager.getFileMetadata(fileName);
+
+    entries.push({
+      path: fileName,
+      size: Buffer.byteLength(content, 'utf8'),
+      sha256: version,
+      modified,
+      metadata
+    });
+    files.push({ path: fileName, content });
+  }
+
+  return {
+    manifest: {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      createdAt: new Date().toISOString(),
+      bank: options.bankName,
+      files: entries
+    },
+    files
+  };
+}
+
+/**
+ * Encode a bundle
+ * @param {Object} bundle Bundle
+ * @param {Object} encoding JSON document or tar archive
+ * @returns {Buffer} Encoded bundle
+ */
+export function encodeBundle(bundle, encoding = 'json') {
+  if (encoding === 'json') {
+    return Buffer.from(JSON.stringify(bundle, null, 2) + '\n', 'utf8');
+  }
+
+  const createdAt = new Date(bundle.manifest.createdAt);
+
+  return createTar([
+    { path: MANIFEST_ENTRY, content: Buffer.from(JSON.stringify(bundle.manifest, null, 2) + '\n', 'utf8'), mtime: createdAt },
+    ...bundle.files.map(file => {
+      const entry = bundle.manifest.files.find(item => item.path === file.path);
+      return {
+        path: FILES_PREFIX + file.path,
+        content: Buffer.from(file.content, 'utf8'),
+        mtime: entry ? new Date(entry.modified) : createdAt
+      };
+    })
+  ]);
+}
+
+/**
+ * Check a bundle's format and that every file matches its manifest checksum
+ * @param {*} bundle Decoded bundle
+ * @returns {Object} The bundle
+ */
+function validateBundle(bundle) {
+  const manifest = bundle?.manifest;
+
+  if (manifest?.format !== BUNDLE_FORMAT || !Array.isArray(manifest.files) || !Array.isArray(bundle.files)) {
+    throw new MemoryBankError(MemoryErrorCode.INVALID_BUNDLE, 'Not a Memory Bank bundle');
+  }
+
+  if (typeof manifest.version !== 'number' || manifest.version > BUNDLE_VERSION) {
+    throw new MemoryBankError(
+      MemoryErrorCode.INVALID_BUNDLE,
+      `Unsupported bundle version: ${manifest.version}`,
+      { version: manifest.version }
+    );
+  }
+
+  const files = new Map();
+  for (const file of bundle.files) {
+    if (typeof file?.path !== 'string' || typeof file.content !== 'string') {
+      throw new MemoryBankError(MemoryErrorCode.INVALID_BUNDLE, `Invalid bundle file: ${JSON.stringify(file?.path)}`);
+    }
+    files.set(file.path, file.content);
+  }
+
+  for (const entry of manifest.files) {
+    const content = files.get(entry?.path);
+
+    if (content === undefined) {
+      throw new MemoryBankError(
+        MemoryErrorCode.INVALID_BUNDLE,
+        `Bundle is missing file listed in its manifest: ${entry?.path}`,
+        { fileName: entry?.path }
+      );
+    }
+
+    if (getContentVersion(content) !== entry.sha256) {
+      throw new MemoryBankError(
+        MemoryErrorCode.INVALID_BUNDLE,
+        `Checksum mismatch for ${entry.path}`,
+        { fileName: entry.path, expected: entry.sha256, actual: getContentVersion(content) }
+      );
+    }
+
+    files.delete(entry.path);
+  }
+
+  if (files.size > 0) {
+    throw new MemoryBankError(
+      MemoryErrorCode.INVALID_BUNDLE,
+      `Bundle contains files not listed in its manifest: ${Array.from(files.keys()).join(', ')}`,
+      { files: Array.from(files.keys()) }
+    );
+  }
+
+  return bundle;
+}
+
+/**
+ * Decode and verify a bundle; the encoding is detected from the data
+ * @param {Buffer} data Encoded bundle
+ * @returns {Object} Bundle
+ */
+export function decodeBundle(data) {
+  if (isTar(data)) {
+    let manifest = null;
+    const files = [];
+
+    for (const entry of readTar(data)) {
+      if (entry.path === MANIFEST_ENTRY) {
+        try {
+          manifest = JSON.parse(entry.content.toString('utf8'));
+        } catch {
+          // The parse error would quote the file, so it is not passed on
+          throw new MemoryBankError(MemoryErrorCode.INVALID_BUNDLE, 'Invalid bundle manifest: not a JSON document');
+        }
+      } else if (entry.path.startsWith(FILES_PREFIX)) {
+        files.push({ path: entry.path.slice(FILES_PREFIX.length), content: entry.content.toString('utf8') });
+      }
+    }
+
+    return validateBundle({ manifest, files });
+  }
+
+  try {
+    return validateBundle(JSON.parse(data.toString('utf8')));
+  } catch (error) {
+    if (error instanceof MemoryBankError) {
+      throw error;
+    }
+
+    // As above, the parse error is not passed on
+    throw new MemoryBankError(MemoryErrorCode.INVALID_BUNDLE, 'Bundle is neither a JSON document nor a tar archive');
+  }
+}
+
+/**
+ * Choose the encoding of a bundle file from its extension
+ * @param {string} filePath Bundle file path
+ * @returns {Object} 'tar' for .tar files, 'json' otherwise
+ */
+export function getBundleEncoding(filePath) {
+  return path.extname(filePath).toLowerCase() === '.tar' ? 'tar' : 'json';
+}
+
+/**
+ * Write a bundle to a file
+ * @param {Object} bundle Bundle
+ * @param {string} filePath Bundle file path
+ * @param {Object} encoding Encoding (default: chosen from the file extension)
+ * @param {boolean} overwrite Replace an existing file instead of refusing it (default: false)
+ * @returns {Promise<number>} Number of bytes written
+ */
+export async function writeBundleFile(bundle, filePath, encoding, overwrite = false) {
+  const data = encodeBundle(bundle, encoding || getBundleEncoding(filePath));
+
+  await fs.ensureDir(path.dirname(path.resolve(filePath)));
+
+  try {
+    await fs.writeFile(filePath, data, { flag: overwrite ? 'w' : 'wx' });
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      throw new MemoryBankError(MemoryErrorCode.FILE_EXISTS, `Bundle file already exists: ${filePath}`, { path: filePath });
+    }
+    throw error;
+  }
+
+  logger.info(`Wrote Memory Bank bundle with ${bundle.files.length} files to ${filePath}`);
+
+  return data.length;
+}
+
+/**
+ * Read and verify a bundle file
+ * @param {string} filePath Bundle file path
+ * @returns {Promise<Object>} Bundle
+ */
+export async function readBundleFile(filePath) {
+  if (!await fs.pathExists(filePath)) {
+    throw new MemoryBankError(MemoryErrorCode.FILE_NOT_FOUND, `Bundle file not found: ${filePath}`, { path: filePath });
+  }
+
+  return decodeBundle(await fs.readFile(filePath));
+}
+
+/**
+ * Find a free name for an imported file kept next to an existing one
+ * @param {string} fileName File name
+ * @param {Set<string>} taken Names already in use
+ * @param {Object} storage Storage of the Memory Bank, for files not in taken
+ * @returns {Promise<string>} Name with a suffix before the extension, e.g. notes-imported.md
+ */
+async function keepBothName(fileName, taken, storage) {
+  const extension = path.posix.extname(fileName);
+  const base = fileName.slice(0, fileName.length - extension.length);
+
+  for (let n = 1; ; n++) {
+    const candidate = `${base}${KEEP_BOTH_SUFFIX}${n > 1 ? `-${n}` : ''}${extension}`;
+    if (!taken.has(candidate) && !await storage.exists(candidate)) {
+      return candidate;
+    }
+  }
+}
+
+/**
+ * Import a bundle into a Memory Bank. Files the bank does not have are
+ * created; files with identical content are left alone; other existing files
+ * are handled by the merge strategy. Writes go through the Memory Manager, so
+ * the access policy applies and every change is recorded in the revision
+ * history. A dry run reports the changes without writing.
+ * @param {MemoryManager} memoryManager Memory Manager of the target bank
+ * @param {Object} bundle Bundle
+ * @param {Object} options Merge strategy, dry run and change source
+ * @returns {Promise<Object>} Report of the changes
+ */
+export async function importBundle(
+  memoryManager,
+  bundle,
+  options = {}
+) {
+  const strategy = options.strategy || 'skip';
+  const dryRun = options.dryRun === true;
+
+  if (!MERGE_STRATEGIES.includes(strategy)) {
+    throw new MemoryBankError(
+      MemoryErrorCode.INVALID_BUNDLE,
+      `Unknown merge strategy: ${strategy}. Use one of: ${MERGE_STRATEGIES.join(', ')}`,
+      { strategy }
+    );
+  }
+
+  const policy = memoryManager.getAccessPolicy();
+  await policy.refresh();
+
+  const storage = memoryManager.getStorage();
+  const existing = new Set(await memoryManager.listBankFiles());
+  const report = {
+    dryRun,
+    strategy,
+    changes: [],
+    failed: [],
+    summary: { create: 0, overwrite: 0, 'keep-both': 0, skip: 0, unchanged: 0, failed: 0 }
+  };
+
+  for (const file of bundle.files) {
+    try {
+      const { relativePath } = await memoryManager.resolveMemoryPath(file.path);
+      let action = 'create';
+      let target = relativePath;
+      let expectedVersion;
+
+      // Files hidden by the access policy are not listed but still exist, and
+      // must not be written over as new files
+      if (existing.has(relativePath) || await storage.exists(relativePath)) {
+        const current = await memoryManager.readMemoryFileWithVersion(relativePath);
+
+        if (current.content === file.content) {
+          action = 'unchanged';
+        } else if (strategy === 'keep-both') {
+          action = 'keep-both';
+          target = await keepBothName(relativePath, existing, storage);
+        } else {
+          action = strategy;
+          expectedVersion = current.version;
+        }
+      }
+
+      if (action === 'create' || action === 'overwrite' || action === 'keep-both') {
+        policy.assertWritable(target, action === 'overwrite');
+
+        if (!dryRun) {
+          await memoryManager.writeMemoryFile(target, file.content, {
+            expectedVersion,
+            preserveFrontmatter: true,
+            source: options.source || 'import_memory_bank'
+          });
+        }
+
+        existing.add(target);
+      }
+
+      report.changes.push({ fileName: relativePath, action, target });
+      report.summary[action]++;
+    } catch (error) {
+      logger.warn(`Failed to import ${file.path}: ${error.message}`);
+      report.failed.push({ fileName: file.path, error: error.message, code: getErrorCode(error) });
+      report.summary.failed++;
+    }
+  }
+
+  logger.info(
+    `${dryRun ? 'Dry run of import' : 'Imported'} Memory Bank bundle (${strategy}): ` +
+    Object.entries(report.summary).map(([action, count]) => `${count} ${action}`).join(', ')
+  );
+
+  return report;
+}
+
+export default {
+  createBundle,
+  encodeBundle,
+  decodeBundle,
+  getBundleEncoding,
+  writeBundleFile,
+  readBundleFile,
+  importBundle
+};
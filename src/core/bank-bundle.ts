@@ -0,0 +1,431 @@
+/**
+ * bank-bundle.ts
+ * Export and import of a Memory Bank as a single portable bundle.
+ *
+ * A bundle holds the Memory Bank files and a manifest listing each file's
+ * size, SHA-256 checksum, modification time and frontmatter metadata. It is
+ * stored either as one JSON document ({ manifest, files }) or as a tar
+ * archive with manifest.json at the root and the files under files/.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { logger } from '../logger.js';
+import { MemoryManager, getContentVersion } from './memory-manager.js';
+import { MemoryBankError, MemoryErrorCode, getErrorCode } from './errors.js';
+import { StorageAdapter } from './storage/index.js';
+import { FrontmatterData } from './utils/frontmatter.js';
+import { createTar, isTar, readTar } from './utils/tar.js';
+
+export const BUNDLE_FORMAT = 'taskflow-memory-bundle';
+export const BUNDLE_VERSION = 1;
+
+// Entries of a tar bundle
+const MANIFEST_ENTRY = 'manifest.json';
+const FILES_PREFIX = 'files/';
+
+// Suffix added to imported files kept next to an existing file
+const KEEP_BOTH_SUFFIX = '-imported';
+
+export type BundleEncoding = 'json' | 'tar';
+
+/**
+ * How an imported file that already exists with different content is handled:
+ * - overwrite: replace the existing file
+ * - skip: keep the existing file
+ * - keep-both: keep the existing file and import the file under a suffixed name
+ */
+export type MergeStrategy = 'overwrite' | 'skip' | 'keep-both';
+
+export const MERGE_STRATEGIES: MergeStrategy[] = ['overwrite', 'skip', 'keep-both'];
+
+export interface BundleManifestEntry {
+  path: string;
+  size: number;
+  sha256: string;
+  modified: string;
+  metadata: FrontmatterData;
+}
+
+export interface BundleManifest {
+  format: string;
+  version: number;
+  createdAt: string;
+  bank?: string;
+  files: BundleManifestEntry[];
+}
+
+export interface BundleFile {
+  path: string;
+  content: string;
+}
+
+export interface MemoryBundle {
+  manifest: BundleManifest;
+  files: BundleFile[];
+}
+
+export interface ExportOptions {
+  patterns?: string[];
+  bankName?: string;
+}
+
+export interface ImportOptions {
+  strategy?: MergeStrategy;
+  dryRun?: boolean;
+  source?: string;
+}
+
+export interface ImportChange {
+  fileName: string;
+  action: 'create' | 'overwrite' | 'keep-both' | 'skip' | 'unchanged';
+  target: string;
+}
+
+export interface ImportReport {
+  dryRun: boolean;
+  strategy: MergeStrategy;
+  changes: ImportChange[];
+  failed: { fileName: string; error: string; code?: string }[];
+  summary: Record<ImportChange['action'] | 'failed', number>;
+}
+
+/**
+ * Collect the Memory Bank files visible under the access policy into a bundle
+ * @param memoryManager Memory Manager of the bank to export
+ * @param options Glob patterns limiting the exported files and the bank name
+ * @returns Bundle
+ */
+export async function createBundle(memoryManager: MemoryManager, options: ExportOptions = {}): Promise<MemoryBundle> {
+  const fileNames = await memoryManager.listBankFiles(options.patterns);
+  const entries: BundleManifestEntry[] = [];
+  const files: BundleFile[] = [];
+
+  for (const fileName of fileNames) {
+    const { content, version } = await memoryManager.readMemoryFileWithVersion(fileName);
+    const { metadata, modified } = await memoryManager.getFileMetadata(fileName);
+
+    entries.push({
+      path: fileName,
+      size: Buffer.byteLength(content, 'utf8'),
+      sha256: version,
+      modified,
+      metadata
+    });
+    files.push({ path: fileName, content });
+  }
+
+  return {
+    manifest: {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      createdAt: new Date().toISOString(),
+      bank: options.bankName,
+      files: entries
+    },
+    files
+  };
+}
+
+/**
+ * Encode a bundle
+ * @param bundle Bundle
+ * @param encoding JSON document or tar archive
+ * @returns Encoded bundle
+ */
+export function encodeBundle(bundle: MemoryBundle, encoding: BundleEncoding = 'json'): Buffer {
+  if (encoding === 'json') {
+    return Buffer.from(JSON.stringify(bundle, null, 2) + '\n', 'utf8');
+  }
+
+  const createdAt = new Date(bundle.manifest.createdAt);
+
+  return createTar([
+    { path: MANIFEST_ENTRY, content: Buffer.from(JSON.stringify(bundle.manifest, null, 2) + '\n', 'utf8'), mtime: createdAt },
+    ...bundle.files.map(file => {
+      const entry = bundle.manifest.files.find(item => item.path === file.path);
+      return {
+        path: FILES_PREFIX + file.path,
+        content: Buffer.from(file.content, 'utf8'),
+        mtime: entry ? new Date(entry.modified) : createdAt
+      };
+    })
+  ]);
+}
+
+/**
+ * Check a bundle's format and that every file matches its manifest checksum
+ * @param bundle Decoded bundle
+ * @returns The bundle
+ */
+function validateBundle(bundle: any): MemoryBundle {
+  const manifest = bundle?.manifest;
+
+  if (manifest?.format !== BUNDLE_FORMAT || !Array.isArray(manifest.files) || !Array.isArray(bundle.files)) {
+    throw new MemoryBankError(MemoryErrorCode.INVALID_BUNDLE, 'Not a Memory Bank bundle');
+  }
+
+  if (typeof manifest.version !== 'number' || manifest.version > BUNDLE_VERSION) {
+    throw new MemoryBankError(
+      MemoryErrorCode.INVALID_BUNDLE,
+      `Unsupported bundle version: ${manifest.version}`,
+      { version: manifest.version }
+    );
+  }
+
+  const files = new Map<string, string>();
+  for (const file of bundle.files) {
+    if (typeof file?.path !== 'string' || typeof file.content !== 'string') {
+      throw new MemoryBankError(MemoryErrorCode.INVALID_BUNDLE, `Invalid bundle file: ${JSON.stringify(file?.path)}`);
+    }
+    files.set(file.path, file.content);
+  }
+
+  for (const entry of manifest.files) {
+    const content = files.get(entry?.path);
+
+    if (content === undefined) {
+      throw new MemoryBankError(
+        MemoryErrorCode.INVALID_BUNDLE,
+        `Bundle is missing file listed in its manifest: ${entry?.path}`,
+        { fileName: entry?.path }
+      );
+    }
+
+    if (getContentVersion(content) !== entry.sha256) {
+      throw new MemoryBankError(
+        MemoryErrorCode.INVALID_BUNDLE,
+        `Checksum mismatch for ${entry.path}`,
+        { fileName: entry.path, expected: entry.sha256, actual: getContentVersion(content) }
+      );
+    }
+
+    files.delete(entry.path);
+  }
+
+  if (files.size > 0) {
+    throw new MemoryBankError(
+      MemoryErrorCode.INVALID_BUNDLE,
+      `Bundle contains files not listed in its manifest: ${Array.from(files.keys()).join(', ')}`,
+      { files: Array.from(files.keys()) }
+    );
+  }
+
+  return bundle as MemoryBundle;
+}
+
+/**
+ * Decode and verify a bundle; the encoding is detected from the data
+ * @param data Encoded bundle
+ * @returns Bundle
+ */
+export function decodeBundle(data: Buffer): MemoryBundle {
+  if (isTar(data)) {
+    let manifest: any = null;
+    const files: BundleFile[] = [];
+
+    for (const entry of readTar(data)) {
+      if (entry.path === MANIFEST_ENTRY) {
+        try {
+          manifest = JSON.parse(entry.content.toString('utf8'));
+        } catch {
+          // The parse error would quote the file, so it is not passed on
+          throw new MemoryBankError(MemoryErrorCode.INVALID_BUNDLE, 'Invalid bundle manifest: not a JSON document');
+        }
+      } else if (entry.path.startsWith(FILES_PREFIX)) {
+        files.push({ path: entry.path.slice(FILES_PREFIX.length), content: entry.content.toString('utf8') });
+      }
+    }
+
+    return validateBundle({ manifest, files });
+  }
+
+  try {
+    return validateBundle(JSON.parse(data.toString('utf8')));
+  } catch (error) {
+    if (error instanceof MemoryBankError) {
+      throw error;
+    }
+
+    // As above, the parse error is not passed on
+    throw new MemoryBankError(MemoryErrorCode.INVALID_BUNDLE, 'Bundle is neither a JSON document nor a tar archive');
+  }
+}
+
+/**
+ * Choose the encoding of a bundle file from its extension
+ * @param filePath Bundle file path
+ * @returns 'tar' for .tar files, 'json' otherwise
+ */
+export function getBundleEncoding(filePath: string): BundleEncoding {
+  return path.extname(filePath).toLowerCase() === '.tar' ? 'tar' : 'json';
+}
+
+/**
+ * Write a bundle to a file
+ * @param bundle Bundle
+ * @param filePath Bundle file path
+ * @param encoding Encoding (default: chosen from the file extension)
+ * @param overwrite Replace an existing file instead of refusing it (default: false)
+ * @returns Number of bytes written
+ */
+export async function writeBundleFile(
+  bundle: MemoryBundle,
+  filePath: string,
+  encoding?: BundleEncoding,
+  overwrite: boolean = false
+): Promise<number> {
+  const data = encodeBundle(bundle, encoding || getBundleEncoding(filePath));
+
+  await fs.ensureDir(path.dirname(path.resolve(filePath)));
+
+  try {
+    await fs.writeFile(filePath, data, { flag: overwrite ? 'w' : 'wx' });
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'EEXIST') {
+      throw new MemoryBankError(MemoryErrorCode.FILE_EXISTS, `Bundle file already exists: ${filePath}`, { path: filePath });
+    }
+    throw error;
+  }
+
+  logger.info(`Wrote Memory Bank bundle with ${bundle.files.length} files to ${filePath}`);
+
+  return data.length;
+}
+
+/**
+ * Read and verify a bundle file
+ * @param filePath Bundle file path
+ * @returns Bundle
+ */
+export async function readBundleFile(filePath: string): Promise<MemoryBundle> {
+  if (!await fs.pathExists(filePath)) {
+    throw new MemoryBankError(MemoryErrorCode.FILE_NOT_FOUND, `Bundle file not found: ${filePath}`, { path: filePath });
+  }
+
+  return decodeBundle(await fs.readFile(filePath));
+}
+
+/**
+ * Find a free name for an imported file kept next to an existing one
+ * @param fileName File name
+ * @param taken Names already in use
+ * @param storage Storage of the Memory Bank, for files not in taken
+ * @returns Name with a suffix before the extension, e.g. notes-imported.md
+ */
+async function keepBothName(fileName: string, taken: Set<string>, storage: StorageAdapter): Promise<string> {
+  const extension = path.posix.extname(fileName);
+  const base = fileName.slice(0, fileName.length - extension.length);
+
+  for (let n = 1; ; n++) {
+    const candidate = `${base}${KEEP_BOTH_SUFFIX}${n > 1 ? `-${n}` : ''}${extension}`;
+    if (!taken.has(candidate) && !await storage.exists(candidate)) {
+      return candidate;
+    }
+  }
+}
+
+/**
+ * Import a bundle into a Memory Bank. Files the bank does not have are
+ * created; files with identical content are left alone; other existing files
+ * are handled by the merge strategy. Writes go through the Memory Manager, so
+ * the access policy applies and every change is recorded in the revision
+ * history. A dry run reports the changes without writing.
+ * @param memoryManager Memory Manager of the target bank
+ * @param bundle Bundle
+ * @param options Merge strategy, dry run and change source
+ * @returns Report of the changes
+ */
+export async function importBundle(
+  memoryManager: MemoryManager,
+  bundle: MemoryBundle,
+  options: ImportOptions = {}
+): Promise<ImportReport> {
+  const strategy = options.strategy || 'skip';
+  const dryRun = options.dryRun === true;
+
+  if (!MERGE_STRATEGIES.includes(strategy)) {
+    throw new MemoryBankError(
+      MemoryErrorCode.INVALID_BUNDLE,
+      `Unknown merge strategy: ${strategy}. Use one of: ${MERGE_STRATEGIES.join(', ')}`,
+      { strategy }
+    );
+  }
+
+  const policy = memoryManager.getAccessPolicy();
+  await policy.refresh();
+
+  const storage = memoryManager.getStorage();
+  const existing = new Set(await memoryManager.listBankFiles());
+  const report: ImportReport = {
+    dryRun,
+    strategy,
+    changes: [],
+    failed: [],
+    summary: { create: 0, overwrite: 0, 'keep-both': 0, skip: 0, unchanged: 0, failed: 0 }
+  };
+
+  for (const file of bundle.files) {
+    try {
+      const { relativePath } = await memoryManager.resolveMemoryPath(file.path);
+      let action: ImportChange['action'] = 'create';
+      let target = relativePath;
+      let expectedVersion: string | undefined;
+
+      // Files hidden by the access policy are not listed but still exist, and
+      // must not be written over as new files
+      if (existing.has(relativePath) || await storage.exists(relativePath)) {
+        const current = await memoryManager.readMemoryFileWithVersion(relativePath);
+
+        if (current.content === file.content) {
+          action = 'unchanged';
+        } else if (strategy === 'keep-both') {
+          action = 'keep-both';
+          target = await keepBothName(relativePath, existing, storage);
+        } else {
+          action = strategy;
+          expectedVersion = current.version;
+        }
+      }
+
+      if (action === 'create' || action === 'overwrite' || action === 'keep-both') {
+        policy.assertWritable(target, action === 'overwrite');
+
+        if (!dryRun) {
+          await memoryManager.writeMemoryFile(target, file.content, {
+            expectedVersion,
+            preserveFrontmatter: true,
+            source: options.source || 'import_memory_bank'
+          });
+        }
+
+        existing.add(target);
+      }
+
+      report.changes.push({ fileName: relativePath, action, target });
+      report.summary[action]++;
+    } catch (error) {
+      const err = error as Error;
+      logger.warn(`Failed to import ${file.path}: ${err.message}`);
+      report.failed.push({ fileName: file.path, error: err.message, code: getErrorCode(error) });
+      report.summary.failed++;
+    }
+  }
+
+  logger.info(
+    `${dryRun ? 'Dry run of import' : 'Imported'} Memory Bank bundle (${strategy}): ` +
+    Object.entries(report.summary).map(([action, count]) => `${count} ${action}`).join(', ')
+  );
+
+  return report;
+}
+
+export default {
+  createBundle,
+  encodeBundle,
+  decodeBundle,
+  getBundleEncoding,
+  writeBundleFile,
+  readBundleFile,
+  importBundle
+};
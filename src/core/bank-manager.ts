@@ -0,0 +1,459 @@
+/**
+ * bank-manager.ts
+ * Runtime switching between Memory Banks. Every open bank has its own
+ * Memory Manager, context cache, task store, Plan/Act mode and asynchronous
+ * operations; tools work on the active bank.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { logger } from '../logger.js';
+import { MemoryManager, MemoryFileChange } from './memory-manager.js';
+import { ContextManager, contextManager } from './context-manager.js';
+import { ModeManager, modeManager } from './plan-act/index.js';
+import { TaskStore } from './task-store.js';
+import { AsyncOperationManager, OperationStatus, asyncOperationManager } from './utils/async-manager.js';
+import { BankRegistry, BankEntry, assertValidBankName } from './bank-registry.js';
+import { applyProfile, DEFAULT_PROFILE } from './template-profiles.js';
+import { POLICY_FILE_NAME } from './access-policy.js';
+import { SCHEMA_FILE_NAME } from './bank-schema.js';
+import { SQLITE_FILE_NAME } from './storage/index.js';
+import { MemoryBankError, MemoryErrorCode } from './errors.js';
+import { isInsideDirectory } from './utils/real-path.js';
+
+// Name of the bank configured by MEMORY_BANK_PATH when its path is not registered
+export const DEFAULT_BANK_NAME = 'default';
+
+// Files of which at least one is in every Memory Bank directory
+const BANK_MARKER_FILES = [POLICY_FILE_NAME, SCHEMA_FILE_NAME, SQLITE_FILE_NAME, 'projectbrief.md'];
+
+export interface MemoryBank {
+  name: string;
+  path: string;
+  label?: string;
+  profile?: string;
+  registered: boolean;
+  memoryManager: MemoryManager;
+  contextManager: ContextManager;
+  taskStore: TaskStore;
+  modeManager: ModeManager;
+  asyncManager: AsyncOperationManager;
+}
+
+export interface BankSummary {
+  name: string;
+  path: string;
+  label?: string;
+  profile?: string;
+  registered: boolean;
+  open: boolean;
+  active: boolean;
+  mode?: string;
+  lastOpenedAt?: string;
+}
+
+export interface CreateBankOptions {
+  name: string;
+  path: string;
+  label?: string;
+  profile?: string;
+  variables?: Record<string, string>;
+}
+
+/**
+ * Payload of the 'bankSwitched' event
+ */
+export interface BankSwitch {
+  previous: MemoryBank;
+  current: MemoryBank;
+}
+
+export class BankManager extends EventEmitter {
+  private registry: BankRegistry;
+  private banks: Map<string, MemoryBank>;
+  private loaded: Set<MemoryBank>;
+  private activeBank: MemoryBank;
+
+  constructor(registry: BankRegistry = new BankRegistry()) {
+    super();
+    this.registry = registry;
+    this.banks = new Map();
+    this.loaded = new Set();
+
+    // The bank configured by MEMORY_BANK_PATH uses the module singletons
+    const memoryManager = MemoryManager.getInstance();
+    this.activeBank = {
+      name: DEFAULT_BANK_NAME,
+      path: path.resolve(memoryManager.getMemoryBankPath()),
+      registered: false,
+      memoryManager,
+      contextManager,
+      taskStore: new TaskStore(memoryManager),
+      modeManager,
+      asyncManager: asyncOperationManager
+    };
+    this.banks.set(DEFAULT_BANK_NAME, this.activeBank);
+  }
+
+  /**
+   * Open the startup bank: the registered bank named by MEMORY_BANK_NAME, or
+   * else the bank configured by MEMORY_BANK_PATH, which takes its registered
+   * name if its path is in the registry
+   * @returns Active bank
+   */
+  async init(): Promise<MemoryBank> {
+    const startupBank = process.env.MEMORY_BANK_NAME;
+
+    if (startupBank) {
+      const current = await this.switchBank(startupBank);
+
+      // The bank configured by MEMORY_BANK_PATH is not used
+      if (this.banks.get(DEFAULT_BANK_NAME) !== current) {
+        this.banks.delete(DEFAULT_BANK_NAME);
+      }
+
+      return current;
+    }
+
+    // A damaged registry must not keep the server from starting; it is
+    // reported again by every tool that needs it
+    const entry = await this.registry.findByPath(this.activeBank.path).catch(error => {
+      logger.error(`Starting without the Memory Bank registry: ${error.message}`);
+      return null;
+    });
+    if (entry) {
+      this.adoptEntry(this.activeBank, entry);
+    }
+
+    await this.load(this.activeBank);
+    logger.info(`Active Memory Bank: ${this.activeBank.name} (${this.activeBank.path})`);
+
+    return this.activeBank;
+  }
+
+  /**
+   * Get the bank registry
+   * @returns Bank registry
+   */
+  getRegistry(): BankRegistry {
+    return this.registry;
+  }
+
+  /**
+   * Get the bank tools currently work on
+   * @returns Active bank
+   */
+  getActiveBank(): MemoryBank {
+    return this.activeBank;
+  }
+
+  /**
+   * Get the banks opened by this process
+   * @returns Open banks
+   */
+  getOpenBanks(): MemoryBank[] {
+    return Array.from(this.loaded);
+  }
+
+  /**
+   * Get the directories in which banks can be opened and created by path:
+   * those listed in MEMORY_BANK_ROOTS, separated like PATH, or else the
+   * banks directory next to the registry file
+   * @returns Absolute directory paths
+   */
+  getBankRoots(): string[] {
+    const roots = (process.env.MEMORY_BANK_ROOTS || '').split(path.delimiter).filter(Boolean);
+
+    return roots.length > 0
+      ? roots.map(root => path.resolve(root))
+      : [path.join(path.dirname(this.registry.getRegistryPath()), 'banks')];
+  }
+
+  /**
+   * Get the directory the bundle tools write bundles to and read them from:
+   * MEMORY_BANK_EXPORT_DIR, or else the exports directory next to the
+   * registry file
+   * @returns Absolute directory path
+   */
+  getExportDirectory(): string {
+    return path.resolve(process.env.MEMORY_BANK_EXPORT_DIR || path.join(path.dirname(this.registry.getRegistryPath()), 'exports'));
+  }
+
+  /**
+   * Check that a bank directory is inside one of the bank roots, following
+   * symlinks, so tools cannot turn an arbitrary directory into a bank
+   * @param bankPath Absolute Memory Bank directory
+   */
+  private async assertInBankRoots(bankPath: string): Promise<void> {
+    const roots = this.getBankRoots();
+
+    for (const root of roots) {
+      if (await isInsideDirectory(root, bankPath, false)) {
+        return;
+      }
+    }
+
+    throw new MemoryBankError(
+      MemoryErrorCode.PATH_NOT_ALLOWED,
+      `${bankPath} is not inside a Memory Bank root (${roots.join(', ')}). Set MEMORY_BANK_ROOTS to allow other directories`,
+      { path: bankPath, roots }
+    );
+  }
+
+  /**
+   * Give an open bank the name and details of its registry entry
+   * @param bank Open bank
+   * @param entry Registry entry for the bank's path
+   */
+  private adoptEntry(bank: MemoryBank, entry: BankEntry): void {
+    this.banks.delete(bank.name);
+    bank.name = entry.name;
+    bank.label = entry.label;
+    bank.profile = entry.profile;
+    bank.registered = true;
+    this.banks.set(bank.name, bank);
+  }
+
+  /**
+   * Get the open bank for a registry entry, creating its managers on first use
+   * @param entry Registry entry
+   * @returns Bank
+   */
+  private getBank(entry: BankEntry): MemoryBank {
+    const memoryManager = MemoryManager.forPath(entry.path);
+    const existing = Array.from(this.banks.values()).find(bank => bank.memoryManager === memoryManager);
+
+    if (existing) {
+      if (existing.name !== entry.name) {
+        this.adoptEntry(existing, entry);
+      }
+      return existing;
+    }
+
+    const bank: MemoryBank = {
+      name: entry.name,
+      path: path.resolve(entry.path),
+      label: entry.label,
+      profile: entry.profile,
+      registered: true,
+      memoryManager,
+      contextManager: new ContextManager(memoryManager),
+      taskStore: new TaskStore(memoryManager),
+      modeManager: new ModeManager(),
+      asyncManager: new AsyncOperationManager()
+    };
+    this.banks.set(bank.name, bank);
+
+    return bank;
+  }
+
+  /**
+   * Initialize a bank's Memory Manager and search index, once
+   * @param bank Bank
+   */
+  private async load(bank: MemoryBank): Promise<void> {
+    if (this.loaded.has(bank)) {
+      return;
+    }
+
+    await bank.memoryManager.init();
+    await bank.contextManager.rebuildSearchIndex();
+
+    // Changes to banks in the background keep their caches current but are
+    // only reported for the active bank
+    bank.memoryManager.on('fileChanged', (change: MemoryFileChange) => {
+      if (bank === this.activeBank) {
+        this.emit('fileChanged', change);
+      }
+    });
+
+    this.loaded.add(bank);
+  }
+
+  /**
+   * Make a bank the active bank, opening it if needed
+   * @param name Name of a registered bank or of a bank open in this process
+   * @returns Active bank
+   */
+  async switchBank(name: string): Promise<MemoryBank> {
+    const bank = this.banks.get(name) || this.getBank(await this.registry.get(name));
+
+    await this.load(bank);
+
+    if (bank.registered) {
+      await this.registry.update(bank.name, { lastOpenedAt: new Date().toISOString() });
+    }
+
+    if (bank === this.activeBank) {
+      return bank;
+    }
+
+    const previous = this.activeBank;
+    this.activeBank = bank;
+
+    logger.info(`Switched Memory Bank from ${previous.name} to ${bank.name} (${bank.path})`);
+    this.emit('bankSwitched', { previous, current: bank } as BankSwitch);
+
+    return bank;
+  }
+
+  /**
+   * Register an existing Memory Bank directory and make it the active bank.
+   * Unregistered directories must be inside a bank root and hold a Memory
+   * Bank already; nothing is written to other directories.
+   * @param bankPath Memory Bank directory
+   * @param options Bank name (default: derived from the path) and label
+   * @returns Active bank
+   */
+  async openBank(bankPath: string, options: { name?: string; label?: string } = {}): Promise<MemoryBank> {
+    const resolved = path.resolve(bankPath);
+
+    if (!await fs.pathExists(resolved) || !(await fs.stat(resolved)).isDirectory()) {
+      throw new MemoryBankError(
+        MemoryErrorCode.INVALID_PATH,
+        `Memory Bank directory not found: ${resolved}`,
+        { path: resolved }
+      );
+    }
+
+    const registered = await this.registry.findByPath(resolved);
+    if (registered) {
+      return this.switchBank(registered.name);
+    }
+
+    await this.assertInBankRoots(resolved);
+
+    const markers = await Promise.all(BANK_MARKER_FILES.map(file => fs.pathExists(path.join(resolved, file))));
+    if (!markers.includes(true)) {
+      throw new MemoryBankError(
+        MemoryErrorCode.INVALID_PATH,
+        `Not a Memory Bank directory: ${resolved}. It has none of ${BANK_MARKER_FILES.join(', ')}; use create_memory_bank for a new bank`,
+        { path: resolved }
+      );
+    }
+
+    // A directory named memory-bank is named after the project containing it
+    const baseName = path.basename(resolved) === 'memory-bank' ? path.basename(path.dirname(resolved)) : path.basename(resolved);
+    const name = options.name || baseName.replace(/[^A-Za-z0-9_.-]/g, '-').replace(/^[^A-Za-z0-9]+/, '');
+
+    await this.registry.add({ name, path: resolved, label: options.label });
+    return this.switchBank(name);
+  }
+
+  /**
+   * Create a new Memory Bank from a template profile and register it. The
+   * directory must be inside a bank root.
+   * @param options Bank name, directory, label, profile and template variables
+   * @param activate Make the new bank the active bank
+   * @returns New bank
+   */
+  async createBank(options: CreateBankOptions, activate: boolean = true): Promise<MemoryBank> {
+    assertValidBankName(options.name);
+
+    const resolved = path.resolve(options.path);
+    const existing = (await this.registry.list()).find(entry =>
+      entry.name === options.name || path.resolve(entry.path) === resolved
+    );
+
+    if (existing) {
+      throw new MemoryBankError(
+        MemoryErrorCode.BANK_EXISTS,
+        existing.name === options.name
+          ? `Memory Bank already registered: ${options.name}`
+          : `${resolved} is already registered as Memory Bank ${existing.name}`,
+        { name: existing.name, path: existing.path }
+      );
+    }
+
+    await this.assertInBankRoots(resolved);
+
+    const storage = MemoryManager.forPath(resolved).getStorage();
+    await storage.init();
+
+    if ((await storage.list()).length > 0) {
+      throw new MemoryBankError(
+        MemoryErrorCode.FILE_EXISTS,
+        `Memory Bank is not empty: ${resolved}. Use open_memory_bank to register an existing Memory Bank`,
+        { path: resolved }
+      );
+    }
+
+    const profile = options.profile || DEFAULT_PROFILE;
+    await applyProfile(profile, storage, { projectName: options.label || options.name, ...options.variables });
+
+    const entry = await this.registry.add({ name: options.name, path: resolved, label: options.label, profile });
+
+    return activate ? this.switchBank(entry.name) : this.getBank(entry);
+  }
+
+  /**
+   * List the registered banks and the unregistered banks open in this process
+   * @returns Bank summaries sorted by name
+   */
+  async listBanks(): Promise<BankSummary[]> {
+    const summaries = new Map<string, BankSummary>();
+    const summarize = (bank: MemoryBank): Pick<BankSummary, 'open' | 'active' | 'mode'> => ({
+      open: this.loaded.has(bank),
+      active: bank === this.activeBank,
+      mode: this.loaded.has(bank) ? bank.modeManager.getCurrentMode() : undefined
+    });
+
+    for (const entry of await this.registry.list()) {
+      const bank = this.banks.get(entry.name);
+      summaries.set(entry.name, {
+        ...entry,
+        registered: true,
+        ...(bank && bank.registered ? summarize(bank) : { open: false, active: false })
+      });
+    }
+
+    for (const bank of this.loaded) {
+      if (!summaries.has(bank.name)) {
+        summaries.set(bank.name, {
+          name: bank.name,
+          path: bank.path,
+          label: bank.label,
+          profile: bank.profile,
+          registered: false,
+          ...summarize(bank)
+        });
+      }
+    }
+
+    return Array.from(summaries.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Find an asynchronous operation in any open bank, the active bank first
+   * @param operationId Operation ID
+   * @returns Operation status and the bank it belongs to, or null if not found
+   */
+  findOperation(operationId: string): { bank: MemoryBank; operation: OperationStatus } | null {
+    const banks = [this.activeBank, ...Array.from(this.loaded).filter(bank => bank !== this.activeBank)];
+
+    for (const bank of banks) {
+      const operation = bank.asyncManager.getOperationResult(operationId);
+      if (operation) {
+        return { bank, operation };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Stop watching every open bank and commit any batched changes
+   */
+  async close(): Promise<void> {
+    for (const bank of this.loaded) {
+      bank.memoryManager.stopWatching();
+      await bank.memoryManager.flushGitCommits();
+    }
+  }
+}
+
+// Create singleton instance
+export const bankManager = new BankManager();
+
+export default bankManager;
@@ -0,0 +1,185 @@
+/**
+ * bank-registry.js
+ * User-level registry of named Memory Banks, shared by every server process
+ * of the user. Stored as JSON in ~/.taskflow-memory/banks.json, or the file
+ * named by MEMORY_BANK_REGISTRY.
+ */
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import logger from '../logger.js';
+import { MemoryBankError, MemoryErrorCode } from './errors.js';
+import { withFileLock, writeFileAtomic } from './utils/atomic-file.js';
+
+// Default location of the registry file
+export const DEFAULT_REGISTRY_PATH = path.join(os.homedir(), '.taskflow-memory', 'banks.json');
+
+const BANK_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]*$/;
+
+/**
+ * Check that a bank name can be used in the registry
+ * @param {string} name Bank name
+ */
+export function assertValidBankName(name) {
+  if (!BANK_NAME_PATTERN.test(name)) {
+    throw new MemoryBankError(
+      MemoryErrorCode.INVALID_BANK_NAME,
+      `Invalid Memory Bank name: ${name}. Use letters, digits, '.', '_' and '-'`,
+      { name }
+    );
+  }
+}
+
+export class BankRegistry {
+  constructor(registryPath = process.env.MEMORY_BANK_REGISTRY || DEFAULT_REGISTRY_PATH) {
+    this.registryPath = path.resolve(registryPath);
+  }
+
+  /**
+   * Get the path of the registry file
+   * @returns {string} Registry file path
+   */
+  getRegistryPath() {
+    return this.registryPath;
+  }
+
+  /**
+   * Read the registered banks. Callers that modify the registry must hold its
+   * lock. A registry that cannot be read is reported rather than treated as
+   * empty, so it is never overwritten with the banks of one write.
+   * @returns {Promise<Object[]>} Registered banks
+   */
+  async readEntries() {
+    if (!await fs.pathExists(this.registryPath)) {
+      return [];
+    }
+
+    let registry;
+    try {
+      registry = JSON.parse(await fs.readFile(this.registryPath, 'utf8'));
+    } catch (error) {
+      throw new MemoryBankError(
+        MemoryErrorCode.INVALID_REGISTRY,
+        `Cannot read Memory Bank registry ${this.registryPath}: ${error.message}. Fix or remove the file`,
+        { path: this.registryPath }
+      );
+    }
+
+    const banks = registry?.banks;
+    if (!Array.isArray(banks) || !banks.every(entry => typeof entry?.name === 'string' && typeof entry.path === 'string')) {
+      throw new MemoryBankError(
+        MemoryErrorCode.INVALID_REGISTRY,
+        `Memory Bank registry ${this.registryPath} must hold a "banks" array of { name, path } entries. Fix or remove the file`,
+        { path: this.registryPath }
+      );
+    }
+
+    return banks;
+  }
+
+  /**
+   * Write the registered banks
+   * @param {Object[]} entries Registered banks
+   */
+  async writeEntries(entries) {
+    await fs.ensureDir(path.dirname(this.registryPath));
+    await writeFileAtomic(this.registryPath, JSON.stringify({ banks: entries }, null, 2) + '\n');
+  }
+
+  /**
+   * List the registered banks
+   * @returns {Promise<Object[]>} Registered banks sorted by name
+   */
+  async list() {
+    return (await this.readEntries()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get a registered bank by name
+   * @param {string} name Bank name
+   * @returns {Promise<Object>} Registered bank
+   */
+  async get(name) {
+    const entry = (await this.readEntries()).find(item => item.name === name);
+
+    if (!entry) {
+      throw new MemoryBankError(
+        MemoryErrorCode.BANK_NOT_FOUND,
+        `Memory Bank not registered: ${name}`,
+        { name }
+      );
+    }
+
+    return entry;
+  }
+
+  /**
+   * Find the registered bank stored at a path
+   * @param {string} bankPath Memory Bank directory
+   * @returns {Promise<Object|null>} Registered bank, or null if the path is not registered
+   */
+  async findByPath(bankPath) {
+    const resolved = path.resolve(bankPath);
+    return (await this.readEntries()).find(item => path.resolve(item.path) === resolved) || null;
+  }
+
+  /**
+   * Register a bank
+   * @param {Omit<Object, 'createdAt'>} entry Bank to register; the path is stored as an absolute path
+   * @returns {Promise<Object>} Registered bank
+   */
+  async add(entry) {
+    assertValidBankName(entry.name);
+
+    return withFileLock(this.registryPath, async () => {
+      const entries = await this.readEntries();
+      const resolved = path.resolve(entry.path);
+      const existing = entries.find(item => item.name === entry.name || path.resolve(item.path) === resolved);
+
+      if (existing) {
+        throw new MemoryBankError(
+          MemoryErrorCode.BANK_EXISTS,
+          existing.name === entry.name
+            ? `Memory Bank already registered: ${entry.name}`
+            : `${resolved} is already registered as Memory Bank ${existing.name}`,
+          { name: existing.name, path: existing.path }
+        );
+      }
+
+      const added = { ...entry, path: resolved, createdAt: new Date().toISOString() };
+      await this.writeEntries([...entries, added]);
+
+      logger.info(`Registered Memory Bank ${added.name} at ${added.path}`);
+      return added;
+    });
+  }
+
+  /**
+   * Update a registered bank
+   * @param {string} name Bank name
+   * @param {Partial<Omit<Object, 'name'|'createdAt'>>} changes Fields to change
+   * @returns {Promise<Object>} Updated bank
+   */
+  async update(name, changes) {
+    return withFileLock(this.registryPath, async () => {
+      const entries = await this.readEntries();
+      const index = entries.findIndex(item => item.name === name);
+
+      if (index === -1) {
+        throw new MemoryBankError(
+          MemoryErrorCode.BANK_NOT_FOUND,
+          `Memory Bank not registered: ${name}`,
+          { name }
+        );
+      }
+
+      entries[index] = { ...entries[index], ...changes };
+      await this.writeEntries(entries);
+
+      return entries[index];
+    });
+  }
+}
+
+export default BankRegistry;
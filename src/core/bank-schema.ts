@@ -0,0 +1,321 @@
+/**
+ * bank-schema.ts
+ * Declarative schema describing the expected structure of Memory Bank files:
+ * required files, required headings, maximum sizes and required frontmatter keys.
+ *
+ * The schema is kept in .memory-schema.json in the Memory Bank root:
+ *
+ *   {
+ *     "enforceOnWrite": false,
+ *     "files": [
+ *       { "pattern": "progress.md", "required": true, "headings": ["# Progress", "## What Works"],
+ *         "maxSize": 65536, "frontmatter": ["status"] }
+ *     ]
+ *   }
+ *
+ * A heading is written as in Markdown; without the leading #s it may have
+ * any level. Headings match case-insensitively and may be followed by a
+ * suffix, so "# Project Brief" matches "# Project Brief: Acme".
+ */
+
+import { logger } from '../logger.js';
+import { MemoryBankError, MemoryErrorCode } from './errors.js';
+import { StorageAdapter } from './storage/index.js';
+import { matchGlob } from './utils/glob.js';
+import { parseSections } from './utils/markdown-sections.js';
+import { parseFrontmatter } from './utils/frontmatter.js';
+
+// Name of the schema file kept in the Memory Bank root
+export const SCHEMA_FILE_NAME = '.memory-schema.json';
+
+export type SchemaRule =
+  | 'required-file'
+  | 'required-heading'
+  | 'heading-level'
+  | 'max-size'
+  | 'required-frontmatter'
+  | 'invalid-frontmatter';
+
+export interface FileSchema {
+  pattern: string;
+  required: boolean;
+  headings: string[];
+  maxSize?: number;
+  frontmatter: string[];
+}
+
+export interface SchemaDefinition {
+  enforceOnWrite: boolean;
+  files: FileSchema[];
+}
+
+export interface SchemaViolation {
+  file: string;
+  line?: number;
+  rule: SchemaRule;
+  message: string;
+}
+
+// Schema written to new Memory Banks
+const DEFAULT_SCHEMA: SchemaDefinition = {
+  enforceOnWrite: false,
+  files: [
+    { pattern: 'projectbrief.md', required: true, headings: ['# Project Brief'], maxSize: 32768, frontmatter: [] },
+    { pattern: 'activeContext.md', required: true, headings: ['# Active Context'], maxSize: 65536, frontmatter: [] },
+    { pattern: 'progress.md', required: true, headings: ['# Progress'], maxSize: 65536, frontmatter: [] }
+  ]
+};
+
+/**
+ * Check whether a heading title matches the title required by the schema
+ * @param title Heading title in the document
+ * @param expected Title required by the schema
+ * @returns True if the title is the expected title, optionally followed by a suffix
+ */
+function matchesTitle(title: string, expected: string): boolean {
+  const actual = title.toLowerCase();
+  const wanted = expected.toLowerCase();
+
+  return actual === wanted || (actual.startsWith(wanted) && /^[\s:(\-–—]/.test(actual.slice(wanted.length)));
+}
+
+/**
+ * Find the line on which a document exceeds a size limit
+ * @param content Document content
+ * @param maxSize Size limit in bytes
+ * @returns 1-based line number
+ */
+function lineAtSize(content: string, maxSize: number): number {
+  const lines = content.split('\n');
+  let size = 0;
+
+  for (let i = 0; i < lines.length; i++) {
+    size += Buffer.byteLength(lines[i], 'utf8') + 1;
+    if (size > maxSize) {
+      return i + 1;
+    }
+  }
+
+  return lines.length;
+}
+
+/**
+ * Key identifying a violation independently of its line
+ * @param violation Violation
+ * @returns Key
+ */
+function violationKey(violation: SchemaViolation): string {
+  return `${violation.rule}\u0000${violation.message}`;
+}
+
+export class BankSchema {
+  private storage: StorageAdapter;
+  private schema: SchemaDefinition;
+  private loadedMtime: number | null;
+
+  constructor(storage: StorageAdapter) {
+    this.storage = storage;
+    this.schema = { enforceOnWrite: false, files: [] };
+    this.loadedMtime = null;
+  }
+
+  /**
+   * Create the default schema file if the Memory Bank has none
+   */
+  async ensureSchemaFile(): Promise<void> {
+    if (await this.storage.exists(SCHEMA_FILE_NAME)) {
+      return;
+    }
+
+    await this.storage.write(SCHEMA_FILE_NAME, JSON.stringify(DEFAULT_SCHEMA, null, 2) + '\n');
+    logger.info(`Created default Memory Bank schema: ${SCHEMA_FILE_NAME}`);
+  }
+
+  /**
+   * Reload the schema file if it changed since it was last read
+   */
+  async refresh(): Promise<void> {
+    const stats = await this.storage.stat(SCHEMA_FILE_NAME);
+    const mtime = stats ? stats.modified.getTime() : null;
+
+    if (mtime === this.loadedMtime) {
+      return;
+    }
+
+    this.loadedMtime = mtime;
+    this.schema = mtime === null ? { enforceOnWrite: false, files: [] } : await this.readSchema();
+  }
+
+  /**
+   * Read and validate the schema file
+   * @returns Valid schema
+   */
+  private async readSchema(): Promise<SchemaDefinition> {
+    try {
+      const definition = JSON.parse(await this.storage.read(SCHEMA_FILE_NAME) ?? '');
+      const files: FileSchema[] = [];
+      const isStringList = (value: unknown): value is string[] =>
+        Array.isArray(value) && value.every(item => typeof item === 'string');
+
+      for (const file of Array.isArray(definition.files) ? definition.files : []) {
+        if (
+          typeof file?.pattern !== 'string' ||
+          (file.headings !== undefined && !isStringList(file.headings)) ||
+          (file.frontmatter !== undefined && !isStringList(file.frontmatter)) ||
+          (file.maxSize !== undefined && !(typeof file.maxSize === 'number' && file.maxSize > 0))
+        ) {
+          logger.warn(`Ignoring invalid file schema in ${SCHEMA_FILE_NAME}: ${JSON.stringify(file)}`);
+          continue;
+        }
+
+        files.push({
+          pattern: file.pattern,
+          required: file.required === true,
+          headings: file.headings || [],
+          maxSize: file.maxSize,
+          frontmatter: file.frontmatter || []
+        });
+      }
+
+      logger.debug(`Loaded ${files.length} file schemas from ${SCHEMA_FILE_NAME}`);
+      return { enforceOnWrite: definition.enforceOnWrite === true, files };
+    } catch (error) {
+      const err = error as Error;
+      logger.error(`Failed to load ${SCHEMA_FILE_NAME}: ${err.message}`);
+      return { enforceOnWrite: false, files: [] };
+    }
+  }
+
+  /**
+   * Get the currently loaded schema
+   * @returns Schema
+   */
+  getSchema(): SchemaDefinition {
+    return { ...this.schema, files: this.schema.files.map(file => ({ ...file })) };
+  }
+
+  /**
+   * Check whether writes are validated against the schema by default
+   * @returns True if writes that break the schema are rejected
+   */
+  isEnforcedOnWrite(): boolean {
+    return this.schema.enforceOnWrite;
+  }
+
+  /**
+   * Report required files that are missing from the Memory Bank
+   * @param relativePaths Paths of the files in the Memory Bank
+   * @returns Violations
+   */
+  findMissingFiles(relativePaths: string[]): SchemaViolation[] {
+    return this.schema.files
+      .filter(file => file.required && !relativePaths.some(relativePath => matchGlob(relativePath, file.pattern)))
+      .map(file => ({
+        file: file.pattern,
+        rule: 'required-file' as SchemaRule,
+        message: `Required file is missing: ${file.pattern}`
+      }));
+  }
+
+  /**
+   * Check the content of a file against every schema entry matching it
+   * @param relativePath Path relative to the Memory Bank root
+   * @param content File content
+   * @returns Violations, in schema order
+   */
+  validateFile(relativePath: string, content: string): SchemaViolation[] {
+    const schemas = this.schema.files.filter(file => matchGlob(relativePath, file.pattern));
+    const violations: SchemaViolation[] = [];
+
+    if (schemas.length === 0) {
+      return violations;
+    }
+
+    const sections = parseSections(content);
+    const size = Buffer.byteLength(content, 'utf8');
+    let frontmatter: Record<string, unknown> | null = null;
+    let frontmatterError: string | null = null;
+
+    try {
+      frontmatter = parseFrontmatter(content).data;
+    } catch (error) {
+      frontmatterError = (error as Error).message;
+    }
+
+    const add = (rule: SchemaRule, message: string, line?: number): void => {
+      if (!violations.some(violation => violation.rule === rule && violation.message === message)) {
+        violations.push({ file: relativePath, line, rule, message });
+      }
+    };
+
+    for (const schema of schemas) {
+      for (const heading of schema.headings) {
+        const match = /^(#{1,6})?\s*(.*?)\s*$/.exec(heading)!;
+        const level = match[1] ? match[1].length : null;
+        const candidates = sections.filter(section => matchesTitle(section.title, match[2]));
+
+        if (candidates.some(section => level === null || section.level === level)) {
+          continue;
+        }
+
+        if (candidates.length > 0) {
+          add(
+            'heading-level',
+            `Heading "${match[2]}" must be level ${level}, found level ${candidates[0].level}`,
+            candidates[0].line
+          );
+        } else {
+          add('required-heading', `Missing required heading: ${heading.trim()}`, 1);
+        }
+      }
+
+      if (schema.maxSize !== undefined && size > schema.maxSize) {
+        add(
+          'max-size',
+          `File exceeds the maximum size of ${schema.maxSize} bytes`,
+          lineAtSize(content, schema.maxSize)
+        );
+      }
+
+      if (schema.frontmatter.length > 0) {
+        if (frontmatterError !== null) {
+          add('invalid-frontmatter', frontmatterError, 1);
+          continue;
+        }
+
+        for (const key of schema.frontmatter) {
+          if (frontmatter?.[key] === undefined || frontmatter[key] === null) {
+            add('required-frontmatter', `Missing required frontmatter key: ${key}`, 1);
+          }
+        }
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Ensure a write does not break the schema. Only violations the new
+   * content introduces are rejected, so files that already break the schema
+   * can still be fixed one step at a time.
+   * @param relativePath Path relative to the Memory Bank root
+   * @param content Content to write
+   * @param currentContent Current content, or null if the file does not exist
+   */
+  assertValidWrite(relativePath: string, content: string, currentContent: string | null): void {
+    const existing = new Set(
+      currentContent === null ? [] : this.validateFile(relativePath, currentContent).map(violationKey)
+    );
+    const violations = this.validateFile(relativePath, content).filter(violation => !existing.has(violationKey(violation)));
+
+    if (violations.length > 0) {
+      throw new MemoryBankError(
+        MemoryErrorCode.SCHEMA_VIOLATION,
+        `Write to ${relativePath} rejected by the Memory Bank schema: ${violations.map(violation => violation.message).join('; ')}`,
+        { fileName: relativePath, violations }
+      );
+    }
+  }
+}
+
+export default BankSchema;
@@ -0,0 +1,292 @@
+/**
+ * context-assembler.ts
+ * Token-budgeted, relevance-ranked assembly of Memory Bank context
+ */
+
+import { tokenize, getHeadingPaths } from './search-index.js';
+
+// BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Approximate number of characters per token
+const CHARS_PER_TOKEN = 4;
+
+// Smallest remaining budget worth filling with a truncated chunk
+const MIN_TRUNCATED_TOKENS = 32;
+
+// Core Memory Bank files, in reading order. Their chunks are packed first.
+export const CORE_FILES = [
+  'projectbrief.md',
+  'productContext.md',
+  'activeContext.md',
+  'systemPatterns.md',
+  'techContext.md',
+  'progress.md'
+];
+
+export interface ContextChunk {
+  file: string;
+  headingPath: string[];
+  startLine: number;
+  endLine: number;
+  content: string;
+  tokens: number;
+}
+
+export interface ManifestEntry {
+  file: string;
+  headingPath: string[];
+  lines: [number, number];
+  tokens: number;
+  score: number;
+  core: boolean;
+}
+
+export interface ContextManifest {
+  included: ManifestEntry[];
+  truncated: (ManifestEntry & { originalTokens: number })[];
+  omitted: (ManifestEntry & { reason: 'budget' | 'not_relevant' })[];
+}
+
+export interface AssembledContext {
+  context: string;
+  tokens: number;
+  manifest: ContextManifest;
+}
+
+interface ScoredChunk extends ContextChunk {
+  score: number;
+  core: boolean;
+}
+
+/**
+ * Estimate the number of tokens in a text
+ * @param text Text to measure
+ * @returns Approximate token count
+ */
+export function estimateTokens(text: string): number {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Split a Markdown file into heading-level chunks. A heading with no body of
+ * its own is kept together with the chunk that follows it.
+ * @param file File name relative to the Memory Bank root
+ * @param content File content
+ * @returns Chunks in document order
+ */
+export function splitIntoChunks(file: string, content: string): ContextChunk[] {
+  const lines = content.split(/\r?\n/);
+  const headingPaths = getHeadingPaths(lines);
+  const chunks: ContextChunk[] = [];
+  let start = 0;
+
+  const pushChunk = (end: number): void => {
+    const text = lines.slice(start, end).join('\n').trim();
+
+    if (text) {
+      chunks.push({
+        file,
+        headingPath: headingPaths[start],
+        startLine: start + 1,
+        endLine: end,
+        content: text,
+        tokens: estimateTokens(text)
+      });
+    }
+  };
+
+  let fence: string | null = null;
+
+  for (let index = 0; index < lines.length; index++) {
+    const fenceMatch = /^\s*(```|~~~)/.exec(lines[index]);
+
+    if (fenceMatch) {
+      fence = fence === null ? fenceMatch[1] : (fence === fenceMatch[1] ? null : fence);
+      continue;
+    }
+
+    if (fence !== null || index === 0 || !/^#{1,6}\s/.test(lines[index])) {
+      continue;
+    }
+
+    // Keep headings without a body attached to the next chunk
+    const body = lines.slice(start + 1, index).join('\n').trim();
+    if (/^#{1,6}\s/.test(lines[start]) && !body) {
+      continue;
+    }
+
+    pushChunk(index);
+    start = index;
+  }
+
+  pushChunk(lines.length);
+
+  return chunks;
+}
+
+/**
+ * Score chunks against a query with BM25. Parent headings count towards
+ * a chunk's terms so that sections are found by their context.
+ * @param chunks Chunks to score
+ * @param query Query or task description
+ * @returns Score of each chunk
+ */
+function scoreChunks(chunks: ContextChunk[], query: string): number[] {
+  const queryTerms = Array.from(new Set(tokenize(query)));
+  const termCounts = chunks.map(chunk => {
+    const counts = new Map<string, number>();
+    for (const term of tokenize(`${chunk.headingPath.join(' ')}\n${chunk.content}`)) {
+      counts.set(term, (counts.get(term) || 0) + 1);
+    }
+    return counts;
+  });
+
+  const lengths = termCounts.map(counts => Array.from(counts.values()).reduce((sum, count) => sum + count, 0));
+  const averageLength = lengths.reduce((sum, length) => sum + length, 0) / Math.max(1, chunks.length) || 1;
+
+  const idf = new Map<string, number>();
+  for (const term of queryTerms) {
+    const df = termCounts.filter(counts => counts.has(term)).length;
+    idf.set(term, Math.log(1 + (chunks.length - df + 0.5) / (df + 0.5)));
+  }
+
+  return termCounts.map((counts, i) => queryTerms.reduce((score, term) => {
+    const tf = counts.get(term) || 0;
+    if (tf === 0) return score;
+
+    return score + idf.get(term)! * (tf * (BM25_K1 + 1)) /
+      (tf + BM25_K1 * (1 - BM25_B + BM25_B * lengths[i] / averageLength));
+  }, 0));
+}
+
+/**
+ * Cut a chunk down to a token budget, preferring line and word boundaries
+ * @param chunk Chunk to truncate
+ * @param budget Token budget
+ * @returns Truncated content, or null if not even one line fits
+ */
+function truncateChunk(chunk: ContextChunk, budget: number): string | null {
+  const marker = '\n[…truncated]';
+  const maxLength = budget * CHARS_PER_TOKEN - marker.length;
+  const lines = chunk.content.split('\n');
+  let text = '';
+
+  for (const line of lines) {
+    const next = text ? `${text}\n${line}` : line;
+
+    if (next.length > maxLength) {
+      // Fill the rest of the budget with the start of the line, cut at a word boundary
+      const cut = next.slice(0, maxLength).replace(/\s+\S*$/, '');
+      text = cut.length > text.length ? cut : text;
+      break;
+    }
+
+    text = next;
+  }
+
+  return text.trim() ? `${text}${marker}` : null;
+}
+
+/**
+ * Create the marker that introduces a chunk in the assembled context
+ * @param chunk Chunk
+ * @returns Marker line
+ */
+function chunkHeader(chunk: ContextChunk): string {
+  return `<!-- ${chunk.file}:${chunk.startLine}-${chunk.endLine} -->`;
+}
+
+/**
+ * Select the most relevant chunks of the Memory Bank within a token budget.
+ * Chunks of core files are packed first, then the remaining chunks that match
+ * the query, each group in order of relevance. Chunks that do not fit whole
+ * are truncated into the budget that is left. The packed chunks are returned
+ * in document order.
+ * @param files Map of file names to content
+ * @param query Query or task description
+ * @param tokenBudget Maximum number of tokens in the assembled context
+ * @returns Assembled context and manifest
+ */
+export function assembleContext(files: Map<string, string>, query: string, tokenBudget: number): AssembledContext {
+  const chunks = Array.from(files.entries()).flatMap(([file, content]) => splitIntoChunks(file, content));
+  const scores = scoreChunks(chunks, query);
+
+  const scored: ScoredChunk[] = chunks.map((chunk, i) => ({
+    ...chunk,
+    score: Math.round(scores[i] * 1000) / 1000,
+    core: CORE_FILES.includes(chunk.file)
+  }));
+
+  const ranked = [...scored].sort((a, b) =>
+    Number(b.core) - Number(a.core) || b.score - a.score ||
+    a.file.localeCompare(b.file) || a.startLine - b.startLine
+  );
+
+  const manifest: ContextManifest = { included: [], truncated: [], omitted: [] };
+  const packed = new Map<ScoredChunk, string>();
+  const skipped: ScoredChunk[] = [];
+  let used = 0;
+
+  const toEntry = (chunk: ScoredChunk): ManifestEntry => ({
+    file: chunk.file,
+    headingPath: chunk.headingPath,
+    lines: [chunk.startLine, chunk.endLine],
+    tokens: chunk.tokens,
+    score: chunk.score,
+    core: chunk.core
+  });
+
+  // Pack whole chunks first
+  for (const chunk of ranked) {
+    if (!chunk.core && chunk.score === 0) {
+      manifest.omitted.push({ ...toEntry(chunk), reason: 'not_relevant' });
+      continue;
+    }
+
+    const cost = chunk.tokens + estimateTokens(`${chunkHeader(chunk)}\n\n`);
+
+    if (used + cost <= tokenBudget) {
+      packed.set(chunk, chunk.content);
+      manifest.included.push(toEntry(chunk));
+      used += cost;
+    } else {
+      skipped.push(chunk);
+    }
+  }
+
+  // Then fill what is left of the budget with the start of the best chunks that did not fit
+  for (const chunk of skipped) {
+    const headerTokens = estimateTokens(`${chunkHeader(chunk)}\n\n`);
+    const remaining = tokenBudget - used - headerTokens;
+    const truncated = remaining >= MIN_TRUNCATED_TOKENS ? truncateChunk(chunk, remaining) : null;
+
+    if (truncated) {
+      const tokens = estimateTokens(truncated);
+      packed.set(chunk, truncated);
+      manifest.truncated.push({ ...toEntry(chunk), tokens, originalTokens: chunk.tokens });
+      used += tokens + headerTokens;
+    } else {
+      manifest.omitted.push({ ...toEntry(chunk), reason: 'budget' });
+    }
+  }
+
+  const fileOrder = (file: string): number => {
+    const index = CORE_FILES.indexOf(file);
+    return index === -1 ? CORE_FILES.length : index;
+  };
+
+  const context = Array.from(packed.entries())
+    .sort(([a], [b]) => fileOrder(a.file) - fileOrder(b.file) || a.file.localeCompare(b.file) || a.startLine - b.startLine)
+    .map(([chunk, content]) => `${chunkHeader(chunk)}\n${content}`)
+    .join('\n\n');
+
+  return {
+    context,
+    tokens: used,
+    manifest
+  };
+}
+
+export default assembleContext;
@@ -5,6 +5,11 @@
 
 import { LRUCache } from 'lru-cache';
 import { MemoryManager } from './memory-manager.js';
+import { SearchIndex } from './search-index.js';
+import { LinkGraph } from './link-graph.js';
+import { assembleContext } from './context-assembler.js';
+import { MemoryBankError, MemoryErrorCode } from './errors.js';
+import { matchAnyGlob } from './utils/glob.js';
 import logger from '../logger.js';
 
 // Context cache options
@@ -13,10 +18,25 @@ const CACHE_OPTIONS = {
   ttl: 1000 * 60 * 15, // 15 minutes TTL
 };
 
-class ContextManager {
-  constructor() {
-    this.memoryManager = MemoryManager.getInstance();
+export class ContextManager {
+  constructor(memoryManager = MemoryManager.getInstance()) {
+    this.memoryManager = memoryManager;
     this.contextCache = new LRUCache(CACHE_OPTIONS);
+    this.searchIndex = new SearchIndex();
+    this.linkGraph = new LinkGraph();
+    
+    // Keep the cache, search index and link graph up to date with every change to the Memory Bank
+    this.memoryManager.on('fileChanged', (change) => {
+      if (change.content === null) {
+        this.contextCache.delete(change.fileName);
+        this.searchIndex.removeFile(change.fileName);
+        this.linkGraph.removeFile(change.fileName);
+      } else {
+        this.contextCache.set(change.fileName, change.content);
+        this.searchIndex.indexFile(change.fileName, change.content);
+        this.linkGraph.indexFile(change.fileName, change.content);
+      }
+    });
   }
   
   /**
@@ -28,6 +48,12 @@ class ContextManager {
     // Try to get from cache first
     const cachedContext = this.contextCache.get(contextKey);
     if (cachedContext) {
+      // The access policy may have hidden the file since it was cached
+      const { relativePath } = await this.memoryManager.resolveMemoryPath(contextKey);
+      const accessPolicy = this.memoryManager.getAccessPolicy();
+      await accessPolicy.refresh();
+      accessPolicy.assertReadable(relativePath);
+      
       logger.debug(`Context cache hit for: ${contextKey}`);
       return cachedContext;
     }
@@ -53,14 +79,13 @@ class ContextManager {
    * Update context in Memory Bank and cache
    * @param {string} contextKey Context key
    * @param {*} contextData Context data
+   * @param {WriteOptions} options Write options
    */
-  async updateContext(contextKey, contextData) {
+  async updateContext(contextKey, contextData, options = {}) {
     try {
-      // Write to Memory Bank
-      await this.memoryManager.writeMemoryFile(contextKey, contextData);
-      
-      // Update cache
-      this.contextCache.set(contextKey, contextData);
+      // Write to Memory Bank; the cache is updated with the written content
+      // (including maintained frontmatter) through the 'fileChanged' event
+      await this.memoryManager.writeMemoryFile(contextKey, contextData, options);
       
       logger.debug(`Updated context for: ${contextKey}`);
     } catch (error) {
@@ -93,11 +118,12 @@ class ContextManager {
   
   /**
    * Get complete context from all Memory Bank files
+   * @param {string[]} patterns Only include files matching one of these glob patterns
    * @returns {Promise<Map<string, string>>} Combined context data
    */
-  async getCompleteContext() {
+  async getCompleteContext(patterns) {
     try {
-      const files = await this.memoryManager.listMemoryFiles();
+      const files = await this.memoryManager.listMemoryFiles(patterns);
       const context = new Map();
       
       for (const file of files) {
@@ -111,9 +137,152 @@ class ContextManager {
       throw error;
     }
   }
+  
+  /**
+   * Get the Memory Bank chunks most relevant to a query within a token budget
+   * @param {string} query Query or task description
+   * @param {number} tokenBudget Maximum number of tokens to return
+   * @param {string[]} patterns Only include files matching one of these glob patterns
+   * @returns {Promise<AssembledContext>} Assembled context and a manifest of included, truncated and omitted chunks
+   */
+  async getRelevantContext(query, tokenBudget, patterns) {
+    try {
+      return assembleContext(await this.getCompleteContext(patterns), query, tokenBudget);
+    } catch (error) {
+      logger.error(`Failed to get relevant context: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * Rebuild the search index and link graph from all Memory Bank files
+   */
+  async rebuildSearchIndex() {
+    try {
+      const files = await this.getCompleteContext();
+      
+      this.searchIndex.rebuild(files);
+      this.linkGraph.rebuild(files);
+    } catch (error) {
+      logger.error(`Failed to rebuild search index: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * Search the Memory Bank. Files hidden by the access policy are never returned.
+   * @param {string} query Search query
+   * @param {SearchOptions} options Search options
+   * @returns {SearchHit[]} Ranked hits
+   */
+  search(query, options = {}) {
+    const accessPolicy = this.memoryManager.getAccessPolicy();
+    
+    try {
+      return this.searchIndex.search(query, {
+        ...options,
+        filter: fileName => accessPolicy.isVisible(fileName) && (!options.filter || options.filter(fileName))
+      });
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        throw new MemoryBankError(MemoryErrorCode.INVALID_QUERY, `Invalid search query: ${error.message}`, { query });
+      }
+      throw error;
+    }
+  }
+  
+  /**
+   * Resolve a file name to a Memory Bank file in the link graph
+   * @param {string} fileName File name relative to the Memory Bank root
+   * @returns {Promise<string>} Normalized file name
+   */
+  async resolveLinkedFile(fileName) {
+    const { relativePath } = await this.memoryManager.resolveMemoryPath(fileName);
+    await this.memoryManager.getAccessPolicy().refresh();
+    
+    if (!this.linkGraph.hasFile(relativePath) || !this.memoryManager.getAccessPolicy().isVisible(relativePath)) {
+      throw new MemoryBankError(
+        MemoryErrorCode.FILE_NOT_FOUND,
+        `Memory Bank file not found: ${fileName}`,
+        { fileName }
+      );
+    }
+    
+    return relativePath;
+  }
+  
+  /**
+   * Get the outgoing links and backlinks of a file. Files hidden by the
+   * access policy are left out.
+   * @param {string} fileName File name relative to the Memory Bank root
+   * @returns {Promise<Object>} Outgoing links, with null targets for broken links, and backlinks
+   */
+  async getLinks(fileName) {
+    const file = await this.resolveLinkedFile(fileName);
+    const accessPolicy = this.memoryManager.getAccessPolicy();
+    
+    return {
+      file,
+      ...this.linkGraph.getLinks(file, name => accessPolicy.isVisible(name))
+    };
+  }
+  
+  /**
+   * Report broken links and orphaned files. Files the schema requires are
+   * entry points of the Memory Bank and never reported as orphans.
+   * @returns {Promise<LinkReport>} Broken links and orphans
+   */
+  async getLinkReport() {
+    const accessPolicy = this.memoryManager.getAccessPolicy();
+    const schema = this.memoryManager.getSchema();
+    
+    await accessPolicy.refresh();
+    await schema.refresh();
+    
+    const entryPoints = schema.getSchema().files.filter(file => file.required).map(file => file.pattern);
+    
+    return this.linkGraph.getReport(
+      name => accessPolicy.isVisible(name),
+      name => matchAnyGlob(name, entryPoints)
+    );
+  }
+  
+  /**
+   * Get a file and its linked neighbours up to a depth, with their content
+   * @param {string} fileName File name relative to the Memory Bank root
+   * @param {number} depth Maximum number of links to follow
+   * @param {string} direction Follow outgoing links, backlinks or both
+   * @returns {Promise<Object>} Files by depth, starting with the file itself
+   */
+  async getLinkedContext(fileName, depth, direction = 'both') {
+    const file = await this.resolveLinkedFile(fileName);
+    const accessPolicy = this.memoryManager.getAccessPolicy();
+    const linked = this.linkGraph.getNeighbours(file, depth, direction, name => accessPolicy.isVisible(name));
+    
+    return Promise.all(linked.map(async entry => ({
+      ...entry,
+      content: await this.getContext(entry.file)
+    })));
+  }
+  
+  /**
+   * Get link graph statistics
+   * @returns {Object} Number of files and links
+   */
+  getLinkStats() {
+    return this.linkGraph.getStats();
+  }
+  
+  /**
+   * Get search index statistics
+   * @returns {Object} Number of indexed files and terms
+   */
+  getSearchStats() {
+    return this.searchIndex.getStats();
+  }
 }
 
-// Create singleton instance
+// Create singleton instance for the Memory Bank configured by MEMORY_BANK_PATH
 export const contextManager = new ContextManager();
 
 export default contextManager;
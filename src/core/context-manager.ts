@@ -4,7 +4,12 @@
  */
 
 import { LRUCache } from 'lru-cache';
-import { MemoryManager } from './memory-manager.js';
+import { MemoryManager, MemoryFileChange, WriteOptions } from './memory-manager.js';
+import { SearchIndex, SearchHit, SearchOptions } from './search-index.js';
+import { LinkGraph, LinkDirection, LinkReport, ResolvedLink } from './link-graph.js';
+import { assembleContext, AssembledContext } from './context-assembler.js';
+import { MemoryBankError, MemoryErrorCode } from './errors.js';
+import { matchAnyGlob } from './utils/glob.js';
 import { logger } from '../logger.js';
 
 // Context cache options
@@ -13,13 +18,30 @@ const CACHE_OPTIONS = {
   ttl: 1000 * 60 * 15, // 15 minutes TTL
 };
 
-class ContextManager {
+export class ContextManager {
   private memoryManager: MemoryManager;
   private contextCache: LRUCache<string, any>;
+  private searchIndex: SearchIndex;
+  private linkGraph: LinkGraph;
   
-  constructor() {
-    this.memoryManager = MemoryManager.getInstance();
+  constructor(memoryManager: MemoryManager = MemoryManager.getInstance()) {
+    this.memoryManager = memoryManager;
     this.contextCache = new LRUCache(CACHE_OPTIONS);
+    this.searchIndex = new SearchIndex();
+    this.linkGraph = new LinkGraph();
+    
+    // Keep the cache, search index and link graph up to date with every change to the Memory Bank
+    this.memoryManager.on('fileChanged', (change: MemoryFileChange) => {
+      if (change.content === null) {
+        this.contextCache.delete(change.fileName);
+        this.searchIndex.removeFile(change.fileName);
+        this.linkGraph.removeFile(change.fileName);
+      } else {
+        this.contextCache.set(change.fileName, change.content);
+        this.searchIndex.indexFile(change.fileName, change.content);
+        this.linkGraph.indexFile(change.fileName, change.content);
+      }
+    });
   }
   
   /**
@@ -31,6 +53,12 @@ class ContextManager {
     // Try to get from cache first
     const cachedContext = this.contextCache.get(contextKey);
     if (cachedContext) {
+      // The access policy may have hidden the file since it was cached
+      const { relativePath } = await this.memoryManager.resolveMemoryPath(contextKey);
+      const accessPolicy = this.memoryManager.getAccessPolicy();
+      await accessPolicy.refresh();
+      accessPolicy.assertReadable(relativePath);
+      
       logger.debug(`Context cache hit for: ${contextKey}`);
       return cachedContext;
     }
@@ -57,14 +85,13 @@ class ContextManager {
    * Update context in Memory Bank and cache
    * @param contextKey Context key
    * @param contextData Context data
+   * @param options Write options
    */
-  async updateContext(contextKey: string, contextData: any): Promise<void> {
+  async updateContext(contextKey: string, contextData: any, options: WriteOptions = {}): Promise<void> {
     try {
-      // Write to Memory Bank
-      await this.memoryManager.writeMemoryFile(contextKey, contextData);
-      
-      // Update cache
-      this.contextCache.set(contextKey, contextData);
+      // Write to Memory Bank; the cache is updated with the written content
+      // (including maintained frontmatter) through the 'fileChanged' event
+      await this.memoryManager.writeMemoryFile(contextKey, contextData, options);
       
       logger.debug(`Updated context for: ${contextKey}`);
     } catch (error) {
@@ -99,11 +126,12 @@ class ContextManager {
   
   /**
    * Get complete context from all Memory Bank files
+   * @param patterns Only include files matching one of these glob patterns
    * @returns Combined context data
    */
-  async getCompleteContext(): Promise<Map<string, string>> {
+  async getCompleteContext(patterns?: string[]): Promise<Map<string, string>> {
     try {
-      const files = await this.memoryManager.listMemoryFiles();
+      const files = await this.memoryManager.listMemoryFiles(patterns);
       const context = new Map<string, string>();
       
       for (const file of files) {
@@ -118,9 +146,154 @@ class ContextManager {
       throw error;
     }
   }
+  
+  /**
+   * Get the Memory Bank chunks most relevant to a query within a token budget
+   * @param query Query or task description
+   * @param tokenBudget Maximum number of tokens to return
+   * @param patterns Only include files matching one of these glob patterns
+   * @returns Assembled context and a manifest of included, truncated and omitted chunks
+   */
+  async getRelevantContext(query: string, tokenBudget: number, patterns?: string[]): Promise<AssembledContext> {
+    try {
+      return assembleContext(await this.getCompleteContext(patterns), query, tokenBudget);
+    } catch (error) {
+      const err = error as Error;
+      logger.error(`Failed to get relevant context: ${err.message}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * Rebuild the search index and link graph from all Memory Bank files
+   */
+  async rebuildSearchIndex(): Promise<void> {
+    try {
+      const files = await this.getCompleteContext();
+      
+      this.searchIndex.rebuild(files);
+      this.linkGraph.rebuild(files);
+    } catch (error) {
+      const err = error as Error;
+      logger.error(`Failed to rebuild search index: ${err.message}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * Search the Memory Bank. Files hidden by the access policy are never returned.
+   * @param query Search query
+   * @param options Search options
+   * @returns Ranked hits
+   */
+  search(query: string, options: SearchOptions = {}): SearchHit[] {
+    const accessPolicy = this.memoryManager.getAccessPolicy();
+    
+    try {
+      return this.searchIndex.search(query, {
+        ...options,
+        filter: fileName => accessPolicy.isVisible(fileName) && (!options.filter || options.filter(fileName))
+      });
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        throw new MemoryBankError(MemoryErrorCode.INVALID_QUERY, `Invalid search query: ${error.message}`, { query });
+      }
+      throw error;
+    }
+  }
+  
+  /**
+   * Resolve a file name to a Memory Bank file in the link graph
+   * @param fileName File name relative to the Memory Bank root
+   * @returns Normalized file name
+   */
+  private async resolveLinkedFile(fileName: string): Promise<string> {
+    const { relativePath } = await this.memoryManager.resolveMemoryPath(fileName);
+    await this.memoryManager.getAccessPolicy().refresh();
+    
+    if (!this.linkGraph.hasFile(relativePath) || !this.memoryManager.getAccessPolicy().isVisible(relativePath)) {
+      throw new MemoryBankError(
+        MemoryErrorCode.FILE_NOT_FOUND,
+        `Memory Bank file not found: ${fileName}`,
+        { fileName }
+      );
+    }
+    
+    return relativePath;
+  }
+  
+  /**
+   * Get the outgoing links and backlinks of a file. Files hidden by the
+   * access policy are left out.
+   * @param fileName File name relative to the Memory Bank root
+   * @returns Outgoing links, with null targets for broken links, and backlinks
+   */
+  async getLinks(fileName: string): Promise<{ file: string; outgoing: ResolvedLink[]; backlinks: ResolvedLink[] }> {
+    const file = await this.resolveLinkedFile(fileName);
+    const accessPolicy = this.memoryManager.getAccessPolicy();
+    
+    return {
+      file,
+      ...this.linkGraph.getLinks(file, name => accessPolicy.isVisible(name))
+    };
+  }
+  
+  /**
+   * Report broken links and orphaned files. Files the schema requires are
+   * entry points of the Memory Bank and never reported as orphans.
+   * @returns Broken links and orphans
+   */
+  async getLinkReport(): Promise<LinkReport> {
+    const accessPolicy = this.memoryManager.getAccessPolicy();
+    const schema = this.memoryManager.getSchema();
+    
+    await accessPolicy.refresh();
+    await schema.refresh();
+    
+    const entryPoints = schema.getSchema().files.filter(file => file.required).map(file => file.pattern);
+    
+    return this.linkGraph.getReport(
+      name => accessPolicy.isVisible(name),
+      name => matchAnyGlob(name, entryPoints)
+    );
+  }
+  
+  /**
+   * Get a file and its linked neighbours up to a depth, with their content
+   * @param fileName File name relative to the Memory Bank root
+   * @param depth Maximum number of links to follow
+   * @param direction Follow outgoing links, backlinks or both
+   * @returns Files by depth, starting with the file itself
+   */
+  async getLinkedContext(fileName: string, depth: number, direction: LinkDirection = 'both'): Promise<{ file: string; depth: number; content: string }[]> {
+    const file = await this.resolveLinkedFile(fileName);
+    const accessPolicy = this.memoryManager.getAccessPolicy();
+    const linked = this.linkGraph.getNeighbours(file, depth, direction, name => accessPolicy.isVisible(name));
+    
+    return Promise.all(linked.map(async entry => ({
+      ...entry,
+      content: await this.getContext(entry.file)
+    })));
+  }
+  
+  /**
+   * Get link graph statistics
+   * @returns Number of files and links
+   */
+  getLinkStats(): { files: number; links: number } {
+    return this.linkGraph.getStats();
+  }
+  
+  /**
+   * Get search index statistics
+   * @returns Number of indexed files and terms
+   */
+  getSearchStats(): { files: number; terms: number } {
+    return this.searchIndex.getStats();
+  }
 }
 
-// Create singleton instance
+// Create singleton instance for the Memory Bank configured by MEMORY_BANK_PATH
 export const contextManager = new ContextManager();
 
 export default contextManager;
@@ -0,0 +1,101 @@
+/**
+ * errors.js
+ * Error types for Memory Bank operations
+ */
+
+/**
+ * Error codes reported by Memory Bank operations
+ */
+export const MemoryErrorCode = {
+  INVALID_PATH: 'INVALID_PATH',
+  PATH_OUTSIDE_BANK: 'PATH_OUTSIDE_BANK',
+  PATH_NOT_ALLOWED: 'PATH_NOT_ALLOWED',
+  FILE_NOT_FOUND: 'FILE_NOT_FOUND',
+  FILE_HIDDEN: 'FILE_HIDDEN',
+  FILE_READ_ONLY: 'FILE_READ_ONLY',
+  FILE_WRITE_PROTECTED: 'FILE_WRITE_PROTECTED',
+  VERSION_CONFLICT: 'VERSION_CONFLICT',
+  LOCK_TIMEOUT: 'LOCK_TIMEOUT',
+  REVISION_NOT_FOUND: 'REVISION_NOT_FOUND',
+  GIT_DISABLED: 'GIT_DISABLED',
+  GIT_ERROR: 'GIT_ERROR',
+  INVALID_COMMIT: 'INVALID_COMMIT',
+  INVALID_QUERY: 'INVALID_QUERY',
+  SECTION_NOT_FOUND: 'SECTION_NOT_FOUND',
+  SECTION_AMBIGUOUS: 'SECTION_AMBIGUOUS',
+  INVALID_SECTION: 'INVALID_SECTION',
+  INVALID_FRONTMATTER: 'INVALID_FRONTMATTER',
+  FILE_EXISTS: 'FILE_EXISTS',
+  TRASH_ENTRY_NOT_FOUND: 'TRASH_ENTRY_NOT_FOUND',
+  PROFILE_NOT_FOUND: 'PROFILE_NOT_FOUND',
+  INVALID_TEMPLATE_VARIABLES: 'INVALID_TEMPLATE_VARIABLES',
+  BANK_NOT_FOUND: 'BANK_NOT_FOUND',
+  BANK_EXISTS: 'BANK_EXISTS',
+  INVALID_BANK_NAME: 'INVALID_BANK_NAME',
+  INVALID_REGISTRY: 'INVALID_REGISTRY',
+  SCHEMA_VIOLATION: 'SCHEMA_VIOLATION',
+  INVALID_BUNDLE: 'INVALID_BUNDLE',
+  ENCRYPTION_KEY_MISSING: 'ENCRYPTION_KEY_MISSING',
+  ENCRYPTION_KEY_INVALID: 'ENCRYPTION_KEY_INVALID',
+  DECRYPTION_FAILED: 'DECRYPTION_FAILED',
+  TASK_NOT_FOUND: 'TASK_NOT_FOUND',
+  INVALID_TASK: 'INVALID_TASK',
+  INVALID_DEPENDENCY: 'INVALID_DEPENDENCY',
+  AI_NOT_CONFIGURED: 'AI_NOT_CONFIGURED',
+  AI_REQUEST_FAILED: 'AI_REQUEST_FAILED',
+  INVALID_PLAN: 'INVALID_PLAN'
+};
+
+/**
+ * Error raised by Memory Bank operations, carrying a machine-readable code
+ */
+export class MemoryBankError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'MemoryBankError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Get the error code of an error, if it has one
+ * @param {unknown} error Error thrown by an operation
+ * @returns {string|undefined} Error code or undefined
+ */
+export function getErrorCode(error) {
+  return error instanceof MemoryBankError ? error.code : undefined;
+}
+
+/**
+ * Get the current file state reported with a version conflict
+ * @param {unknown} error Error thrown by a write
+ * @returns {Object<string, *>} Current version and content, or an empty object for other errors
+ */
+export function getConflictState(error) {
+  if (error instanceof MemoryBankError && error.code === MemoryErrorCode.VERSION_CONFLICT) {
+    return {
+      currentVersion: error.details?.currentVersion,
+      currentContent: error.details?.currentContent
+    };
+  }
+
+  return {};
+}
+
+/**
+ * Get the schema violations reported with a rejected write
+ * @param {unknown} error Error thrown by a write
+ * @returns {Object<string, *>} Violations, or an empty object for other errors
+ */
+export function getSchemaViolations(error) {
+  if (error instanceof MemoryBankError && error.code === MemoryErrorCode.SCHEMA_VIOLATION) {
+    return {
+      violations: error.details?.violations
+    };
+  }
+
+  return {};
+}
+
+export default MemoryBankError;
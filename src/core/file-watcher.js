@@ -0,0 +1,122 @@
+/**
+ * file-watcher.js
+ * Watches the Memory Bank storage for changes made outside the server
+ */
+
+import { EventEmitter } from 'events';
+import logger from '../logger.js';
+import { isReservedPath } from './storage/index.js';
+
+// Default delay used to coalesce bursts of events from one editor save
+const DEFAULT_DEBOUNCE_DELAY = 300;
+
+export class FileWatcher extends EventEmitter {
+  constructor(storage, getVersion) {
+    super();
+    this.storage = storage;
+    this.enabled = process.env.MEMORY_BANK_WATCH !== 'false';
+    this.debounceDelay = parseInt(process.env.MEMORY_BANK_WATCH_DEBOUNCE_MS || '', 10) || DEFAULT_DEBOUNCE_DELAY;
+    this.getVersion = getVersion;
+    this.watcher = null;
+    this.timers = new Map();
+    this.knownVersions = new Map();
+  }
+
+  /**
+   * Check whether watching is enabled
+   * @returns {boolean} True unless MEMORY_BANK_WATCH=false
+   */
+  isEnabled() {
+    return this.enabled;
+  }
+
+  /**
+   * Start watching the Memory Bank storage
+   */
+  start() {
+    if (!this.enabled || this.watcher) {
+      return;
+    }
+
+    try {
+      this.watcher = this.storage.watch(
+        relativePath => this.schedule(relativePath),
+        error => {
+          logger.error(`Memory Bank watcher failed: ${error.message}`);
+          this.stop();
+        }
+      );
+
+      logger.info(`Watching Memory Bank for external changes: ${this.storage.location}`);
+    } catch (error) {
+      logger.warn(`Failed to watch Memory Bank, external changes will not be detected: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stop watching and drop pending events
+   */
+  stop() {
+    this.watcher?.close();
+    this.watcher = null;
+
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+
+  /**
+   * Record the version of a file written by the server itself, so that the
+   * resulting filesystem events are not reported as external changes
+   * @param {string} relativePath Path relative to the Memory Bank root
+   * @param {string|null} version Version of the written content, or null if the file was removed
+   */
+  markWritten(relativePath, version) {
+    this.knownVersions.set(relativePath, version);
+  }
+
+  /**
+   * Debounce events for a path
+   * @param {string} relativePath Path relative to the Memory Bank root
+   */
+  schedule(relativePath) {
+    // Reserved files (policy, history, locks, temp files) and non-Markdown files are not memory content
+    if (isReservedPath(relativePath) || !relativePath.endsWith('.md')) {
+      return;
+    }
+
+    const pending = this.timers.get(relativePath);
+    if (pending) {
+      clearTimeout(pending);
+    }
+
+    const timer = setTimeout(() => {
+      this.timers.delete(relativePath);
+      this.check(relativePath).catch(error => {
+        logger.error(`Failed to process change of ${relativePath}: ${error.message}`);
+      });
+    }, this.debounceDelay);
+    timer.unref();
+
+    this.timers.set(relativePath, timer);
+  }
+
+  /**
+   * Compare a file with its last known version and report it if it changed
+   * @param {string} relativePath Path relative to the Memory Bank root
+   */
+  async check(relativePath) {
+    const content = await this.storage.read(relativePath);
+    const version = content === null ? null : this.getVersion(content);
+    if (this.knownVersions.has(relativePath) && this.knownVersions.get(relativePath) === version) {
+      return;
+    }
+
+    this.knownVersions.set(relativePath, version);
+    logger.debug(`External change detected: ${relativePath}`);
+    this.emit('change', { relativePath, content, version });
+  }
+}
+
+export default FileWatcher;
@@ -0,0 +1,141 @@
+/**
+ * file-watcher.ts
+ * Watches the Memory Bank storage for changes made outside the server
+ */
+
+import { EventEmitter } from 'events';
+import { logger } from '../logger.js';
+import { StorageAdapter, StorageWatcher, isReservedPath } from './storage/index.js';
+
+// Default delay used to coalesce bursts of events from one editor save
+const DEFAULT_DEBOUNCE_DELAY = 300;
+
+/**
+ * Payload of the 'change' event; content is null when the file was removed
+ */
+export interface ExternalChange {
+  relativePath: string;
+  content: string | null;
+  version: string | null;
+}
+
+export class FileWatcher extends EventEmitter {
+  private storage: StorageAdapter;
+  private enabled: boolean;
+  private debounceDelay: number;
+  private getVersion: (content: string) => string;
+  private watcher: StorageWatcher | null;
+  private timers: Map<string, NodeJS.Timeout>;
+  private knownVersions: Map<string, string | null>;
+
+  constructor(storage: StorageAdapter, getVersion: (content: string) => string) {
+    super();
+    this.storage = storage;
+    this.enabled = process.env.MEMORY_BANK_WATCH !== 'false';
+    this.debounceDelay = parseInt(process.env.MEMORY_BANK_WATCH_DEBOUNCE_MS || '', 10) || DEFAULT_DEBOUNCE_DELAY;
+    this.getVersion = getVersion;
+    this.watcher = null;
+    this.timers = new Map();
+    this.knownVersions = new Map();
+  }
+
+  /**
+   * Check whether watching is enabled
+   * @returns True unless MEMORY_BANK_WATCH=false
+   */
+  isEnabled(): boolean {
+    return this.enabled;
+  }
+
+  /**
+   * Start watching the Memory Bank storage
+   */
+  start(): void {
+    if (!this.enabled || this.watcher) {
+      return;
+    }
+
+    try {
+      this.watcher = this.storage.watch(
+        relativePath => this.schedule(relativePath),
+        error => {
+          logger.error(`Memory Bank watcher failed: ${error.message}`);
+          this.stop();
+        }
+      );
+
+      logger.info(`Watching Memory Bank for external changes: ${this.storage.location}`);
+    } catch (error) {
+      const err = error as Error;
+      logger.warn(`Failed to watch Memory Bank, external changes will not be detected: ${err.message}`);
+    }
+  }
+
+  /**
+   * Stop watching and drop pending events
+   */
+  stop(): void {
+    this.watcher?.close();
+    this.watcher = null;
+
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+
+  /**
+   * Record the version of a file written by the server itself, so that the
+   * resulting filesystem events are not reported as external changes
+   * @param relativePath Path relative to the Memory Bank root
+   * @param version Version of the written content, or null if the file was removed
+   */
+  markWritten(relativePath: string, version: string | null): void {
+    this.knownVersions.set(relativePath, version);
+  }
+
+  /**
+   * Debounce events for a path
+   * @param relativePath Path relative to the Memory Bank root
+   */
+  private schedule(relativePath: string): void {
+    // Reserved files (policy, history, locks, temp files) and non-Markdown files are not memory content
+    if (isReservedPath(relativePath) || !relativePath.endsWith('.md')) {
+      return;
+    }
+
+    const pending = this.timers.get(relativePath);
+    if (pending) {
+      clearTimeout(pending);
+    }
+
+    const timer = setTimeout(() => {
+      this.timers.delete(relativePath);
+      this.check(relativePath).catch(error => {
+        const err = error as Error;
+        logger.error(`Failed to process change of ${relativePath}: ${err.message}`);
+      });
+    }, this.debounceDelay);
+    timer.unref();
+
+    this.timers.set(relativePath, timer);
+  }
+
+  /**
+   * Compare a file with its last known version and report it if it changed
+   * @param relativePath Path relative to the Memory Bank root
+   */
+  private async check(relativePath: string): Promise<void> {
+    const content = await this.storage.read(relativePath);
+    const version = content === null ? null : this.getVersion(content);
+    if (this.knownVersions.has(relativePath) && this.knownVersions.get(relativePath) === version) {
+      return;
+    }
+
+    this.knownVersions.set(relativePath, version);
+    logger.debug(`External change detected: ${relativePath}`);
+    this.emit('change', { relativePath, content, version } as ExternalChange);
+  }
+}
+
+export default FileWatcher;
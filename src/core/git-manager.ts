@@ -0,0 +1,388 @@
+/**
+ * git-manager.ts
+ * Git-backed Memory Bank mode: commits changes through the local git binary
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs-extra';
+import path from 'path';
+import { logger } from '../logger.js';
+import { MemoryBankError, MemoryErrorCode } from './errors.js';
+
+const execFileAsync = promisify(execFile);
+
+// Default delay used to batch rapid writes into one commit
+const DEFAULT_BATCH_DELAY = 2000;
+
+// Internal files that never belong in a commit
+const IGNORED_PATTERNS = ['.history/', '.trash/', '.*.lock', '.*.tmp'];
+
+// Identity used when git has no user configured
+const DEFAULT_IDENTITY = ['-c', 'user.name=TaskFlow Memory Server', '-c', 'user.email=taskflow-memory-server@localhost'];
+
+// Field separator used in git log formats
+const FIELD_SEPARATOR = '\x1f';
+const LOG_FORMAT = ['%H', '%h', '%an', '%aI', '%s'].join('%x1f');
+
+export interface GitCommit {
+  hash: string;
+  shortHash: string;
+  author: string;
+  date: string;
+  subject: string;
+}
+
+export class GitManager {
+  private memoryBankPath: string;
+  private enabled: boolean;
+  private batchDelay: number;
+  private identityArgs: string[];
+  private pending: Map<string, string>;
+  private timer: NodeJS.Timeout | null;
+  private queue: Promise<unknown>;
+
+  constructor(memoryBankPath: string, supported: boolean = true) {
+    this.memoryBankPath = memoryBankPath;
+    this.enabled = supported && process.env.MEMORY_BANK_GIT === 'true';
+    this.batchDelay = parseInt(process.env.MEMORY_BANK_GIT_BATCH_MS || '', 10) || DEFAULT_BATCH_DELAY;
+    this.identityArgs = [];
+    this.pending = new Map();
+    this.timer = null;
+    this.queue = Promise.resolve();
+
+    if (!supported && process.env.MEMORY_BANK_GIT === 'true') {
+      logger.warn('Git-backed mode needs filesystem storage and is disabled for this Memory Bank');
+    }
+  }
+
+  /**
+   * Check whether git mode is enabled
+   * @returns True if MEMORY_BANK_GIT=true
+   */
+  isEnabled(): boolean {
+    return this.enabled;
+  }
+
+  /**
+   * Initialize git mode: verify the git binary, create a repository if the
+   * Memory Bank is not inside one, and ignore internal files
+   */
+  async init(): Promise<void> {
+    if (!this.enabled) {
+      return;
+    }
+
+    await this.git(['--version']);
+
+    let created = false;
+    try {
+      await this.git(['rev-parse', '--is-inside-work-tree']);
+    } catch {
+      await this.git(['init']);
+      created = true;
+      logger.info(`Initialized git repository in Memory Bank: ${this.memoryBankPath}`);
+    }
+
+    const userName = await this.git(['config', 'user.name']).catch(() => '');
+    this.identityArgs = userName.trim() ? [] : DEFAULT_IDENTITY;
+
+    await this.ensureGitignore();
+
+    if (created) {
+      await this.commit(['.'], 'Initialize Memory Bank');
+    }
+
+    logger.info('Git-backed Memory Bank mode enabled');
+  }
+
+  /**
+   * Add internal files to the Memory Bank's .gitignore
+   */
+  private async ensureGitignore(): Promise<void> {
+    const gitignorePath = path.join(this.memoryBankPath, '.gitignore');
+    const existing: string = await fs.pathExists(gitignorePath) ? await fs.readFile(gitignorePath, 'utf8') : '';
+    const lines = existing.split(/\r?\n/);
+    const missing = IGNORED_PATTERNS.filter(pattern => !lines.includes(pattern));
+
+    if (missing.length === 0) {
+      return;
+    }
+
+    const prefix = existing && !existing.endsWith('\n') ? '\n' : '';
+    const header = existing.includes('# TaskFlow Memory Server') ? '' : '# TaskFlow Memory Server internal files\n';
+    await fs.appendFile(gitignorePath, `${prefix}${header}${missing.join('\n')}\n`);
+  }
+
+  /**
+   * Run a git command in the Memory Bank directory
+   * @param args Git arguments
+   * @returns Standard output
+   */
+  private async git(args: string[]): Promise<string> {
+    try {
+      const { stdout } = await execFileAsync('git', [...this.identityArgs, ...args], {
+        cwd: this.memoryBankPath,
+        maxBuffer: 10 * 1024 * 1024
+      });
+      return stdout;
+    } catch (error) {
+      const err = error as Error & { stderr?: string };
+      const message = (err.stderr || err.message).trim();
+      throw new MemoryBankError(MemoryErrorCode.GIT_ERROR, `git ${args[0]} failed: ${message}`, { args });
+    }
+  }
+
+  /**
+   * Run git operations one at a time
+   * @param fn Operation to run
+   * @returns Result of the operation
+   */
+  private enqueue<T>(fn: () => Promise<T>): Promise<T> {
+    const result = this.queue.then(fn, fn);
+    this.queue = result.catch(() => undefined);
+    return result;
+  }
+
+  /**
+   * Ensure git mode is enabled
+   */
+  private assertEnabled(): void {
+    if (!this.enabled) {
+      throw new MemoryBankError(
+        MemoryErrorCode.GIT_DISABLED,
+        'Git-backed Memory Bank mode is disabled. Set MEMORY_BANK_GIT=true to enable it.'
+      );
+    }
+  }
+
+  /**
+   * Validate a commit reference supplied by a client
+   * @param commit Commit hash
+   */
+  private assertCommitRef(commit: string): void {
+    if (!/^[0-9a-f]{4,40}$/i.test(commit)) {
+      throw new MemoryBankError(MemoryErrorCode.INVALID_COMMIT, `Invalid commit hash: ${commit}`, { commit });
+    }
+  }
+
+  /**
+   * Schedule a commit for a changed file. Changes made within the batch
+   * delay are committed together.
+   * @param relativePath Path relative to the Memory Bank root
+   * @param source Tool or component that made the change
+   */
+  scheduleCommit(relativePath: string, source: string): void {
+    if (!this.enabled) {
+      return;
+    }
+
+    this.pending.set(relativePath, source);
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+    }
+
+    this.timer = setTimeout(() => {
+      this.flush().catch(error => {
+        const err = error as Error;
+        logger.error(`Failed to commit Memory Bank changes: ${err.message}`);
+      });
+    }, this.batchDelay);
+    this.timer.unref();
+  }
+
+  /**
+   * Commit all pending changes now
+   * @returns Commit hash, or null if there was nothing to commit
+   */
+  async flush(): Promise<string | null> {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    if (this.pending.size === 0) {
+      return null;
+    }
+
+    const changes = Array.from(this.pending.entries());
+    this.pending.clear();
+
+    const message = changes.length === 1
+      ? `${changes[0][1]}: ${changes[0][0]}`
+      : `Update ${changes.length} Memory Bank files\n\n${changes.map(([file, source]) => `- ${source}: ${file}`).join('\n')}`;
+
+    try {
+      return await this.commit(changes.map(([file]) => file), message);
+    } catch (error) {
+      // Keep the changes for the next commit, unless they were changed again meanwhile
+      for (const [file, source] of changes) {
+        if (!this.pending.has(file)) {
+          this.pending.set(file, source);
+        }
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the paths git can stage: those that exist or are tracked. A file
+   * created and then renamed or deleted within one batch is neither, and
+   * git rejects the whole add for a path that matches nothing.
+   * @param paths Paths relative to the Memory Bank root
+   * @returns Paths to stage
+   */
+  private async getStageablePaths(paths: string[]): Promise<string[]> {
+    const tracked = new Set((await this.git(['ls-files', '-z', '--', ...paths])).split('\0').filter(Boolean));
+    const stageable: string[] = [];
+
+    for (const file of paths) {
+      if (tracked.has(file) || await fs.pathExists(path.join(this.memoryBankPath, file))) {
+        stageable.push(file);
+      }
+    }
+
+    return stageable;
+  }
+
+  /**
+   * Stage and commit the given paths
+   * @param paths Paths relative to the Memory Bank root
+   * @param message Commit message
+   * @returns Commit hash, or null if the paths had no changes
+   */
+  private commit(paths: string[], message: string): Promise<string | null> {
+    return this.enqueue(async () => {
+      const stageable = await this.getStageablePaths(paths);
+      if (stageable.length === 0) {
+        return null;
+      }
+
+      await this.git(['add', '-A', '--', ...stageable]);
+
+      try {
+        await this.git(['diff', '--cached', '--quiet', '--', ...stageable]);
+        return null;
+      } catch {
+        // Staged changes exist
+      }
+
+      await this.git(['commit', '-q', '-m', message, '--', ...stageable]);
+      const hash = (await this.git(['rev-parse', 'HEAD'])).trim();
+
+      logger.info(`Committed Memory Bank changes ${hash.slice(0, 7)}: ${message.split('\n')[0]}`);
+      return hash;
+    });
+  }
+
+  /**
+   * Parse git log output in LOG_FORMAT
+   * @param output Git log output
+   * @returns Commits
+   */
+  private parseLog(output: string): GitCommit[] {
+    return output.split('\n').filter(line => line.trim()).map(line => {
+      const [hash, shortHash, author, date, subject] = line.split(FIELD_SEPARATOR);
+      return { hash, shortHash, author, date, subject };
+    });
+  }
+
+  /**
+   * Get the commit log of the Memory Bank
+   * @param limit Maximum number of commits
+   * @param relativePath Limit the log to one file
+   * @returns Commits, newest first
+   */
+  async log(limit: number, relativePath?: string): Promise<GitCommit[]> {
+    this.assertEnabled();
+    await this.flush();
+
+    const output = await this.enqueue(() => this.git([
+      'log', `-n${limit}`, `--format=${LOG_FORMAT}`, '--', relativePath || '.'
+    ]));
+
+    return this.parseLog(output);
+  }
+
+  /**
+   * Get the files of the Memory Bank changed by a commit
+   * @param commit Commit hash
+   * @returns Paths relative to the Memory Bank root
+   */
+  async getCommitFiles(commit: string): Promise<string[]> {
+    this.assertEnabled();
+    this.assertCommitRef(commit);
+
+    const list = async (relative: boolean): Promise<string[]> => {
+      const output = await this.git([
+        'diff-tree', '--no-commit-id', '--name-only', '-r', '--root', ...(relative ? ['--relative'] : []), commit
+      ]);
+      return output.split('\n').filter(line => line.trim());
+    };
+
+    const [all, inBank] = await this.enqueue(() => Promise.all([list(false), list(true)]));
+
+    if (all.length !== inBank.length) {
+      throw new MemoryBankError(
+        MemoryErrorCode.INVALID_COMMIT,
+        `Commit ${commit} changes files outside the Memory Bank`,
+        { commit }
+      );
+    }
+
+    return inBank;
+  }
+
+  /**
+   * Show a commit, limited to Memory Bank files
+   * @param commit Commit hash
+   * @returns Commit metadata, message and patch
+   */
+  async show(commit: string): Promise<GitCommit & { message: string; files: string[]; patch: string }> {
+    this.assertEnabled();
+    this.assertCommitRef(commit);
+    await this.flush();
+
+    return this.enqueue(async () => {
+      const [info] = this.parseLog(await this.git(['show', '-s', `--format=${LOG_FORMAT}`, commit]));
+      const message = await this.git(['show', '-s', '--format=%B', commit]);
+      const files = await this.git(['diff-tree', '--no-commit-id', '--name-only', '-r', '--root', '--relative', commit]);
+      const patch = await this.git(['show', '--format=', '--relative', commit, '--', '.']);
+
+      return {
+        ...info,
+        message: message.trim(),
+        files: files.split('\n').filter(line => line.trim()),
+        patch
+      };
+    });
+  }
+
+  /**
+   * Revert a commit with a new commit
+   * @param commit Commit hash
+   * @returns Hash of the revert commit
+   */
+  async revert(commit: string): Promise<string> {
+    this.assertEnabled();
+    this.assertCommitRef(commit);
+    await this.flush();
+
+    return this.enqueue(async () => {
+      try {
+        await this.git(['revert', '--no-edit', commit]);
+      } catch (error) {
+        await this.git(['revert', '--abort']).catch(() => undefined);
+        throw error;
+      }
+
+      const hash = (await this.git(['rev-parse', 'HEAD'])).trim();
+      logger.info(`Reverted Memory Bank commit ${commit} with ${hash.slice(0, 7)}`);
+
+      return hash;
+    });
+  }
+}
+
+export default GitManager;
@@ -0,0 +1,161 @@
+/**
+ * history-manager.js
+ * Revision history for Memory Bank files, stored in the hidden .history directory
+ */
+
+import logger from '../logger.js';
+import { MemoryBankError, MemoryErrorCode } from './errors.js';
+
+// Name of the history directory kept in the Memory Bank root
+export const HISTORY_DIR_NAME = '.history';
+
+// Default retention (can be overridden by env variables)
+const DEFAULT_MAX_REVISIONS = 50;
+const DEFAULT_MAX_AGE_DAYS = 0; // 0 keeps revisions regardless of age
+
+export class HistoryManager {
+  constructor(storage) {
+    this.storage = storage;
+    this.retention = {
+      maxRevisions: parseInt(process.env.MEMORY_HISTORY_MAX_REVISIONS || '', 10) || DEFAULT_MAX_REVISIONS,
+      maxAgeDays: parseFloat(process.env.MEMORY_HISTORY_MAX_AGE_DAYS || '') || DEFAULT_MAX_AGE_DAYS
+    };
+  }
+
+  /**
+   * Get the retention settings
+   * @returns {Object} Retention settings
+   */
+  getRetention() {
+    return { ...this.retention };
+  }
+
+  /**
+   * Get the directory holding the revisions of a file
+   * @param {string} relativePath Path relative to the Memory Bank root
+   * @returns {string} Revision directory relative to the Memory Bank root
+   */
+  getFileHistoryPath(relativePath) {
+    return `${HISTORY_DIR_NAME}/${relativePath}`;
+  }
+
+  /**
+   * List the revisions of a file, oldest first
+   * @param {string} relativePath Path relative to the Memory Bank root
+   * @returns {Promise<Object[]>} Revisions
+   */
+  async listRevisions(relativePath) {
+    const indexContent = await this.storage.read(`${this.getFileHistoryPath(relativePath)}/index.json`);
+
+    if (indexContent === null) {
+      return [];
+    }
+
+    try {
+      const index = JSON.parse(indexContent);
+      return Array.isArray(index.revisions) ? index.revisions : [];
+    } catch (error) {
+      logger.error(`Failed to read revision index for ${relativePath}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Get a revision of a file
+   * @param {string} relativePath Path relative to the Memory Bank root
+   * @param {string} revisionId Revision ID
+   * @returns {Promise<Object & { content: string }>} Revision metadata and content
+   */
+  async getRevision(relativePath, revisionId) {
+    const revisions = await this.listRevisions(relativePath);
+    const revision = revisions.find(rev => rev.id === revisionId);
+
+    if (!revision) {
+      throw new MemoryBankError(
+        MemoryErrorCode.REVISION_NOT_FOUND,
+        `Revision ${revisionId} not found for ${relativePath}`,
+        { fileName: relativePath, revisionId }
+      );
+    }
+
+    const content = await this.storage.read(`${this.getFileHistoryPath(relativePath)}/${revision.id}.md`);
+
+    if (content === null) {
+      throw new MemoryBankError(
+        MemoryErrorCode.REVISION_NOT_FOUND,
+        `Content of revision ${revisionId} of ${relativePath} is missing`,
+        { fileName: relativePath, revisionId }
+      );
+    }
+
+    return { ...revision, content };
+  }
+
+  /**
+   * Record a revision of a file. Callers must hold the file's lock.
+   * Content identical to the latest revision is not recorded again.
+   * @param {string} relativePath Path relative to the Memory Bank root
+   * @param {string} content File content
+   * @param {string} version Content version
+   * @param {string} source Tool or component that produced the content
+   * @returns {Promise<Object>} Recorded revision, or the latest revision if unchanged
+   */
+  async recordRevision(relativePath, content, version, source) {
+    const fileHistoryPath = this.getFileHistoryPath(relativePath);
+    const revisions = await this.listRevisions(relativePath);
+    const latest = revisions[revisions.length - 1];
+
+    if (latest && latest.version === version) {
+      return latest;
+    }
+
+    const timestamp = new Date().toISOString();
+    const revision = {
+      id: `${timestamp.replace(/[-:.]/g, '')}-${version.slice(0, 8)}`,
+      timestamp,
+      source,
+      version,
+      size: Buffer.byteLength(content, 'utf8')
+    };
+
+    await this.storage.write(`${fileHistoryPath}/${revision.id}.md`, content);
+
+    const retained = await this.applyRetention(fileHistoryPath, [...revisions, revision]);
+    await this.storage.write(
+      `${fileHistoryPath}/index.json`,
+      JSON.stringify({ file: relativePath, revisions: retained }, null, 2) + '\n'
+    );
+
+    logger.debug(`Recorded revision ${revision.id} of ${relativePath} (${source})`);
+    return revision;
+  }
+
+  /**
+   * Drop revisions beyond the retention limits. The latest revision is always kept.
+   * @param {string} fileHistoryPath Revision directory
+   * @param {Object[]} revisions Revisions, oldest first
+   * @returns {Promise<Object[]>} Retained revisions
+   */
+  async applyRetention(fileHistoryPath, revisions) {
+    const { maxRevisions, maxAgeDays } = this.retention;
+    const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+
+    const retained = revisions.filter((revision, index) => {
+      const isLatest = index === revisions.length - 1;
+      const withinCount = index >= revisions.length - maxRevisions;
+      const withinAge = cutoff === null || Date.parse(revision.timestamp) >= cutoff;
+
+      return isLatest || (withinCount && withinAge);
+    });
+
+    for (const revision of revisions) {
+      if (!retained.includes(revision)) {
+        await this.storage.delete(`${fileHistoryPath}/${revision.id}.md`);
+      }
+    }
+
+    return retained;
+  }
+}
+
+export default HistoryManager;
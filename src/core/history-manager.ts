@@ -0,0 +1,179 @@
+/**
+ * history-manager.ts
+ * Revision history for Memory Bank files, stored in the hidden .history directory
+ */
+
+import { logger } from '../logger.js';
+import { MemoryBankError, MemoryErrorCode } from './errors.js';
+import { StorageAdapter } from './storage/index.js';
+
+// Name of the history directory kept in the Memory Bank root
+export const HISTORY_DIR_NAME = '.history';
+
+// Default retention (can be overridden by env variables)
+const DEFAULT_MAX_REVISIONS = 50;
+const DEFAULT_MAX_AGE_DAYS = 0; // 0 keeps revisions regardless of age
+
+export interface Revision {
+  id: string;
+  timestamp: string;
+  source: string;
+  version: string;
+  size: number;
+}
+
+export interface RetentionOptions {
+  maxRevisions: number;
+  maxAgeDays: number;
+}
+
+export class HistoryManager {
+  private storage: StorageAdapter;
+  private retention: RetentionOptions;
+
+  constructor(storage: StorageAdapter) {
+    this.storage = storage;
+    this.retention = {
+      maxRevisions: parseInt(process.env.MEMORY_HISTORY_MAX_REVISIONS || '', 10) || DEFAULT_MAX_REVISIONS,
+      maxAgeDays: parseFloat(process.env.MEMORY_HISTORY_MAX_AGE_DAYS || '') || DEFAULT_MAX_AGE_DAYS
+    };
+  }
+
+  /**
+   * Get the retention settings
+   * @returns Retention settings
+   */
+  getRetention(): RetentionOptions {
+    return { ...this.retention };
+  }
+
+  /**
+   * Get the directory holding the revisions of a file
+   * @param relativePath Path relative to the Memory Bank root
+   * @returns Revision directory relative to the Memory Bank root
+   */
+  private getFileHistoryPath(relativePath: string): string {
+    return `${HISTORY_DIR_NAME}/${relativePath}`;
+  }
+
+  /**
+   * List the revisions of a file, oldest first
+   * @param relativePath Path relative to the Memory Bank root
+   * @returns Revisions
+   */
+  async listRevisions(relativePath: string): Promise<Revision[]> {
+    const indexContent = await this.storage.read(`${this.getFileHistoryPath(relativePath)}/index.json`);
+
+    if (indexContent === null) {
+      return [];
+    }
+
+    try {
+      const index = JSON.parse(indexContent);
+      return Array.isArray(index.revisions) ? index.revisions : [];
+    } catch (error) {
+      const err = error as Error;
+      logger.error(`Failed to read revision index for ${relativePath}: ${err.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Get a revision of a file
+   * @param relativePath Path relative to the Memory Bank root
+   * @param revisionId Revision ID
+   * @returns Revision metadata and content
+   */
+  async getRevision(relativePath: string, revisionId: string): Promise<Revision & { content: string }> {
+    const revisions = await this.listRevisions(relativePath);
+    const revision = revisions.find(rev => rev.id === revisionId);
+
+    if (!revision) {
+      throw new MemoryBankError(
+        MemoryErrorCode.REVISION_NOT_FOUND,
+        `Revision ${revisionId} not found for ${relativePath}`,
+        { fileName: relativePath, revisionId }
+      );
+    }
+
+    const content = await this.storage.read(`${this.getFileHistoryPath(relativePath)}/${revision.id}.md`);
+
+    if (content === null) {
+      throw new MemoryBankError(
+        MemoryErrorCode.REVISION_NOT_FOUND,
+        `Content of revision ${revisionId} of ${relativePath} is missing`,
+        { fileName: relativePath, revisionId }
+      );
+    }
+
+    return { ...revision, content };
+  }
+
+  /**
+   * Record a revision of a file. Callers must hold the file's lock.
+   * Content identical to the latest revision is not recorded again.
+   * @param relativePath Path relative to the Memory Bank root
+   * @param content File content
+   * @param version Content version
+   * @param source Tool or component that produced the content
+   * @returns Recorded revision, or the latest revision if unchanged
+   */
+  async recordRevision(relativePath: string, content: string, version: string, source: string): Promise<Revision> {
+    const fileHistoryPath = this.getFileHistoryPath(relativePath);
+    const revisions = await this.listRevisions(relativePath);
+    const latest = revisions[revisions.length - 1];
+
+    if (latest && latest.version === version) {
+      return latest;
+    }
+
+    const timestamp = new Date().toISOString();
+    const revision: Revision = {
+      id: `${timestamp.replace(/[-:.]/g, '')}-${version.slice(0, 8)}`,
+      timestamp,
+      source,
+      version,
+      size: Buffer.byteLength(content, 'utf8')
+    };
+
+    await this.storage.write(`${fileHistoryPath}/${revision.id}.md`, content);
+
+    const retained = await this.applyRetention(fileHistoryPath, [...revisions, revision]);
+    await this.storage.write(
+      `${fileHistoryPath}/index.json`,
+      JSON.stringify({ file: relativePath, revisions: retained }, null, 2) + '\n'
+    );
+
+    logger.debug(`Recorded revision ${revision.id} of ${relativePath} (${source})`);
+    return revision;
+  }
+
+  /**
+   * Drop revisions beyond the retention limits. The latest revision is always kept.
+   * @param fileHistoryPath Revision directory
+   * @param revisions Revisions, oldest first
+   * @returns Retained revisions
+   */
+  private async applyRetention(fileHistoryPath: string, revisions: Revision[]): Promise<Revision[]> {
+    const { maxRevisions, maxAgeDays } = this.retention;
+    const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+
+    const retained = revisions.filter((revision, index) => {
+      const isLatest = index === revisions.length - 1;
+      const withinCount = index >= revisions.length - maxRevisions;
+      const withinAge = cutoff === null || Date.parse(revision.timestamp) >= cutoff;
+
+      return isLatest || (withinCount && withinAge);
+    });
+
+    for (const revision of revisions) {
+      if (!retained.includes(revision)) {
+        await this.storage.delete(`${fileHistoryPath}/${revision.id}.md`);
+      }
+    }
+
+    return retained;
+  }
+}
+
+export default HistoryManager;
@@ -0,0 +1,356 @@
+/**
+ * insight-compactor.ts
+ * Compaction of the task insights that document_insights appends to
+ * activeContext.md. Insights beyond a maximum count or age are moved into
+ * monthly archive files (archive/insights/YYYY-MM.md) and summarized in a
+ * rolling "Insights Digest" section of activeContext.md.
+ */
+
+import { logger } from '../logger.js';
+import { MemoryManager, MemoryFileChange } from './memory-manager.js';
+import { parseSections } from './utils/markdown-sections.js';
+
+// File document_insights appends to
+export const ACTIVE_CONTEXT_FILE = 'activeContext.md';
+
+// Directory of the monthly insight archives
+export const INSIGHTS_ARCHIVE_DIR = 'archive/insights';
+
+// Title of the digest section in activeContext.md
+export const DIGEST_TITLE = 'Insights Digest';
+
+// Default compaction settings
+const DEFAULT_MAX_COUNT = 10;
+const DEFAULT_MAX_AGE_DAYS = 30;
+const DEFAULT_DIGEST_SIZE = 20;
+const DEFAULT_COMPACT_SIZE = 32768; // Bytes; 0 disables compaction on write
+
+// Longest summary of an insight in the digest
+const SUMMARY_LENGTH = 100;
+
+const INSIGHT_TITLE_PATTERN = /^Insights from Task (.+)$/;
+const DOCUMENTED_AT_PATTERN = /_Documented at (\d{4}-\d{2}-\d{2}T[\d:.]+Z)_/;
+
+export interface CompactionSettings {
+  maxCount: number;
+  maxAgeDays: number;
+  digestSize: number;
+  compactSize: number;
+}
+
+export interface CompactionOptions {
+  maxCount?: number;
+  maxAgeDays?: number;
+  targetSize?: number;
+  dryRun?: boolean;
+  source?: string;
+}
+
+export interface ArchivedInsight {
+  taskId: string;
+  documentedAt: string | null;
+  line: number;
+  archiveFile: string;
+  reason: 'count' | 'age' | 'size';
+}
+
+export interface CompactionResult {
+  dryRun: boolean;
+  archived: ArchivedInsight[];
+  kept: number;
+  archiveFiles: string[];
+  sizeBefore: number;
+  sizeAfter: number;
+}
+
+interface InsightSection {
+  taskId: string;
+  documentedAt: string | null;
+  line: number;
+  start: number;
+  end: number;
+  text: string;
+}
+
+/**
+ * Read a numeric setting from the environment
+ * @param name Variable name
+ * @param fallback Value used when the variable is unset or invalid
+ * @returns Setting
+ */
+function readSetting(name: string, fallback: number): number {
+  const value = parseFloat(process.env[name] || '');
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Find the insight sections of activeContext.md, in document order
+ * @param content Document content
+ * @returns Insight sections
+ */
+function findInsights(content: string): InsightSection[] {
+  return parseSections(content)
+    .filter(section => section.level === 2 && INSIGHT_TITLE_PATTERN.test(section.title))
+    .map(section => {
+      const text = content.slice(section.start, section.end);
+      const documentedAt = DOCUMENTED_AT_PATTERN.exec(text);
+
+      return {
+        taskId: INSIGHT_TITLE_PATTERN.exec(section.title)![1],
+        documentedAt: documentedAt ? documentedAt[1] : null,
+        line: section.line,
+        start: section.start,
+        end: section.end,
+        text
+      };
+    });
+}
+
+/**
+ * Get the archive file of an insight, by the month it was documented in
+ * @param insight Insight
+ * @param now Time used for insights without a documentation time
+ * @returns Path relative to the Memory Bank root
+ */
+function getArchiveFile(insight: InsightSection, now: Date): string {
+  const month = (insight.documentedAt || now.toISOString()).slice(0, 7);
+  return `${INSIGHTS_ARCHIVE_DIR}/${month}.md`;
+}
+
+/**
+ * Summarize an insight as a digest entry
+ * @param insight Insight
+ * @param archiveFile Archive file holding the insight
+ * @returns Markdown list item
+ */
+function getDigestEntry(insight: InsightSection, archiveFile: string): string {
+  const body = insight.text
+    .split(/\r?\n/)
+    .slice(1)
+    .map(line => line.replace(/^\s*(?:[-*+]|\d+\.)\s+/, '').trim())
+    .find(line => line !== '' && !DOCUMENTED_AT_PATTERN.test(line)) || '';
+  const summary = body.length > SUMMARY_LENGTH ? `${body.slice(0, SUMMARY_LENGTH - 1).trimEnd()}…` : body;
+  const date = insight.documentedAt ? `${insight.documentedAt.slice(0, 10)} ` : '';
+
+  return `- ${date}Task ${insight.taskId}: ${summary} ([archive](${archiveFile}))`;
+}
+
+/**
+ * Remove archived insights from activeContext.md and add their digest entries
+ * @param content Current content of activeContext.md
+ * @param archived Text of the archived insight sections
+ * @param entries Digest entries of the archived insights
+ * @param digestSize Maximum number of digest entries
+ * @returns New content
+ */
+function compactContent(content: string, archived: Set<string>, entries: string[], digestSize: number): string {
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const digest = parseSections(content).find(section => section.level === 2 && section.title === DIGEST_TITLE);
+  const previousEntries = digest
+    ? content.slice(digest.bodyStart, digest.end).split(/\r?\n/).filter(line => line.startsWith('- '))
+    : [];
+  const digestText = `## ${DIGEST_TITLE}${eol}${eol}${[...previousEntries, ...entries].slice(-digestSize).join(eol)}${eol}${eol}`;
+
+  // Cut the archived sections and the old digest, then place the new digest
+  // where the old one was, or else where the first insight was
+  const removed = findInsights(content)
+    .filter(insight => archived.has(insight.text.trim()))
+    .map(insight => ({ start: insight.start, end: insight.end }));
+  if (digest) {
+    removed.push({ start: digest.start, end: digest.end });
+  }
+  removed.sort((a, b) => a.start - b.start);
+
+  if (removed.length === 0) {
+    return content;
+  }
+
+  let output = '';
+  let position = 0;
+
+  removed.forEach((range, index) => {
+    output += content.slice(position, range.start);
+    if (index === 0) {
+      output += digestText;
+    }
+    position = range.end;
+  });
+
+  output += content.slice(position);
+
+  return output.replace(/(?:\r?\n)+$/, '') + eol;
+}
+
+export class InsightCompactor {
+  private memoryManager: MemoryManager;
+  private settings: CompactionSettings;
+  private running: Promise<unknown>;
+
+  constructor(memoryManager: MemoryManager) {
+    this.memoryManager = memoryManager;
+    this.settings = {
+      maxCount: readSetting('MEMORY_INSIGHTS_MAX_COUNT', DEFAULT_MAX_COUNT),
+      maxAgeDays: readSetting('MEMORY_INSIGHTS_MAX_AGE_DAYS', DEFAULT_MAX_AGE_DAYS),
+      digestSize: readSetting('MEMORY_INSIGHTS_DIGEST_SIZE', DEFAULT_DIGEST_SIZE),
+      compactSize: readSetting('MEMORY_INSIGHTS_COMPACT_SIZE', DEFAULT_COMPACT_SIZE)
+    };
+    this.running = Promise.resolve();
+
+    // Compact after writes that grow activeContext.md beyond the size threshold
+    this.memoryManager.on('fileChanged', (change: MemoryFileChange) => this.handleChange(change));
+  }
+
+  /**
+   * Get the compaction settings
+   * @returns Compaction settings
+   */
+  getSettings(): CompactionSettings {
+    return { ...this.settings };
+  }
+
+  /**
+   * Start a compaction when a server write grows activeContext.md beyond the
+   * size threshold
+   * @param change File change
+   */
+  private handleChange(change: MemoryFileChange): void {
+    if (
+      change.fileName !== ACTIVE_CONTEXT_FILE ||
+      change.content === null ||
+      change.source === 'external' ||
+      this.settings.compactSize === 0 ||
+      Buffer.byteLength(change.content, 'utf8') <= this.settings.compactSize
+    ) {
+      return;
+    }
+
+    logger.info(`${ACTIVE_CONTEXT_FILE} exceeds ${this.settings.compactSize} bytes, compacting insights`);
+    this.compact({ targetSize: this.settings.compactSize, source: 'insight-compaction' }).catch(error => {
+      const err = error as Error;
+      logger.error(`Failed to compact ${ACTIVE_CONTEXT_FILE}: ${err.message}`);
+    });
+  }
+
+  /**
+   * Compact the insights of activeContext.md. Compactions run one at a time.
+   * @param options Limits overriding the settings, target size, dry run and change source
+   * @returns Compaction result
+   */
+  compact(options: CompactionOptions = {}): Promise<CompactionResult> {
+    const result = this.running.then(() => this.run(options));
+    this.running = result.catch(() => undefined);
+    return result;
+  }
+
+  /**
+   * Archive the insights beyond the maximum count or age, then the oldest
+   * insights but the most recent one until the file fits the target size.
+   * Archives are written before the insights are removed, so an interrupted
+   * compaction loses nothing; insights already in their archive are not
+   * archived twice.
+   * @param options Compaction options
+   * @returns Compaction result
+   */
+  private async run(options: CompactionOptions): Promise<CompactionResult> {
+    const maxCount = options.maxCount ?? this.settings.maxCount;
+    const maxAgeDays = options.maxAgeDays ?? this.settings.maxAgeDays;
+    const source = options.source || 'compact_active_context';
+    const now = new Date();
+
+    const { content } = await this.memoryManager.readMemoryFileWithVersion(ACTIVE_CONTEXT_FILE);
+    const insights = findInsights(content);
+    const sizeBefore = Buffer.byteLength(content, 'utf8');
+    const reasons = new Map<InsightSection, ArchivedInsight['reason']>();
+
+    // Oldest first: beyond the maximum count, then beyond the maximum age
+    insights.slice(0, Math.max(0, insights.length - maxCount)).forEach(insight => reasons.set(insight, 'count'));
+
+    if (maxAgeDays > 0) {
+      const cutoff = now.getTime() - maxAgeDays * 24 * 60 * 60 * 1000;
+      insights
+        .filter(insight => !reasons.has(insight) && insight.documentedAt !== null && Date.parse(insight.documentedAt) < cutoff)
+        .forEach(insight => reasons.set(insight, 'age'));
+    }
+
+    if (options.targetSize !== undefined) {
+      let size = sizeBefore - Array.from(reasons.keys()).reduce((total, insight) => total + Buffer.byteLength(insight.text, 'utf8'), 0);
+
+      // The most recent insight stays in the file
+      for (const insight of insights.slice(0, -1)) {
+        if (size <= options.targetSize) {
+          break;
+        }
+        if (!reasons.has(insight)) {
+          reasons.set(insight, 'size');
+          size -= Buffer.byteLength(insight.text, 'utf8');
+        }
+      }
+    }
+
+    const selected = insights.filter(insight => reasons.has(insight));
+    const archived: ArchivedInsight[] = selected.map(insight => ({
+      taskId: insight.taskId,
+      documentedAt: insight.documentedAt,
+      line: insight.line,
+      archiveFile: getArchiveFile(insight, now),
+      reason: reasons.get(insight)!
+    }));
+    const archiveFiles = Array.from(new Set(archived.map(insight => insight.archiveFile)));
+
+    if (selected.length === 0 || options.dryRun) {
+      return {
+        dryRun: options.dryRun === true,
+        archived,
+        kept: insights.length - selected.length,
+        archiveFiles,
+        sizeBefore,
+        sizeAfter: sizeBefore
+      };
+    }
+
+    // Append the insights to their archives
+    const existing = new Set(await this.memoryManager.listMemoryFiles([`${INSIGHTS_ARCHIVE_DIR}/*.md`]));
+
+    for (const archiveFile of archiveFiles) {
+      const sections = selected
+        .filter(insight => getArchiveFile(insight, now) === archiveFile)
+        .map(insight => insight.text.trim());
+      const append = (current: string): string => {
+        const missing = sections.filter(section => !current.includes(section));
+        return missing.length === 0 ? current : `${current.replace(/\s+$/, '')}\n\n${missing.join('\n\n')}\n`;
+      };
+
+      if (existing.has(archiveFile)) {
+        await this.memoryManager.patchMemoryFile(archiveFile, append, { source });
+      } else {
+        const month = archiveFile.slice(INSIGHTS_ARCHIVE_DIR.length + 1, -'.md'.length);
+        await this.memoryManager.writeMemoryFile(archiveFile, append(`# Insights Archive ${month}\n`), { source });
+      }
+    }
+
+    // Remove the archived insights; the file may have changed in the meantime,
+    // so the sections are matched by their text
+    const archivedText = new Set(selected.map(insight => insight.text.trim()));
+    const entries = selected.map(insight => getDigestEntry(insight, getArchiveFile(insight, now)));
+    let sizeAfter = sizeBefore;
+
+    await this.memoryManager.patchMemoryFile(ACTIVE_CONTEXT_FILE, current => {
+      const compacted = compactContent(current, archivedText, entries, this.settings.digestSize);
+      sizeAfter = Buffer.byteLength(compacted, 'utf8');
+      return compacted;
+    }, { source });
+
+    logger.info(`Archived ${selected.length} insights from ${ACTIVE_CONTEXT_FILE} to ${archiveFiles.join(', ')}`);
+
+    return {
+      dryRun: false,
+      archived,
+      kept: insights.length - selected.length,
+      archiveFiles,
+      sizeBefore,
+      sizeAfter
+    };
+  }
+}
+
+export default InsightCompactor;
@@ -0,0 +1,247 @@
+/**
+ * link-graph.js
+ * Graph of the Markdown links and wiki-links between Memory Bank files.
+ * Links are stored as written and resolved when the graph is queried, so a
+ * broken link is fixed as soon as its target file is created.
+ */
+
+import path from 'path';
+import logger from '../logger.js';
+import { extractMarkdownLinks } from './utils/markdown-links.js';
+
+/**
+ * Get the wiki-link name of a file: its path without the .md extension
+ * @param {string} fileName File name relative to the Memory Bank root
+ * @returns {string} Lowercase name
+ */
+function wikiName(fileName) {
+  return fileName.replace(/\.md$/i, '').toLowerCase();
+}
+
+export class LinkGraph {
+  constructor() {
+    this.links = new Map();
+  }
+
+  /**
+   * Add or replace the links of a file
+   * @param {string} fileName File name relative to the Memory Bank root
+   * @param {string} content File content
+   */
+  indexFile(fileName, content) {
+    this.links.set(fileName, extractMarkdownLinks(content, fileName));
+  }
+
+  /**
+   * Remove a file and its links from the graph
+   * @param {string} fileName File name relative to the Memory Bank root
+   */
+  removeFile(fileName) {
+    this.links.delete(fileName);
+  }
+
+  /**
+   * Replace the whole graph
+   * @param {Map<string, string>} files Map of file names to content
+   */
+  rebuild(files) {
+    this.clear();
+
+    for (const [fileName, content] of files.entries()) {
+      this.indexFile(fileName, content);
+    }
+
+    logger.info(`Link graph built for ${this.links.size} Memory Bank files (${this.getStats().links} links)`);
+  }
+
+  /**
+   * Remove all files from the graph
+   */
+  clear() {
+    this.links.clear();
+  }
+
+  /**
+   * Check whether a file is in the graph
+   * @param {string} fileName File name relative to the Memory Bank root
+   * @returns {boolean} True if the file is known
+   */
+  hasFile(fileName) {
+    return this.links.has(fileName);
+  }
+
+  /**
+   * Create a resolver of link targets for the current set of files. A
+   * wiki-link names a file by its path or, more commonly, its base name,
+   * without the .md extension and ignoring case; when several files share
+   * the base name, the one closest to the root wins.
+   * @returns {Function} Function mapping a link to its target file, or null if there is none
+   */
+  createResolver() {
+    const byName = new Map();
+    const files = Array.from(this.links.keys()).sort((a, b) =>
+      a.split('/').length - b.split('/').length || a.localeCompare(b)
+    );
+
+    for (const file of files) {
+      for (const name of [wikiName(file), wikiName(path.posix.basename(file))]) {
+        if (!byName.has(name)) {
+          byName.set(name, file);
+        }
+      }
+    }
+
+    return link => {
+      if (link.type === 'wiki') {
+        return byName.get(wikiName(link.target)) ?? null;
+      }
+
+      return this.links.has(link.target) ? link.target : null;
+    };
+  }
+
+  /**
+   * Resolve every link in the graph. Links to files other than Markdown
+   * files and links of a file to itself are left out.
+   * @param {Function} filter Only include links between files passing this filter
+   * @returns {Object[]} Resolved links, by source file and line
+   */
+  resolveAll(filter) {
+    const resolve = this.createResolver();
+    const resolved = [];
+
+    for (const [source, links] of this.links) {
+      if (!filter(source)) {
+        continue;
+      }
+
+      for (const link of links) {
+        if (link.type === 'markdown' && !link.target.toLowerCase().endsWith('.md')) {
+          continue;
+        }
+
+        const target = resolve(link);
+        if (target === source || (target !== null && !filter(target))) {
+          continue;
+        }
+
+        resolved.push({ source, target, type: link.type, raw: link.raw, line: link.line });
+      }
+    }
+
+    return resolved.sort((a, b) => a.source.localeCompare(b.source) || a.line - b.line);
+  }
+
+  /**
+   * Get the links from and to a file
+   * @param {string} fileName File name relative to the Memory Bank root
+   * @param {Function} filter Only include files passing this filter
+   * @returns {Object} Outgoing links, including broken ones, and backlinks
+   */
+  getLinks(fileName, filter = () => true) {
+    const links = this.resolveAll(filter);
+
+    return {
+      outgoing: links.filter(link => link.source === fileName),
+      backlinks: links.filter(link => link.target === fileName)
+    };
+  }
+
+  /**
+   * Report broken links and orphaned files
+   * @param {Function} filter Only include files passing this filter
+   * @param {Function} isEntryPoint Files not reported as orphans, such as the core Memory Bank files
+   * @returns {Object} Broken links and orphans
+   */
+  getReport(
+    filter = () => true,
+    isEntryPoint = () => false
+  ) {
+    const links = this.resolveAll(filter);
+    const linked = new Set(links.map(link => link.target));
+
+    return {
+      broken: links.filter(link => link.target === null),
+      orphans: Array.from(this.links.keys())
+        .filter(file => filter(file) && !linked.has(file) && !isEntryPoint(file))
+        .sort()
+    };
+  }
+
+  /**
+   * Get a file and the files linked to it, breadth first, up to a depth
+   * @param {string} fileName File name relative to the Memory Bank root
+   * @param {number} depth Maximum number of links to follow
+   * @param {string} direction Follow outgoing links, backlinks or both
+   * @param {Function} filter Only include files passing this filter
+   * @returns {Object[]} The file at depth 0, then its neighbours by depth and name
+   */
+  getNeighbours(
+    fileName,
+    depth,
+    direction = 'both',
+    filter = () => true
+  ) {
+    const adjacent = new Map();
+    const connect = (from, to) => {
+      if (!adjacent.has(from)) {
+        adjacent.set(from, new Set());
+      }
+      adjacent.get(from).add(to);
+    };
+
+    for (const link of this.resolveAll(filter)) {
+      if (link.target === null) {
+        continue;
+      }
+
+      if (direction !== 'incoming') {
+        connect(link.source, link.target);
+      }
+      if (direction !== 'outgoing') {
+        connect(link.target, link.source);
+      }
+    }
+
+    const result = [{ file: fileName, depth: 0 }];
+    const visited = new Set([fileName]);
+    let frontier = [fileName];
+
+    for (let level = 1; level <= depth && frontier.length > 0; level++) {
+      const next = [];
+
+      for (const file of frontier) {
+        for (const neighbour of adjacent.get(file) || []) {
+          if (!visited.has(neighbour)) {
+            visited.add(neighbour);
+            next.push(neighbour);
+          }
+        }
+      }
+
+      next.sort();
+      result.push(...next.map(file => ({ file, depth: level })));
+      frontier = next;
+    }
+
+    return result;
+  }
+
+  /**
+   * Get statistics about the graph
+   * @returns {Object} Number of files and links
+   */
+  getStats() {
+    let links = 0;
+    for (const fileLinks of this.links.values()) {
+      links += fileLinks.length;
+    }
+
+    return {
+      files: this.links.size,
+      links
+    };
+  }
+}
+
+export default LinkGraph;
@@ -0,0 +1,274 @@
+/**
+ * link-graph.ts
+ * Graph of the Markdown links and wiki-links between Memory Bank files.
+ * Links are stored as written and resolved when the graph is queried, so a
+ * broken link is fixed as soon as its target file is created.
+ */
+
+import path from 'path';
+import { logger } from '../logger.js';
+import { LinkType, MarkdownLink, extractMarkdownLinks } from './utils/markdown-links.js';
+
+export type LinkDirection = 'outgoing' | 'incoming' | 'both';
+
+export interface ResolvedLink {
+  /** File containing the link */
+  source: string;
+  /** Linked file, or null if the link is broken */
+  target: string | null;
+  type: LinkType;
+  raw: string;
+  line: number;
+}
+
+export interface LinkReport {
+  /** Links whose target does not exist */
+  broken: ResolvedLink[];
+  /** Files no other file links to, apart from entry points */
+  orphans: string[];
+}
+
+export interface LinkedFile {
+  file: string;
+  /** Number of links between the file and the start file */
+  depth: number;
+}
+
+/**
+ * Get the wiki-link name of a file: its path without the .md extension
+ * @param fileName File name relative to the Memory Bank root
+ * @returns Lowercase name
+ */
+function wikiName(fileName: string): string {
+  return fileName.replace(/\.md$/i, '').toLowerCase();
+}
+
+export class LinkGraph {
+  private links: Map<string, MarkdownLink[]>;
+
+  constructor() {
+    this.links = new Map();
+  }
+
+  /**
+   * Add or replace the links of a file
+   * @param fileName File name relative to the Memory Bank root
+   * @param content File content
+   */
+  indexFile(fileName: string, content: string): void {
+    this.links.set(fileName, extractMarkdownLinks(content, fileName));
+  }
+
+  /**
+   * Remove a file and its links from the graph
+   * @param fileName File name relative to the Memory Bank root
+   */
+  removeFile(fileName: string): void {
+    this.links.delete(fileName);
+  }
+
+  /**
+   * Replace the whole graph
+   * @param files Map of file names to content
+   */
+  rebuild(files: Map<string, string>): void {
+    this.clear();
+
+    for (const [fileName, content] of files.entries()) {
+      this.indexFile(fileName, content);
+    }
+
+    logger.info(`Link graph built for ${this.links.size} Memory Bank files (${this.getStats().links} links)`);
+  }
+
+  /**
+   * Remove all files from the graph
+   */
+  clear(): void {
+    this.links.clear();
+  }
+
+  /**
+   * Check whether a file is in the graph
+   * @param fileName File name relative to the Memory Bank root
+   * @returns True if the file is known
+   */
+  hasFile(fileName: string): boolean {
+    return this.links.has(fileName);
+  }
+
+  /**
+   * Create a resolver of link targets for the current set of files. A
+   * wiki-link names a file by its path or, more commonly, its base name,
+   * without the .md extension and ignoring case; when several files share
+   * the base name, the one closest to the root wins.
+   * @returns Function mapping a link to its target file, or null if there is none
+   */
+  private createResolver(): (link: MarkdownLink) => string | null {
+    const byName = new Map<string, string>();
+    const files = Array.from(this.links.keys()).sort((a, b) =>
+      a.split('/').length - b.split('/').length || a.localeCompare(b)
+    );
+
+    for (const file of files) {
+      for (const name of [wikiName(file), wikiName(path.posix.basename(file))]) {
+        if (!byName.has(name)) {
+          byName.set(name, file);
+        }
+      }
+    }
+
+    return link => {
+      if (link.type === 'wiki') {
+        return byName.get(wikiName(link.target)) ?? null;
+      }
+
+      return this.links.has(link.target) ? link.target : null;
+    };
+  }
+
+  /**
+   * Resolve every link in the graph. Links to files other than Markdown
+   * files and links of a file to itself are left out.
+   * @param filter Only include links between files passing this filter
+   * @returns Resolved links, by source file and line
+   */
+  private resolveAll(filter: (fileName: string) => boolean): ResolvedLink[] {
+    const resolve = this.createResolver();
+    const resolved: ResolvedLink[] = [];
+
+    for (const [source, links] of this.links) {
+      if (!filter(source)) {
+        continue;
+      }
+
+      for (const link of links) {
+        if (link.type === 'markdown' && !link.target.toLowerCase().endsWith('.md')) {
+          continue;
+        }
+
+        const target = resolve(link);
+        if (target === source || (target !== null && !filter(target))) {
+          continue;
+        }
+
+        resolved.push({ source, target, type: link.type, raw: link.raw, line: link.line });
+      }
+    }
+
+    return resolved.sort((a, b) => a.source.localeCompare(b.source) || a.line - b.line);
+  }
+
+  /**
+   * Get the links from and to a file
+   * @param fileName File name relative to the Memory Bank root
+   * @param filter Only include files passing this filter
+   * @returns Outgoing links, including broken ones, and backlinks
+   */
+  getLinks(fileName: string, filter: (fileName: string) => boolean = () => true): { outgoing: ResolvedLink[]; backlinks: ResolvedLink[] } {
+    const links = this.resolveAll(filter);
+
+    return {
+      outgoing: links.filter(link => link.source === fileName),
+      backlinks: links.filter(link => link.target === fileName)
+    };
+  }
+
+  /**
+   * Report broken links and orphaned files
+   * @param filter Only include files passing this filter
+   * @param isEntryPoint Files not reported as orphans, such as the core Memory Bank files
+   * @returns Broken links and orphans
+   */
+  getReport(
+    filter: (fileName: string) => boolean = () => true,
+    isEntryPoint: (fileName: string) => boolean = () => false
+  ): LinkReport {
+    const links = this.resolveAll(filter);
+    const linked = new Set(links.map(link => link.target));
+
+    return {
+      broken: links.filter(link => link.target === null),
+      orphans: Array.from(this.links.keys())
+        .filter(file => filter(file) && !linked.has(file) && !isEntryPoint(file))
+        .sort()
+    };
+  }
+
+  /**
+   * Get a file and the files linked to it, breadth first, up to a depth
+   * @param fileName File name relative to the Memory Bank root
+   * @param depth Maximum number of links to follow
+   * @param direction Follow outgoing links, backlinks or both
+   * @param filter Only include files passing this filter
+   * @returns The file at depth 0, then its neighbours by depth and name
+   */
+  getNeighbours(
+    fileName: string,
+    depth: number,
+    direction: LinkDirection = 'both',
+    filter: (fileName: string) => boolean = () => true
+  ): LinkedFile[] {
+    const adjacent = new Map<string, Set<string>>();
+    const connect = (from: string, to: string): void => {
+      if (!adjacent.has(from)) {
+        adjacent.set(from, new Set());
+      }
+      adjacent.get(from)!.add(to);
+    };
+
+    for (const link of this.resolveAll(filter)) {
+      if (link.target === null) {
+        continue;
+      }
+
+      if (direction !== 'incoming') {
+        connect(link.source, link.target);
+      }
+      if (direction !== 'outgoing') {
+        connect(link.target, link.source);
+      }
+    }
+
+    const result: LinkedFile[] = [{ file: fileName, depth: 0 }];
+    const visited = new Set([fileName]);
+    let frontier = [fileName];
+
+    for (let level = 1; level <= depth && frontier.length > 0; level++) {
+      const next: string[] = [];
+
+      for (const file of frontier) {
+        for (const neighbour of adjacent.get(file) || []) {
+          if (!visited.has(neighbour)) {
+            visited.add(neighbour);
+            next.push(neighbour);
+          }
+        }
+      }
+
+      next.sort();
+      result.push(...next.map(file => ({ file, depth: level })));
+      frontier = next;
+    }
+
+    return result;
+  }
+
+  /**
+   * Get statistics about the graph
+   * @returns Number of files and links
+   */
+  getStats(): { files: number; links: number } {
+    let links = 0;
+    for (const fileLinks of this.links.values()) {
+      links += fileLinks.length;
+    }
+
+    return {
+      files: this.links.size,
+      links
+    };
+  }
+}
+
+export default LinkGraph;
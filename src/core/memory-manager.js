@@ -3,48 +3,116 @@
  * Core manager for Memory Bank files and operations
  */
 
-import fs from 'fs-extra';
 import path from 'path';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
 import logger from '../logger.js';
+import { AccessPolicy, POLICY_FILE_NAME } from './access-policy.js';
+import { BankSchema, SCHEMA_FILE_NAME } from './bank-schema.js';
+import { MemoryBankError, MemoryErrorCode } from './errors.js';
+import { HistoryManager, HISTORY_DIR_NAME } from './history-manager.js';
+import { GitManager } from './git-manager.js';
+import { FileWatcher } from './file-watcher.js';
+import { TrashManager, TRASH_DIR_NAME } from './trash-manager.js';
+import { InsightCompactor } from './insight-compactor.js';
+import { EncryptedStorage, FsStorage, createStorage } from './storage/index.js';
+import { createUnifiedDiff } from './utils/diff.js';
+import { matchAnyGlob } from './utils/glob.js';
+import { hasFrontmatter, parseFrontmatter, maintainFrontmatter } from './utils/frontmatter.js';
+import { rewriteMarkdownLinks } from './utils/markdown-links.js';
+import { applyProfile, DEFAULT_PROFILE } from './template-profiles.js';
 
 // Default memory bank path (can be overridden by env variable)
 const DEFAULT_MEMORY_BANK_PATH = './memory-bank';
 
-export class MemoryManager {
-  static instance;
+/**
+ * Compute the version of a file's content
+ * @param {string} content File content
+ * @returns {string} Content hash used as version
+ */
+export function getContentVersion(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+export class MemoryManager extends EventEmitter {
+  static instances = new Map();
   
-  constructor() {
-    this.memoryBankPath = process.env.MEMORY_BANK_PATH || DEFAULT_MEMORY_BANK_PATH;
+  constructor(memoryBankPath) {
+    super();
+    this.memoryBankPath = memoryBankPath;
+    this.storage = new EncryptedStorage(createStorage(memoryBankPath), [HISTORY_DIR_NAME, TRASH_DIR_NAME]);
     this.initialized = false;
+    this.accessPolicy = new AccessPolicy(this.storage);
+    this.schema = new BankSchema(this.storage);
+    this.historyManager = new HistoryManager(this.storage);
+    this.gitManager = new GitManager(this.memoryBankPath, this.storage.type === 'fs');
+    this.fileWatcher = new FileWatcher(this.storage, getContentVersion);
+    this.fileWatcher.on('change', (change) => this.handleExternalChange(change));
+    this.trashManager = new TrashManager(this.storage);
+    this.insightCompactor = new InsightCompactor(this);
+    this.frontmatterEnabled = process.env.MEMORY_BANK_FRONTMATTER !== 'false';
   }
   
   /**
-   * Get the singleton instance of MemoryManager
+   * Get the MemoryManager of the Memory Bank configured by MEMORY_BANK_PATH
    * @returns MemoryManager instance
    */
   static getInstance() {
-    if (!MemoryManager.instance) {
-      MemoryManager.instance = new MemoryManager();
+    return MemoryManager.forPath(process.env.MEMORY_BANK_PATH || DEFAULT_MEMORY_BANK_PATH);
+  }
+  
+  /**
+   * Get the MemoryManager of a Memory Bank directory; there is one instance
+   * per directory. Files are kept in the storage backend selected by
+   * MEMORY_BANK_STORAGE (default: fs), encrypted if MEMORY_BANK_ENCRYPTION
+   * is enabled or the bank already is.
+   * @param {string} memoryBankPath Memory Bank directory
+   * @returns {MemoryManager} MemoryManager instance
+   */
+  static forPath(memoryBankPath) {
+    const key = path.resolve(memoryBankPath);
+    let instance = MemoryManager.instances.get(key);
+    
+    if (!instance) {
+      instance = new MemoryManager(memoryBankPath);
+      MemoryManager.instances.set(key, instance);
     }
     
-    return MemoryManager.instance;
+    return instance;
   }
   
   /**
    * Initialize the Memory Manager
+   * @param {boolean} populate Populate an empty Memory Bank from the template profile
    */
-  async init() {
+  async init(populate = true) {
     if (this.initialized) {
       return;
     }
     
     try {
-      // Ensure memory bank directory exists
-      await fs.ensureDir(this.memoryBankPath);
-      logger.info(`Memory Bank initialized at: ${this.memoryBankPath}`);
+      // Ensure the storage backend is ready
+      await this.storage.init();
+      logger.info(`Memory Bank initialized at: ${this.memoryBankPath} (${this.storage.type} storage${this.storage.isEncrypted() ? ', encrypted' : ''})`);
       
       // Create default files if they don't exist
-      await this.ensureDefaultFiles();
+      if (populate) {
+        await this.ensureDefaultFiles();
+      }
+      
+      // Load the access policy
+      await this.accessPolicy.ensurePolicyFile();
+      await this.accessPolicy.refresh();
+      
+      // Load the Memory Bank schema
+      await this.schema.ensureSchemaFile();
+      await this.schema.refresh();
+      
+      // Set up git-backed mode if enabled
+      await this.gitManager.init();
+      
+      // Pick up edits made outside the server
+      this.fileWatcher.start();
       
       this.initialized = true;
     } catch (error) {
@@ -54,32 +122,70 @@ export class MemoryManager {
   }
   
   /**
-   * Ensure default Memory Bank files exist
+   * Populate a new, empty Memory Bank from the template profile selected by
+   * MEMORY_BANK_PROFILE (default: minimal). Variables are read from
+   * MEMORY_BANK_PROFILE_VARS, a JSON object; the project name defaults to the
+   * name of the directory containing the Memory Bank. Existing Memory Banks
+   * are left as they are.
    */
   async ensureDefaultFiles() {
-    const defaultFiles = [
-      {
-        name: 'projectbrief.md',
-        content: '# Project Brief\n\nDefine your project requirements and goals here.\n'
-      },
-      {
-        name: 'activeContext.md',
-        content: '# Active Context\n\nTrack your current focus and recent changes here.\n'
-      },
-      {
-        name: 'progress.md',
-        content: '# Progress\n\nDocument your project progress and next steps here.\n'
-      }
-    ];
+    if ((await this.storage.list()).length > 0) {
+      return;
+    }
     
-    for (const file of defaultFiles) {
-      const filePath = path.join(this.memoryBankPath, file.name);
-      
-      if (!await fs.pathExists(filePath)) {
-        await fs.writeFile(filePath, file.content);
-        logger.info(`Created default Memory Bank file: ${file.name}`);
+    const profile = process.env.MEMORY_BANK_PROFILE || DEFAULT_PROFILE;
+    let values = {};
+    
+    if (process.env.MEMORY_BANK_PROFILE_VARS) {
+      try {
+        values = JSON.parse(process.env.MEMORY_BANK_PROFILE_VARS);
+      } catch (error) {
+        throw new MemoryBankError(
+          MemoryErrorCode.INVALID_TEMPLATE_VARIABLES,
+          `MEMORY_BANK_PROFILE_VARS must be a JSON object: ${error.message}`
+        );
       }
     }
+    
+    const created = await applyProfile(profile, this.storage, {
+      projectName: path.basename(path.resolve(this.memoryBankPath, '..')),
+      ...values
+    });
+    
+    for (const file of created) {
+      logger.info(`Created Memory Bank file from profile ${profile}: ${file}`);
+    }
+  }
+  
+  /**
+   * Report a change made outside the server to listeners. Files hidden by
+   * the access policy are not reported.
+   * @param {ExternalChange} change External change detected by the watcher
+   */
+  handleExternalChange(change) {
+    this.accessPolicy.refresh()
+      .then(() => {
+        if (!this.accessPolicy.isVisible(change.relativePath)) {
+          return;
+        }
+        
+        logger.info(`Memory Bank file changed externally: ${change.relativePath}`);
+        this.emit('fileChanged', {
+          fileName: change.relativePath,
+          content: change.content,
+          source: 'external'
+        });
+      })
+      .catch(error => {
+        logger.error(`Failed to handle external change of ${change.relativePath}: ${error.message}`);
+      });
+  }
+  
+  /**
+   * Stop watching the Memory Bank for external changes
+   */
+  stopWatching() {
+    this.fileWatcher.stop();
   }
   
   /**
@@ -90,16 +196,173 @@ export class MemoryManager {
     return this.memoryBankPath;
   }
   
+  /**
+   * Get the storage backend of the Memory Bank
+   * @returns {Object} Storage adapter
+   */
+  getStorage() {
+    return this.storage;
+  }
+  
+  /**
+   * Check whether the Memory Bank is encrypted at rest
+   * @returns {boolean} True if file contents are encrypted
+   */
+  isEncrypted() {
+    return this.storage.isEncrypted();
+  }
+  
+  /**
+   * Re-encrypt the Memory Bank, including its revision history and trash,
+   * with a new key. Other servers using the bank must be restarted with the
+   * new key.
+   * @param {Buffer} newKey New 32-byte key
+   * @returns {Promise<number>} Number of re-encrypted files
+   */
+  async rotateEncryptionKey(newKey) {
+    try {
+      return await this.storage.rotateKey(newKey);
+    } catch (error) {
+      logger.error(`Failed to rotate encryption key: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * Write a decrypted copy of the Memory Bank files and its access policy
+   * and schema to an empty directory. Revision history and trash are not
+   * copied.
+   * @param {string} targetDirectory Directory to write to
+   * @returns {Promise<string[]>} Copied files, relative to the target directory
+   */
+  async exportDecrypted(targetDirectory) {
+    const target = new FsStorage(targetDirectory);
+    
+    if ((await target.list()).length > 0) {
+      throw new MemoryBankError(
+        MemoryErrorCode.FILE_EXISTS,
+        `Export directory is not empty: ${targetDirectory}`,
+        { path: targetDirectory }
+      );
+    }
+    
+    await target.init();
+    
+    const files = [POLICY_FILE_NAME, SCHEMA_FILE_NAME, ...await this.storage.list()];
+    const copied = [];
+    
+    for (const file of files) {
+      const content = await this.storage.read(file);
+      
+      if (content !== null) {
+        await target.write(file, content);
+        copied.push(file);
+      }
+    }
+    
+    logger.info(`Exported ${copied.length} decrypted Memory Bank files to ${targetDirectory}`);
+    return copied;
+  }
+  
+  /**
+   * Get the access policy of the Memory Bank
+   * @returns {AccessPolicy} Access policy
+   */
+  getAccessPolicy() {
+    return this.accessPolicy;
+  }
+  
+  /**
+   * Get the schema of the Memory Bank
+   * @returns {BankSchema} Memory Bank schema
+   */
+  getSchema() {
+    return this.schema;
+  }
+  
+  /**
+   * Resolve a file name to a path inside the Memory Bank. Rejects absolute
+   * paths, traversal out of the bank and paths the storage backend cannot
+   * address safely, such as symlinks pointing outside of it.
+   * @param {string} fileName File name relative to the Memory Bank root
+   * @returns {Promise<Object>} Normalized relative path and absolute path
+   */
+  async resolveMemoryPath(fileName) {
+    if (typeof fileName !== 'string' || fileName.trim() === '' || fileName.includes('\0')) {
+      throw new MemoryBankError(MemoryErrorCode.INVALID_PATH, `Invalid file name: ${JSON.stringify(fileName)}`);
+    }
+    
+    if (path.isAbsolute(fileName) || path.win32.isAbsolute(fileName)) {
+      throw new MemoryBankError(
+        MemoryErrorCode.INVALID_PATH,
+        `Absolute paths are not allowed: ${fileName}`,
+        { fileName }
+      );
+    }
+    
+    const rootPath = path.resolve(this.memoryBankPath);
+    const absolutePath = path.resolve(rootPath, fileName);
+    const relativePath = path.relative(rootPath, absolutePath);
+    
+    if (!relativePath || this.isOutside(relativePath)) {
+      throw new MemoryBankError(
+        MemoryErrorCode.PATH_OUTSIDE_BANK,
+        `Path is outside the Memory Bank: ${fileName}`,
+        { fileName }
+      );
+    }
+    
+    const normalized = relativePath.split(path.sep).join('/');
+    await this.storage.checkPath(normalized);
+    
+    return {
+      relativePath: normalized,
+      absolutePath
+    };
+  }
+  
+  /**
+   * Check whether a relative path leaves its base directory
+   * @param {string} relativePath Relative path
+   * @returns {boolean} True if the path is outside
+   */
+  isOutside(relativePath) {
+    return relativePath === '..' || relativePath.startsWith(`..${path.sep}`) || path.isAbsolute(relativePath);
+  }
+  
   /**
    * Read a Memory Bank file
    * @param {string} fileName File name
    * @returns {Promise<string>} File content
    */
   async readMemoryFile(fileName) {
+    const { content } = await this.readMemoryFileWithVersion(fileName);
+    return content;
+  }
+  
+  /**
+   * Read a Memory Bank file together with its version
+   * @param {string} fileName File name
+   * @returns {Promise<Object>} File content and version
+   */
+  async readMemoryFileWithVersion(fileName) {
     try {
-      const filePath = path.join(this.memoryBankPath, fileName);
-      const content = await fs.readFile(filePath, 'utf8');
-      return content;
+      const { relativePath } = await this.resolveMemoryPath(fileName);
+      
+      await this.accessPolicy.refresh();
+      this.accessPolicy.assertReadable(relativePath);
+      
+      const content = await this.storage.read(relativePath);
+      
+      if (content === null) {
+        throw new MemoryBankError(
+          MemoryErrorCode.FILE_NOT_FOUND,
+          `Memory Bank file not found: ${relativePath}`,
+          { fileName: relativePath }
+        );
+      }
+      
+      return { content, version: getContentVersion(content) };
     } catch (error) {
       logger.error(`Failed to read Memory Bank file ${fileName}: ${error.message}`);
       throw error;
@@ -107,16 +370,18 @@ export class MemoryManager {
   }
   
   /**
-   * Write content to a Memory Bank file
+   * Write content to a Memory Bank file. The write is atomic and holds an
+   * advisory lock on the file; if an expected version is given and the file
+   * changed since, the write is rejected with a VERSION_CONFLICT error.
+   * Every write is recorded in the file's revision history.
    * @param {string} fileName File name
    * @param {string} content File content
+   * @param {Object} options Write options
+   * @returns {Promise<string>} Version of the written content
    */
-  async writeMemoryFile(fileName, content) {
+  async writeMemoryFile(fileName, content, options = {}) {
     try {
-      const filePath = path.join(this.memoryBankPath, fileName);
-      await fs.ensureDir(path.dirname(filePath));
-      await fs.writeFile(filePath, content);
-      logger.info(`Updated Memory Bank file: ${fileName}`);
+      return await this.writeLocked(fileName, () => content, options);
     } catch (error) {
       logger.error(`Failed to write Memory Bank file ${fileName}: ${error.message}`);
       throw error;
@@ -124,38 +389,835 @@ export class MemoryManager {
   }
   
   /**
-   * Get all Memory Bank files
-   * @returns {Promise<string[]>} List of file names
+   * Apply a transformation to an existing Memory Bank file. The file is read,
+   * transformed and written while its lock is held, so concurrent writes
+   * cannot be lost in between. The frontmatter is left as the transformation
+   * produced it, so the untouched rest of the file stays byte-for-byte intact.
+   * @param {string} fileName File name
+   * @param {Function} transform Function computing the new content from the current content
+   * @param {Object} options Write options
+   * @returns {Promise<string>} Version of the written content
+   */
+  async patchMemoryFile(fileName, transform, options = {}) {
+    try {
+      return await this.writeLocked(fileName, (currentContent, relativePath) => {
+        this.accessPolicy.assertReadable(relativePath);
+        
+        if (currentContent === null) {
+          throw new MemoryBankError(
+            MemoryErrorCode.FILE_NOT_FOUND,
+            `Memory Bank file not found: ${relativePath}`,
+            { fileName: relativePath }
+          );
+        }
+        
+        return transform(currentContent);
+      }, { ...options, preserveFrontmatter: true });
+    } catch (error) {
+      logger.error(`Failed to patch Memory Bank file ${fileName}: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * Create or transform a Memory Bank file while its lock is held, like
+   * patchMemoryFile but also for a file that does not exist yet
+   * @param {string} fileName File name
+   * @param {Function} transform Function computing the new content from the current content, or from null
+   * @param {Object} options Write options
+   * @returns {Promise<string>} Version of the written content
+   */
+  async updateMemoryFile(
+    fileName,
+    transform,
+    options = {}
+  ) {
+    try {
+      return await this.writeLocked(fileName, currentContent => transform(currentContent), options);
+    } catch (error) {
+      logger.error(`Failed to update Memory Bank file ${fileName}: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * Write a Memory Bank file under its lock. Checks the access policy, the
+   * expected version and, if enabled, the Memory Bank schema, records the
+   * previous and new content in the revision history and schedules a git commit.
+   * @param {string} fileName File name
+   * @param {Function} produce Function computing the content to write from the current content
+   * @param {Object} options Write options
+   * @returns {Promise<string>} Version of the written content
+   */
+  async writeLocked(fileName, produce, options) {
+    const { relativePath } = await this.resolveMemoryPath(fileName);
+    
+    await this.accessPolicy.refresh();
+    await this.schema.refresh();
+    
+    return this.storage.lock(relativePath, async () => {
+      const currentContent = await this.storage.read(relativePath);
+      this.accessPolicy.assertWritable(relativePath, currentContent !== null);
+      
+      const currentVersion = currentContent === null ? null : getContentVersion(currentContent);
+      
+      this.assertExpectedVersion(relativePath, options.expectedVersion, currentContent);
+      
+      const produced = produce(currentContent, relativePath);
+      const content = options.preserveFrontmatter
+        ? produced
+        : await this.applyFrontmatter(relativePath, produced, currentContent);
+      
+      // A single write can ask for the check, but not skip an enforced schema
+      if (options.validateSchema || this.schema.isEnforcedOnWrite()) {
+        this.schema.assertValidWrite(relativePath, content, currentContent);
+      }
+      
+      // Keep content written outside the server (e.g. in an editor) restorable
+      if (currentContent !== null && currentVersion !== null) {
+        await this.historyManager.recordRevision(relativePath, currentContent, currentVersion, 'external');
+      }
+      
+      await this.storage.write(relativePath, content);
+      logger.info(`Updated Memory Bank file: ${fileName}`);
+      
+      const source = options.source || 'memory-manager';
+      const version = getContentVersion(content);
+      this.fileWatcher.markWritten(relativePath, version);
+      await this.historyManager.recordRevision(relativePath, content, version, source);
+      this.gitManager.scheduleCommit(relativePath, source);
+      
+      this.emit('fileChanged', { fileName: relativePath, content, source });
+      
+      return version;
+    });
+  }
+  
+  /**
+   * Ensure a file still has the version a client read before changing it
+   * @param {string} relativePath Path relative to the Memory Bank root
+   * @param {string|undefined} expectedVersion Expected version, or undefined to skip the check
+   * @param {string|null} currentContent Current content, or null if the file does not exist
+   */
+  assertExpectedVersion(relativePath, expectedVersion, currentContent) {
+    if (expectedVersion === undefined) {
+      return;
+    }
+    
+    const currentVersion = currentContent === null ? null : getContentVersion(currentContent);
+    
+    if (currentVersion !== expectedVersion) {
+      throw new MemoryBankError(
+        MemoryErrorCode.VERSION_CONFLICT,
+        `Version conflict for ${relativePath}: expected ${expectedVersion}, found ${currentVersion}`,
+        {
+          fileName: relativePath,
+          expectedVersion,
+          currentVersion,
+          currentContent
+        }
+      );
+    }
+  }
+  
+  /**
+   * Run a function while holding the locks of several files. Locks are taken
+   * in path order, so concurrent callers cannot deadlock.
+   * @param {string[]} relativePaths Paths of the files to lock, relative to the Memory Bank root
+   * @param {Function} fn Function to run while the locks are held
+   * @returns {Promise<T>} Result of the function
+   */
+  async withFileLocks(relativePaths, fn) {
+    const [first, ...rest] = [...new Set(relativePaths)].sort();
+    
+    if (!first) {
+      return fn();
+    }
+    
+    return this.storage.lock(first, () => this.withFileLocks(rest, fn));
+  }
+  
+  /**
+   * Delete a Memory Bank file by moving it to the trash, from where it can
+   * be restored
+   * @param {string} fileName File name
+   * @param {Object} options Write options
+   * @returns {Promise<TrashEntry>} Trash entry of the deleted file
+   */
+  async deleteMemoryFile(fileName, options = {}) {
+    try {
+      const { relativePath } = await this.resolveMemoryPath(fileName);
+      
+      await this.accessPolicy.refresh();
+      
+      return await this.storage.lock(relativePath, async () => {
+        this.accessPolicy.assertReadable(relativePath);
+        
+        const content = await this.storage.read(relativePath);
+        
+        if (content === null) {
+          throw new MemoryBankError(
+            MemoryErrorCode.FILE_NOT_FOUND,
+            `Memory Bank file not found: ${relativePath}`,
+            { fileName: relativePath }
+          );
+        }
+        
+        this.accessPolicy.assertWritable(relativePath, true);
+        this.assertExpectedVersion(relativePath, options.expectedVersion, content);
+        
+        const source = options.source || 'memory-manager';
+        const entry = await this.trashManager.add(relativePath, content, getContentVersion(content), source);
+        
+        await this.storage.delete(relativePath);
+        logger.info(`Deleted Memory Bank file: ${relativePath} (trash entry ${entry.id})`);
+        
+        this.fileWatcher.markWritten(relativePath, null);
+        this.gitManager.scheduleCommit(relativePath, source);
+        
+        this.emit('fileChanged', { fileName: relativePath, content: null, source });
+        
+        return entry;
+      });
+    } catch (error) {
+      logger.error(`Failed to delete Memory Bank file ${fileName}: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * Rename a Memory Bank file. The content is kept as is; with updateLinks,
+   * relative Markdown links to the file in other files, and the file's own
+   * relative links, are rewritten to match the new location.
+   * @param {string} fileName Current file name
+   * @param {string} newFileName New file name
+   * @param {Object} options Rename options
+   * @returns {Promise<Object>} New file name and version, and the files whose links were updated
+   */
+  async renameMemoryFile(fileName, newFileName, options = {}) {
+    try {
+      const from = await this.resolveMemoryPath(fileName);
+      const to = await this.resolveMemoryPath(newFileName);
+      const source = options.source || 'memory-manager';
+      
+      if (from.relativePath === to.relativePath) {
+        throw new MemoryBankError(
+          MemoryErrorCode.INVALID_PATH,
+          `Source and target are the same file: ${from.relativePath}`,
+          { fileName: from.relativePath }
+        );
+      }
+      
+      await this.accessPolicy.refresh();
+      
+      const version = await this.withFileLocks([from.relativePath, to.relativePath], async () => {
+        this.accessPolicy.assertReadable(from.relativePath);
+        
+        const content = await this.storage.read(from.relativePath);
+        
+        if (content === null) {
+          throw new MemoryBankError(
+            MemoryErrorCode.FILE_NOT_FOUND,
+            `Memory Bank file not found: ${from.relativePath}`,
+            { fileName: from.relativePath }
+          );
+        }
+        
+        this.accessPolicy.assertWritable(from.relativePath, true);
+        
+        if (await this.storage.exists(to.relativePath)) {
+          throw new MemoryBankError(
+            MemoryErrorCode.FILE_EXISTS,
+            `Memory Bank file already exists: ${to.relativePath}`,
+            { fileName: to.relativePath }
+          );
+        }
+        
+        this.accessPolicy.assertWritable(to.relativePath, false);
+        this.assertExpectedVersion(from.relativePath, options.expectedVersion, content);
+        
+        const moved = options.updateLinks
+          ? rewriteMarkdownLinks(content, from.relativePath, to.relativePath,
+            target => target === from.relativePath ? to.relativePath : null)
+          : content;
+        const movedVersion = getContentVersion(moved);
+        
+        await this.storage.write(to.relativePath, moved);
+        await this.storage.delete(from.relativePath);
+        logger.info(`Renamed Memory Bank file: ${from.relativePath} -> ${to.relativePath}`);
+        
+        this.fileWatcher.markWritten(from.relativePath, null);
+        this.fileWatcher.markWritten(to.relativePath, movedVersion);
+        await this.historyManager.recordRevision(to.relativePath, moved, movedVersion, source);
+        this.gitManager.scheduleCommit(from.relativePath, source);
+        this.gitManager.scheduleCommit(to.relativePath, source);
+        
+        this.emit('fileChanged', { fileName: from.relativePath, content: null, source });
+        this.emit('fileChanged', { fileName: to.relativePath, content: moved, source });
+        
+        return movedVersion;
+      });
+      
+      const result = {
+        fileName: to.relativePath,
+        previousFileName: from.relativePath,
+        version,
+        updatedLinks: [],
+        failedLinks: []
+      };
+      
+      if (options.updateLinks) {
+        const mapTarget = (target) => target === from.relativePath ? to.relativePath : null;
+        
+        for (const file of await this.listMemoryFiles()) {
+          if (file === to.relativePath) {
+            continue;
+          }
+          
+          try {
+            const { content } = await this.readMemoryFileWithVersion(file);
+            if (rewriteMarkdownLinks(content, file, file, mapTarget) === content) {
+              continue;
+            }
+            
+            await this.patchMemoryFile(file, current => rewriteMarkdownLinks(current, file, file, mapTarget), { source });
+            result.updatedLinks.push(file);
+          } catch (error) {
+            logger.warn(`Failed to update links to ${to.relativePath} in ${file}: ${error.message}`);
+            result.failedLinks.push({ fileName: file, error: error.message });
+          }
+        }
+      }
+      
+      return result;
+    } catch (error) {
+      logger.error(`Failed to rename Memory Bank file ${fileName}: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * Move a Memory Bank file into another directory, keeping its name
+   * @param {string} fileName Current file name
+   * @param {string} directory Target directory relative to the Memory Bank root; empty for the root
+   * @param {Object} options Rename options
+   * @returns {Promise<Object>} New file name and version, and the files whose links were updated
+   */
+  async moveMemoryFile(fileName, directory, options = {}) {
+    const { relativePath } = await this.resolveMemoryPath(fileName);
+    const target = path.posix.join(directory.replace(/\\/g, '/') || '.', path.posix.basename(relativePath));
+    
+    return this.renameMemoryFile(relativePath, target, options);
+  }
+  
+  /**
+   * List the files in the trash that are visible under the access policy
+   * @returns {Promise<TrashEntry[]>} Trash entries, most recently deleted first
+   */
+  async listTrash() {
+    await this.accessPolicy.refresh();
+    
+    return (await this.trashManager.list()).filter(entry => this.accessPolicy.isVisible(entry.fileName));
+  }
+  
+  /**
+   * Restore a file from the trash, at its original path or a new one. The
+   * target must not exist.
+   * @param {string} id Trash entry ID
+   * @param {Object} options Write options and the path to restore to
+   * @returns {Promise<Object>} Restored file name, version and trash entry
+   */
+  async restoreFromTrash(id, options = {}) {
+    const { content, ...entry } = await this.trashManager.get(id);
+    
+    await this.accessPolicy.refresh();
+    this.accessPolicy.assertReadable(entry.fileName);
+    
+    let restoredPath = entry.fileName;
+    const version = await this.writeLocked(options.fileName || entry.fileName, (currentContent, relativePath) => {
+      if (currentContent !== null) {
+        throw new MemoryBankError(
+          MemoryErrorCode.FILE_EXISTS,
+          `Memory Bank file already exists: ${relativePath}`,
+          { fileName: relativePath }
+        );
+      }
+      
+      restoredPath = relativePath;
+      return content;
+    }, { source: options.source || `restore_trash:${id}` });
+    
+    await this.trashManager.remove(id);
+    
+    return { fileName: restoredPath, version, entry };
+  }
+  
+  /**
+   * Permanently delete files from the trash. Entries need the same access
+   * as deleting their original file: a single entry that may not be deleted
+   * is refused, and emptying the trash keeps such entries.
+   * @param {PurgeOptions} options Entry to delete, or minimum age in days of the entries to delete; empties the trash without options
+   * @returns {Promise<TrashEntry[]>} Deleted entries
+   */
+  async purgeTrash(options = {}) {
+    await this.accessPolicy.refresh();
+    
+    return this.trashManager.purge(options, entry => {
+      try {
+        this.accessPolicy.assertWritable(entry.fileName, true);
+        return true;
+      } catch (error) {
+        if (options.id !== undefined) {
+          throw error;
+        }
+        
+        return false;
+      }
+    });
+  }
+  
+  /**
+   * Maintain the frontmatter of a Markdown file being written. Only files
+   * that have frontmatter, or are given some by this write, are maintained;
+   * files whose frontmatter cannot be parsed are written unchanged.
+   * @param {string} relativePath Path relative to the Memory Bank root
+   * @param {string} content Content to write
+   * @param {string|null} currentContent Current content, or null for a new file
+   * @returns {Promise<string>} Content with maintained frontmatter
+   */
+  async applyFrontmatter(
+    relativePath,
+    content,
+    currentContent
+  ) {
+    if (!this.frontmatterEnabled || !relativePath.endsWith('.md')) {
+      return content;
+    }
+    
+    if (!hasFrontmatter(content) && (currentContent === null || !hasFrontmatter(currentContent))) {
+      return content;
+    }
+    
+    try {
+      const stats = currentContent !== null ? await this.storage.stat(relativePath) : null;
+      const created = stats ? stats.created : new Date();
+      
+      return maintainFrontmatter(content, currentContent, new Date(), created);
+    } catch (error) {
+      logger.warn(`Frontmatter of ${relativePath} not maintained: ${error.message}`);
+      return content;
+    }
+  }
+  
+  /**
+   * Move task insights beyond the configured count or age from
+   * activeContext.md into monthly archive files, keeping a digest of them
+   * @param {CompactionOptions} options Limits overriding the settings, target size and dry run
+   * @returns {Promise<CompactionResult>} Compaction result
+   */
+  async compactInsights(options = {}) {
+    return this.insightCompactor.compact(options);
+  }
+  
+  /**
+   * Get the insight compaction settings
+   * @returns {CompactionSettings} Compaction settings
+   */
+  getCompactionSettings() {
+    return this.insightCompactor.getSettings();
+  }
+  
+  /**
+   * Get the revision history retention settings
+   * @returns {RetentionOptions} Retention settings
+   */
+  getHistoryRetention() {
+    return this.historyManager.getRetention();
+  }
+  
+  /**
+   * List the revisions of a Memory Bank file, oldest first
+   * @param {string} fileName File name
+   * @returns {Promise<Revision[]>} Revisions
+   */
+  async listRevisions(fileName) {
+    const { relativePath } = await this.resolveMemoryPath(fileName);
+    
+    await this.accessPolicy.refresh();
+    this.accessPolicy.assertReadable(relativePath);
+    
+    return this.historyManager.listRevisions(relativePath);
+  }
+  
+  /**
+   * Get a revision of a Memory Bank file
+   * @param {string} fileName File name
+   * @param {string} revisionId Revision ID
+   * @returns {Promise<Revision & { content: string }>} Revision metadata and content
+   */
+  async getRevision(fileName, revisionId) {
+    const { relativePath } = await this.resolveMemoryPath(fileName);
+    
+    await this.accessPolicy.refresh();
+    this.accessPolicy.assertReadable(relativePath);
+    
+    return this.historyManager.getRevision(relativePath, revisionId);
+  }
+  
+  /**
+   * Create a unified diff between two revisions of a Memory Bank file
+   * @param {string} fileName File name
+   * @param {string} fromRevisionId Revision to diff from
+   * @param {string} toRevisionId Revision to diff to (defaults to the current content)
+   * @returns {Promise<string>} Unified diff
+   */
+  async diffRevisions(fileName, fromRevisionId, toRevisionId) {
+    const from = await this.getRevision(fileName, fromRevisionId);
+    const to = toRevisionId
+      ? await this.getRevision(fileName, toRevisionId)
+      : { id: 'current', content: await this.readMemoryFile(fileName) };
+    
+    return createUnifiedDiff(from.content, to.content, {
+      oldLabel: `${fileName}@${from.id}`,
+      newLabel: `${fileName}@${to.id}`
+    });
+  }
+  
+  /**
+   * Restore a Memory Bank file to a previous revision. The restore is
+   * itself recorded as a new revision.
+   * @param {string} fileName File name
+   * @param {string} revisionId Revision ID
+   * @param {Object} options Write options
+   * @returns {Promise<string>} Version of the restored content
+   */
+  async restoreRevision(fileName, revisionId, options = {}) {
+    const revision = await this.getRevision(fileName, revisionId);
+    
+    return this.writeMemoryFile(fileName, revision.content, {
+      ...options,
+      source: options.source || `restore:${revision.id}`
+    });
+  }
+  
+  /**
+   * Check whether git-backed mode is enabled
+   * @returns {boolean} True if changes are committed to git
+   */
+  isGitEnabled() {
+    return this.gitManager.isEnabled();
+  }
+  
+  /**
+   * Commit pending git changes immediately
+   * @returns {Promise<string|null>} Commit hash, or null if there was nothing to commit
+   */
+  async flushGitCommits() {
+    return this.gitManager.flush();
+  }
+  
+  /**
+   * Get the git log of the Memory Bank
+   * @param {number} limit Maximum number of commits
+   * @param {string} fileName Limit the log to one file
+   * @returns {Promise<GitCommit[]>} Commits, newest first
+   */
+  async getGitLog(limit = 20, fileName) {
+    let relativePath;
+    
+    if (fileName) {
+      relativePath = (await this.resolveMemoryPath(fileName)).relativePath;
+      await this.accessPolicy.refresh();
+      this.accessPolicy.assertReadable(relativePath);
+    }
+    
+    return this.gitManager.log(limit, relativePath);
+  }
+  
+  /**
+   * Show a git commit of the Memory Bank
+   * @param {string} commit Commit hash
+   * @returns {Promise<GitCommit & { message: string; files: string[]; patch: string }>} Commit metadata, message and patch
+   */
+  async showGitCommit(commit) {
+    await this.accessPolicy.refresh();
+    
+    const files = await this.gitManager.getCommitFiles(commit);
+    files.forEach(file => this.accessPolicy.assertReadable(file));
+    
+    return this.gitManager.show(commit);
+  }
+  
+  /**
+   * Revert a git commit of the Memory Bank. Every file touched by the
+   * commit must be writable under the access policy.
+   * @param {string} commit Commit hash
+   * @returns {Promise<Object>} Hash of the revert commit and the reverted files
+   */
+  async revertGitCommit(commit) {
+    await this.gitManager.flush();
+    await this.accessPolicy.refresh();
+    
+    const files = await this.gitManager.getCommitFiles(commit);
+    for (const file of files) {
+      this.accessPolicy.assertWritable(file, await this.storage.exists(file));
+    }
+    
+    const revertCommit = await this.gitManager.revert(commit);
+    
+    // Keep the revision history and listeners in step with the reverted files
+    for (const file of files) {
+      const source = `git_revert:${commit}`;
+      
+      await this.storage.lock(file, async () => {
+        const content = await this.storage.read(file);
+        
+        if (content === null) {
+          this.fileWatcher.markWritten(file, null);
+          this.emit('fileChanged', { fileName: file, content: null, source });
+          return;
+        }
+        
+        const version = getContentVersion(content);
+        await this.historyManager.recordRevision(file, content, version, source);
+        this.fileWatcher.markWritten(file, version);
+        this.emit('fileChanged', { fileName: file, content, source });
+      });
+    }
+    
+    return { commit: revertCommit, files };
+  }
+  
+  /**
+   * Collect the files of the Memory Bank visible under the access policy.
+   * Reserved dot-files and dot-directories and symbolic links are skipped.
+   * @param {boolean} markdownOnly Only collect Markdown files
+   * @returns {Promise<Object>} Files with their sizes, sorted by path
+   */
+  async walkMemoryFiles(markdownOnly = true) {
+    await this.accessPolicy.refresh();
+    
+    const files = [];
+    
+    for (const relativePath of await this.storage.list()) {
+      if ((markdownOnly && !relativePath.endsWith('.md')) || !this.accessPolicy.isVisible(relativePath)) {
+        continue;
+      }
+      
+      const stats = await this.storage.stat(relativePath);
+      if (stats) {
+        files.push({ relativePath, size: stats.size });
+      }
+    }
+    
+    return files.sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+  }
+  
+  /**
+   * Get all Memory Bank files visible under the access policy, including
+   * files in subdirectories
+   * @param {string[]} patterns Only include files matching one of these glob patterns
+   * @returns {Promise<string[]>} List of file paths relative to the Memory Bank root
+   */
+  async listMemoryFiles(patterns) {
+    try {
+      const files = await this.walkMemoryFiles();
+      
+      return files
+        .map(file => file.relativePath)
+        .filter(file => !patterns || patterns.length === 0 || matchAnyGlob(file, patterns));
+    } catch (error) {
+      logger.error(`Failed to list Memory Bank files: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get every file of the Memory Bank visible under the access policy, not
+   * only Markdown files, such as the task list in tasks/tasks.json
+   * @param {string[]} patterns Only include files matching one of these glob patterns
+   * @returns {Promise<string[]>} List of file paths relative to the Memory Bank root
    */
-  async listMemoryFiles() {
+  async listBankFiles(patterns) {
     try {
-      const files = await fs.readdir(this.memoryBankPath);
-      return files.filter(file => file.endsWith('.md'));
+      const files = await this.walkMemoryFiles(false);
+      
+      return files
+        .map(file => file.relativePath)
+        .filter(file => !patterns || patterns.length === 0 || matchAnyGlob(file, patterns));
     } catch (error) {
       logger.error(`Failed to list Memory Bank files: ${error.message}`);
       throw error;
     }
   }
   
+  /**
+   * Check the Memory Bank against its schema: required files, required
+   * headings, maximum sizes and required frontmatter keys
+   * @returns {Promise<SchemaViolation[]>} Violations, sorted by file and line
+   */
+  async lintMemoryBank() {
+    try {
+      await this.schema.refresh();
+      
+      const files = (await this.walkMemoryFiles()).map(file => file.relativePath);
+      const violations = this.schema.findMissingFiles(files);
+      
+      for (const relativePath of files) {
+        const content = await this.storage.read(relativePath);
+        if (content !== null) {
+          violations.push(...this.schema.validateFile(relativePath, content));
+        }
+      }
+      
+      return violations.sort((a, b) => a.file.localeCompare(b.file) || (a.line ?? 0) - (b.line ?? 0));
+    } catch (error) {
+      logger.error(`Failed to lint Memory Bank: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the Memory Bank as a tree of directories and files. Directories
+   * without visible files are left out.
+   * @param {string[]} patterns Only include files matching one of these glob patterns
+   * @returns {Promise<Object>} Root directory node
+   */
+  async getMemoryTree(patterns) {
+    const root = { name: '.', path: '', type: 'directory', children: [] };
+    const files = (await this.walkMemoryFiles())
+      .filter(file => !patterns || patterns.length === 0 || matchAnyGlob(file.relativePath, patterns));
+    
+    for (const file of files) {
+      const segments = file.relativePath.split('/');
+      let node = root;
+      
+      segments.slice(0, -1).forEach((segment, i) => {
+        let child = node.children.find(entry => entry.type === 'directory' && entry.name === segment);
+        
+        if (!child) {
+          child = { name: segment, path: segments.slice(0, i + 1).join('/'), type: 'directory', children: [] };
+          node.children.push(child);
+        }
+        
+        node = child;
+      });
+      
+      node.children.push({ name: segments[segments.length - 1], path: file.relativePath, type: 'file', size: file.size });
+    }
+    
+    // List directories before files
+    const sortTree = (node) => {
+      node.children?.sort((a, b) => (a.type === b.type ? a.name.localeCompare(b.name) : a.type === 'directory' ? -1 : 1));
+      node.children?.forEach(sortTree);
+    };
+    sortTree(root);
+    
+    return root;
+  }
+  
+  /**
+   * Get the frontmatter metadata of a Memory Bank file
+   * @param {string} fileName File name
+   * @returns {Promise<Object>} Metadata and modification time
+   */
+  async getFileMetadata(fileName) {
+    const { relativePath } = await this.resolveMemoryPath(fileName);
+    const { content } = await this.readMemoryFileWithVersion(relativePath);
+    const stats = await this.storage.stat(relativePath);
+    
+    let metadata = {};
+    try {
+      metadata = parseFrontmatter(content).data;
+    } catch (error) {
+      logger.warn(`Failed to parse frontmatter of ${relativePath}: ${error.message}`);
+    }
+    
+    return {
+      fileName: relativePath,
+      metadata,
+      modified: (stats ? stats.modified : new Date()).toISOString()
+    };
+  }
+  
+  /**
+   * List Memory Bank files together with their frontmatter metadata
+   * @param {string[]} patterns Only include files matching one of these glob patterns
+   * @returns {Promise<Object[]>} Files and metadata
+   */
+  async listMemoryFilesWithMetadata(patterns) {
+    const files = await this.listMemoryFiles(patterns);
+    return Promise.all(files.map(file => this.getFileMetadata(file)));
+  }
+  
+  /**
+   * Find Memory Bank files by frontmatter metadata. All given criteria must
+   * match; tags, status and owner are compared case-insensitively. Files
+   * without an `updated` entry use their modification time.
+   * @param {Object} query Query criteria
+   * @returns {Promise<Object[]>} Matching files and metadata
+   */
+  async queryMemoryFiles(query) {
+    const since = query.updatedSince ? new Date(query.updatedSince) : null;
+    
+    if (since && isNaN(since.getTime())) {
+      throw new MemoryBankError(
+        MemoryErrorCode.INVALID_QUERY,
+        `Invalid updatedSince date: ${query.updatedSince}`,
+        { updatedSince: query.updatedSince }
+      );
+    }
+    
+    const normalize = (value) => String(value).trim().toLowerCase();
+    const files = await this.listMemoryFilesWithMetadata();
+    
+    return files.filter(({ metadata, modified }) => {
+      if (query.tags && query.tags.length > 0) {
+        const tags = (Array.isArray(metadata.tags) ? metadata.tags : [metadata.tags]).filter(tag => tag !== null && tag !== undefined).map(normalize);
+        if (!query.tags.every(tag => tags.includes(normalize(tag)))) return false;
+      }
+      
+      if (query.status !== undefined && normalize(metadata.status) !== normalize(query.status)) return false;
+      if (query.owner !== undefined && normalize(metadata.owner) !== normalize(query.owner)) return false;
+      if (query.priority !== undefined && normalize(metadata.priority) !== normalize(query.priority)) return false;
+      
+      if (since) {
+        const updated = new Date(typeof metadata.updated === 'string' ? metadata.updated : modified);
+        if (isNaN(updated.getTime()) || updated < since) return false;
+      }
+      
+      return true;
+    });
+  }
+  
   /**
    * Get statistics about the Memory Bank
    * @returns {Promise<object>} Memory Bank statistics
    */
   async getStats() {
     try {
-      const files = await this.listMemoryFiles();
+      const files = await this.walkMemoryFiles();
+      const directories = {};
       
-      const totalSize = await files.reduce(async (promise, file) => {
-        const total = await promise;
-        const filePath = path.join(this.memoryBankPath, file);
-        const stats = await fs.stat(filePath);
-        return total + stats.size;
-      }, Promise.resolve(0));
+      // Count every file towards its directory and all parent directories
+      for (const file of files) {
+        const segments = file.relativePath.split('/').slice(0, -1);
+        
+        for (let depth = 0; depth <= segments.length; depth++) {
+          const directory = depth === 0 ? '.' : segments.slice(0, depth).join('/');
+          const stats = directories[directory] || (directories[directory] = { files: 0, totalSize: 0 });
+          stats.files++;
+          stats.totalSize += file.size;
+        }
+      }
       
       return {
         path: this.memoryBankPath,
+        storage: this.storage.type,
+        encrypted: this.storage.isEncrypted(),
         files: files.length,
-        totalSize: totalSize,
+        totalSize: files.reduce((total, file) => total + file.size, 0),
+        directories,
         initialized: this.initialized
       };
     } catch (error) {
@@ -3,50 +3,192 @@
  * Core manager for Memory Bank files and operations
  */
 
-import fs from 'fs-extra';
 import path from 'path';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
 import { logger } from '../logger.js';
+import { AccessPolicy, POLICY_FILE_NAME } from './access-policy.js';
+import { BankSchema, SchemaViolation, SCHEMA_FILE_NAME } from './bank-schema.js';
+import { MemoryBankError, MemoryErrorCode } from './errors.js';
+import { HistoryManager, Revision, RetentionOptions, HISTORY_DIR_NAME } from './history-manager.js';
+import { GitManager, GitCommit } from './git-manager.js';
+import { FileWatcher, ExternalChange } from './file-watcher.js';
+import { TrashManager, TrashEntry, PurgeOptions, TRASH_DIR_NAME } from './trash-manager.js';
+import { InsightCompactor, CompactionOptions, CompactionResult, CompactionSettings } from './insight-compactor.js';
+import { StorageAdapter, EncryptedStorage, FsStorage, createStorage } from './storage/index.js';
+import { createUnifiedDiff } from './utils/diff.js';
+import { matchAnyGlob } from './utils/glob.js';
+import { FrontmatterData, hasFrontmatter, parseFrontmatter, maintainFrontmatter } from './utils/frontmatter.js';
+import { rewriteMarkdownLinks } from './utils/markdown-links.js';
+import { applyProfile, DEFAULT_PROFILE } from './template-profiles.js';
 
 // Default memory bank path (can be overridden by env variable)
 const DEFAULT_MEMORY_BANK_PATH = './memory-bank';
 
-export class MemoryManager {
-  private static instance: MemoryManager;
+export interface ResolvedMemoryPath {
+  relativePath: string;
+  absolutePath: string;
+}
+
+export interface VersionedContent {
+  content: string;
+  version: string;
+}
+
+export interface WriteOptions {
+  expectedVersion?: string;
+  source?: string;
+  validateSchema?: boolean;
+  preserveFrontmatter?: boolean;
+}
+
+export interface RenameOptions extends WriteOptions {
+  updateLinks?: boolean;
+}
+
+export interface RenameResult {
+  fileName: string;
+  previousFileName: string;
+  version: string;
+  updatedLinks: string[];
+  failedLinks: { fileName: string; error: string }[];
+}
+
+export interface MemoryFileMetadata {
+  fileName: string;
+  metadata: FrontmatterData;
+  modified: string;
+}
+
+export interface MemoryTreeNode {
+  name: string;
+  path: string;
+  type: 'directory' | 'file';
+  size?: number;
+  children?: MemoryTreeNode[];
+}
+
+export interface DirectoryStats {
+  files: number;
+  totalSize: number;
+}
+
+export interface MetadataQuery {
+  tags?: string[];
+  status?: string;
+  owner?: string;
+  priority?: string | number;
+  updatedSince?: string;
+}
+
+/**
+ * Payload of the 'fileChanged' event; content is null when the file was removed
+ */
+export interface MemoryFileChange {
+  fileName: string;
+  content: string | null;
+  source: string;
+}
+
+/**
+ * Compute the version of a file's content
+ * @param content File content
+ * @returns Content hash used as version
+ */
+export function getContentVersion(content: string): string {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+export class MemoryManager extends EventEmitter {
+  private static instances: Map<string, MemoryManager> = new Map();
   private memoryBankPath: string;
+  private storage: EncryptedStorage;
   private initialized: boolean;
+  private accessPolicy: AccessPolicy;
+  private schema: BankSchema;
+  private historyManager: HistoryManager;
+  private gitManager: GitManager;
+  private fileWatcher: FileWatcher;
+  private trashManager: TrashManager;
+  private insightCompactor: InsightCompactor;
+  private frontmatterEnabled: boolean;
   
-  private constructor() {
-    this.memoryBankPath = process.env.MEMORY_BANK_PATH || DEFAULT_MEMORY_BANK_PATH;
+  private constructor(memoryBankPath: string) {
+    super();
+    this.memoryBankPath = memoryBankPath;
+    this.storage = new EncryptedStorage(createStorage(memoryBankPath), [HISTORY_DIR_NAME, TRASH_DIR_NAME]);
     this.initialized = false;
+    this.accessPolicy = new AccessPolicy(this.storage);
+    this.schema = new BankSchema(this.storage);
+    this.historyManager = new HistoryManager(this.storage);
+    this.gitManager = new GitManager(this.memoryBankPath, this.storage.type === 'fs');
+    this.fileWatcher = new FileWatcher(this.storage, getContentVersion);
+    this.fileWatcher.on('change', (change: ExternalChange) => this.handleExternalChange(change));
+    this.trashManager = new TrashManager(this.storage);
+    this.insightCompactor = new InsightCompactor(this);
+    this.frontmatterEnabled = process.env.MEMORY_BANK_FRONTMATTER !== 'false';
   }
   
   /**
-   * Get the singleton instance of MemoryManager
+   * Get the MemoryManager of the Memory Bank configured by MEMORY_BANK_PATH
    * @returns MemoryManager instance
    */
   public static getInstance(): MemoryManager {
-    if (!MemoryManager.instance) {
-      MemoryManager.instance = new MemoryManager();
+    return MemoryManager.forPath(process.env.MEMORY_BANK_PATH || DEFAULT_MEMORY_BANK_PATH);
+  }
+  
+  /**
+   * Get the MemoryManager of a Memory Bank directory; there is one instance
+   * per directory. Files are kept in the storage backend selected by
+   * MEMORY_BANK_STORAGE (default: fs), encrypted if MEMORY_BANK_ENCRYPTION
+   * is enabled or the bank already is.
+   * @param memoryBankPath Memory Bank directory
+   * @returns MemoryManager instance
+   */
+  public static forPath(memoryBankPath: string): MemoryManager {
+    const key = path.resolve(memoryBankPath);
+    let instance = MemoryManager.instances.get(key);
+    
+    if (!instance) {
+      instance = new MemoryManager(memoryBankPath);
+      MemoryManager.instances.set(key, instance);
     }
     
-    return MemoryManager.instance;
+    return instance;
   }
   
   /**
    * Initialize the Memory Manager
+   * @param populate Populate an empty Memory Bank from the template profile
    */
-  public async init(): Promise<void> {
+  public async init(populate: boolean = true): Promise<void> {
     if (this.initialized) {
       return;
     }
     
     try {
-      // Ensure memory bank directory exists
-      await fs.ensureDir(this.memoryBankPath);
-      logger.info(`Memory Bank initialized at: ${this.memoryBankPath}`);
+      // Ensure the storage backend is ready
+      await this.storage.init();
+      logger.info(`Memory Bank initialized at: ${this.memoryBankPath} (${this.storage.type} storage${this.storage.isEncrypted() ? ', encrypted' : ''})`);
       
       // Create default files if they don't exist
-      await this.ensureDefaultFiles();
+      if (populate) {
+        await this.ensureDefaultFiles();
+      }
+      
+      // Load the access policy
+      await this.accessPolicy.ensurePolicyFile();
+      await this.accessPolicy.refresh();
+      
+      // Load the Memory Bank schema
+      await this.schema.ensureSchemaFile();
+      await this.schema.refresh();
+      
+      // Set up git-backed mode if enabled
+      await this.gitManager.init();
+      
+      // Pick up edits made outside the server
+      this.fileWatcher.start();
       
       this.initialized = true;
     } catch (error) {
@@ -57,32 +199,72 @@ export class MemoryManager {
   }
   
   /**
-   * Ensure default Memory Bank files exist
+   * Populate a new, empty Memory Bank from the template profile selected by
+   * MEMORY_BANK_PROFILE (default: minimal). Variables are read from
+   * MEMORY_BANK_PROFILE_VARS, a JSON object; the project name defaults to the
+   * name of the directory containing the Memory Bank. Existing Memory Banks
+   * are left as they are.
    */
   private async ensureDefaultFiles(): Promise<void> {
-    const defaultFiles = [
-      {
-        name: 'projectbrief.md',
-        content: '# Project Brief\n\nDefine your project requirements and goals here.\n'
-      },
-      {
-        name: 'activeContext.md',
-        content: '# Active Context\n\nTrack your current focus and recent changes here.\n'
-      },
-      {
-        name: 'progress.md',
-        content: '# Progress\n\nDocument your project progress and next steps here.\n'
-      }
-    ];
+    if ((await this.storage.list()).length > 0) {
+      return;
+    }
     
-    for (const file of defaultFiles) {
-      const filePath = path.join(this.memoryBankPath, file.name);
-      
-      if (!await fs.pathExists(filePath)) {
-        await fs.writeFile(filePath, file.content);
-        logger.info(`Created default Memory Bank file: ${file.name}`);
+    const profile = process.env.MEMORY_BANK_PROFILE || DEFAULT_PROFILE;
+    let values: Record<string, string> = {};
+    
+    if (process.env.MEMORY_BANK_PROFILE_VARS) {
+      try {
+        values = JSON.parse(process.env.MEMORY_BANK_PROFILE_VARS);
+      } catch (error) {
+        const err = error as Error;
+        throw new MemoryBankError(
+          MemoryErrorCode.INVALID_TEMPLATE_VARIABLES,
+          `MEMORY_BANK_PROFILE_VARS must be a JSON object: ${err.message}`
+        );
       }
     }
+    
+    const created = await applyProfile(profile, this.storage, {
+      projectName: path.basename(path.resolve(this.memoryBankPath, '..')),
+      ...values
+    });
+    
+    for (const file of created) {
+      logger.info(`Created Memory Bank file from profile ${profile}: ${file}`);
+    }
+  }
+  
+  /**
+   * Report a change made outside the server to listeners. Files hidden by
+   * the access policy are not reported.
+   * @param change External change detected by the watcher
+   */
+  private handleExternalChange(change: ExternalChange): void {
+    this.accessPolicy.refresh()
+      .then(() => {
+        if (!this.accessPolicy.isVisible(change.relativePath)) {
+          return;
+        }
+        
+        logger.info(`Memory Bank file changed externally: ${change.relativePath}`);
+        this.emit('fileChanged', {
+          fileName: change.relativePath,
+          content: change.content,
+          source: 'external'
+        } as MemoryFileChange);
+      })
+      .catch(error => {
+        const err = error as Error;
+        logger.error(`Failed to handle external change of ${change.relativePath}: ${err.message}`);
+      });
+  }
+  
+  /**
+   * Stop watching the Memory Bank for external changes
+   */
+  public stopWatching(): void {
+    this.fileWatcher.stop();
   }
   
   /**
@@ -93,16 +275,174 @@ export class MemoryManager {
     return this.memoryBankPath;
   }
   
+  /**
+   * Get the storage backend of the Memory Bank
+   * @returns Storage adapter
+   */
+  public getStorage(): StorageAdapter {
+    return this.storage;
+  }
+  
+  /**
+   * Check whether the Memory Bank is encrypted at rest
+   * @returns True if file contents are encrypted
+   */
+  public isEncrypted(): boolean {
+    return this.storage.isEncrypted();
+  }
+  
+  /**
+   * Re-encrypt the Memory Bank, including its revision history and trash,
+   * with a new key. Other servers using the bank must be restarted with the
+   * new key.
+   * @param newKey New 32-byte key
+   * @returns Number of re-encrypted files
+   */
+  public async rotateEncryptionKey(newKey: Buffer): Promise<number> {
+    try {
+      return await this.storage.rotateKey(newKey);
+    } catch (error) {
+      const err = error as Error;
+      logger.error(`Failed to rotate encryption key: ${err.message}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * Write a decrypted copy of the Memory Bank files and its access policy
+   * and schema to an empty directory. Revision history and trash are not
+   * copied.
+   * @param targetDirectory Directory to write to
+   * @returns Copied files, relative to the target directory
+   */
+  public async exportDecrypted(targetDirectory: string): Promise<string[]> {
+    const target = new FsStorage(targetDirectory);
+    
+    if ((await target.list()).length > 0) {
+      throw new MemoryBankError(
+        MemoryErrorCode.FILE_EXISTS,
+        `Export directory is not empty: ${targetDirectory}`,
+        { path: targetDirectory }
+      );
+    }
+    
+    await target.init();
+    
+    const files = [POLICY_FILE_NAME, SCHEMA_FILE_NAME, ...await this.storage.list()];
+    const copied: string[] = [];
+    
+    for (const file of files) {
+      const content = await this.storage.read(file);
+      
+      if (content !== null) {
+        await target.write(file, content);
+        copied.push(file);
+      }
+    }
+    
+    logger.info(`Exported ${copied.length} decrypted Memory Bank files to ${targetDirectory}`);
+    return copied;
+  }
+  
+  /**
+   * Get the access policy of the Memory Bank
+   * @returns Access policy
+   */
+  public getAccessPolicy(): AccessPolicy {
+    return this.accessPolicy;
+  }
+  
+  /**
+   * Get the schema of the Memory Bank
+   * @returns Memory Bank schema
+   */
+  public getSchema(): BankSchema {
+    return this.schema;
+  }
+  
+  /**
+   * Resolve a file name to a path inside the Memory Bank. Rejects absolute
+   * paths, traversal out of the bank and paths the storage backend cannot
+   * address safely, such as symlinks pointing outside of it.
+   * @param fileName File name relative to the Memory Bank root
+   * @returns Normalized relative path and absolute path
+   */
+  public async resolveMemoryPath(fileName: string): Promise<ResolvedMemoryPath> {
+    if (typeof fileName !== 'string' || fileName.trim() === '' || fileName.includes('\0')) {
+      throw new MemoryBankError(MemoryErrorCode.INVALID_PATH, `Invalid file name: ${JSON.stringify(fileName)}`);
+    }
+    
+    if (path.isAbsolute(fileName) || path.win32.isAbsolute(fileName)) {
+      throw new MemoryBankError(
+        MemoryErrorCode.INVALID_PATH,
+        `Absolute paths are not allowed: ${fileName}`,
+        { fileName }
+      );
+    }
+    
+    const rootPath = path.resolve(this.memoryBankPath);
+    const absolutePath = path.resolve(rootPath, fileName);
+    const relativePath = path.relative(rootPath, absolutePath);
+    
+    if (!relativePath || this.isOutside(relativePath)) {
+      throw new MemoryBankError(
+        MemoryErrorCode.PATH_OUTSIDE_BANK,
+        `Path is outside the Memory Bank: ${fileName}`,
+        { fileName }
+      );
+    }
+    
+    const normalized = relativePath.split(path.sep).join('/');
+    await this.storage.checkPath(normalized);
+    
+    return {
+      relativePath: normalized,
+      absolutePath
+    };
+  }
+  
+  /**
+   * Check whether a relative path leaves its base directory
+   * @param relativePath Relative path
+   * @returns True if the path is outside
+   */
+  private isOutside(relativePath: string): boolean {
+    return relativePath === '..' || relativePath.startsWith(`..${path.sep}`) || path.isAbsolute(relativePath);
+  }
+  
   /**
    * Read a Memory Bank file
    * @param fileName File name
    * @returns File content
    */
   public async readMemoryFile(fileName: string): Promise<string> {
+    const { content } = await this.readMemoryFileWithVersion(fileName);
+    return content;
+  }
+  
+  /**
+   * Read a Memory Bank file together with its version
+   * @param fileName File name
+   * @returns File content and version
+   */
+  public async readMemoryFileWithVersion(fileName: string): Promise<VersionedContent> {
     try {
-      const filePath = path.join(this.memoryBankPath, fileName);
-      const content = await fs.readFile(filePath, 'utf8');
-      return content;
+      const { relativePath } = await this.resolveMemoryPath(fileName);
+      
+      await this.accessPolicy.refresh();
+      this.accessPolicy.assertReadable(relativePath);
+      
+      const content = await this.storage.read(relativePath);
+      
+      if (content === null) {
+        throw new MemoryBankError(
+          MemoryErrorCode.FILE_NOT_FOUND,
+          `Memory Bank file not found: ${relativePath}`,
+          { fileName: relativePath }
+        );
+      }
+      
+      return { content, version: getContentVersion(content) };
     } catch (error) {
       const err = error as Error;
       logger.error(`Failed to read Memory Bank file ${fileName}: ${err.message}`);
@@ -111,16 +451,18 @@ export class MemoryManager {
   }
   
   /**
-   * Write content to a Memory Bank file
+   * Write content to a Memory Bank file. The write is atomic and holds an
+   * advisory lock on the file; if an expected version is given and the file
+   * changed since, the write is rejected with a VERSION_CONFLICT error.
+   * Every write is recorded in the file's revision history.
    * @param fileName File name
    * @param content File content
+   * @param options Write options
+   * @returns Version of the written content
    */
-  public async writeMemoryFile(fileName: string, content: string): Promise<void> {
+  public async writeMemoryFile(fileName: string, content: string, options: WriteOptions = {}): Promise<string> {
     try {
-      const filePath = path.join(this.memoryBankPath, fileName);
-      await fs.ensureDir(path.dirname(filePath));
-      await fs.writeFile(filePath, content);
-      logger.info(`Updated Memory Bank file: ${fileName}`);
+      return await this.writeLocked(fileName, () => content, options);
     } catch (error) {
       const err = error as Error;
       logger.error(`Failed to write Memory Bank file ${fileName}: ${err.message}`);
@@ -129,13 +471,680 @@ export class MemoryManager {
   }
   
   /**
-   * Get all Memory Bank files
-   * @returns List of file names
+   * Apply a transformation to an existing Memory Bank file. The file is read,
+   * transformed and written while its lock is held, so concurrent writes
+   * cannot be lost in between. The frontmatter is left as the transformation
+   * produced it, so the untouched rest of the file stays byte-for-byte intact.
+   * @param fileName File name
+   * @param transform Function computing the new content from the current content
+   * @param options Write options
+   * @returns Version of the written content
+   */
+  public async patchMemoryFile(
+    fileName: string,
+    transform: (content: string) => string,
+    options: WriteOptions = {}
+  ): Promise<string> {
+    try {
+      return await this.writeLocked(fileName, (currentContent, relativePath) => {
+        this.accessPolicy.assertReadable(relativePath);
+        
+        if (currentContent === null) {
+          throw new MemoryBankError(
+            MemoryErrorCode.FILE_NOT_FOUND,
+            `Memory Bank file not found: ${relativePath}`,
+            { fileName: relativePath }
+          );
+        }
+        
+        return transform(currentContent);
+      }, { ...options, preserveFrontmatter: true });
+    } catch (error) {
+      const err = error as Error;
+      logger.error(`Failed to patch Memory Bank file ${fileName}: ${err.message}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * Create or transform a Memory Bank file while its lock is held, like
+   * patchMemoryFile but also for a file that does not exist yet
+   * @param fileName File name
+   * @param transform Function computing the new content from the current content, or from null
+   * @param options Write options
+   * @returns Version of the written content
+   */
+  public async updateMemoryFile(
+    fileName: string,
+    transform: (content: string | null) => string,
+    options: WriteOptions = {}
+  ): Promise<string> {
+    try {
+      return await this.writeLocked(fileName, currentContent => transform(currentContent), options);
+    } catch (error) {
+      const err = error as Error;
+      logger.error(`Failed to update Memory Bank file ${fileName}: ${err.message}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * Write a Memory Bank file under its lock. Checks the access policy, the
+   * expected version and, if enabled, the Memory Bank schema, records the
+   * previous and new content in the revision history and schedules a git commit.
+   * @param fileName File name
+   * @param produce Function computing the content to write from the current content
+   * @param options Write options
+   * @returns Version of the written content
+   */
+  private async writeLocked(
+    fileName: string,
+    produce: (currentContent: string | null, relativePath: string) => string,
+    options: WriteOptions
+  ): Promise<string> {
+    const { relativePath } = await this.resolveMemoryPath(fileName);
+    
+    await this.accessPolicy.refresh();
+    await this.schema.refresh();
+    
+    return this.storage.lock(relativePath, async () => {
+      const currentContent = await this.storage.read(relativePath);
+      this.accessPolicy.assertWritable(relativePath, currentContent !== null);
+      
+      const currentVersion = currentContent === null ? null : getContentVersion(currentContent);
+      
+      this.assertExpectedVersion(relativePath, options.expectedVersion, currentContent);
+      
+      const produced = produce(currentContent, relativePath);
+      const content = options.preserveFrontmatter
+        ? produced
+        : await this.applyFrontmatter(relativePath, produced, currentContent);
+      
+      // A single write can ask for the check, but not skip an enforced schema
+      if (options.validateSchema || this.schema.isEnforcedOnWrite()) {
+        this.schema.assertValidWrite(relativePath, content, currentContent);
+      }
+      
+      // Keep content written outside the server (e.g. in an editor) restorable
+      if (currentContent !== null && currentVersion !== null) {
+        await this.historyManager.recordRevision(relativePath, currentContent, currentVersion, 'external');
+      }
+      
+      await this.storage.write(relativePath, content);
+      logger.info(`Updated Memory Bank file: ${fileName}`);
+      
+      const source = options.source || 'memory-manager';
+      const version = getContentVersion(content);
+      this.fileWatcher.markWritten(relativePath, version);
+      await this.historyManager.recordRevision(relativePath, content, version, source);
+      this.gitManager.scheduleCommit(relativePath, source);
+      
+      this.emit('fileChanged', { fileName: relativePath, content, source } as MemoryFileChange);
+      
+      return version;
+    });
+  }
+  
+  /**
+   * Ensure a file still has the version a client read before changing it
+   * @param relativePath Path relative to the Memory Bank root
+   * @param expectedVersion Expected version, or undefined to skip the check
+   * @param currentContent Current content, or null if the file does not exist
+   */
+  private assertExpectedVersion(relativePath: string, expectedVersion: string | undefined, currentContent: string | null): void {
+    if (expectedVersion === undefined) {
+      return;
+    }
+    
+    const currentVersion = currentContent === null ? null : getContentVersion(currentContent);
+    
+    if (currentVersion !== expectedVersion) {
+      throw new MemoryBankError(
+        MemoryErrorCode.VERSION_CONFLICT,
+        `Version conflict for ${relativePath}: expected ${expectedVersion}, found ${currentVersion}`,
+        {
+          fileName: relativePath,
+          expectedVersion,
+          currentVersion,
+          currentContent
+        }
+      );
+    }
+  }
+  
+  /**
+   * Run a function while holding the locks of several files. Locks are taken
+   * in path order, so concurrent callers cannot deadlock.
+   * @param relativePaths Paths of the files to lock, relative to the Memory Bank root
+   * @param fn Function to run while the locks are held
+   * @returns Result of the function
+   */
+  private async withFileLocks<T>(relativePaths: string[], fn: () => Promise<T>): Promise<T> {
+    const [first, ...rest] = [...new Set(relativePaths)].sort();
+    
+    if (!first) {
+      return fn();
+    }
+    
+    return this.storage.lock(first, () => this.withFileLocks(rest, fn));
+  }
+  
+  /**
+   * Delete a Memory Bank file by moving it to the trash, from where it can
+   * be restored
+   * @param fileName File name
+   * @param options Write options
+   * @returns Trash entry of the deleted file
+   */
+  public async deleteMemoryFile(fileName: string, options: WriteOptions = {}): Promise<TrashEntry> {
+    try {
+      const { relativePath } = await this.resolveMemoryPath(fileName);
+      
+      await this.accessPolicy.refresh();
+      
+      return await this.storage.lock(relativePath, async () => {
+        this.accessPolicy.assertReadable(relativePath);
+        
+        const content = await this.storage.read(relativePath);
+        
+        if (content === null) {
+          throw new MemoryBankError(
+            MemoryErrorCode.FILE_NOT_FOUND,
+            `Memory Bank file not found: ${relativePath}`,
+            { fileName: relativePath }
+          );
+        }
+        
+        this.accessPolicy.assertWritable(relativePath, true);
+        this.assertExpectedVersion(relativePath, options.expectedVersion, content);
+        
+        const source = options.source || 'memory-manager';
+        const entry = await this.trashManager.add(relativePath, content, getContentVersion(content), source);
+        
+        await this.storage.delete(relativePath);
+        logger.info(`Deleted Memory Bank file: ${relativePath} (trash entry ${entry.id})`);
+        
+        this.fileWatcher.markWritten(relativePath, null);
+        this.gitManager.scheduleCommit(relativePath, source);
+        
+        this.emit('fileChanged', { fileName: relativePath, content: null, source } as MemoryFileChange);
+        
+        return entry;
+      });
+    } catch (error) {
+      const err = error as Error;
+      logger.error(`Failed to delete Memory Bank file ${fileName}: ${err.message}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * Rename a Memory Bank file. The content is kept as is; with updateLinks,
+   * relative Markdown links to the file in other files, and the file's own
+   * relative links, are rewritten to match the new location.
+   * @param fileName Current file name
+   * @param newFileName New file name
+   * @param options Rename options
+   * @returns New file name and version, and the files whose links were updated
+   */
+  public async renameMemoryFile(fileName: string, newFileName: string, options: RenameOptions = {}): Promise<RenameResult> {
+    try {
+      const from = await this.resolveMemoryPath(fileName);
+      const to = await this.resolveMemoryPath(newFileName);
+      const source = options.source || 'memory-manager';
+      
+      if (from.relativePath === to.relativePath) {
+        throw new MemoryBankError(
+          MemoryErrorCode.INVALID_PATH,
+          `Source and target are the same file: ${from.relativePath}`,
+          { fileName: from.relativePath }
+        );
+      }
+      
+      await this.accessPolicy.refresh();
+      
+      const version = await this.withFileLocks([from.relativePath, to.relativePath], async () => {
+        this.accessPolicy.assertReadable(from.relativePath);
+        
+        const content = await this.storage.read(from.relativePath);
+        
+        if (content === null) {
+          throw new MemoryBankError(
+            MemoryErrorCode.FILE_NOT_FOUND,
+            `Memory Bank file not found: ${from.relativePath}`,
+            { fileName: from.relativePath }
+          );
+        }
+        
+        this.accessPolicy.assertWritable(from.relativePath, true);
+        
+        if (await this.storage.exists(to.relativePath)) {
+          throw new MemoryBankError(
+            MemoryErrorCode.FILE_EXISTS,
+            `Memory Bank file already exists: ${to.relativePath}`,
+            { fileName: to.relativePath }
+          );
+        }
+        
+        this.accessPolicy.assertWritable(to.relativePath, false);
+        this.assertExpectedVersion(from.relativePath, options.expectedVersion, content);
+        
+        const moved = options.updateLinks
+          ? rewriteMarkdownLinks(content, from.relativePath, to.relativePath,
+            target => target === from.relativePath ? to.relativePath : null)
+          : content;
+        const movedVersion = getContentVersion(moved);
+        
+        await this.storage.write(to.relativePath, moved);
+        await this.storage.delete(from.relativePath);
+        logger.info(`Renamed Memory Bank file: ${from.relativePath} -> ${to.relativePath}`);
+        
+        this.fileWatcher.markWritten(from.relativePath, null);
+        this.fileWatcher.markWritten(to.relativePath, movedVersion);
+        await this.historyManager.recordRevision(to.relativePath, moved, movedVersion, source);
+        this.gitManager.scheduleCommit(from.relativePath, source);
+        this.gitManager.scheduleCommit(to.relativePath, source);
+        
+        this.emit('fileChanged', { fileName: from.relativePath, content: null, source } as MemoryFileChange);
+        this.emit('fileChanged', { fileName: to.relativePath, content: moved, source } as MemoryFileChange);
+        
+        return movedVersion;
+      });
+      
+      const result: RenameResult = {
+        fileName: to.relativePath,
+        previousFileName: from.relativePath,
+        version,
+        updatedLinks: [],
+        failedLinks: []
+      };
+      
+      if (options.updateLinks) {
+        const mapTarget = (target: string): string | null => target === from.relativePath ? to.relativePath : null;
+        
+        for (const file of await this.listMemoryFiles()) {
+          if (file === to.relativePath) {
+            continue;
+          }
+          
+          try {
+            const { content } = await this.readMemoryFileWithVersion(file);
+            if (rewriteMarkdownLinks(content, file, file, mapTarget) === content) {
+              continue;
+            }
+            
+            await this.patchMemoryFile(file, current => rewriteMarkdownLinks(current, file, file, mapTarget), { source });
+            result.updatedLinks.push(file);
+          } catch (error) {
+            const err = error as Error;
+            logger.warn(`Failed to update links to ${to.relativePath} in ${file}: ${err.message}`);
+            result.failedLinks.push({ fileName: file, error: err.message });
+          }
+        }
+      }
+      
+      return result;
+    } catch (error) {
+      const err = error as Error;
+      logger.error(`Failed to rename Memory Bank file ${fileName}: ${err.message}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * Move a Memory Bank file into another directory, keeping its name
+   * @param fileName Current file name
+   * @param directory Target directory relative to the Memory Bank root; empty for the root
+   * @param options Rename options
+   * @returns New file name and version, and the files whose links were updated
+   */
+  public async moveMemoryFile(fileName: string, directory: string, options: RenameOptions = {}): Promise<RenameResult> {
+    const { relativePath } = await this.resolveMemoryPath(fileName);
+    const target = path.posix.join(directory.replace(/\\/g, '/') || '.', path.posix.basename(relativePath));
+    
+    return this.renameMemoryFile(relativePath, target, options);
+  }
+  
+  /**
+   * List the files in the trash that are visible under the access policy
+   * @returns Trash entries, most recently deleted first
+   */
+  public async listTrash(): Promise<TrashEntry[]> {
+    await this.accessPolicy.refresh();
+    
+    return (await this.trashManager.list()).filter(entry => this.accessPolicy.isVisible(entry.fileName));
+  }
+  
+  /**
+   * Restore a file from the trash, at its original path or a new one. The
+   * target must not exist.
+   * @param id Trash entry ID
+   * @param options Write options and the path to restore to
+   * @returns Restored file name, version and trash entry
+   */
+  public async restoreFromTrash(
+    id: string,
+    options: WriteOptions & { fileName?: string } = {}
+  ): Promise<{ fileName: string; version: string; entry: TrashEntry }> {
+    const { content, ...entry } = await this.trashManager.get(id);
+    
+    await this.accessPolicy.refresh();
+    this.accessPolicy.assertReadable(entry.fileName);
+    
+    let restoredPath = entry.fileName;
+    const version = await this.writeLocked(options.fileName || entry.fileName, (currentContent, relativePath) => {
+      if (currentContent !== null) {
+        throw new MemoryBankError(
+          MemoryErrorCode.FILE_EXISTS,
+          `Memory Bank file already exists: ${relativePath}`,
+          { fileName: relativePath }
+        );
+      }
+      
+      restoredPath = relativePath;
+      return content;
+    }, { source: options.source || `restore_trash:${id}` });
+    
+    await this.trashManager.remove(id);
+    
+    return { fileName: restoredPath, version, entry };
+  }
+  
+  /**
+   * Permanently delete files from the trash. Entries need the same access
+   * as deleting their original file: a single entry that may not be deleted
+   * is refused, and emptying the trash keeps such entries.
+   * @param options Entry to delete, or minimum age in days of the entries to delete; empties the trash without options
+   * @returns Deleted entries
+   */
+  public async purgeTrash(options: PurgeOptions = {}): Promise<TrashEntry[]> {
+    await this.accessPolicy.refresh();
+    
+    return this.trashManager.purge(options, entry => {
+      try {
+        this.accessPolicy.assertWritable(entry.fileName, true);
+        return true;
+      } catch (error) {
+        if (options.id !== undefined) {
+          throw error;
+        }
+        
+        return false;
+      }
+    });
+  }
+  
+  /**
+   * Maintain the frontmatter of a Markdown file being written. Only files
+   * that have frontmatter, or are given some by this write, are maintained;
+   * files whose frontmatter cannot be parsed are written unchanged.
+   * @param relativePath Path relative to the Memory Bank root
+   * @param content Content to write
+   * @param currentContent Current content, or null for a new file
+   * @returns Content with maintained frontmatter
+   */
+  private async applyFrontmatter(
+    relativePath: string,
+    content: string,
+    currentContent: string | null
+  ): Promise<string> {
+    if (!this.frontmatterEnabled || !relativePath.endsWith('.md')) {
+      return content;
+    }
+    
+    if (!hasFrontmatter(content) && (currentContent === null || !hasFrontmatter(currentContent))) {
+      return content;
+    }
+    
+    try {
+      const stats = currentContent !== null ? await this.storage.stat(relativePath) : null;
+      const created = stats ? stats.created : new Date();
+      
+      return maintainFrontmatter(content, currentContent, new Date(), created);
+    } catch (error) {
+      const err = error as Error;
+      logger.warn(`Frontmatter of ${relativePath} not maintained: ${err.message}`);
+      return content;
+    }
+  }
+  
+  /**
+   * Move task insights beyond the configured count or age from
+   * activeContext.md into monthly archive files, keeping a digest of them
+   * @param options Limits overriding the settings, target size and dry run
+   * @returns Compaction result
+   */
+  public async compactInsights(options: CompactionOptions = {}): Promise<CompactionResult> {
+    return this.insightCompactor.compact(options);
+  }
+  
+  /**
+   * Get the insight compaction settings
+   * @returns Compaction settings
+   */
+  public getCompactionSettings(): CompactionSettings {
+    return this.insightCompactor.getSettings();
+  }
+  
+  /**
+   * Get the revision history retention settings
+   * @returns Retention settings
+   */
+  public getHistoryRetention(): RetentionOptions {
+    return this.historyManager.getRetention();
+  }
+  
+  /**
+   * List the revisions of a Memory Bank file, oldest first
+   * @param fileName File name
+   * @returns Revisions
+   */
+  public async listRevisions(fileName: string): Promise<Revision[]> {
+    const { relativePath } = await this.resolveMemoryPath(fileName);
+    
+    await this.accessPolicy.refresh();
+    this.accessPolicy.assertReadable(relativePath);
+    
+    return this.historyManager.listRevisions(relativePath);
+  }
+  
+  /**
+   * Get a revision of a Memory Bank file
+   * @param fileName File name
+   * @param revisionId Revision ID
+   * @returns Revision metadata and content
+   */
+  public async getRevision(fileName: string, revisionId: string): Promise<Revision & { content: string }> {
+    const { relativePath } = await this.resolveMemoryPath(fileName);
+    
+    await this.accessPolicy.refresh();
+    this.accessPolicy.assertReadable(relativePath);
+    
+    return this.historyManager.getRevision(relativePath, revisionId);
+  }
+  
+  /**
+   * Create a unified diff between two revisions of a Memory Bank file
+   * @param fileName File name
+   * @param fromRevisionId Revision to diff from
+   * @param toRevisionId Revision to diff to (defaults to the current content)
+   * @returns Unified diff
+   */
+  public async diffRevisions(fileName: string, fromRevisionId: string, toRevisionId?: string): Promise<string> {
+    const from = await this.getRevision(fileName, fromRevisionId);
+    const to = toRevisionId
+      ? await this.getRevision(fileName, toRevisionId)
+      : { id: 'current', content: await this.readMemoryFile(fileName) };
+    
+    return createUnifiedDiff(from.content, to.content, {
+      oldLabel: `${fileName}@${from.id}`,
+      newLabel: `${fileName}@${to.id}`
+    });
+  }
+  
+  /**
+   * Restore a Memory Bank file to a previous revision. The restore is
+   * itself recorded as a new revision.
+   * @param fileName File name
+   * @param revisionId Revision ID
+   * @param options Write options
+   * @returns Version of the restored content
+   */
+  public async restoreRevision(fileName: string, revisionId: string, options: WriteOptions = {}): Promise<string> {
+    const revision = await this.getRevision(fileName, revisionId);
+    
+    return this.writeMemoryFile(fileName, revision.content, {
+      ...options,
+      source: options.source || `restore:${revision.id}`
+    });
+  }
+  
+  /**
+   * Check whether git-backed mode is enabled
+   * @returns True if changes are committed to git
+   */
+  public isGitEnabled(): boolean {
+    return this.gitManager.isEnabled();
+  }
+  
+  /**
+   * Commit pending git changes immediately
+   * @returns Commit hash, or null if there was nothing to commit
+   */
+  public async flushGitCommits(): Promise<string | null> {
+    return this.gitManager.flush();
+  }
+  
+  /**
+   * Get the git log of the Memory Bank
+   * @param limit Maximum number of commits
+   * @param fileName Limit the log to one file
+   * @returns Commits, newest first
+   */
+  public async getGitLog(limit: number = 20, fileName?: string): Promise<GitCommit[]> {
+    let relativePath: string | undefined;
+    
+    if (fileName) {
+      relativePath = (await this.resolveMemoryPath(fileName)).relativePath;
+      await this.accessPolicy.refresh();
+      this.accessPolicy.assertReadable(relativePath);
+    }
+    
+    return this.gitManager.log(limit, relativePath);
+  }
+  
+  /**
+   * Show a git commit of the Memory Bank
+   * @param commit Commit hash
+   * @returns Commit metadata, message and patch
+   */
+  public async showGitCommit(commit: string): Promise<GitCommit & { message: string; files: string[]; patch: string }> {
+    await this.accessPolicy.refresh();
+    
+    const files = await this.gitManager.getCommitFiles(commit);
+    files.forEach(file => this.accessPolicy.assertReadable(file));
+    
+    return this.gitManager.show(commit);
+  }
+  
+  /**
+   * Revert a git commit of the Memory Bank. Every file touched by the
+   * commit must be writable under the access policy.
+   * @param commit Commit hash
+   * @returns Hash of the revert commit and the reverted files
+   */
+  public async revertGitCommit(commit: string): Promise<{ commit: string; files: string[] }> {
+    await this.gitManager.flush();
+    await this.accessPolicy.refresh();
+    
+    const files = await this.gitManager.getCommitFiles(commit);
+    for (const file of files) {
+      this.accessPolicy.assertWritable(file, await this.storage.exists(file));
+    }
+    
+    const revertCommit = await this.gitManager.revert(commit);
+    
+    // Keep the revision history and listeners in step with the reverted files
+    for (const file of files) {
+      const source = `git_revert:${commit}`;
+      
+      await this.storage.lock(file, async () => {
+        const content = await this.storage.read(file);
+        
+        if (content === null) {
+          this.fileWatcher.markWritten(file, null);
+          this.emit('fileChanged', { fileName: file, content: null, source } as MemoryFileChange);
+          return;
+        }
+        
+        const version = getContentVersion(content);
+        await this.historyManager.recordRevision(file, content, version, source);
+        this.fileWatcher.markWritten(file, version);
+        this.emit('fileChanged', { fileName: file, content, source } as MemoryFileChange);
+      });
+    }
+    
+    return { commit: revertCommit, files };
+  }
+  
+  /**
+   * Collect the files of the Memory Bank visible under the access policy.
+   * Reserved dot-files and dot-directories and symbolic links are skipped.
+   * @param markdownOnly Only collect Markdown files
+   * @returns Files with their sizes, sorted by path
+   */
+  private async walkMemoryFiles(markdownOnly: boolean = true): Promise<{ relativePath: string; size: number }[]> {
+    await this.accessPolicy.refresh();
+    
+    const files: { relativePath: string; size: number }[] = [];
+    
+    for (const relativePath of await this.storage.list()) {
+      if ((markdownOnly && !relativePath.endsWith('.md')) || !this.accessPolicy.isVisible(relativePath)) {
+        continue;
+      }
+      
+      const stats = await this.storage.stat(relativePath);
+      if (stats) {
+        files.push({ relativePath, size: stats.size });
+      }
+    }
+    
+    return files.sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+  }
+  
+  /**
+   * Get all Memory Bank files visible under the access policy, including
+   * files in subdirectories
+   * @param patterns Only include files matching one of these glob patterns
+   * @returns List of file paths relative to the Memory Bank root
+   */
+  public async listMemoryFiles(patterns?: string[]): Promise<string[]> {
+    try {
+      const files = await this.walkMemoryFiles();
+      
+      return files
+        .map(file => file.relativePath)
+        .filter(file => !patterns || patterns.length === 0 || matchAnyGlob(file, patterns));
+    } catch (error) {
+      const err = error as Error;
+      logger.error(`Failed to list Memory Bank files: ${err.message}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get every file of the Memory Bank visible under the access policy, not
+   * only Markdown files, such as the task list in tasks/tasks.json
+   * @param patterns Only include files matching one of these glob patterns
+   * @returns List of file paths relative to the Memory Bank root
    */
-  public async listMemoryFiles(): Promise<string[]> {
+  public async listBankFiles(patterns?: string[]): Promise<string[]> {
     try {
-      const files = await fs.readdir(this.memoryBankPath);
-      return files.filter(file => file.endsWith('.md'));
+      const files = await this.walkMemoryFiles(false);
+      
+      return files
+        .map(file => file.relativePath)
+        .filter(file => !patterns || patterns.length === 0 || matchAnyGlob(file, patterns));
     } catch (error) {
       const err = error as Error;
       logger.error(`Failed to list Memory Bank files: ${err.message}`);
@@ -143,25 +1152,175 @@ export class MemoryManager {
     }
   }
   
+  /**
+   * Check the Memory Bank against its schema: required files, required
+   * headings, maximum sizes and required frontmatter keys
+   * @returns Violations, sorted by file and line
+   */
+  public async lintMemoryBank(): Promise<SchemaViolation[]> {
+    try {
+      await this.schema.refresh();
+      
+      const files = (await this.walkMemoryFiles()).map(file => file.relativePath);
+      const violations = this.schema.findMissingFiles(files);
+      
+      for (const relativePath of files) {
+        const content = await this.storage.read(relativePath);
+        if (content !== null) {
+          violations.push(...this.schema.validateFile(relativePath, content));
+        }
+      }
+      
+      return violations.sort((a, b) => a.file.localeCompare(b.file) || (a.line ?? 0) - (b.line ?? 0));
+    } catch (error) {
+      const err = error as Error;
+      logger.error(`Failed to lint Memory Bank: ${err.message}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the Memory Bank as a tree of directories and files. Directories
+   * without visible files are left out.
+   * @param patterns Only include files matching one of these glob patterns
+   * @returns Root directory node
+   */
+  public async getMemoryTree(patterns?: string[]): Promise<MemoryTreeNode> {
+    const root: MemoryTreeNode = { name: '.', path: '', type: 'directory', children: [] };
+    const files = (await this.walkMemoryFiles())
+      .filter(file => !patterns || patterns.length === 0 || matchAnyGlob(file.relativePath, patterns));
+    
+    for (const file of files) {
+      const segments = file.relativePath.split('/');
+      let node = root;
+      
+      segments.slice(0, -1).forEach((segment, i) => {
+        let child = node.children!.find(entry => entry.type === 'directory' && entry.name === segment);
+        
+        if (!child) {
+          child = { name: segment, path: segments.slice(0, i + 1).join('/'), type: 'directory', children: [] };
+          node.children!.push(child);
+        }
+        
+        node = child;
+      });
+      
+      node.children!.push({ name: segments[segments.length - 1], path: file.relativePath, type: 'file', size: file.size });
+    }
+    
+    // List directories before files
+    const sortTree = (node: MemoryTreeNode): void => {
+      node.children?.sort((a, b) => (a.type === b.type ? a.name.localeCompare(b.name) : a.type === 'directory' ? -1 : 1));
+      node.children?.forEach(sortTree);
+    };
+    sortTree(root);
+    
+    return root;
+  }
+  
+  /**
+   * Get the frontmatter metadata of a Memory Bank file
+   * @param fileName File name
+   * @returns Metadata and modification time
+   */
+  public async getFileMetadata(fileName: string): Promise<MemoryFileMetadata> {
+    const { relativePath } = await this.resolveMemoryPath(fileName);
+    const { content } = await this.readMemoryFileWithVersion(relativePath);
+    const stats = await this.storage.stat(relativePath);
+    
+    let metadata: FrontmatterData = {};
+    try {
+      metadata = parseFrontmatter(content).data;
+    } catch (error) {
+      const err = error as Error;
+      logger.warn(`Failed to parse frontmatter of ${relativePath}: ${err.message}`);
+    }
+    
+    return {
+      fileName: relativePath,
+      metadata,
+      modified: (stats ? stats.modified : new Date()).toISOString()
+    };
+  }
+  
+  /**
+   * List Memory Bank files together with their frontmatter metadata
+   * @param patterns Only include files matching one of these glob patterns
+   * @returns Files and metadata
+   */
+  public async listMemoryFilesWithMetadata(patterns?: string[]): Promise<MemoryFileMetadata[]> {
+    const files = await this.listMemoryFiles(patterns);
+    return Promise.all(files.map(file => this.getFileMetadata(file)));
+  }
+  
+  /**
+   * Find Memory Bank files by frontmatter metadata. All given criteria must
+   * match; tags, status and owner are compared case-insensitively. Files
+   * without an `updated` entry use their modification time.
+   * @param query Query criteria
+   * @returns Matching files and metadata
+   */
+  public async queryMemoryFiles(query: MetadataQuery): Promise<MemoryFileMetadata[]> {
+    const since = query.updatedSince ? new Date(query.updatedSince) : null;
+    
+    if (since && isNaN(since.getTime())) {
+      throw new MemoryBankError(
+        MemoryErrorCode.INVALID_QUERY,
+        `Invalid updatedSince date: ${query.updatedSince}`,
+        { updatedSince: query.updatedSince }
+      );
+    }
+    
+    const normalize = (value: unknown): string => String(value).trim().toLowerCase();
+    const files = await this.listMemoryFilesWithMetadata();
+    
+    return files.filter(({ metadata, modified }) => {
+      if (query.tags && query.tags.length > 0) {
+        const tags = (Array.isArray(metadata.tags) ? metadata.tags : [metadata.tags]).filter(tag => tag !== null && tag !== undefined).map(normalize);
+        if (!query.tags.every(tag => tags.includes(normalize(tag)))) return false;
+      }
+      
+      if (query.status !== undefined && normalize(metadata.status) !== normalize(query.status)) return false;
+      if (query.owner !== undefined && normalize(metadata.owner) !== normalize(query.owner)) return false;
+      if (query.priority !== undefined && normalize(metadata.priority) !== normalize(query.priority)) return false;
+      
+      if (since) {
+        const updated = new Date(typeof metadata.updated === 'string' ? metadata.updated : modified);
+        if (isNaN(updated.getTime()) || updated < since) return false;
+      }
+      
+      return true;
+    });
+  }
+  
   /**
    * Get statistics about the Memory Bank
    * @returns Memory Bank statistics
    */
   public async getStats(): Promise<any> {
     try {
-      const files = await this.listMemoryFiles();
+      const files = await this.walkMemoryFiles();
+      const directories: Record<string, DirectoryStats> = {};
       
-      const totalSize = await files.reduce(async (promise, file) => {
-        const total = await promise;
-        const filePath = path.join(this.memoryBankPath, file);
-        const stats = await fs.stat(filePath);
-        return total + stats.size;
-      }, Promise.resolve(0));
+      // Count every file towards its directory and all parent directories
+      for (const file of files) {
+        const segments = file.relativePath.split('/').slice(0, -1);
+        
+        for (let depth = 0; depth <= segments.length; depth++) {
+          const directory = depth === 0 ? '.' : segments.slice(0, depth).join('/');
+          const stats = directories[directory] || (directories[directory] = { files: 0, totalSize: 0 });
+          stats.files++;
+          stats.totalSize += file.size;
+        }
+      }
       
       return {
         path: this.memoryBankPath,
+        storage: this.storage.type,
+        encrypted: this.storage.isEncrypted(),
         files: files.length,
-        totalSize: totalSize,
+        totalSize: files.reduce((total, file) => total + file.size, 0),
+        directories,
         initialized: this.initialized
       };
     } catch (error) {
@@ -8,7 +8,7 @@ import logger from '../../logger.js';
 /**
  * Mode Manager for controlling Plan/Act workflows
  */
-class ModeManager {
+export class ModeManager {
   constructor() {
     // Default to plan mode
     this.currentMode = 'plan';
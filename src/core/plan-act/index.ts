@@ -5,12 +5,12 @@
 
 import { logger } from '../../logger.js';
 
-type Mode = 'plan' | 'act';
+export type Mode = 'plan' | 'act';
 
 /**
  * Mode Manager for controlling Plan/Act workflows
  */
-class ModeManager {
+export class ModeManager {
   private currentMode: Mode;
   
   constructor() {
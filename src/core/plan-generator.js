@@ -0,0 +1,141 @@
+/**
+ * plan-generator.js
+ * Task plans generated by the model: the prompt built from the task and
+ * Memory Bank context, and validation of the JSON plan the model returns
+ */
+
+import { z } from 'zod';
+import { MemoryBankError, MemoryErrorCode } from './errors.js';
+import { TASK_PRIORITIES } from './task-store.js';
+import { getAIResponse } from './utils/ai-client.js';
+
+// Most steps a plan may have
+export const MAX_PLAN_STEPS = 20;
+
+// Token budget of the Memory Bank context included in the prompt
+export const PLAN_CONTEXT_TOKEN_BUDGET = 6000;
+
+export const PLAN_EFFORTS = ['low', 'medium', 'high'];
+
+const planStepSchema = z.object({
+  title: z.string().trim().min(1).max(200),
+  description: z.string().default(''),
+  priority: z.enum(TASK_PRIORITIES).default('medium'),
+  dependsOn: z.array(z.number().int().min(1)).default([])
+});
+
+const planSchema = z.object({
+  summary: z.string().default(''),
+  estimatedEffort: z.enum(PLAN_EFFORTS),
+  steps: z.array(planStepSchema).min(1).max(MAX_PLAN_STEPS)
+});
+
+export const PLAN_SYSTEM_PROMPT = `You are a planning assistant for a software project. Break the task you are given into concrete, implementable steps, using the project's Memory Bank context where it is relevant.
+
+Reply with a single JSON object and nothing else, in this form:
+{
+  "summary": "One or two sentences describing the approach",
+  "estimatedEffort": "low" | "medium" | "high",
+  "steps": [
+    {
+      "title": "Short imperative title",
+      "description": "What the step involves and how to tell it is done",
+      "priority": "high" | "medium" | "low",
+      "dependsOn": [numbers of earlier steps that must be done first, counting from 1]
+    }
+  ]
+}
+
+Use between 1 and ${MAX_PLAN_STEPS} steps, in the order they should be done.`;
+
+/**
+ * Build the prompt asking for a plan
+ * @param {string} taskDescription Task to plan
+ * @param {string|null} context Relevant Memory Bank context, or null to plan without it
+ * @returns {string} Prompt
+ */
+export function buildPlanPrompt(taskDescription, context) {
+  const parts = [];
+
+  if (context) {
+    parts.push(`<memory_bank_context>\n${context}\n</memory_bank_context>`);
+  }
+
+  parts.push(`<task>\n${taskDescription}\n</task>`);
+  parts.push('Plan this task. Reply with the JSON plan only.');
+
+  return parts.join('\n\n');
+}
+
+/**
+ * Parse and validate the plan in a model response
+ * @param {string} text Model response, optionally with the JSON in a code fence
+ * @returns {Object} Validated plan
+ */
+export function parsePlan(text) {
+  const fenced = /```(?:json)?\s*\n([\s\S]*?)\n\s*```/.exec(text);
+  const json = fenced ? fenced[1] : text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1);
+
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    throw new MemoryBankError(
+      MemoryErrorCode.INVALID_PLAN,
+      'Model response does not contain a JSON plan',
+      { response: text.slice(0, 500) }
+    );
+  }
+
+  const parsed = planSchema.safeParse(data);
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map(issue => `${issue.path.join('.') || 'plan'}: ${issue.message}`);
+    throw new MemoryBankError(
+      MemoryErrorCode.INVALID_PLAN,
+      `Model returned an invalid plan: ${issues.join('; ')}`,
+      { issues }
+    );
+  }
+
+  parsed.data.steps.forEach((step, index) => {
+    const invalid = step.dependsOn.filter(number => number > index);
+    if (invalid.length > 0) {
+      throw new MemoryBankError(
+        MemoryErrorCode.INVALID_PLAN,
+        `Step ${index + 1} of the plan depends on steps that do not come before it: ${invalid.join(', ')}`,
+        { step: index + 1, invalid }
+      );
+    }
+  });
+
+  return parsed.data;
+}
+
+/**
+ * Ask the model for a plan
+ * @param {string} taskDescription Task to plan
+ * @param {string|null} context Relevant Memory Bank context, or null to plan without it
+ * @param {Object} options Options for the model request
+ * @returns {Promise<Object>} Validated plan
+ */
+export async function generatePlan(
+  taskDescription,
+  context,
+  options = {}
+) {
+  const response = await getAIResponse(buildPlanPrompt(taskDescription, context), {
+    system: PLAN_SYSTEM_PROMPT,
+    json: true,
+    // Asking again should give a new plan, not the one that was rejected
+    cache: false,
+    ...options
+  });
+
+  return parsePlan(response);
+}
+
+export default {
+  buildPlanPrompt,
+  parsePlan,
+  generatePlan
+};
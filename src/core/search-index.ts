@@ -0,0 +1,373 @@
+/**
+ * search-index.ts
+ * Incremental inverted index for full-text search across Memory Bank files
+ */
+
+import { logger } from '../logger.js';
+
+// BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Maximum snippet length in characters
+const SNIPPET_LENGTH = 160;
+
+export interface SearchOptions {
+  regex?: boolean;
+  caseSensitive?: boolean;
+  limit?: number;
+  filter?: (fileName: string) => boolean;
+}
+
+export interface SearchHit {
+  file: string;
+  headingPath: string[];
+  line: number;
+  snippet: string;
+  score: number;
+}
+
+interface IndexedDocument {
+  lines: string[];
+  headings: string[][];
+  termCounts: Map<string, number>;
+  length: number;
+}
+
+interface ParsedQuery {
+  terms: string[];
+  rawTerms: string[];
+  phrases: string[];
+}
+
+/**
+ * Split text into lowercase search terms
+ * @param text Text to tokenize
+ * @returns Terms
+ */
+export function tokenize(text: string): string[] {
+  return text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+}
+
+/**
+ * Compute the heading path of every line of a Markdown document,
+ * ignoring headings inside fenced code blocks
+ * @param lines Document lines
+ * @returns Heading path for each line
+ */
+export function getHeadingPaths(lines: string[]): string[][] {
+  const paths: string[][] = [];
+  let stack: { level: number; title: string }[] = [];
+  let fence: string | null = null;
+
+  for (const line of lines) {
+    const fenceMatch = /^\s*(```|~~~)/.exec(line);
+
+    if (fenceMatch) {
+      fence = fence === null ? fenceMatch[1] : (fence === fenceMatch[1] ? null : fence);
+    } else if (fence === null) {
+      const headingMatch = /^(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+
+      if (headingMatch) {
+        const level = headingMatch[1].length;
+        stack = stack.filter(heading => heading.level < level);
+        stack.push({ level, title: headingMatch[2] });
+      }
+    }
+
+    paths.push(stack.map(heading => heading.title));
+  }
+
+  return paths;
+}
+
+/**
+ * Parse a query into terms and quoted phrases
+ * @param query Search query
+ * @returns Parsed query
+ */
+function parseQuery(query: string): ParsedQuery {
+  const phrases: string[] = [];
+  const rest = query.replace(/"([^"]+)"/g, (_match, phrase: string) => {
+    phrases.push(phrase.trim().replace(/\s+/g, ' '));
+    return ' ';
+  });
+
+  const rawTerms = rest.match(/[\p{L}\p{N}_]+/gu) || [];
+
+  return {
+    terms: rawTerms.map(term => term.toLowerCase()),
+    rawTerms,
+    phrases: phrases.filter(Boolean)
+  };
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param text Text to escape
+ * @returns Escaped text
+ */
+function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export class SearchIndex {
+  private documents: Map<string, IndexedDocument>;
+  private postings: Map<string, Set<string>>;
+  private totalLength: number;
+
+  constructor() {
+    this.documents = new Map();
+    this.postings = new Map();
+    this.totalLength = 0;
+  }
+
+  /**
+   * Add or replace a file in the index
+   * @param fileName File name relative to the Memory Bank root
+   * @param content File content
+   */
+  indexFile(fileName: string, content: string): void {
+    this.removeFile(fileName);
+
+    const lines = content.split(/\r?\n/);
+    const termCounts = new Map<string, number>();
+    let length = 0;
+
+    for (const term of tokenize(content)) {
+      termCounts.set(term, (termCounts.get(term) || 0) + 1);
+      length++;
+    }
+
+    for (const term of termCounts.keys()) {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Set());
+      }
+      this.postings.get(term)!.add(fileName);
+    }
+
+    this.documents.set(fileName, { lines, headings: getHeadingPaths(lines), termCounts, length });
+    this.totalLength += length;
+  }
+
+  /**
+   * Remove a file from the index
+   * @param fileName File name relative to the Memory Bank root
+   */
+  removeFile(fileName: string): void {
+    const document = this.documents.get(fileName);
+    if (!document) {
+      return;
+    }
+
+    for (const term of document.termCounts.keys()) {
+      const files = this.postings.get(term);
+      files?.delete(fileName);
+
+      if (files && files.size === 0) {
+        this.postings.delete(term);
+      }
+    }
+
+    this.totalLength -= document.length;
+    this.documents.delete(fileName);
+  }
+
+  /**
+   * Replace the whole index
+   * @param files Map of file names to content
+   */
+  rebuild(files: Map<string, string>): void {
+    this.clear();
+
+    for (const [fileName, content] of files.entries()) {
+      this.indexFile(fileName, content);
+    }
+
+    logger.info(`Search index built for ${this.documents.size} Memory Bank files (${this.postings.size} terms)`);
+  }
+
+  /**
+   * Remove all files from the index
+   */
+  clear(): void {
+    this.documents.clear();
+    this.postings.clear();
+    this.totalLength = 0;
+  }
+
+  /**
+   * Get the inverse document frequency of a term
+   * @param term Search term
+   * @returns IDF weight
+   */
+  idf(term: string): number {
+    const df = this.postings.get(term)?.size || 0;
+    const n = this.documents.size;
+    return Math.log(1 + (n - df + 0.5) / (df + 0.5));
+  }
+
+  /**
+   * Score a document against query terms with BM25
+   * @param document Indexed document
+   * @param terms Query terms
+   * @returns BM25 score
+   */
+  private bm25(document: IndexedDocument, terms: string[]): number {
+    const averageLength = this.totalLength / Math.max(1, this.documents.size) || 1;
+    let score = 0;
+
+    for (const term of terms) {
+      const tf = document.termCounts.get(term) || 0;
+      if (tf === 0) continue;
+
+      score += this.idf(term) * (tf * (BM25_K1 + 1)) /
+        (tf + BM25_K1 * (1 - BM25_B + BM25_B * document.length / averageLength));
+    }
+
+    return score;
+  }
+
+  /**
+   * Search the index. Terms must all occur in a file; quoted phrases must
+   * occur on a single line. In regex mode the query is a regular expression
+   * matched against every line.
+   * @param query Search query
+   * @param options Search options
+   * @returns Ranked hits
+   */
+  search(query: string, options: SearchOptions = {}): SearchHit[] {
+    const { regex = false, caseSensitive = false, limit = 20, filter } = options;
+    const hits: SearchHit[] = [];
+
+    if (regex) {
+      const pattern = new RegExp(query, caseSensitive ? 'g' : 'gi');
+
+      for (const [file, document] of this.documents.entries()) {
+        if (filter && !filter(file)) continue;
+
+        document.lines.forEach((line, index) => {
+          const matches = line.match(pattern);
+          if (matches) {
+            hits.push(this.createHit(file, document, index, matches.length, new RegExp(pattern.source, pattern.flags)));
+          }
+        });
+      }
+    } else {
+      const { terms, rawTerms, phrases } = parseQuery(query);
+      if (terms.length === 0 && phrases.length === 0) {
+        return [];
+      }
+
+      const phraseTerms = phrases.flatMap(phrase => tokenize(phrase));
+      const flags = caseSensitive ? 'g' : 'gi';
+      const termPatterns = rawTerms.map(term => new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegExp(term)}(?![\\p{L}\\p{N}_])`, `${flags}u`));
+      const phrasePatterns = phrases.map(phrase => new RegExp(escapeRegExp(phrase).replace(/ /g, '\\s+'), flags));
+
+      for (const file of this.getCandidates([...terms, ...phraseTerms])) {
+        if (filter && !filter(file)) continue;
+
+        const document = this.documents.get(file)!;
+        const fileScore = this.bm25(document, [...terms, ...phraseTerms]);
+        const lineHits: SearchHit[] = [];
+        const matched = { terms: new Set<number>(), phrases: new Set<number>() };
+
+        document.lines.forEach((line, index) => {
+          let lineScore = 0;
+
+          termPatterns.forEach((pattern, i) => {
+            pattern.lastIndex = 0;
+            if (pattern.test(line)) {
+              matched.terms.add(i);
+              lineScore += this.idf(terms[i]);
+            }
+          });
+
+          phrasePatterns.forEach((pattern, i) => {
+            pattern.lastIndex = 0;
+            if (pattern.test(line)) {
+              matched.phrases.add(i);
+              lineScore += 2 * tokenize(phrases[i]).reduce((sum, term) => sum + this.idf(term), 0);
+            }
+          });
+
+          if (lineScore > 0) {
+            const highlight = [...phrasePatterns, ...termPatterns].find(pattern => {
+              pattern.lastIndex = 0;
+              return pattern.test(line);
+            });
+            lineHits.push(this.createHit(file, document, index, lineScore + fileScore, highlight));
+          }
+        });
+
+        // Every term and phrase must match somewhere in the file
+        if (matched.terms.size === terms.length && matched.phrases.size === phrases.length) {
+          hits.push(...lineHits);
+        }
+      }
+    }
+
+    return hits
+      .sort((a, b) => b.score - a.score || a.file.localeCompare(b.file) || a.line - b.line)
+      .slice(0, limit);
+  }
+
+  /**
+   * Get files that contain all given terms
+   * @param terms Lowercase terms
+   * @returns Candidate file names
+   */
+  private getCandidates(terms: string[]): string[] {
+    if (terms.length === 0) {
+      return Array.from(this.documents.keys());
+    }
+
+    const sets = terms.map(term => this.postings.get(term) || new Set<string>());
+    sets.sort((a, b) => a.size - b.size);
+
+    return Array.from(sets[0]).filter(file => sets.every(set => set.has(file)));
+  }
+
+  /**
+   * Create a search hit for a line
+   * @param file File name
+   * @param document Indexed document
+   * @param index Zero-based line index
+   * @param score Hit score
+   * @param highlight Pattern locating the match for the snippet
+   * @returns Search hit
+   */
+  private createHit(file: string, document: IndexedDocument, index: number, score: number, highlight?: RegExp): SearchHit {
+    const line = document.lines[index];
+    let start = 0;
+
+    if (highlight && line.length > SNIPPET_LENGTH) {
+      highlight.lastIndex = 0;
+      const match = highlight.exec(line);
+      start = Math.max(0, Math.min((match?.index || 0) - SNIPPET_LENGTH / 4, line.length - SNIPPET_LENGTH));
+    }
+
+    const snippet = line.slice(start, start + SNIPPET_LENGTH).trim();
+
+    return {
+      file,
+      headingPath: document.headings[index],
+      line: index + 1,
+      snippet: `${start > 0 ? '…' : ''}${snippet}${start + SNIPPET_LENGTH < line.length ? '…' : ''}`,
+      score: Math.round(score * 1000) / 1000
+    };
+  }
+
+  /**
+   * Get statistics about the index
+   * @returns Index statistics
+   */
+  getStats(): { files: number; terms: number } {
+    return {
+      files: this.documents.size,
+      terms: this.postings.size
+    };
+  }
+}
+
+export default SearchIndex;
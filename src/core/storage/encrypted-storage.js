@@ -0,0 +1,367 @@
+/**
+ * encrypted-storage.js
+ * Opt-in encryption at rest: wraps a storage backend and encrypts file
+ * contents with AES-256-GCM. Top-level dot-files (access policy, schema and
+ * the encryption marker) stay plain so they can be edited by hand.
+ */
+
+import fs from 'fs-extra';
+import crypto from 'crypto';
+import logger from '../../logger.js';
+import { MemoryBankError, MemoryErrorCode } from '../errors.js';
+
+// Marker file recording that a Memory Bank is encrypted and with which key
+export const ENCRYPTION_FILE_NAME = '.memory-encryption.json';
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Encrypted content is stored as text: PREFIX + key ID + ':' + base64url(iv | tag | ciphertext)
+const PREFIX = 'TFENC1:';
+
+/**
+ * Parse an encryption key given as base64 or as 64 hex digits
+ * @param {string} value Encoded key
+ * @param {string} source Where the key came from, for error messages
+ * @returns {Buffer} 32-byte key
+ */
+export function parseEncryptionKey(value, source) {
+  const trimmed = value.trim();
+  const key = /^[0-9a-f]{64}$/i.test(trimmed) ? Buffer.from(trimmed, 'hex') : Buffer.from(trimmed, 'base64');
+
+  if (key.length !== KEY_LENGTH) {
+    throw new MemoryBankError(
+      MemoryErrorCode.ENCRYPTION_KEY_INVALID,
+      `Encryption key from ${source} must be ${KEY_LENGTH} bytes, given as base64 or hex`,
+      { source }
+    );
+  }
+
+  return key;
+}
+
+/**
+ * Load the encryption key from MEMORY_BANK_ENCRYPTION_KEY or from the file
+ * named by MEMORY_BANK_ENCRYPTION_KEY_FILE
+ * @returns {Promise<Buffer|null>} Key, or null if none is configured
+ */
+export async function loadEncryptionKey() {
+  if (process.env.MEMORY_BANK_ENCRYPTION_KEY) {
+    return parseEncryptionKey(process.env.MEMORY_BANK_ENCRYPTION_KEY, 'MEMORY_BANK_ENCRYPTION_KEY');
+  }
+
+  const keyFile = process.env.MEMORY_BANK_ENCRYPTION_KEY_FILE;
+  if (!keyFile) {
+    return null;
+  }
+
+  return readKeyFile(keyFile);
+}
+
+/**
+ * Read an encryption key from a file
+ * @param {string} keyFile Key file path
+ * @returns {Promise<Buffer>} Key
+ */
+export async function readKeyFile(keyFile) {
+  if (!await fs.pathExists(keyFile)) {
+    throw new MemoryBankError(
+      MemoryErrorCode.ENCRYPTION_KEY_MISSING,
+      `Encryption key file not found: ${keyFile}`,
+      { keyFile }
+    );
+  }
+
+  const stats = await fs.stat(keyFile);
+  if (process.platform !== 'win32' && (stats.mode & 0o077) !== 0) {
+    logger.warn(`Encryption key file ${keyFile} is readable by other users; restrict it with chmod 600`);
+  }
+
+  return parseEncryptionKey(await fs.readFile(keyFile, 'utf8'), keyFile);
+}
+
+/**
+ * Generate a new encryption key
+ * @returns {string} Key encoded as base64
+ */
+export function generateEncryptionKey() {
+  return crypto.randomBytes(KEY_LENGTH).toString('base64');
+}
+
+/**
+ * Get the ID of a key, which identifies it without revealing it
+ * @param {Buffer} key Key
+ * @returns {string} Key ID
+ */
+export function getKeyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+export class EncryptedStorage {
+  /**
+   * @param {Object} inner Storage holding the encrypted files
+   * @param {string[]} directories Reserved directories holding copies of Memory Bank files, encrypted along with them
+   * @param {Buffer} key Key to use instead of the configured one
+   */
+  constructor(inner, directories = [], key) {
+    this.type = inner.type;
+    this.location = inner.location;
+    this.inner = inner;
+    this.directories = directories;
+    this.enabled = process.env.MEMORY_BANK_ENCRYPTION === 'true';
+    this.key = key || null;
+    this.keys = new Map();
+    this.encrypted = false;
+  }
+
+  /**
+   * Check whether the Memory Bank is encrypted
+   * @returns {boolean} True if file contents are encrypted on write
+   */
+  isEncrypted() {
+    return this.encrypted;
+  }
+
+  /**
+   * Prepare the wrapped storage and load the key. An encrypted Memory Bank
+   * requires the key it was encrypted with; with MEMORY_BANK_ENCRYPTION=true
+   * a plain Memory Bank is encrypted in place.
+   */
+  async init() {
+    await this.inner.init();
+
+    this.key = this.key || await loadEncryptionKey();
+    if (this.key) {
+      this.keys.set(getKeyId(this.key), this.key);
+    }
+
+    const marker = await this.readMarker();
+
+    if (marker) {
+      const key = this.requireKey();
+
+      if (getKeyId(key) !== marker.keyId) {
+        throw new MemoryBankError(
+          MemoryErrorCode.ENCRYPTION_KEY_MISSING,
+          `Memory Bank ${this.location} is encrypted with key ${marker.keyId}, but the configured key is ${getKeyId(key)}`,
+          { keyId: marker.keyId }
+        );
+      }
+
+      this.encrypted = true;
+      return;
+    }
+
+    if (this.enabled) {
+      const key = this.requireKey();
+      const count = await this.reencrypt(key);
+
+      await this.writeMarker({ algorithm: ALGORITHM, keyId: getKeyId(key), encryptedAt: new Date().toISOString() });
+      this.encrypted = true;
+
+      logger.info(`Encrypted Memory Bank ${this.location}: ${count} files`);
+    }
+  }
+
+  /**
+   * Re-encrypt every file with a new key. Files already encrypted with the
+   * new key are skipped, so an interrupted rotation can be run again with
+   * the old key still configured.
+   * @param {Buffer} newKey New key
+   * @returns {Promise<number>} Number of re-encrypted files
+   */
+  async rotateKey(newKey) {
+    const marker = await this.readMarker();
+
+    if (!this.encrypted || !marker) {
+      throw new MemoryBankError(
+        MemoryErrorCode.ENCRYPTION_KEY_MISSING,
+        `Memory Bank ${this.location} is not encrypted`
+      );
+    }
+
+    // Writes made during the rotation already use the new key
+    this.keys.set(getKeyId(newKey), newKey);
+    this.key = newKey;
+
+    const count = await this.reencrypt(newKey);
+    await this.writeMarker({ ...marker, keyId: getKeyId(newKey), rotatedAt: new Date().toISOString() });
+
+    logger.info(`Rotated encryption key of Memory Bank ${this.location}: ${count} files re-encrypted`);
+    return count;
+  }
+
+  /**
+   * Get the configured key
+   * @returns {Buffer} Key
+   */
+  requireKey() {
+    if (!this.key) {
+      throw new MemoryBankError(
+        MemoryErrorCode.ENCRYPTION_KEY_MISSING,
+        `Memory Bank ${this.location} needs an encryption key; set MEMORY_BANK_ENCRYPTION_KEY or MEMORY_BANK_ENCRYPTION_KEY_FILE`
+      );
+    }
+    return this.key;
+  }
+
+  /**
+   * Read the encryption marker
+   * @returns {Promise<Object|null>} Marker, or null if the Memory Bank is not encrypted
+   */
+  async readMarker() {
+    const content = await this.inner.read(ENCRYPTION_FILE_NAME);
+    return content === null ? null : JSON.parse(content);
+  }
+
+  /**
+   * Write the encryption marker
+   * @param {Object} marker Marker
+   */
+  async writeMarker(marker) {
+    await this.inner.write(ENCRYPTION_FILE_NAME, JSON.stringify(marker, null, 2) + '\n');
+  }
+
+  /**
+   * Encrypt every encryptable file with a key, unless it already is
+   * @param {Buffer} key Key
+   * @returns {Promise<number>} Number of files written
+   */
+  async reencrypt(key) {
+    const keyId = getKeyId(key);
+    let count = 0;
+
+    for (const directory of ['', ...this.directories]) {
+      for (const file of await this.inner.list(directory)) {
+        await this.inner.lock(file, async () => {
+          const stored = await this.inner.read(file);
+
+          if (stored === null || stored.startsWith(`${PREFIX}${keyId}:`)) {
+            return;
+          }
+
+          await this.inner.write(file, this.encrypt(this.decrypt(file, stored), key));
+          count++;
+        });
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * Check whether a file is kept plain: top-level dot-files are configuration
+   * @param {string} relativePath Path relative to the Memory Bank root
+   * @returns {boolean} True if the file is not encrypted
+   */
+  isPlain(relativePath) {
+    return !relativePath.includes('/') && relativePath.startsWith('.');
+  }
+
+  /**
+   * Encrypt content
+   * @param {string} content Plain content
+   * @param {Buffer} key Key
+   * @returns {string} Encrypted content
+   */
+  encrypt(content, key) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(content, 'utf8'), cipher.final()]);
+
+    return `${PREFIX}${getKeyId(key)}:${Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64url')}`;
+  }
+
+  /**
+   * Decrypt stored content. Content without the encryption prefix, e.g. a
+   * file added by hand, is returned as it is.
+   * @param {string} relativePath Path relative to the Memory Bank root
+   * @param {string} stored Stored content
+   * @returns {string} Plain content
+   */
+  decrypt(relativePath, stored) {
+    if (!stored.startsWith(PREFIX)) {
+      return stored;
+    }
+
+    const separator = stored.indexOf(':', PREFIX.length);
+    const keyId = stored.slice(PREFIX.length, separator);
+    const key = this.keys.get(keyId);
+
+    if (!key) {
+      throw new MemoryBankError(
+        MemoryErrorCode.ENCRYPTION_KEY_MISSING,
+        `${relativePath} is encrypted with key ${keyId}, which is not configured`,
+        { fileName: relativePath, keyId }
+      );
+    }
+
+    try {
+      const data = Buffer.from(stored.slice(separator + 1), 'base64url');
+      const decipher = crypto.createDecipheriv(ALGORITHM, key, data.subarray(0, IV_LENGTH));
+      decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+
+      return Buffer.concat([decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]).toString('utf8');
+    } catch (error) {
+      throw new MemoryBankError(
+        MemoryErrorCode.DECRYPTION_FAILED,
+        `Failed to decrypt ${relativePath}: ${error.message}`,
+        { fileName: relativePath }
+      );
+    }
+  }
+
+  async read(relativePath) {
+    const stored = await this.inner.read(relativePath);
+    return stored === null || this.isPlain(relativePath) ? stored : this.decrypt(relativePath, stored);
+  }
+
+  async write(relativePath, content) {
+    const encrypt = this.encrypted && !this.isPlain(relativePath);
+    await this.inner.write(relativePath, encrypt ? this.encrypt(content, this.requireKey()) : content);
+  }
+
+  async exists(relativePath) {
+    return this.inner.exists(relativePath);
+  }
+
+  /**
+   * Get the size and times of a file; the size is that of the plain content
+   * @param {string} relativePath Path relative to the Memory Bank root
+   * @returns {Promise<Object|null>} File stats, or null if the file does not exist
+   */
+  async stat(relativePath) {
+    const stats = await this.inner.stat(relativePath);
+
+    if (!stats || !this.encrypted || this.isPlain(relativePath)) {
+      return stats;
+    }
+
+    const content = await this.read(relativePath);
+    return content === null ? null : { ...stats, size: Buffer.byteLength(content, 'utf8') };
+  }
+
+  async list(directory) {
+    return this.inner.list(directory);
+  }
+
+  async delete(relativePath) {
+    await this.inner.delete(relativePath);
+  }
+
+  async lock(relativePath, fn) {
+    return this.inner.lock(relativePath, fn);
+  }
+
+  async checkPath(relativePath) {
+    await this.inner.checkPath(relativePath);
+  }
+
+  watch(onChange, onError) {
+    return this.inner.watch(onChange, onError);
+  }
+}
+
+export default EncryptedStorage;
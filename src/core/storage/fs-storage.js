@@ -0,0 +1,144 @@
+/**
+ * fs-storage.js
+ * Storage backend keeping Memory Bank files in a directory (the default)
+ */
+
+import fs from 'fs-extra';
+import { watch } from 'fs';
+import path from 'path';
+import { MemoryBankError, MemoryErrorCode } from '../errors.js';
+import { withFileLock, writeFileAtomic } from '../utils/atomic-file.js';
+import { isInsideDirectory } from '../utils/real-path.js';
+
+export class FsStorage {
+  constructor(memoryBankPath) {
+    this.type = 'fs';
+    this.location = memoryBankPath;
+  }
+
+  /**
+   * Get the absolute path of a file
+   * @param {string} relativePath Path relative to the Memory Bank root
+   * @returns {string} Absolute path
+   */
+  resolve(relativePath) {
+    return path.resolve(this.location, ...relativePath.split('/'));
+  }
+
+  async init() {
+    await fs.ensureDir(this.location);
+  }
+
+  async read(relativePath) {
+    try {
+      return await fs.readFile(this.resolve(relativePath), 'utf8');
+    } catch (error) {
+      const code = (error).code;
+      if (code === 'ENOENT' || code === 'ENOTDIR' || code === 'EISDIR') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async write(relativePath, content) {
+    const filePath = this.resolve(relativePath);
+
+    await fs.ensureDir(path.dirname(filePath));
+    await writeFileAtomic(filePath, content);
+  }
+
+  async exists(relativePath) {
+    return (await this.stat(relativePath)) !== null;
+  }
+
+  async stat(relativePath) {
+    try {
+      const stats = await fs.stat(this.resolve(relativePath));
+      if (!stats.isFile()) {
+        return null;
+      }
+
+      return {
+        size: stats.size,
+        created: stats.birthtime.getTime() > 0 ? stats.birthtime : stats.mtime,
+        modified: stats.mtime
+      };
+    } catch (error) {
+      const code = (error).code;
+      if (code === 'ENOENT' || code === 'ENOTDIR') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async list(directory = '') {
+    const files = [];
+
+    const walk = async (current) => {
+      const entries = await fs.readdir(current ? this.resolve(current) : this.location, { withFileTypes: true });
+
+      for (const entry of entries) {
+        if (entry.name.startsWith('.') || entry.isSymbolicLink()) {
+          continue;
+        }
+
+        const relativePath = current ? `${current}/${entry.name}` : entry.name;
+
+        if (entry.isDirectory()) {
+          await walk(relativePath);
+        } else if (entry.isFile()) {
+          files.push(relativePath);
+        }
+      }
+    };
+
+    const root = directory ? this.resolve(directory) : this.location;
+    if (await fs.pathExists(root) && (await fs.stat(root)).isDirectory()) {
+      await walk(directory);
+    }
+
+    return files.sort();
+  }
+
+  async delete(relativePath) {
+    await fs.remove(this.resolve(relativePath));
+  }
+
+  async lock(relativePath, fn) {
+    return withFileLock(this.resolve(relativePath), fn);
+  }
+
+  /**
+   * Follow symlinks so a link inside the Memory Bank cannot point outside of it
+   * @param {string} relativePath Path relative to the Memory Bank root
+   */
+  async checkPath(relativePath) {
+    // The root may not exist yet when a dry run reads a new Memory Bank
+    if (!await isInsideDirectory(this.location, this.resolve(relativePath))) {
+      throw new MemoryBankError(
+        MemoryErrorCode.PATH_OUTSIDE_BANK,
+        `Path resolves outside the Memory Bank: ${relativePath}`,
+        { fileName: relativePath }
+      );
+    }
+  }
+
+  watch(onChange, onError) {
+    const watcher = watch(this.location, { recursive: true }, (_event, fileName) => {
+      if (fileName) {
+        onChange(fileName.toString().split(path.sep).join('/'));
+      }
+    });
+
+    watcher.on('error', onError);
+
+    // Do not keep the process alive just for the watcher
+    watcher.unref();
+
+    return watcher;
+  }
+}
+
+export default FsStorage;
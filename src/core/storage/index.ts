@@ -0,0 +1,48 @@
+/**
+ * storage/index.ts
+ * Selection of the storage backend of a Memory Bank
+ */
+
+import { FsStorage } from './fs-storage.js';
+import { MemoryStorage } from './memory-storage.js';
+import { SqliteStorage } from './sqlite-storage.js';
+import { StorageAdapter, StorageType, STORAGE_TYPES } from './storage-adapter.js';
+
+export * from './storage-adapter.js';
+export { FsStorage } from './fs-storage.js';
+export { MemoryStorage } from './memory-storage.js';
+export { SqliteStorage, SQLITE_FILE_NAME } from './sqlite-storage.js';
+export {
+  EncryptedStorage,
+  EncryptionMarker,
+  ENCRYPTION_FILE_NAME,
+  parseEncryptionKey,
+  loadEncryptionKey,
+  readKeyFile,
+  generateEncryptionKey,
+  getKeyId
+} from './encrypted-storage.js';
+
+// Default storage backend (can be overridden by env variable)
+export const DEFAULT_STORAGE_TYPE: StorageType = 'fs';
+
+/**
+ * Create the storage backend of a Memory Bank
+ * @param memoryBankPath Memory Bank directory; the SQLite backend keeps its database in it
+ * @param type Backend type (default: MEMORY_BANK_STORAGE or fs)
+ * @returns Storage adapter, to be initialized before use
+ */
+export function createStorage(memoryBankPath: string, type: string = process.env.MEMORY_BANK_STORAGE || DEFAULT_STORAGE_TYPE): StorageAdapter {
+  switch (type) {
+    case 'fs':
+      return new FsStorage(memoryBankPath);
+    case 'sqlite':
+      return new SqliteStorage(memoryBankPath);
+    case 'memory':
+      return new MemoryStorage(memoryBankPath);
+    default:
+      throw new Error(`Unknown Memory Bank storage: ${type}. Use one of: ${STORAGE_TYPES.join(', ')}`);
+  }
+}
+
+export default { createStorage };
@@ -0,0 +1,85 @@
+/**
+ * memory-storage.js
+ * Storage backend keeping Memory Bank files in process memory, e.g. for
+ * tests and throwaway sessions; nothing survives a restart
+ */
+
+import { withProcessLock } from '../utils/atomic-file.js';
+import { isReservedPath } from './storage-adapter.js';
+
+export class MemoryStorage {
+  constructor(location) {
+    this.type = 'memory';
+    this.location = location;
+    this.files = new Map();
+  }
+
+  async init() {
+    // Nothing to prepare
+  }
+
+  async read(relativePath) {
+    return this.files.get(relativePath)?.content ?? null;
+  }
+
+  async write(relativePath, content) {
+    const existing = this.files.get(relativePath);
+    const now = Date.now();
+
+    this.files.set(relativePath, {
+      content,
+      created: existing?.created ?? now,
+      // Keep modification times distinct, so readers comparing them see every write
+      modified: existing ? Math.max(now, existing.modified + 1) : now
+    });
+  }
+
+  async exists(relativePath) {
+    return this.files.has(relativePath);
+  }
+
+  async stat(relativePath) {
+    const file = this.files.get(relativePath);
+
+    if (!file) {
+      return null;
+    }
+
+    return {
+      size: Buffer.byteLength(file.content, 'utf8'),
+      created: new Date(file.created),
+      modified: new Date(file.modified)
+    };
+  }
+
+  async list(directory = '') {
+    const prefix = directory ? `${directory}/` : '';
+
+    return [...this.files.keys()]
+      .filter(file => file.startsWith(prefix) && !isReservedPath(file.slice(prefix.length)))
+      .sort();
+  }
+
+  async delete(relativePath) {
+    for (const file of [...this.files.keys()]) {
+      if (file === relativePath || file.startsWith(`${relativePath}/`)) {
+        this.files.delete(file);
+      }
+    }
+  }
+
+  async lock(relativePath, fn) {
+    return withProcessLock(`memory:${this.location}:${relativePath}`, fn);
+  }
+
+  async checkPath(_relativePath) {
+    // There are no links to follow
+  }
+
+  watch(_onChange, _onError) {
+    // Only this process can change the files
+    return { close: () => {} };
+  }
+}
+
+export default MemoryStorage;
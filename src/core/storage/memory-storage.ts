@@ -0,0 +1,94 @@
+/**
+ * memory-storage.ts
+ * Storage backend keeping Memory Bank files in process memory, e.g. for
+ * tests and throwaway sessions; nothing survives a restart
+ */
+
+import { withProcessLock } from '../utils/atomic-file.js';
+import { StorageAdapter, StorageStat, StorageWatcher, isReservedPath } from './storage-adapter.js';
+
+interface StoredFile {
+  content: string;
+  created: number;
+  modified: number;
+}
+
+export class MemoryStorage implements StorageAdapter {
+  readonly type = 'memory' as const;
+  readonly location: string;
+  private files: Map<string, StoredFile>;
+
+  constructor(location: string) {
+    this.location = location;
+    this.files = new Map();
+  }
+
+  async init(): Promise<void> {
+    // Nothing to prepare
+  }
+
+  async read(relativePath: string): Promise<string | null> {
+    return this.files.get(relativePath)?.content ?? null;
+  }
+
+  async write(relativePath: string, content: string): Promise<void> {
+    const existing = this.files.get(relativePath);
+    const now = Date.now();
+
+    this.files.set(relativePath, {
+      content,
+      created: existing?.created ?? now,
+      // Keep modification times distinct, so readers comparing them see every write
+      modified: existing ? Math.max(now, existing.modified + 1) : now
+    });
+  }
+
+  async exists(relativePath: string): Promise<boolean> {
+    return this.files.has(relativePath);
+  }
+
+  async stat(relativePath: string): Promise<StorageStat | null> {
+    const file = this.files.get(relativePath);
+
+    if (!file) {
+      return null;
+    }
+
+    return {
+      size: Buffer.byteLength(file.content, 'utf8'),
+      created: new Date(file.created),
+      modified: new Date(file.modified)
+    };
+  }
+
+  async list(directory: string = ''): Promise<string[]> {
+    const prefix = directory ? `${directory}/` : '';
+
+    return [...this.files.keys()]
+      .filter(file => file.startsWith(prefix) && !isReservedPath(file.slice(prefix.length)))
+      .sort();
+  }
+
+  async delete(relativePath: string): Promise<void> {
+    for (const file of [...this.files.keys()]) {
+      if (file === relativePath || file.startsWith(`${relativePath}/`)) {
+        this.files.delete(file);
+      }
+    }
+  }
+
+  async lock<T>(relativePath: string, fn: () => Promise<T>): Promise<T> {
+    return withProcessLock(`memory:${this.location}:${relativePath}`, fn);
+  }
+
+  async checkPath(_relativePath: string): Promise<void> {
+    // There are no links to follow
+  }
+
+  watch(_onChange: (relativePath: string) => void, _onError: (error: Error) => void): StorageWatcher {
+    // Only this process can change the files
+    return { close: () => {} };
+  }
+}
+
+export default MemoryStorage;
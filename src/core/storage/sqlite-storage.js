@@ -0,0 +1,238 @@
+/**
+ * sqlite-storage.js
+ * Storage backend keeping Memory Bank files in a SQLite database
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import logger from '../../logger.js';
+import { MemoryBankError, MemoryErrorCode } from '../errors.js';
+import { LOCK_OPTIONS, withProcessLock } from '../utils/atomic-file.js';
+import { isReservedPath } from './storage-adapter.js';
+
+// Name of the database file kept in the Memory Bank directory
+export const SQLITE_FILE_NAME = '.memory-bank.sqlite';
+
+// Interval at which the database is checked for changes by other processes
+const WATCH_POLL_INTERVAL = 1000;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS files (
+    path TEXT PRIMARY KEY,
+    content TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    created INTEGER NOT NULL,
+    modified INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS locks (
+    path TEXT PRIMARY KEY,
+    pid INTEGER NOT NULL,
+    acquired INTEGER NOT NULL
+  );
+`;
+
+/**
+ * Escape the wildcards of a GLOB pattern, which unlike LIKE is case-sensitive
+ * @param {string} value Literal value
+ * @returns {string} Escaped value
+ */
+function escapeGlob(value) {
+  return value.replace(/[*?[]/g, match => `[${match}]`);
+}
+
+export class SqliteStorage {
+  constructor(memoryBankPath) {
+    this.type = 'sqlite';
+    this.location = path.join(memoryBankPath, SQLITE_FILE_NAME);
+    this.db = null;
+  }
+
+  /**
+   * Get the open database
+   * @returns {Object} Database connection
+   */
+  getDatabase() {
+    if (!this.db) {
+      throw new Error(`SQLite storage used before init: ${this.location}`);
+    }
+    return this.db;
+  }
+
+  async init() {
+    if (this.db) {
+      return;
+    }
+
+    let BetterSqlite3;
+    try {
+      BetterSqlite3 = (await import('better-sqlite3')).default;
+    } catch (error) {
+      throw new Error(`SQLite storage requires the better-sqlite3 package: ${error.message}`);
+    }
+
+    await fs.ensureDir(path.dirname(this.location));
+
+    const db = new BetterSqlite3(this.location);
+    db.pragma('journal_mode = WAL');
+    db.pragma(`busy_timeout = ${LOCK_OPTIONS.timeout}`);
+    db.exec(SCHEMA);
+
+    this.db = db;
+    logger.info(`Opened SQLite Memory Bank storage: ${this.location}`);
+  }
+
+  async read(relativePath) {
+    const row = this.getDatabase()
+      .prepare('SELECT content FROM files WHERE path = ?')
+      .get(relativePath);
+
+    return row ? row.content : null;
+  }
+
+  async write(relativePath, content) {
+    const now = Date.now();
+
+    // Keep modification times distinct, so readers comparing them see every write
+    this.getDatabase().prepare(`
+      INSERT INTO files (path, content, size, created, modified) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (path) DO UPDATE SET
+        content = excluded.content,
+        size = excluded.size,
+        modified = MAX(excluded.modified, files.modified + 1)
+    `).run(relativePath, content, Buffer.byteLength(content, 'utf8'), now, now);
+  }
+
+  async exists(relativePath) {
+    return this.getDatabase().prepare('SELECT 1 FROM files WHERE path = ?').get(relativePath) !== undefined;
+  }
+
+  async stat(relativePath) {
+    const row = this.getDatabase()
+      .prepare('SELECT size, created, modified FROM files WHERE path = ?')
+      .get(relativePath);
+
+    if (!row) {
+      return null;
+    }
+
+    return { size: row.size, created: new Date(row.created), modified: new Date(row.modified) };
+  }
+
+  async list(directory = '') {
+    const prefix = directory ? `${directory}/` : '';
+    const rows = this.getDatabase()
+      .prepare('SELECT path FROM files WHERE path GLOB ?')
+      .all(`${escapeGlob(prefix)}*`);
+
+    return rows
+      .map(row => row.path)
+      .filter(file => !isReservedPath(file.slice(prefix.length)))
+      .sort();
+  }
+
+  async delete(relativePath) {
+    this.getDatabase()
+      .prepare('DELETE FROM files WHERE path = ? OR path GLOB ?')
+      .run(relativePath, `${escapeGlob(relativePath)}/*`);
+  }
+
+  /**
+   * Hold a lock shared with other processes through the locks table; locks
+   * older than the stale limit are considered abandoned
+   * @param {string} relativePath Path relative to the Memory Bank root
+   * @param {Function} fn Function to run while the lock is held
+   * @returns {Promise<T>} Result of the function
+   */
+  async lock(relativePath, fn) {
+    return withProcessLock(`sqlite:${this.location}:${relativePath}`, async () => {
+      const db = this.getDatabase();
+      const startTime = Date.now();
+
+      while (true) {
+        db.prepare('DELETE FROM locks WHERE path = ? AND acquired < ?').run(relativePath, Date.now() - LOCK_OPTIONS.stale);
+
+        const { changes } = db
+          .prepare('INSERT OR IGNORE INTO locks (path, pid, acquired) VALUES (?, ?, ?)')
+          .run(relativePath, process.pid, Date.now());
+
+        if (changes > 0) {
+          break;
+        }
+
+        if (Date.now() - startTime > LOCK_OPTIONS.timeout) {
+          throw new MemoryBankError(
+            MemoryErrorCode.LOCK_TIMEOUT,
+            `Timed out waiting for lock: ${relativePath}`,
+            { lockPath: relativePath }
+          );
+        }
+
+        await new Promise(resolve => setTimeout(resolve, LOCK_OPTIONS.retryInterval));
+      }
+
+      try {
+        return await fn();
+      } finally {
+        db.prepare('DELETE FROM locks WHERE path = ? AND pid = ?').run(relativePath, process.pid);
+      }
+    });
+  }
+
+  async checkPath(_relativePath) {
+    // There are no links to follow
+  }
+
+  /**
+   * Poll the database for commits by other connections and report the files
+   * whose modification time changed since the last poll
+   * @param {Function} onChange Called with the path of a changed file
+   * @param {Function} onError Called when polling fails
+   * @returns {Object} Watch handle
+   */
+  watch(onChange, onError) {
+    const db = this.getDatabase();
+    const snapshot = () => new Map(
+      (db.prepare('SELECT path, modified FROM files').all())
+        .map(row => [row.path, row.modified])
+    );
+
+    let dataVersion = db.pragma('data_version', { simple: true });
+    let known = snapshot();
+
+    const timer = setInterval(() => {
+      try {
+        const current = db.pragma('data_version', { simple: true });
+        if (current === dataVersion) {
+          return;
+        }
+
+        dataVersion = current;
+        const files = snapshot();
+
+        for (const [file, modified] of files) {
+          if (known.get(file) !== modified) {
+            onChange(file);
+          }
+        }
+
+        for (const file of known.keys()) {
+          if (!files.has(file)) {
+            onChange(file);
+          }
+        }
+
+        known = files;
+      } catch (error) {
+        clearInterval(timer);
+        onError(error);
+      }
+    }, WATCH_POLL_INTERVAL);
+
+    // Do not keep the process alive just for the watcher
+    timer.unref();
+
+    return { close: () => clearInterval(timer) };
+  }
+}
+
+export default SqliteStorage;
@@ -0,0 +1,243 @@
+/**
+ * sqlite-storage.ts
+ * Storage backend keeping Memory Bank files in a SQLite database
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import type Database from 'better-sqlite3';
+import { logger } from '../../logger.js';
+import { MemoryBankError, MemoryErrorCode } from '../errors.js';
+import { LOCK_OPTIONS, withProcessLock } from '../utils/atomic-file.js';
+import { StorageAdapter, StorageStat, StorageWatcher, isReservedPath } from './storage-adapter.js';
+
+// Name of the database file kept in the Memory Bank directory
+export const SQLITE_FILE_NAME = '.memory-bank.sqlite';
+
+// Interval at which the database is checked for changes by other processes
+const WATCH_POLL_INTERVAL = 1000;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS files (
+    path TEXT PRIMARY KEY,
+    content TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    created INTEGER NOT NULL,
+    modified INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS locks (
+    path TEXT PRIMARY KEY,
+    pid INTEGER NOT NULL,
+    acquired INTEGER NOT NULL
+  );
+`;
+
+/**
+ * Escape the wildcards of a GLOB pattern, which unlike LIKE is case-sensitive
+ * @param value Literal value
+ * @returns Escaped value
+ */
+function escapeGlob(value: string): string {
+  return value.replace(/[*?[]/g, match => `[${match}]`);
+}
+
+export class SqliteStorage implements StorageAdapter {
+  readonly type = 'sqlite' as const;
+  readonly location: string;
+  private db: Database.Database | null;
+
+  constructor(memoryBankPath: string) {
+    this.location = path.join(memoryBankPath, SQLITE_FILE_NAME);
+    this.db = null;
+  }
+
+  /**
+   * Get the open database
+   * @returns Database connection
+   */
+  private getDatabase(): Database.Database {
+    if (!this.db) {
+      throw new Error(`SQLite storage used before init: ${this.location}`);
+    }
+    return this.db;
+  }
+
+  async init(): Promise<void> {
+    if (this.db) {
+      return;
+    }
+
+    let BetterSqlite3: typeof Database;
+    try {
+      BetterSqlite3 = (await import('better-sqlite3')).default;
+    } catch (error) {
+      const err = error as Error;
+      throw new Error(`SQLite storage requires the better-sqlite3 package: ${err.message}`);
+    }
+
+    await fs.ensureDir(path.dirname(this.location));
+
+    const db = new BetterSqlite3(this.location);
+    db.pragma('journal_mode = WAL');
+    db.pragma(`busy_timeout = ${LOCK_OPTIONS.timeout}`);
+    db.exec(SCHEMA);
+
+    this.db = db;
+    logger.info(`Opened SQLite Memory Bank storage: ${this.location}`);
+  }
+
+  async read(relativePath: string): Promise<string | null> {
+    const row = this.getDatabase()
+      .prepare('SELECT content FROM files WHERE path = ?')
+      .get(relativePath) as { content: string } | undefined;
+
+    return row ? row.content : null;
+  }
+
+  async write(relativePath: string, content: string): Promise<void> {
+    const now = Date.now();
+
+    // Keep modification times distinct, so readers comparing them see every write
+    this.getDatabase().prepare(`
+      INSERT INTO files (path, content, size, created, modified) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (path) DO UPDATE SET
+        content = excluded.content,
+        size = excluded.size,
+        modified = MAX(excluded.modified, files.modified + 1)
+    `).run(relativePath, content, Buffer.byteLength(content, 'utf8'), now, now);
+  }
+
+  async exists(relativePath: string): Promise<boolean> {
+    return this.getDatabase().prepare('SELECT 1 FROM files WHERE path = ?').get(relativePath) !== undefined;
+  }
+
+  async stat(relativePath: string): Promise<StorageStat | null> {
+    const row = this.getDatabase()
+      .prepare('SELECT size, created, modified FROM files WHERE path = ?')
+      .get(relativePath) as { size: number; created: number; modified: number } | undefined;
+
+    if (!row) {
+      return null;
+    }
+
+    return { size: row.size, created: new Date(row.created), modified: new Date(row.modified) };
+  }
+
+  async list(directory: string = ''): Promise<string[]> {
+    const prefix = directory ? `${directory}/` : '';
+    const rows = this.getDatabase()
+      .prepare('SELECT path FROM files WHERE path GLOB ?')
+      .all(`${escapeGlob(prefix)}*`) as { path: string }[];
+
+    return rows
+      .map(row => row.path)
+      .filter(file => !isReservedPath(file.slice(prefix.length)))
+      .sort();
+  }
+
+  async delete(relativePath: string): Promise<void> {
+    this.getDatabase()
+      .prepare('DELETE FROM files WHERE path = ? OR path GLOB ?')
+      .run(relativePath, `${escapeGlob(relativePath)}/*`);
+  }
+
+  /**
+   * Hold a lock shared with other processes through the locks table; locks
+   * older than the stale limit are considered abandoned
+   * @param relativePath Path relative to the Memory Bank root
+   * @param fn Function to run while the lock is held
+   * @returns Result of the function
+   */
+  async lock<T>(relativePath: string, fn: () => Promise<T>): Promise<T> {
+    return withProcessLock(`sqlite:${this.location}:${relativePath}`, async () => {
+      const db = this.getDatabase();
+      const startTime = Date.now();
+
+      while (true) {
+        db.prepare('DELETE FROM locks WHERE path = ? AND acquired < ?').run(relativePath, Date.now() - LOCK_OPTIONS.stale);
+
+        const { changes } = db
+          .prepare('INSERT OR IGNORE INTO locks (path, pid, acquired) VALUES (?, ?, ?)')
+          .run(relativePath, process.pid, Date.now());
+
+        if (changes > 0) {
+          break;
+        }
+
+        if (Date.now() - startTime > LOCK_OPTIONS.timeout) {
+          throw new MemoryBankError(
+            MemoryErrorCode.LOCK_TIMEOUT,
+            `Timed out waiting for lock: ${relativePath}`,
+            { lockPath: relativePath }
+          );
+        }
+
+        await new Promise(resolve => setTimeout(resolve, LOCK_OPTIONS.retryInterval));
+      }
+
+      try {
+        return await fn();
+      } finally {
+        db.prepare('DELETE FROM locks WHERE path = ? AND pid = ?').run(relativePath, process.pid);
+      }
+    });
+  }
+
+  async checkPath(_relativePath: string): Promise<void> {
+    // There are no links to follow
+  }
+
+  /**
+   * Poll the database for commits by other connections and report the files
+   * whose modification time changed since the last poll
+   * @param onChange Called with the path of a changed file
+   * @param onError Called when polling fails
+   * @returns Watch handle
+   */
+  watch(onChange: (relativePath: string) => void, onError: (error: Error) => void): StorageWatcher {
+    const db = this.getDatabase();
+    const snapshot = (): Map<string, number> => new Map(
+      (db.prepare('SELECT path, modified FROM files').all() as { path: string; modified: number }[])
+        .map(row => [row.path, row.modified])
+    );
+
+    let dataVersion = db.pragma('data_version', { simple: true });
+    let known = snapshot();
+
+    const timer = setInterval(() => {
+      try {
+        const current = db.pragma('data_version', { simple: true });
+        if (current === dataVersion) {
+          return;
+        }
+
+        dataVersion = current;
+        const files = snapshot();
+
+        for (const [file, modified] of files) {
+          if (known.get(file) !== modified) {
+            onChange(file);
+          }
+        }
+
+        for (const file of known.keys()) {
+          if (!files.has(file)) {
+            onChange(file);
+          }
+        }
+
+        known = files;
+      } catch (error) {
+        clearInterval(timer);
+        onError(error as Error);
+      }
+    }, WATCH_POLL_INTERVAL);
+
+    // Do not keep the process alive just for the watcher
+    timer.unref();
+
+    return { close: () => clearInterval(timer) };
+  }
+}
+
+export default SqliteStorage;
@@ -0,0 +1,21 @@
+/**
+ * storage-adapter.js
+ * Interface of the backends storing Memory Bank files
+ */
+
+// Available storage backends
+export const STORAGE_TYPES = ['fs', 'sqlite', 'memory'];
+
+/**
+ * Check whether a path contains a reserved segment starting with a dot
+ * @param {string} relativePath Path relative to the Memory Bank root
+ * @returns {boolean} True if the path is reserved
+ */
+export function isReservedPath(relativePath) {
+  return relativePath.split('/').some(segment => segment.startsWith('.'));
+}
+
+export default {
+  STORAGE_TYPES,
+  isReservedPath
+};
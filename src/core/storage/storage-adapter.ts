@@ -0,0 +1,124 @@
+/**
+ * storage-adapter.ts
+ * Interface of the backends storing Memory Bank files
+ */
+
+// Available storage backends
+export const STORAGE_TYPES = ['fs', 'sqlite', 'memory'] as const;
+
+export type StorageType = typeof STORAGE_TYPES[number];
+
+export interface StorageStat {
+  size: number;
+  created: Date;
+  modified: Date;
+}
+
+/**
+ * Handle of a running watch; close() stops it
+ */
+export interface StorageWatcher {
+  close(): void;
+}
+
+/**
+ * A backend storing the files of one Memory Bank. Paths are relative to the
+ * Memory Bank root and use forward slashes; callers validate them first.
+ * Reserved files (access policy, schema, history, trash) are stored in the
+ * same backend as the Memory Bank files.
+ */
+export interface StorageAdapter {
+  /** Backend type */
+  readonly type: StorageType;
+
+  /** Where the Memory Bank is stored: a directory, a database file or a label */
+  readonly location: string;
+
+  /**
+   * Prepare the backend, e.g. create the directory or the database tables.
+   * Can be called more than once.
+   */
+  init(): Promise<void>;
+
+  /**
+   * Read a file
+   * @param relativePath Path relative to the Memory Bank root
+   * @returns File content, or null if the file does not exist
+   */
+  read(relativePath: string): Promise<string | null>;
+
+  /**
+   * Create or replace a file atomically; readers never see a partial write
+   * @param relativePath Path relative to the Memory Bank root
+   * @param content File content
+   */
+  write(relativePath: string, content: string): Promise<void>;
+
+  /**
+   * Check whether a file exists
+   * @param relativePath Path relative to the Memory Bank root
+   * @returns True if the file exists
+   */
+  exists(relativePath: string): Promise<boolean>;
+
+  /**
+   * Get the size and times of a file
+   * @param relativePath Path relative to the Memory Bank root
+   * @returns File stats, or null if the file does not exist
+   */
+  stat(relativePath: string): Promise<StorageStat | null>;
+
+  /**
+   * List the files below a directory, recursively. Entries below it whose
+   * name starts with a dot are reserved and skipped, and so are symbolic links.
+   * @param directory Directory relative to the Memory Bank root; empty for the root
+   * @returns File paths relative to the Memory Bank root, sorted
+   */
+  list(directory?: string): Promise<string[]>;
+
+  /**
+   * Delete a file or a directory with everything below it. Missing paths
+   * are ignored.
+   * @param relativePath Path relative to the Memory Bank root
+   */
+  delete(relativePath: string): Promise<void>;
+
+  /**
+   * Run a function while holding an advisory lock on a file, excluding
+   * other callers in this process and other processes sharing the backend
+   * @param relativePath Path relative to the Memory Bank root
+   * @param fn Function to run while the lock is held
+   * @returns Result of the function
+   */
+  lock<T>(relativePath: string, fn: () => Promise<T>): Promise<T>;
+
+  /**
+   * Reject a path the backend cannot address safely, e.g. one leading out
+   * of the Memory Bank through a symbolic link
+   * @param relativePath Path relative to the Memory Bank root
+   */
+  checkPath(relativePath: string): Promise<void>;
+
+  /**
+   * Watch for changes made outside this process. Paths may be reported more
+   * than once per change, and for changes made by this process too.
+   * @param onChange Called with the path of a changed file
+   * @param onError Called when watching fails; no more changes are reported
+   * @returns Watch handle
+   */
+  watch(onChange: (relativePath: string) => void, onError: (error: Error) => void): StorageWatcher;
+}
+
+/**
+ * Check whether a path contains a reserved segment starting with a dot
+ * @param relativePath Path relative to the Memory Bank root
+ * @returns True if the path is reserved
+ */
+export function isReservedPath(relativePath: string): boolean {
+  return relativePath.split('/').some(segment => segment.startsWith('.'));
+}
+
+export default {
+  STORAGE_TYPES,
+  isReservedPath
+};
@@ -0,0 +1,516 @@
+/**
+ * task-store.js
+ * Tasks kept in the Memory Bank as a JSON file (tasks/tasks.json). Every
+ * change is a locked read-modify-write through the Memory Manager, so tasks
+ * get the same access policy, revision history and git commits as other
+ * Memory Bank files. Tasks can depend on other tasks; dependencies are
+ * checked for unknown IDs and cycles on every change.
+ */
+
+import logger from '../logger.js';
+import { MemoryBankError, MemoryErrorCode } from './errors.js';
+
+// File holding the tasks of a Memory Bank
+export const TASKS_FILE = 'tasks/tasks.json';
+
+export const TASK_STATUSES = ['pending', 'in-progress', 'blocked', 'done', 'cancelled'];
+export const TASK_PRIORITIES = ['high', 'medium', 'low'];
+export const TASK_GRAPH_FORMATS = ['mermaid', 'dot'];
+
+/**
+ * Parse the content of the tasks file
+ * @param {string|null} content File content, or null if the file does not exist
+ * @returns {Object} Tasks file
+ */
+function parseTaskFile(content) {
+  if (content === null || content.trim() === '') {
+    return { nextId: 1, tasks: [] };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new MemoryBankError(
+      MemoryErrorCode.INVALID_TASK,
+      `${TASKS_FILE} is not valid JSON: ${error.message}`,
+      { fileName: TASKS_FILE }
+    );
+  }
+
+  if (!data || !Array.isArray(data.tasks)) {
+    throw new MemoryBankError(
+      MemoryErrorCode.INVALID_TASK,
+      `${TASKS_FILE} must contain an object with a tasks array`,
+      { fileName: TASKS_FILE }
+    );
+  }
+
+  // Files edited by hand may lack the counter; never reuse an existing ID
+  const highestId = data.tasks.reduce((highest, task) => Math.max(highest, parseInt(task.id, 10) || 0), 0);
+
+  return {
+    nextId: Math.max(Number.isInteger(data.nextId) ? data.nextId : 1, highestId + 1),
+    tasks: data.tasks.map((task) => ({
+      ...task,
+      dependencies: Array.isArray(task.dependencies) ? task.dependencies.map(String) : []
+    }))
+  };
+}
+
+/**
+ * Check that every dependency names an existing task and that no task
+ * depends on itself, directly or through other tasks
+ * @param {Object[]} tasks All stored tasks
+ */
+function validateDependencies(tasks) {
+  const byId = new Map(tasks.map(task => [task.id, task]));
+
+  for (const task of tasks) {
+    const unknown = task.dependencies.filter(id => !byId.has(id));
+
+    if (unknown.length > 0) {
+      throw new MemoryBankError(
+        MemoryErrorCode.INVALID_DEPENDENCY,
+        `Task ${task.id} depends on unknown tasks: ${unknown.join(', ')}`,
+        { taskId: task.id, unknown }
+      );
+    }
+  }
+
+  // Depth-first search; a task reached again while on the stack closes a cycle
+  const state = new Map();
+  const stack = [];
+
+  const visit = (id) => {
+    if (state.get(id) === 'done') {
+      return;
+    }
+
+    if (state.get(id) === 'visiting') {
+      const cycle = [...stack.slice(stack.indexOf(id)), id];
+      throw new MemoryBankError(
+        MemoryErrorCode.INVALID_DEPENDENCY,
+        `Task dependencies form a cycle: ${cycle.join(' -> ')}`,
+        { cycle }
+      );
+    }
+
+    state.set(id, 'visiting');
+    stack.push(id);
+
+    for (const dependency of byId.get(id).dependencies) {
+      visit(dependency);
+    }
+
+    stack.pop();
+    state.set(id, 'done');
+  };
+
+  for (const task of tasks) {
+    visit(task.id);
+  }
+}
+
+/**
+ * Quote a label for a Mermaid node
+ * @param {string} text Label text
+ * @returns {string} Quoted label
+ */
+function mermaidLabel(text) {
+  return `"${text.replace(/"/g, '#quot;').replace(/\r?\n/g, ' ')}"`;
+}
+
+/**
+ * Quote a string for DOT
+ * @param {string} text Text
+ * @returns {string} Quoted string
+ */
+function dotString(text) {
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, ' ')}"`;
+}
+
+/**
+ * Render tasks as a Mermaid flowchart or a DOT digraph. Solid edges point
+ * from a dependency to the task depending on it, dashed edges from a task
+ * to its subtasks.
+ * @param {Object[]} tasks Tasks to render; edges to other tasks are left out
+ * @param {string} format Output format
+ * @returns {string} Graph source
+ */
+export function renderTaskGraph(tasks, format) {
+  const included = new Set(tasks.map(task => task.id));
+  const dependencyEdges = tasks.flatMap(task =>
+    task.dependencies.filter(id => included.has(id)).map(id => [id, task.id])
+  );
+  const subtaskEdges = tasks.flatMap(task =>
+    task.subtasks.filter(id => included.has(id)).map(id => [task.id, id])
+  );
+
+  if (format === 'dot') {
+    return [
+      'digraph tasks {',
+      '  rankdir=LR;',
+      '  node [shape=box];',
+      ...tasks.map(task => `  ${dotString(task.id)} [label=${dotString(`${task.id}: ${task.title} (${task.status})`)}];`),
+      ...dependencyEdges.map(([from, to]) => `  ${dotString(from)} -> ${dotString(to)};`),
+      ...subtaskEdges.map(([from, to]) => `  ${dotString(from)} -> ${dotString(to)} [style=dashed];`),
+      '}',
+      ''
+    ].join('\n');
+  }
+
+  // Mermaid node IDs cannot contain every character a hand-edited task ID may have
+  const nodeIds = new Map(tasks.map((task, index) => [task.id, `t${index}`]));
+
+  return [
+    'flowchart LR',
+    ...tasks.map(task => `  ${nodeIds.get(task.id)}[${mermaidLabel(`${task.id}: ${task.title} (${task.status})`)}]`),
+    ...dependencyEdges.map(([from, to]) => `  ${nodeIds.get(from)} --> ${nodeIds.get(to)}`),
+    ...subtaskEdges.map(([from, to]) => `  ${nodeIds.get(from)} -.-> ${nodeIds.get(to)}`),
+    ''
+  ].join('\n');
+}
+
+/**
+ * Add the subtask IDs to a stored task
+ * @param {Object} task Stored task
+ * @param {Object[]} tasks All stored tasks
+ * @returns {Object} Task
+ */
+function withSubtasks(task, tasks) {
+  return {
+    ...task,
+    subtasks: tasks.filter(other => other.parentId === task.id).map(other => other.id)
+  };
+}
+
+/**
+ * Collect a task and all tasks below it
+ * @param {Object[]} tasks All tasks
+ * @param {string} id Task ID
+ * @returns {Set<string>} IDs of the task and its subtasks, recursively
+ */
+function withDescendants(tasks, id) {
+  const ids = new Set([id]);
+  let added = true;
+
+  while (added) {
+    added = false;
+    for (const task of tasks) {
+      if (task.parentId !== null && ids.has(task.parentId) && !ids.has(task.id)) {
+        ids.add(task.id);
+        added = true;
+      }
+    }
+  }
+
+  return ids;
+}
+
+/**
+ * Find a stored task
+ * @param {Object} data Tasks file
+ * @param {string} id Task ID
+ * @returns {Object} Stored task
+ */
+function findTask(data, id) {
+  const task = data.tasks.find(candidate => candidate.id === id);
+
+  if (!task) {
+    throw new MemoryBankError(MemoryErrorCode.TASK_NOT_FOUND, `Task not found: ${id}`, { taskId: id });
+  }
+
+  return task;
+}
+
+export class TaskStore {
+  constructor(memoryManager) {
+    this.memoryManager = memoryManager;
+  }
+
+  /**
+   * Read the tasks file
+   * @returns {Promise<Object>} Tasks file; empty if it does not exist yet
+   */
+  async read() {
+    try {
+      return parseTaskFile(await this.memoryManager.readMemoryFile(TASKS_FILE));
+    } catch (error) {
+      if (error instanceof MemoryBankError && error.code === MemoryErrorCode.FILE_NOT_FOUND) {
+        return parseTaskFile(null);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Change the tasks file while its lock is held. Nothing is written if the
+   * change leaves invalid dependencies.
+   * @param {Function} change Function changing the tasks in place and returning a result
+   * @param {string} source Name of the change, recorded in the revision history
+   * @returns {Promise<T>} Result of the change
+   */
+  async modify(change, source) {
+    let result;
+
+    await this.memoryManager.updateMemoryFile(TASKS_FILE, content => {
+      const data = parseTaskFile(content);
+      result = change(data);
+      validateDependencies(data.tasks);
+      return `${JSON.stringify(data, null, 2)}\n`;
+    }, { source });
+
+    return result;
+  }
+
+  /**
+   * Create a task, optionally with subtasks, in one write
+   * @param {Object} input Task to create
+   * @param {Object[]} subtasks Subtasks to create under it, which may depend on each other
+   * @param {string} source Name of the change, recorded in the revision history
+   * @returns {Promise<Object>} Created task, with its subtasks
+   */
+  async createTask(input, subtasks = [], source = 'task-store') {
+    return this.modify(data => {
+      const now = new Date().toISOString();
+
+      const add = (newTask, parentId) => {
+        if (typeof newTask.title !== 'string' || newTask.title.trim() === '') {
+          throw new MemoryBankError(MemoryErrorCode.INVALID_TASK, 'Task title must not be empty');
+        }
+
+        const status = newTask.status || 'pending';
+        const task = {
+          id: String(data.nextId++),
+          title: newTask.title.trim(),
+          description: newTask.description || '',
+          status,
+          priority: newTask.priority || 'medium',
+          parentId,
+          dependencies: [...new Set(newTask.dependencies || [])],
+          createdAt: now,
+          updatedAt: now,
+          ...(status === 'done' ? { completedAt: now } : {})
+        };
+
+        data.tasks.push(task);
+        return task;
+      };
+
+      if (input.parentId) {
+        findTask(data, input.parentId);
+      }
+
+      const parent = add(input, input.parentId || null);
+      const children = subtasks.map(subtask => add(subtask, parent.id));
+
+      subtasks.forEach((subtask, index) => {
+        for (const sibling of subtask.siblingDependencies || []) {
+          if (!Number.isInteger(sibling) || !children[sibling]) {
+            throw new MemoryBankError(
+              MemoryErrorCode.INVALID_DEPENDENCY,
+              `Subtask ${index} depends on unknown subtask ${sibling}`,
+              { subtask: index, sibling }
+            );
+          }
+          children[index].dependencies.push(children[sibling].id);
+        }
+      });
+
+      logger.info(`Created task ${parent.id}${children.length > 0 ? ` with ${children.length} subtasks` : ''}: ${parent.title}`);
+
+      return {
+        task: withSubtasks(parent, data.tasks),
+        subtasks: children.map(child => withSubtasks(child, data.tasks))
+      };
+    }, source);
+  }
+
+  /**
+   * List tasks
+   * @param {Object} filter Criteria that must all match
+   * @returns {Promise<Object[]>} Matching tasks, by ID
+   */
+  async listTasks(filter = {}) {
+    const { tasks } = await this.read();
+    const query = filter.query?.toLowerCase();
+
+    return tasks
+      .filter(task =>
+        (!filter.status || filter.status.length === 0 || filter.status.includes(task.status)) &&
+        (!filter.priority || filter.priority.length === 0 || filter.priority.includes(task.priority)) &&
+        (filter.parentId === undefined || task.parentId === filter.parentId) &&
+        (!query || `${task.title}\n${task.description}`.toLowerCase().includes(query))
+      )
+      .map(task => withSubtasks(task, tasks))
+      .sort((a, b) => (parseInt(a.id, 10) || 0) - (parseInt(b.id, 10) || 0) || a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Get a task
+   * @param {string} id Task ID
+   * @returns {Promise<Object>} Task
+   */
+  async getTask(id) {
+    const data = await this.read();
+    return withSubtasks(findTask(data, id), data.tasks);
+  }
+
+  /**
+   * Change the status of a task
+   * @param {string} id Task ID
+   * @param {Object} status New status
+   * @param {string} source Name of the change, recorded in the revision history
+   * @returns {Promise<Object>} Updated task and its previous status
+   */
+  async updateStatus(id, status, source = 'task-store') {
+    if (!TASK_STATUSES.includes(status)) {
+      throw new MemoryBankError(
+        MemoryErrorCode.INVALID_TASK,
+        `Unknown task status: ${status}. Use one of: ${TASK_STATUSES.join(', ')}`,
+        { status }
+      );
+    }
+
+    return this.modify(data => {
+      const task = findTask(data, id);
+      const previousStatus = task.status;
+      const now = new Date().toISOString();
+
+      task.status = status;
+      task.updatedAt = now;
+
+      if (status === 'done') {
+        task.completedAt = task.completedAt || now;
+      } else {
+        delete task.completedAt;
+      }
+
+      logger.info(`Task ${id} status changed from ${previousStatus} to ${status}`);
+
+      return { task: withSubtasks(task, data.tasks), previousStatus };
+    }, source);
+  }
+
+  /**
+   * Replace the dependencies of a task
+   * @param {string} id Task ID
+   * @param {string[]} dependencies IDs of the tasks that must be done first
+   * @param {string} source Name of the change, recorded in the revision history
+   * @returns {Promise<Object>} Updated task
+   */
+  async setDependencies(id, dependencies, source = 'task-store') {
+    return this.modify(data => {
+      const task = findTask(data, id);
+
+      task.dependencies = [...new Set(dependencies)];
+      task.updatedAt = new Date().toISOString();
+
+      return withSubtasks(task, data.tasks);
+    }, source);
+  }
+
+  /**
+   * Get the dependencies of a task that are not done yet
+   * @param {string} id Task ID
+   * @returns {Promise<string[]>} IDs of the unfinished dependencies
+   */
+  async getUnfinishedDependencies(id) {
+    const data = await this.read();
+
+    return findTask(data, id).dependencies.filter(dependency =>
+      data.tasks.find(task => task.id === dependency)?.status !== 'done'
+    );
+  }
+
+  /**
+   * Find the highest-priority pending task that can be worked on: its
+   * dependencies and those of its parent tasks are done, and it has no
+   * unfinished subtasks. Ties go to the oldest task.
+   * @param {string} parentId Only consider tasks below this task
+   * @returns {Promise<Object>} Next task, or null if no task is ready, and the number of ready tasks
+   */
+  async getNextTask(parentId) {
+    const data = await this.read();
+    const byId = new Map(data.tasks.map(task => [task.id, task]));
+
+    if (parentId !== undefined) {
+      findTask(data, parentId);
+    }
+
+    const ancestors = (task) => {
+      const result = [];
+      let parent = task.parentId !== null ? byId.get(task.parentId) : undefined;
+
+      // Stop at a parent seen before, in case a hand-edited file loops
+      while (parent && !result.includes(parent)) {
+        result.push(parent);
+        parent = parent.parentId !== null ? byId.get(parent.parentId) : undefined;
+      }
+
+      return result;
+    };
+
+    const isReady = (task) =>
+      task.status === 'pending' &&
+      [task, ...ancestors(task)].every(current => current.dependencies.every(id => byId.get(id)?.status === 'done')) &&
+      data.tasks.every(other => other.parentId !== task.id || other.status === 'done' || other.status === 'cancelled');
+
+    const ready = data.tasks
+      .filter(task => parentId === undefined || ancestors(task).some(ancestor => ancestor.id === parentId))
+      .filter(isReady)
+      .sort((a, b) =>
+        TASK_PRIORITIES.indexOf(a.priority) - TASK_PRIORITIES.indexOf(b.priority) ||
+        a.createdAt.localeCompare(b.createdAt) ||
+        (parseInt(a.id, 10) || 0) - (parseInt(b.id, 10) || 0)
+      );
+
+    return {
+      task: ready.length > 0 ? withSubtasks(ready[0], data.tasks) : null,
+      ready: ready.length
+    };
+  }
+
+  /**
+   * Export the task graph
+   * @param {string} format Mermaid or DOT
+   * @param {string} parentId Only include this task and the tasks below it
+   * @returns {Promise<string>} Graph source
+   */
+  async exportGraph(format, parentId) {
+    let tasks = await this.listTasks();
+
+    if (parentId !== undefined) {
+      const included = withDescendants(tasks, (await this.getTask(parentId)).id);
+      tasks = tasks.filter(task => included.has(task.id));
+    }
+
+    return renderTaskGraph(tasks, format);
+  }
+
+  /**
+   * Delete a task together with its subtasks; other tasks stop depending on them
+   * @param {string} id Task ID
+   * @param {string} source Name of the change, recorded in the revision history
+   * @returns {Promise<string[]>} IDs of the deleted tasks
+   */
+  async deleteTask(id, source = 'task-store') {
+    return this.modify(data => {
+      findTask(data, id);
+
+      const deleted = withDescendants(data.tasks, id);
+
+      data.tasks = data.tasks.filter(task => !deleted.has(task.id));
+      for (const task of data.tasks) {
+        task.dependencies = task.dependencies.filter(dependency => !deleted.has(dependency));
+      }
+
+      logger.info(`Deleted task ${id}${deleted.size > 1 ? ` and ${deleted.size - 1} subtasks` : ''}`);
+
+      return Array.from(deleted);
+    }, source);
+  }
+}
+
+export default TaskStore;
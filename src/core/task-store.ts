@@ -0,0 +1,576 @@
+/**
+ * task-store.ts
+ * Tasks kept in the Memory Bank as a JSON file (tasks/tasks.json). Every
+ * change is a locked read-modify-write through the Memory Manager, so tasks
+ * get the same access policy, revision history and git commits as other
+ * Memory Bank files. Tasks can depend on other tasks; dependencies are
+ * checked for unknown IDs and cycles on every change.
+ */
+
+import { logger } from '../logger.js';
+import { MemoryManager } from './memory-manager.js';
+import { MemoryBankError, MemoryErrorCode } from './errors.js';
+
+// File holding the tasks of a Memory Bank
+export const TASKS_FILE = 'tasks/tasks.json';
+
+export const TASK_STATUSES = ['pending', 'in-progress', 'blocked', 'done', 'cancelled'] as const;
+export const TASK_PRIORITIES = ['high', 'medium', 'low'] as const;
+export const TASK_GRAPH_FORMATS = ['mermaid', 'dot'] as const;
+
+export type TaskStatus = typeof TASK_STATUSES[number];
+export type TaskPriority = typeof TASK_PRIORITIES[number];
+export type TaskGraphFormat = typeof TASK_GRAPH_FORMATS[number];
+
+/**
+ * A task as stored in the tasks file
+ */
+interface StoredTask {
+  id: string;
+  title: string;
+  description: string;
+  status: TaskStatus;
+  priority: TaskPriority;
+  parentId: string | null;
+  /** IDs of the tasks that must be done before this one */
+  dependencies: string[];
+  createdAt: string;
+  updatedAt: string;
+  completedAt?: string;
+}
+
+/**
+ * A task with the IDs of its direct subtasks
+ */
+export interface Task extends StoredTask {
+  subtasks: string[];
+}
+
+interface TaskFile {
+  nextId: number;
+  tasks: StoredTask[];
+}
+
+export interface NewTask {
+  title: string;
+  description?: string;
+  status?: TaskStatus;
+  priority?: TaskPriority;
+  parentId?: string;
+  dependencies?: string[];
+}
+
+export interface NewSubtask extends NewTask {
+  /** 0-based indexes of the subtasks created in the same call that this one depends on */
+  siblingDependencies?: number[];
+}
+
+export interface TaskFilter {
+  status?: TaskStatus[];
+  priority?: TaskPriority[];
+  /** Only subtasks of this task; null for top-level tasks only */
+  parentId?: string | null;
+  /** Text that must occur in the title or description, ignoring case */
+  query?: string;
+}
+
+/**
+ * Parse the content of the tasks file
+ * @param content File content, or null if the file does not exist
+ * @returns Tasks file
+ */
+function parseTaskFile(content: string | null): TaskFile {
+  if (content === null || content.trim() === '') {
+    return { nextId: 1, tasks: [] };
+  }
+
+  let data: any;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    const err = error as Error;
+    throw new MemoryBankError(
+      MemoryErrorCode.INVALID_TASK,
+      `${TASKS_FILE} is not valid JSON: ${err.message}`,
+      { fileName: TASKS_FILE }
+    );
+  }
+
+  if (!data || !Array.isArray(data.tasks)) {
+    throw new MemoryBankError(
+      MemoryErrorCode.INVALID_TASK,
+      `${TASKS_FILE} must contain an object with a tasks array`,
+      { fileName: TASKS_FILE }
+    );
+  }
+
+  // Files edited by hand may lack the counter; never reuse an existing ID
+  const highestId = data.tasks.reduce((highest: number, task: StoredTask) => Math.max(highest, parseInt(task.id, 10) || 0), 0);
+
+  return {
+    nextId: Math.max(Number.isInteger(data.nextId) ? data.nextId : 1, highestId + 1),
+    tasks: data.tasks.map((task: StoredTask) => ({
+      ...task,
+      dependencies: Array.isArray(task.dependencies) ? task.dependencies.map(String) : []
+    }))
+  };
+}
+
+/**
+ * Check that every dependency names an existing task and that no task
+ * depends on itself, directly or through other tasks
+ * @param tasks All stored tasks
+ */
+function validateDependencies(tasks: StoredTask[]): void {
+  const byId = new Map(tasks.map(task => [task.id, task]));
+
+  for (const task of tasks) {
+    const unknown = task.dependencies.filter(id => !byId.has(id));
+
+    if (unknown.length > 0) {
+      throw new MemoryBankError(
+        MemoryErrorCode.INVALID_DEPENDENCY,
+        `Task ${task.id} depends on unknown tasks: ${unknown.join(', ')}`,
+        { taskId: task.id, unknown }
+      );
+    }
+  }
+
+  // Depth-first search; a task reached again while on the stack closes a cycle
+  const state = new Map<string, 'visiting' | 'done'>();
+  const stack: string[] = [];
+
+  const visit = (id: string): void => {
+    if (state.get(id) === 'done') {
+      return;
+    }
+
+    if (state.get(id) === 'visiting') {
+      const cycle = [...stack.slice(stack.indexOf(id)), id];
+      throw new MemoryBankError(
+        MemoryErrorCode.INVALID_DEPENDENCY,
+        `Task dependencies form a cycle: ${cycle.join(' -> ')}`,
+        { cycle }
+      );
+    }
+
+    state.set(id, 'visiting');
+    stack.push(id);
+
+    for (const dependency of byId.get(id)!.dependencies) {
+      visit(dependency);
+    }
+
+    stack.pop();
+    state.set(id, 'done');
+  };
+
+  for (const task of tasks) {
+    visit(task.id);
+  }
+}
+
+/**
+ * Quote a label for a Mermaid node
+ * @param text Label text
+ * @returns Quoted label
+ */
+function mermaidLabel(text: string): string {
+  return `"${text.replace(/"/g, '#quot;').replace(/\r?\n/g, ' ')}"`;
+}
+
+/**
+ * Quote a string for DOT
+ * @param text Text
+ * @returns Quoted string
+ */
+function dotString(text: string): string {
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, ' ')}"`;
+}
+
+/**
+ * Render tasks as a Mermaid flowchart or a DOT digraph. Solid edges point
+ * from a dependency to the task depending on it, dashed edges from a task
+ * to its subtasks.
+ * @param tasks Tasks to render; edges to other tasks are left out
+ * @param format Output format
+ * @returns Graph source
+ */
+export function renderTaskGraph(tasks: Task[], format: TaskGraphFormat): string {
+  const included = new Set(tasks.map(task => task.id));
+  const dependencyEdges = tasks.flatMap(task =>
+    task.dependencies.filter(id => included.has(id)).map(id => [id, task.id])
+  );
+  const subtaskEdges = tasks.flatMap(task =>
+    task.subtasks.filter(id => included.has(id)).map(id => [task.id, id])
+  );
+
+  if (format === 'dot') {
+    return [
+      'digraph tasks {',
+      '  rankdir=LR;',
+      '  node [shape=box];',
+      ...tasks.map(task => `  ${dotString(task.id)} [label=${dotString(`${task.id}: ${task.title} (${task.status})`)}];`),
+      ...dependencyEdges.map(([from, to]) => `  ${dotString(from)} -> ${dotString(to)};`),
+      ...subtaskEdges.map(([from, to]) => `  ${dotString(from)} -> ${dotString(to)} [style=dashed];`),
+      '}',
+      ''
+    ].join('\n');
+  }
+
+  // Mermaid node IDs cannot contain every character a hand-edited task ID may have
+  const nodeIds = new Map(tasks.map((task, index) => [task.id, `t${index}`]));
+
+  return [
+    'flowchart LR',
+    ...tasks.map(task => `  ${nodeIds.get(task.id)}[${mermaidLabel(`${task.id}: ${task.title} (${task.status})`)}]`),
+    ...dependencyEdges.map(([from, to]) => `  ${nodeIds.get(from)} --> ${nodeIds.get(to)}`),
+    ...subtaskEdges.map(([from, to]) => `  ${nodeIds.get(from)} -.-> ${nodeIds.get(to)}`),
+    ''
+  ].join('\n');
+}
+
+/**
+ * Add the subtask IDs to a stored task
+ * @param task Stored task
+ * @param tasks All stored tasks
+ * @returns Task
+ */
+function withSubtasks(task: StoredTask, tasks: StoredTask[]): Task {
+  return {
+    ...task,
+    subtasks: tasks.filter(other => other.parentId === task.id).map(other => other.id)
+  };
+}
+
+/**
+ * Collect a task and all tasks below it
+ * @param tasks All tasks
+ * @param id Task ID
+ * @returns IDs of the task and its subtasks, recursively
+ */
+function withDescendants(tasks: StoredTask[], id: string): Set<string> {
+  const ids = new Set([id]);
+  let added = true;
+
+  while (added) {
+    added = false;
+    for (const task of tasks) {
+      if (task.parentId !== null && ids.has(task.parentId) && !ids.has(task.id)) {
+        ids.add(task.id);
+        added = true;
+      }
+    }
+  }
+
+  return ids;
+}
+
+/**
+ * Find a stored task
+ * @param data Tasks file
+ * @param id Task ID
+ * @returns Stored task
+ */
+function findTask(data: TaskFile, id: string): StoredTask {
+  const task = data.tasks.find(candidate => candidate.id === id);
+
+  if (!task) {
+    throw new MemoryBankError(MemoryErrorCode.TASK_NOT_FOUND, `Task not found: ${id}`, { taskId: id });
+  }
+
+  return task;
+}
+
+export class TaskStore {
+  private memoryManager: MemoryManager;
+
+  constructor(memoryManager: MemoryManager) {
+    this.memoryManager = memoryManager;
+  }
+
+  /**
+   * Read the tasks file
+   * @returns Tasks file; empty if it does not exist yet
+   */
+  private async read(): Promise<TaskFile> {
+    try {
+      return parseTaskFile(await this.memoryManager.readMemoryFile(TASKS_FILE));
+    } catch (error) {
+      if (error instanceof MemoryBankError && error.code === MemoryErrorCode.FILE_NOT_FOUND) {
+        return parseTaskFile(null);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Change the tasks file while its lock is held. Nothing is written if the
+   * change leaves invalid dependencies.
+   * @param change Function changing the tasks in place and returning a result
+   * @param source Name of the change, recorded in the revision history
+   * @returns Result of the change
+   */
+  private async modify<T>(change: (data: TaskFile) => T, source: string): Promise<T> {
+    let result!: T;
+
+    await this.memoryManager.updateMemoryFile(TASKS_FILE, content => {
+      const data = parseTaskFile(content);
+      result = change(data);
+      validateDependencies(data.tasks);
+      return `${JSON.stringify(data, null, 2)}\n`;
+    }, { source });
+
+    return result;
+  }
+
+  /**
+   * Create a task, optionally with subtasks, in one write
+   * @param input Task to create
+   * @param subtasks Subtasks to create under it, which may depend on each other
+   * @param source Name of the change, recorded in the revision history
+   * @returns Created task, with its subtasks
+   */
+  async createTask(input: NewTask, subtasks: NewSubtask[] = [], source: string = 'task-store'): Promise<{ task: Task; subtasks: Task[] }> {
+    return this.modify(data => {
+      const now = new Date().toISOString();
+
+      const add = (newTask: NewTask, parentId: string | null): StoredTask => {
+        if (typeof newTask.title !== 'string' || newTask.title.trim() === '') {
+          throw new MemoryBankError(MemoryErrorCode.INVALID_TASK, 'Task title must not be empty');
+        }
+
+        const status = newTask.status || 'pending';
+        const task: StoredTask = {
+          id: String(data.nextId++),
+          title: newTask.title.trim(),
+          description: newTask.description || '',
+          status,
+          priority: newTask.priority || 'medium',
+          parentId,
+          dependencies: [...new Set(newTask.dependencies || [])],
+          createdAt: now,
+          updatedAt: now,
+          ...(status === 'done' ? { completedAt: now } : {})
+        };
+
+        data.tasks.push(task);
+        return task;
+      };
+
+      if (input.parentId) {
+        findTask(data, input.parentId);
+      }
+
+      const parent = add(input, input.parentId || null);
+      const children = subtasks.map(subtask => add(subtask, parent.id));
+
+      subtasks.forEach((subtask, index) => {
+        for (const sibling of subtask.siblingDependencies || []) {
+          if (!Number.isInteger(sibling) || !children[sibling]) {
+            throw new MemoryBankError(
+              MemoryErrorCode.INVALID_DEPENDENCY,
+              `Subtask ${index} depends on unknown subtask ${sibling}`,
+              { subtask: index, sibling }
+            );
+          }
+          children[index].dependencies.push(children[sibling].id);
+        }
+      });
+
+      logger.info(`Created task ${parent.id}${children.length > 0 ? ` with ${children.length} subtasks` : ''}: ${parent.title}`);
+
+      return {
+        task: withSubtasks(parent, data.tasks),
+        subtasks: children.map(child => withSubtasks(child, data.tasks))
+      };
+    }, source);
+  }
+
+  /**
+   * List tasks
+   * @param filter Criteria that must all match
+   * @returns Matching tasks, by ID
+   */
+  async listTasks(filter: TaskFilter = {}): Promise<Task[]> {
+    const { tasks } = await this.read();
+    const query = filter.query?.toLowerCase();
+
+    return tasks
+      .filter(task =>
+        (!filter.status || filter.status.length === 0 || filter.status.includes(task.status)) &&
+        (!filter.priority || filter.priority.length === 0 || filter.priority.includes(task.priority)) &&
+        (filter.parentId === undefined || task.parentId === filter.parentId) &&
+        (!query || `${task.title}\n${task.description}`.toLowerCase().includes(query))
+      )
+      .map(task => withSubtasks(task, tasks))
+      .sort((a, b) => (parseInt(a.id, 10) || 0) - (parseInt(b.id, 10) || 0) || a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Get a task
+   * @param id Task ID
+   * @returns Task
+   */
+  async getTask(id: string): Promise<Task> {
+    const data = await this.read();
+    return withSubtasks(findTask(data, id), data.tasks);
+  }
+
+  /**
+   * Change the status of a task
+   * @param id Task ID
+   * @param status New status
+   * @param source Name of the change, recorded in the revision history
+   * @returns Updated task and its previous status
+   */
+  async updateStatus(id: string, status: TaskStatus, source: string = 'task-store'): Promise<{ task: Task; previousStatus: TaskStatus }> {
+    if (!TASK_STATUSES.includes(status)) {
+      throw new MemoryBankError(
+        MemoryErrorCode.INVALID_TASK,
+        `Unknown task status: ${status}. Use one of: ${TASK_STATUSES.join(', ')}`,
+        { status }
+      );
+    }
+
+    return this.modify(data => {
+      const task = findTask(data, id);
+      const previousStatus = task.status;
+      const now = new Date().toISOString();
+
+      task.status = status;
+      task.updatedAt = now;
+
+      if (status === 'done') {
+        task.completedAt = task.completedAt || now;
+      } else {
+        delete task.completedAt;
+      }
+
+      logger.info(`Task ${id} status changed from ${previousStatus} to ${status}`);
+
+      return { task: withSubtasks(task, data.tasks), previousStatus };
+    }, source);
+  }
+
+  /**
+   * Replace the dependencies of a task
+   * @param id Task ID
+   * @param dependencies IDs of the tasks that must be done first
+   * @param source Name of the change, recorded in the revision history
+   * @returns Updated task
+   */
+  async setDependencies(id: string, dependencies: string[], source: string = 'task-store'): Promise<Task> {
+    return this.modify(data => {
+      const task = findTask(data, id);
+
+      task.dependencies = [...new Set(dependencies)];
+      task.updatedAt = new Date().toISOString();
+
+      return withSubtasks(task, data.tasks);
+    }, source);
+  }
+
+  /**
+   * Get the dependencies of a task that are not done yet
+   * @param id Task ID
+   * @returns IDs of the unfinished dependencies
+   */
+  async getUnfinishedDependencies(id: string): Promise<string[]> {
+    const data = await this.read();
+
+    return findTask(data, id).dependencies.filter(dependency =>
+      data.tasks.find(task => task.id === dependency)?.status !== 'done'
+    );
+  }
+
+  /**
+   * Find the highest-priority pending task that can be worked on: its
+   * dependencies and those of its parent tasks are done, and it has no
+   * unfinished subtasks. Ties go to the oldest task.
+   * @param parentId Only consider tasks below this task
+   * @returns Next task, or null if no task is ready, and the number of ready tasks
+   */
+  async getNextTask(parentId?: string): Promise<{ task: Task | null; ready: number }> {
+    const data = await this.read();
+    const byId = new Map(data.tasks.map(task => [task.id, task]));
+
+    if (parentId !== undefined) {
+      findTask(data, parentId);
+    }
+
+    const ancestors = (task: StoredTask): StoredTask[] => {
+      const result: StoredTask[] = [];
+      let parent = task.parentId !== null ? byId.get(task.parentId) : undefined;
+
+      // Stop at a parent seen before, in case a hand-edited file loops
+      while (parent && !result.includes(parent)) {
+        result.push(parent);
+        parent = parent.parentId !== null ? byId.get(parent.parentId) : undefined;
+      }
+
+      return result;
+    };
+
+    const isReady = (task: StoredTask): boolean =>
+      task.status === 'pending' &&
+      [task, ...ancestors(task)].every(current => current.dependencies.every(id => byId.get(id)?.status === 'done')) &&
+      data.tasks.every(other => other.parentId !== task.id || other.status === 'done' || other.status === 'cancelled');
+
+    const ready = data.tasks
+      .filter(task => parentId === undefined || ancestors(task).some(ancestor => ancestor.id === parentId))
+      .filter(isReady)
+      .sort((a, b) =>
+        TASK_PRIORITIES.indexOf(a.priority) - TASK_PRIORITIES.indexOf(b.priority) ||
+        a.createdAt.localeCompare(b.createdAt) ||
+        (parseInt(a.id, 10) || 0) - (parseInt(b.id, 10) || 0)
+      );
+
+    return {
+      task: ready.length > 0 ? withSubtasks(ready[0], data.tasks) : null,
+      ready: ready.length
+    };
+  }
+
+  /**
+   * Export the task graph
+   * @param format Mermaid or DOT
+   * @param parentId Only include this task and the tasks below it
+   * @returns Graph source
+   */
+  async exportGraph(format: TaskGraphFormat, parentId?: string): Promise<string> {
+    let tasks = await this.listTasks();
+
+    if (parentId !== undefined) {
+      const included = withDescendants(tasks, (await this.getTask(parentId)).id);
+      tasks = tasks.filter(task => included.has(task.id));
+    }
+
+    return renderTaskGraph(tasks, format);
+  }
+
+  /**
+   * Delete a task together with its subtasks; other tasks stop depending on them
+   * @param id Task ID
+   * @param source Name of the change, recorded in the revision history
+   * @returns IDs of the deleted tasks
+   */
+  async deleteTask(id: string, source: string = 'task-store'): Promise<string[]> {
+    return this.modify(data => {
+      findTask(data, id);
+
+      const deleted = withDescendants(data.tasks, id);
+
+      data.tasks = data.tasks.filter(task => !deleted.has(task.id));
+      for (const task of data.tasks) {
+        task.dependencies = task.dependencies.filter(dependency => !deleted.has(dependency));
+      }
+
+      logger.info(`Deleted task ${id}${deleted.size > 1 ? ` and ${deleted.size - 1} subtasks` : ''}`);
+
+      return Array.from(deleted);
+    }, source);
+  }
+}
+
+export default TaskStore;
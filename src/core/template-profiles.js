@@ -0,0 +1,291 @@
+/**
+ * template-profiles.js
+ * Named template profiles used to populate new Memory Banks.
+ *
+ * A profile is a directory of Markdown files with {{variable}} placeholders
+ * and a profile.json describing the profile and its variables:
+ *
+ *   { "description": "...", "variables": { "framework": { "description": "...", "default": "TBD" } } }
+ *
+ * Built-in profiles live in the server's templates directory; additional
+ * profile directories are listed in MEMORY_BANK_PROFILE_DIRS and override
+ * built-in profiles of the same name.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from '../logger.js';
+import { MemoryBankError, MemoryErrorCode } from './errors.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Directory of the built-in profiles, next to src/ (or dist/src/ after a build)
+export const BUILTIN_PROFILES_DIR = path.resolve(__dirname, '../../templates');
+
+// Profile used for new Memory Banks when none is selected
+export const DEFAULT_PROFILE = 'minimal';
+
+// Name of the file describing a profile
+const PROFILE_FILE_NAME = 'profile.json';
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_]\w*)\s*\}\}/g;
+
+// Variables every profile can use without declaring them
+const BUILTIN_VARIABLES = [
+  { name: 'projectName', description: 'Name of the project', required: true },
+  { name: 'date', description: 'Date the Memory Bank was created (YYYY-MM-DD)', required: false },
+  { name: 'profile', description: 'Name of the profile', required: false }
+];
+
+/**
+ * Get the directories searched for profiles, built-in first
+ * @returns {string[]} Profile directories
+ */
+export function getProfileDirectories() {
+  const custom = (process.env.MEMORY_BANK_PROFILE_DIRS || '')
+    .split(path.delimiter)
+    .map(dir => dir.trim())
+    .filter(Boolean)
+    .map(dir => path.resolve(dir));
+
+  return [BUILTIN_PROFILES_DIR, ...custom];
+}
+
+/**
+ * Read the description of a profile directory
+ * @param {string} name Profile name
+ * @param {string} profilePath Profile directory
+ * @returns {Promise<Object>} Profile
+ */
+async function readProfile(name, profilePath) {
+  const definitionPath = path.join(profilePath, PROFILE_FILE_NAME);
+  let definition = {};
+
+  if (await fs.pathExists(definitionPath)) {
+    try {
+      definition = JSON.parse(await fs.readFile(definitionPath, 'utf8'));
+    } catch (error) {
+      logger.warn(`Failed to read ${definitionPath}: ${error.message}`);
+    }
+  }
+
+  const declared = definition.variables && typeof definition.variables === 'object' ? definition.variables : {};
+  const variables = BUILTIN_VARIABLES.map(variable => ({ ...variable }));
+
+  for (const [variableName, spec] of Object.entries(declared)) {
+    const variable = {
+      name: variableName,
+      description: typeof spec?.description === 'string' ? spec.description : undefined,
+      default: typeof spec?.default === 'string' ? spec.default : undefined,
+      required: spec?.required === true || typeof spec?.default !== 'string'
+    };
+
+    const index = variables.findIndex(item => item.name === variableName);
+    if (index === -1) {
+      variables.push(variable);
+    } else {
+      variables[index] = { ...variables[index], ...variable };
+    }
+  }
+
+  return {
+    name,
+    description: typeof definition.description === 'string' ? definition.description : '',
+    path: profilePath,
+    variables
+  };
+}
+
+/**
+ * List the available profiles. A profile in a later directory replaces a
+ * profile of the same name in an earlier one.
+ * @returns {Promise<Object[]>} Profiles sorted by name
+ */
+export async function listProfiles() {
+  const profiles = new Map();
+
+  for (const directory of getProfileDirectories()) {
+    if (!await fs.pathExists(directory)) {
+      logger.warn(`Profile directory not found: ${directory}`);
+      continue;
+    }
+
+    const entries = await fs.readdir(directory, { withFileTypes: true });
+    for (const entry of entries) {
+      if (entry.isDirectory() && !entry.name.startsWith('.')) {
+        profiles.set(entry.name, await readProfile(entry.name, path.join(directory, entry.name)));
+      }
+    }
+  }
+
+  return Array.from(profiles.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get a profile by name
+ * @param {string} name Profile name
+ * @returns {Promise<Object>} Profile
+ */
+export async function getProfile(name) {
+  const profiles = await listProfiles();
+  const profile = profiles.find(item => item.name === name);
+
+  if (!profile) {
+    throw new MemoryBankError(
+      MemoryErrorCode.PROFILE_NOT_FOUND,
+      `Template profile not found: ${name}. Available profiles: ${profiles.map(item => item.name).join(', ')}`,
+      { profile: name }
+    );
+  }
+
+  return profile;
+}
+
+/**
+ * Fill in the {{variable}} placeholders of a text; unknown placeholders are kept
+ * @param {string} text Template text
+ * @param {Object<string, string>} values Variable values
+ * @returns {string} Rendered text
+ */
+export function renderTemplate(text, values) {
+  return text.replace(PLACEHOLDER_PATTERN, (placeholder, name) => values[name] ?? placeholder);
+}
+
+/**
+ * Resolve the variable values of a profile from the given values and the
+ * declared defaults. Defaults may refer to other variables declared before them.
+ * @param {Object} profile Profile
+ * @param {Object<string, string>} values Given variable values
+ * @returns {Object<string, string>} Values of all variables
+ */
+export function resolveVariables(profile, values) {
+  const resolved = {
+    date: new Date().toISOString().slice(0, 10),
+    profile: profile.name,
+    ...values
+  };
+  const missing = [];
+
+  for (const variable of profile.variables) {
+    if (resolved[variable.name] !== undefined && resolved[variable.name] !== '') {
+      continue;
+    }
+
+    if (variable.default !== undefined) {
+      resolved[variable.name] = renderTemplate(variable.default, resolved);
+    } else if (variable.required) {
+      missing.push(variable.name);
+    }
+  }
+
+  if (missing.length > 0) {
+    throw new MemoryBankError(
+      MemoryErrorCode.INVALID_TEMPLATE_VARIABLES,
+      `Missing value for template variables of profile ${profile.name}: ${missing.join(', ')}`,
+      { profile: profile.name, missing }
+    );
+  }
+
+  return resolved;
+}
+
+/**
+ * Render the files of a profile
+ * @param {Object} profile Profile
+ * @param {Object<string, string>} values Variable values
+ * @returns {Promise<Object[]>} Files relative to the Memory Bank root and their content
+ */
+export async function renderProfile(profile, values) {
+  const resolved = resolveVariables(profile, values);
+  const files = [];
+
+  const walk = async (directory) => {
+    const entries = await fs.readdir(path.join(profile.path, directory), { withFileTypes: true });
+
+    for (const entry of entries) {
+      const relativePath = directory ? `${directory}/${entry.name}` : entry.name;
+
+      if (entry.name.startsWith('.') || relativePath === PROFILE_FILE_NAME) {
+        continue;
+      }
+
+      if (entry.isDirectory()) {
+        await walk(relativePath);
+      } else if (entry.isFile()) {
+        const content = await fs.readFile(path.join(profile.path, relativePath), 'utf8');
+        files.push({ relativePath, content: renderTemplate(content, resolved) });
+      }
+    }
+  };
+
+  await walk('');
+
+  return files.sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+}
+
+/**
+ * Populate a Memory Bank from a profile. Existing files are never
+ * overwritten.
+ * @param {string} name Profile name
+ * @param {Object} storage Storage of the Memory Bank
+ * @param {Object<string, string>} values Variable values
+ * @returns {Promise<string[]>} Paths of the created files, relative to the Memory Bank root
+ */
+export async function applyProfile(
+  name,
+  storage,
+  values
+) {
+  const profile = await getProfile(name);
+  const files = await renderProfile(profile, values);
+  const created = [];
+
+  for (const file of files) {
+    if (await storage.exists(file.relativePath)) {
+      continue;
+    }
+
+    await storage.write(file.relativePath, file.content);
+    created.push(file.relativePath);
+  }
+
+  logger.info(`Applied template profile ${profile.name} to ${storage.location}: ${created.length} files created`);
+  return created;
+}
+
+/**
+ * Parse template variable values given as name=value pairs
+ * @param {string[]} pairs Pairs such as "projectName=Acme"
+ * @returns {Object<string, string>} Variable values
+ */
+export function parseVariableAssignments(pairs) {
+  const values = {};
+
+  for (const pair of pairs) {
+    const separator = pair.indexOf('=');
+    if (separator <= 0) {
+      throw new MemoryBankError(
+        MemoryErrorCode.INVALID_TEMPLATE_VARIABLES,
+        `Template variables must be given as name=value: ${pair}`,
+        { assignment: pair }
+      );
+    }
+
+    values[pair.slice(0, separator).trim()] = pair.slice(separator + 1);
+  }
+
+  return values;
+}
+
+export default {
+  getProfileDirectories,
+  listProfiles,
+  getProfile,
+  renderTemplate,
+  resolveVariables,
+  renderProfile,
+  applyProfile,
+  parseVariableAssignments
+};
@@ -0,0 +1,178 @@
+/**
+ * trash-manager.js
+ * Recoverable trash for deleted Memory Bank files, stored in the hidden .trash directory
+ */
+
+import path from 'path';
+import logger from '../logger.js';
+import { MemoryBankError, MemoryErrorCode } from './errors.js';
+
+// Name of the trash directory kept in the Memory Bank root
+export const TRASH_DIR_NAME = '.trash';
+
+export class TrashManager {
+  constructor(storage) {
+    this.storage = storage;
+    this.indexPath = `${TRASH_DIR_NAME}/index.json`;
+  }
+
+  /**
+   * Get the path holding the content of a trash entry
+   * @param {Object} entry Trash entry
+   * @returns {string} Content path relative to the Memory Bank root
+   */
+  getContentPath(entry) {
+    return `${TRASH_DIR_NAME}/${entry.id}/${path.posix.basename(entry.fileName)}`;
+  }
+
+  /**
+   * Read the trash index. Callers that modify the index must hold its lock.
+   * @returns {Promise<Object[]>} Trash entries, oldest first
+   */
+  async readIndex() {
+    const indexContent = await this.storage.read(this.indexPath);
+
+    if (indexContent === null) {
+      return [];
+    }
+
+    try {
+      const index = JSON.parse(indexContent);
+      return Array.isArray(index.entries) ? index.entries : [];
+    } catch (error) {
+      logger.error(`Failed to read trash index: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Write the trash index
+   * @param {Object[]} entries Trash entries, oldest first
+   */
+  async writeIndex(entries) {
+    await this.storage.write(this.indexPath, JSON.stringify({ entries }, null, 2) + '\n');
+  }
+
+  /**
+   * List the files in the trash, most recently deleted first
+   * @returns {Promise<Object[]>} Trash entries
+   */
+  async list() {
+    return (await this.readIndex()).reverse();
+  }
+
+  /**
+   * Get a trash entry together with the deleted content
+   * @param {string} id Trash entry ID
+   * @returns {Promise<Object & { content: string }>} Trash entry and content
+   */
+  async get(id) {
+    const entry = (await this.readIndex()).find(item => item.id === id);
+
+    if (!entry) {
+      throw new MemoryBankError(
+        MemoryErrorCode.TRASH_ENTRY_NOT_FOUND,
+        `Trash entry not found: ${id}`,
+        { id }
+      );
+    }
+
+    const content = await this.storage.read(this.getContentPath(entry));
+
+    if (content === null) {
+      throw new MemoryBankError(
+        MemoryErrorCode.TRASH_ENTRY_NOT_FOUND,
+        `Content of trash entry ${id} is missing`,
+        { id }
+      );
+    }
+
+    return { ...entry, content };
+  }
+
+  /**
+   * Put the content of a deleted file into the trash
+   * @param {string} relativePath Path relative to the Memory Bank root
+   * @param {string} content Content of the deleted file
+   * @param {string} version Content version
+   * @param {string} source Tool or component that deleted the file
+   * @returns {Promise<Object>} New trash entry
+   */
+  async add(relativePath, content, version, source) {
+    const deletedAt = new Date().toISOString();
+    const entry = {
+      id: `${deletedAt.replace(/[-:.]/g, '')}-${version.slice(0, 8)}`,
+      fileName: relativePath,
+      deletedAt,
+      source,
+      version,
+      size: Buffer.byteLength(content, 'utf8')
+    };
+
+    return this.storage.lock(this.indexPath, async () => {
+      const entries = await this.readIndex();
+
+      // The same content deleted twice within a millisecond gets a distinct ID
+      while (entries.some(item => item.id === entry.id)) {
+        entry.id = `${entry.id}-1`;
+      }
+
+      await this.storage.write(this.getContentPath(entry), content);
+      await this.writeIndex([...entries, entry]);
+
+      logger.debug(`Moved ${relativePath} to the trash as ${entry.id} (${source})`);
+      return entry;
+    });
+  }
+
+  /**
+   * Remove an entry from the trash, e.g. after it was restored
+   * @param {string} id Trash entry ID
+   */
+  async remove(id) {
+    await this.purge({ id });
+  }
+
+  /**
+   * Permanently delete entries from the trash. Without options the whole
+   * trash is emptied.
+   * @param {Object} options Entry to delete, or minimum age of the entries to delete
+   * @param {Function} canPurge Check whether a matching entry may be deleted; entries it rejects are kept
+   * @returns {Promise<Object[]>} Deleted entries
+   */
+  async purge(options = {}, canPurge = () => true) {
+    return this.storage.lock(this.indexPath, async () => {
+      const entries = await this.readIndex();
+      const cutoff = options.olderThanDays !== undefined
+        ? Date.now() - options.olderThanDays * 24 * 60 * 60 * 1000
+        : null;
+
+      if (options.id !== undefined && !entries.some(entry => entry.id === options.id)) {
+        throw new MemoryBankError(
+          MemoryErrorCode.TRASH_ENTRY_NOT_FOUND,
+          `Trash entry not found: ${options.id}`,
+          { id: options.id }
+        );
+      }
+
+      const purged = entries.filter(entry =>
+        (options.id === undefined || entry.id === options.id) &&
+        (cutoff === null || Date.parse(entry.deletedAt) < cutoff) &&
+        canPurge(entry)
+      );
+
+      for (const entry of purged) {
+        await this.storage.delete(`${TRASH_DIR_NAME}/${entry.id}`);
+      }
+
+      if (purged.length > 0) {
+        await this.writeIndex(entries.filter(entry => !purged.includes(entry)));
+        logger.info(`Purged ${purged.length} entries from the Memory Bank trash`);
+      }
+
+      return purged;
+    });
+  }
+}
+
+export default TrashManager;
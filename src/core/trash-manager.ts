@@ -0,0 +1,200 @@
+/**
+ * trash-manager.ts
+ * Recoverable trash for deleted Memory Bank files, stored in the hidden .trash directory
+ */
+
+import path from 'path';
+import { logger } from '../logger.js';
+import { MemoryBankError, MemoryErrorCode } from './errors.js';
+import { StorageAdapter } from './storage/index.js';
+
+// Name of the trash directory kept in the Memory Bank root
+export const TRASH_DIR_NAME = '.trash';
+
+export interface TrashEntry {
+  id: string;
+  fileName: string;
+  deletedAt: string;
+  source: string;
+  version: string;
+  size: number;
+}
+
+export interface PurgeOptions {
+  id?: string;
+  olderThanDays?: number;
+}
+
+export class TrashManager {
+  private storage: StorageAdapter;
+  private indexPath: string;
+
+  constructor(storage: StorageAdapter) {
+    this.storage = storage;
+    this.indexPath = `${TRASH_DIR_NAME}/index.json`;
+  }
+
+  /**
+   * Get the path holding the content of a trash entry
+   * @param entry Trash entry
+   * @returns Content path relative to the Memory Bank root
+   */
+  private getContentPath(entry: TrashEntry): string {
+    return `${TRASH_DIR_NAME}/${entry.id}/${path.posix.basename(entry.fileName)}`;
+  }
+
+  /**
+   * Read the trash index. Callers that modify the index must hold its lock.
+   * @returns Trash entries, oldest first
+   */
+  private async readIndex(): Promise<TrashEntry[]> {
+    const indexContent = await this.storage.read(this.indexPath);
+
+    if (indexContent === null) {
+      return [];
+    }
+
+    try {
+      const index = JSON.parse(indexContent);
+      return Array.isArray(index.entries) ? index.entries : [];
+    } catch (error) {
+      const err = error as Error;
+      logger.error(`Failed to read trash index: ${err.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Write the trash index
+   * @param entries Trash entries, oldest first
+   */
+  private async writeIndex(entries: TrashEntry[]): Promise<void> {
+    await this.storage.write(this.indexPath, JSON.stringify({ entries }, null, 2) + '\n');
+  }
+
+  /**
+   * List the files in the trash, most recently deleted first
+   * @returns Trash entries
+   */
+  async list(): Promise<TrashEntry[]> {
+    return (await this.readIndex()).reverse();
+  }
+
+  /**
+   * Get a trash entry together with the deleted content
+   * @param id Trash entry ID
+   * @returns Trash entry and content
+   */
+  async get(id: string): Promise<TrashEntry & { content: string }> {
+    const entry = (await this.readIndex()).find(item => item.id === id);
+
+    if (!entry) {
+      throw new MemoryBankError(
+        MemoryErrorCode.TRASH_ENTRY_NOT_FOUND,
+        `Trash entry not found: ${id}`,
+        { id }
+      );
+    }
+
+    const content = await this.storage.read(this.getContentPath(entry));
+
+    if (content === null) {
+      throw new MemoryBankError(
+        MemoryErrorCode.TRASH_ENTRY_NOT_FOUND,
+        `Content of trash entry ${id} is missing`,
+        { id }
+      );
+    }
+
+    return { ...entry, content };
+  }
+
+  /**
+   * Put the content of a deleted file into the trash
+   * @param relativePath Path relative to the Memory Bank root
+   * @param content Content of the deleted file
+   * @param version Content version
+   * @param source Tool or component that deleted the file
+   * @returns New trash entry
+   */
+  async add(relativePath: string, content: string, version: string, source: string): Promise<TrashEntry> {
+    const deletedAt = new Date().toISOString();
+    const entry: TrashEntry = {
+      id: `${deletedAt.replace(/[-:.]/g, '')}-${version.slice(0, 8)}`,
+      fileName: relativePath,
+      deletedAt,
+      source,
+      version,
+      size: Buffer.byteLength(content, 'utf8')
+    };
+
+    return this.storage.lock(this.indexPath, async () => {
+      const entries = await this.readIndex();
+
+      // The same content deleted twice within a millisecond gets a distinct ID
+      while (entries.some(item => item.id === entry.id)) {
+        entry.id = `${entry.id}-1`;
+      }
+
+      await this.storage.write(this.getContentPath(entry), content);
+      await this.writeIndex([...entries, entry]);
+
+      logger.debug(`Moved ${relativePath} to the trash as ${entry.id} (${source})`);
+      return entry;
+    });
+  }
+
+  /**
+   * Remove an entry from the trash, e.g. after it was restored
+   * @param id Trash entry ID
+   */
+  async remove(id: string): Promise<void> {
+    await this.purge({ id });
+  }
+
+  /**
+   * Permanently delete entries from the trash. Without options the whole
+   * trash is emptied.
+   * @param options Entry to delete, or minimum age of the entries to delete
+   * @param canPurge Check whether a matching entry may be deleted; entries it rejects are kept
+   * @returns Deleted entries
+   */
+  async purge(
+    options: PurgeOptions = {},
+    canPurge: (entry: TrashEntry) => boolean = () => true
+  ): Promise<TrashEntry[]> {
+    return this.storage.lock(this.indexPath, async () => {
+      const entries = await this.readIndex();
+      const cutoff = options.olderThanDays !== undefined
+        ? Date.now() - options.olderThanDays * 24 * 60 * 60 * 1000
+        : null;
+
+      if (options.id !== undefined && !entries.some(entry => entry.id === options.id)) {
+        throw new MemoryBankError(
+          MemoryErrorCode.TRASH_ENTRY_NOT_FOUND,
+          `Trash entry not found: ${options.id}`,
+          { id: options.id }
+        );
+      }
+
+      const purged = entries.filter(entry =>
+        (options.id === undefined || entry.id === options.id) &&
+        (cutoff === null || Date.parse(entry.deletedAt) < cutoff) &&
+        canPurge(entry)
+      );
+
+      for (const entry of purged) {
+        await this.storage.delete(`${TRASH_DIR_NAME}/${entry.id}`);
+      }
+
+      if (purged.length > 0) {
+        await this.writeIndex(entries.filter(entry => !purged.includes(entry)));
+        logger.info(`Purged ${purged.length} entries from the Memory Bank trash`);
+      }
+
+      return purged;
+    });
+  }
+}
+
+export default TrashManager;
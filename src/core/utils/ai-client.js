@@ -1,69 +1,211 @@
 /**
  * ai-client.js
- * Utility for interacting with AI services
+ * Client for model requests, answered by the provider selected with
+ * AI_PROVIDER (Anthropic, an OpenAI-compatible API or the echo provider for
+ * tests). The client adds what every provider shares: the sampling settings
+ * from MAX_TOKENS and TEMPERATURE, streaming, retries with backoff, timeouts,
+ * a response cache and usage statistics per provider. Each provider reads its
+ * own model setting.
  */
 
 import logger from '../../logger.js';
+import { MemoryBankError, MemoryErrorCode } from '../errors.js';
+import { createAIProvider, DEFAULT_AI_PROVIDER } from '../ai/index.js';
 
-// Simple cache for AI responses
+const DEFAULT_MAX_TOKENS = 4096;
+const DEFAULT_TEMPERATURE = 0.2;
+const DEFAULT_TIMEOUT = 60000;
+const DEFAULT_MAX_RETRIES = 3;
+
+// Delay before the first retry in milliseconds, doubled for every further one
+const RETRY_BASE_DELAY = 500;
+
+// Longest wait between retries, including one asked for with retry-after
+const RETRY_MAX_DELAY = 30000;
+
+// Responses by provider and request, reused for identical requests
 const aiCache = new Map();
 
+// Usage by provider since the server started
+const usage = new Map();
+
 /**
- * Get AI-generated response
- * @param {string} prompt Prompt to send to AI
+ * Read a numeric setting from the environment
+ * @param {string} name Variable name
+ * @param {number} fallback Value used when the variable is unset or invalid
+ * @returns {number} Setting
+ */
+function readSetting(name, fallback) {
+  const value = parseFloat(process.env[name] || '');
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Get the usage counters of a provider, creating them on first use
+ * @param {string} provider Provider type
+ * @returns {Object} Usage counters
+ */
+function getUsage(provider) {
+  let providerUsage = usage.get(provider);
+
+  if (!providerUsage) {
+    providerUsage = { requests: 0, retries: 0, failures: 0, inputTokens: 0, outputTokens: 0 };
+    usage.set(provider, providerUsage);
+  }
+
+  return providerUsage;
+}
+
+/**
+ * Check whether a provider has the settings it needs to make requests
+ * @param {string} provider Provider type (default: AI_PROVIDER or anthropic)
+ * @returns {boolean} True if requests can be made
+ */
+export function isAIConfigured(provider) {
+  return createAIProvider(provider).isConfigured();
+}
+
+/**
+ * Get the delay before a retry: exponential backoff with jitter, or the
+ * delay the server asked for
+ * @param {number} attempt Number of the failed attempt, starting at 0
+ * @param {number} retryAfter Delay asked for by the server, in milliseconds
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempt, retryAfter) {
+  if (retryAfter !== undefined) {
+    return Math.min(retryAfter, RETRY_MAX_DELAY);
+  }
+
+  const delay = RETRY_BASE_DELAY * 2 ** attempt;
+  return Math.min(delay / 2 + Math.random() * delay / 2, RETRY_MAX_DELAY);
+}
+
+/**
+ * Get a model's response to a conversation
+ * @param {Object[]} messages Conversation so far, ending with the user message to answer
  * @param {Object} options Options for AI request
- * @returns {Promise<string>} AI response
+ * @returns {Promise<Object>} Model response, with the provider, model and token usage
  */
-export async function getAIResponse(prompt, options = {}) {
-  // Generate a cache key from prompt and options
-  const cacheKey = JSON.stringify({ prompt, options });
-  
+export async function getAICompletion(messages, options = {}) {
+  const provider = createAIProvider(options.provider);
+  const { onText, cache = true } = options;
+
+  const request = {
+    messages,
+    system: options.system,
+    model: options.model || provider.defaultModel,
+    maxTokens: options.maxTokens || Math.floor(readSetting('MAX_TOKENS', DEFAULT_MAX_TOKENS)) || DEFAULT_MAX_TOKENS,
+    temperature: options.temperature ?? readSetting('TEMPERATURE', DEFAULT_TEMPERATURE),
+    json: options.json
+  };
+
+  // Generate a cache key from the provider and request
+  const cacheKey = JSON.stringify({ provider: provider.type, request });
+
   // Check if we have a cached response
-  if (aiCache.has(cacheKey)) {
+  if (cache && aiCache.has(cacheKey)) {
     logger.debug('Using cached AI response');
     return aiCache.get(cacheKey);
   }
-  
-  try {
-    // This would normally call an external AI service
-    // For now, just return a mock response
-    
-    // Check for required API key
-    if (!process.env.ANTHROPIC_API_KEY) {
-      throw new Error('ANTHROPIC_API_KEY environment variable not set');
+
+  if (!provider.isConfigured()) {
+    throw new MemoryBankError(
+      MemoryErrorCode.AI_NOT_CONFIGURED,
+      `AI provider ${provider.type} is not configured`,
+      { provider: provider.type }
+    );
+  }
+
+  const settings = {
+    stream: options.stream ?? true,
+    timeout: options.timeout || readSetting('AI_TIMEOUT_MS', DEFAULT_TIMEOUT) || DEFAULT_TIMEOUT,
+    maxRetries: options.maxRetries ?? Math.floor(readSetting('AI_MAX_RETRIES', DEFAULT_MAX_RETRIES))
+  };
+  const providerUsage = getUsage(provider.type);
+
+  for (let attempt = 0; ; attempt++) {
+    // Text already passed to onText cannot be taken back, so a stream that
+    // fails halfway is not retried
+    let streamed = false;
+
+    try {
+      providerUsage.requests++;
+
+      const response = await provider.complete(request, {
+        ...settings,
+        onText: text => {
+          if (onText) {
+            streamed = true;
+            onText(text);
+          }
+        }
+      });
+
+      providerUsage.inputTokens += response.usage.inputTokens;
+      providerUsage.outputTokens += response.usage.outputTokens;
+
+      if (response.stopReason === 'max_tokens') {
+        logger.warn(`AI response was cut off at ${request.maxTokens} tokens`);
+      }
+
+      // Cache the response
+      if (cache) {
+        aiCache.set(cacheKey, response);
+      }
+
+      return response;
+    } catch (error) {
+      if (!error.details?.retryable || streamed || attempt >= settings.maxRetries) {
+        providerUsage.failures++;
+        logger.error(`AI service error: ${error.message}`, { provider: provider.type, error });
+        throw error;
+      }
+
+      const delay = getRetryDelay(attempt, error.details.retryAfter);
+      providerUsage.retries++;
+      logger.warn(`${error.message}; retrying in ${Math.round(delay)} ms (${attempt + 1}/${settings.maxRetries})`);
+
+      await new Promise(resolve => setTimeout(resolve, delay));
     }
-    
-    // Simple response generation for now
-    const response = `AI response to: ${prompt.substring(0, 50)}...`;
-    
-    // Cache the response
-    aiCache.set(cacheKey, response);
-    
-    return response;
-  } catch (error) {
-    logger.error(`AI service error: ${error.message}`, { error });
-    throw error;
   }
 }
 
 /**
- * Get statistics about the AI cache
- * @returns {Object} Cache statistics
+ * Get AI-generated response
+ * @param {string} prompt Prompt to send to AI
+ * @param {Object} options Options for AI request
+ * @returns {Promise<string>} AI response
+ */
+export async function getAIResponse(prompt, options = {}) {
+  return (await getAICompletion([{ role: 'user', content: prompt }], options)).text;
+}
+
+/**
+ * Get statistics about the AI cache and usage
+ * @returns {Object<string, *>} Cache statistics, the selected provider, and requests and tokens by provider since the server started
  */
 export function getAICacheStats() {
   return {
     size: aiCache.size,
     keys: Array.from(aiCache.keys()).map(key => {
-      const data = JSON.parse(key);
+      const { provider, request } = JSON.parse(key);
+      const { messages, ...options } = request;
+      const prompt = messages[messages.length - 1]?.content || '';
       return {
-        promptPreview: data.prompt.substring(0, 30) + '...',
-        options: data.options
+        provider,
+        promptPreview: prompt.substring(0, 30) + '...',
+        options
       };
-    })
+    }),
+    provider: process.env.AI_PROVIDER || DEFAULT_AI_PROVIDER,
+    usage: Object.fromEntries(Array.from(usage.entries(), ([provider, providerUsage]) => [provider, { ...providerUsage }]))
   };
 }
 
 export default {
   getAIResponse,
-  getAICacheStats
+  getAICompletion,
+  getAICacheStats,
+  isAIConfigured
 };
@@ -0,0 +1,243 @@
+/**
+ * ai-client.ts
+ * Client for model requests, answered by the provider selected with
+ * AI_PROVIDER (Anthropic, an OpenAI-compatible API or the echo provider for
+ * tests). The client adds what every provider shares: the sampling settings
+ * from MAX_TOKENS and TEMPERATURE, streaming, retries with backoff, timeouts,
+ * a response cache and usage statistics per provider. Each provider reads its
+ * own model setting.
+ */
+
+import { logger } from '../../logger.js';
+import { MemoryBankError, MemoryErrorCode } from '../errors.js';
+import { createAIProvider, DEFAULT_AI_PROVIDER, AIMessage, AIRequest, AIResponse } from '../ai/index.js';
+
+const DEFAULT_MAX_TOKENS = 4096;
+const DEFAULT_TEMPERATURE = 0.2;
+const DEFAULT_TIMEOUT = 60000;
+const DEFAULT_MAX_RETRIES = 3;
+
+// Delay before the first retry in milliseconds, doubled for every further one
+const RETRY_BASE_DELAY = 500;
+
+// Longest wait between retries, including one asked for with retry-after
+const RETRY_MAX_DELAY = 30000;
+
+export interface AIRequestOptions {
+  /** Provider type (default: AI_PROVIDER or anthropic) */
+  provider?: string;
+  /** System prompt */
+  system?: string;
+  model?: string;
+  maxTokens?: number;
+  temperature?: number;
+  /** Ask for a single JSON object as the response */
+  json?: boolean;
+  /** Stream the response (default: true) */
+  stream?: boolean;
+  /** Milliseconds without a response or streamed data before giving up */
+  timeout?: number;
+  /** Retries of failed requests that are worth retrying */
+  maxRetries?: number;
+  /** Called with every piece of text as it is streamed */
+  onText?: (text: string) => void;
+  /** Reuse the response to an identical earlier request (default: true) */
+  cache?: boolean;
+}
+
+export interface AIProviderUsage {
+  requests: number;
+  retries: number;
+  failures: number;
+  inputTokens: number;
+  outputTokens: number;
+}
+
+// Responses by provider and request, reused for identical requests
+const aiCache = new Map<string, AIResponse>();
+
+// Usage by provider since the server started
+const usage = new Map<string, AIProviderUsage>();
+
+/**
+ * Read a numeric setting from the environment
+ * @param name Variable name
+ * @param fallback Value used when the variable is unset or invalid
+ * @returns Setting
+ */
+function readSetting(name: string, fallback: number): number {
+  const value = parseFloat(process.env[name] || '');
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Get the usage counters of a provider, creating them on first use
+ * @param provider Provider type
+ * @returns Usage counters
+ */
+function getUsage(provider: string): AIProviderUsage {
+  let providerUsage = usage.get(provider);
+
+  if (!providerUsage) {
+    providerUsage = { requests: 0, retries: 0, failures: 0, inputTokens: 0, outputTokens: 0 };
+    usage.set(provider, providerUsage);
+  }
+
+  return providerUsage;
+}
+
+/**
+ * Check whether a provider has the settings it needs to make requests
+ * @param provider Provider type (default: AI_PROVIDER or anthropic)
+ * @returns True if requests can be made
+ */
+export function isAIConfigured(provider?: string): boolean {
+  return createAIProvider(provider).isConfigured();
+}
+
+/**
+ * Get the delay before a retry: exponential backoff with jitter, or the
+ * delay the server asked for
+ * @param attempt Number of the failed attempt, starting at 0
+ * @param retryAfter Delay asked for by the server, in milliseconds
+ * @returns Delay in milliseconds
+ */
+function getRetryDelay(attempt: number, retryAfter?: number): number {
+  if (retryAfter !== undefined) {
+    return Math.min(retryAfter, RETRY_MAX_DELAY);
+  }
+
+  const delay = RETRY_BASE_DELAY * 2 ** attempt;
+  return Math.min(delay / 2 + Math.random() * delay / 2, RETRY_MAX_DELAY);
+}
+
+/**
+ * Get a model's response to a conversation
+ * @param messages Conversation so far, ending with the user message to answer
+ * @param options Options for AI request
+ * @returns Model response, with the provider, model and token usage
+ */
+export async function getAICompletion(messages: AIMessage[], options: AIRequestOptions = {}): Promise<AIResponse> {
+  const provider = createAIProvider(options.provider);
+  const { onText, cache = true } = options;
+
+  const request: AIRequest = {
+    messages,
+    system: options.system,
+    model: options.model || provider.defaultModel,
+    maxTokens: options.maxTokens || Math.floor(readSetting('MAX_TOKENS', DEFAULT_MAX_TOKENS)) || DEFAULT_MAX_TOKENS,
+    temperature: options.temperature ?? readSetting('TEMPERATURE', DEFAULT_TEMPERATURE),
+    json: options.json
+  };
+
+  // Generate a cache key from the provider and request
+  const cacheKey = JSON.stringify({ provider: provider.type, request });
+
+  // Check if we have a cached response
+  if (cache && aiCache.has(cacheKey)) {
+    logger.debug('Using cached AI response');
+    return aiCache.get(cacheKey)!;
+  }
+
+  if (!provider.isConfigured()) {
+    throw new MemoryBankError(
+      MemoryErrorCode.AI_NOT_CONFIGURED,
+      `AI provider ${provider.type} is not configured`,
+      { provider: provider.type }
+    );
+  }
+
+  const settings = {
+    stream: options.stream ?? true,
+    timeout: options.timeout || readSetting('AI_TIMEOUT_MS', DEFAULT_TIMEOUT) || DEFAULT_TIMEOUT,
+    maxRetries: options.maxRetries ?? Math.floor(readSetting('AI_MAX_RETRIES', DEFAULT_MAX_RETRIES))
+  };
+  const providerUsage = getUsage(provider.type);
+
+  for (let attempt = 0; ; attempt++) {
+    // Text already passed to onText cannot be taken back, so a stream that
+    // fails halfway is not retried
+    let streamed = false;
+
+    try {
+      providerUsage.requests++;
+
+      const response = await provider.complete(request, {
+        ...settings,
+        onText: text => {
+          if (onText) {
+            streamed = true;
+            onText(text);
+          }
+        }
+      });
+
+      providerUsage.inputTokens += response.usage.inputTokens;
+      providerUsage.outputTokens += response.usage.outputTokens;
+
+      if (response.stopReason === 'max_tokens') {
+        logger.warn(`AI response was cut off at ${request.maxTokens} tokens`);
+      }
+
+      // Cache the response
+      if (cache) {
+        aiCache.set(cacheKey, response);
+      }
+
+      return response;
+    } catch (error) {
+      const err = error as MemoryBankError;
+
+      if (!err.details?.retryable || streamed || attempt >= settings.maxRetries) {
+        providerUsage.failures++;
+        logger.error(`AI service error: ${err.message}`, { provider: provider.type, error });
+        throw error;
+      }
+
+      const delay = getRetryDelay(attempt, err.details.retryAfter);
+      providerUsage.retries++;
+      logger.warn(`${err.message}; retrying in ${Math.round(delay)} ms (${attempt + 1}/${settings.maxRetries})`);
+
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Get AI-generated response
+ * @param prompt Prompt to send to AI
+ * @param options Options for AI request
+ * @returns AI response
+ */
+export async function getAIResponse(prompt: string, options: AIRequestOptions = {}): Promise<string> {
+  return (await getAICompletion([{ role: 'user', content: prompt }], options)).text;
+}
+
+/**
+ * Get statistics about the AI cache and usage
+ * @returns Cache statistics, the selected provider, and requests and tokens by provider since the server started
+ */
+export function getAICacheStats(): Record<string, any> {
+  return {
+    size: aiCache.size,
+    keys: Array.from(aiCache.keys()).map(key => {
+      const { provider, request } = JSON.parse(key);
+      const { messages, ...options } = request;
+      const prompt: string = messages[messages.length - 1]?.content || '';
+      return {
+        provider,
+        promptPreview: prompt.substring(0, 30) + '...',
+        options
+      };
+    }),
+    provider: process.env.AI_PROVIDER || DEFAULT_AI_PROVIDER,
+    usage: Object.fromEntries(Array.from(usage.entries(), ([provider, providerUsage]) => [provider, { ...providerUsage }]))
+  };
+}
+
+export default {
+  getAIResponse,
+  getAICompletion,
+  getAICacheStats,
+  isAIConfigured
+};
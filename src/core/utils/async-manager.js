@@ -5,8 +5,9 @@
 
 import { v4 as uuidv4 } from 'uuid';
 import logger from '../../logger.js';
+import { getErrorCode } from '../errors.js';
 
-class AsyncOperationManager {
+export class AsyncOperationManager {
   constructor() {
     this.operations = new Map();
   }
@@ -77,7 +78,8 @@ class AsyncOperationManager {
       status: 'failed',
       endTime,
       duration,
-      error: errorMessage
+      error: errorMessage,
+      code: getErrorCode(error)
     });
     
     // Clean up old operations after 1 hour
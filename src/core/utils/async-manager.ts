@@ -5,17 +5,19 @@
 
 import { v4 as uuidv4 } from 'uuid';
 import { logger } from '../../logger.js';
+import { getErrorCode } from '../errors.js';
 
-interface OperationStatus {
+export interface OperationStatus {
   status: 'pending' | 'completed' | 'failed';
   startTime: number;
   endTime?: number;
   duration?: number;
   result?: any;
   error?: string;
+  code?: string;
 }
 
-class AsyncOperationManager {
+export class AsyncOperationManager {
   private operations: Map<string, OperationStatus>;
 
   constructor() {
@@ -88,7 +90,8 @@ class AsyncOperationManager {
       status: 'failed',
       endTime,
       duration,
-      error: errorMessage
+      error: errorMessage,
+      code: getErrorCode(error)
     });
     
     // Clean up old operations after 1 hour
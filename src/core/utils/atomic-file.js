@@ -0,0 +1,159 @@
+/**
+ * atomic-file.js
+ * Advisory file locking and atomic file writes
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import logger from '../../logger.js';
+import { MemoryBankError, MemoryErrorCode } from '../errors.js';
+
+// Lock timing options
+export const LOCK_OPTIONS = {
+  retryInterval: 25, // Delay between attempts to acquire a lock
+  timeout: 5000, // Give up acquiring a lock after 5 seconds
+  stale: 30000, // Locks older than 30 seconds are considered abandoned
+};
+
+// Lock chains for files locked by this process
+const processLocks = new Map();
+
+/**
+ * Get the path of the lock file for a file
+ * @param {string} filePath Path of the locked file
+ * @returns {string} Lock file path
+ */
+export function getLockPath(filePath) {
+  return path.join(path.dirname(filePath), `.${path.basename(filePath)}.lock`);
+}
+
+/**
+ * Run a function while no other caller in this process holds the same key.
+ * Callers are queued in order.
+ * @param {string} key Lock key
+ * @param {() => Promise<T>} fn Function to run while the lock is held
+ * @returns {Promise<T>} Result of the function
+ */
+export async function withProcessLock(key, fn) {
+  const previous = processLocks.get(key) || Promise.resolve();
+
+  let release;
+  const held = new Promise(resolve => { release = resolve; });
+  const current = previous.then(() => held);
+  processLocks.set(key, current);
+
+  await previous;
+
+  try {
+    return await fn();
+  } finally {
+    release();
+
+    if (processLocks.get(key) === current) {
+      processLocks.delete(key);
+    }
+  }
+}
+
+/**
+ * Run a function while holding an advisory lock on a file. Callers in this
+ * process are queued; other processes are excluded through a lock file.
+ * @param {string} filePath Path of the file to lock
+ * @param {() => Promise<T>} fn Function to run while the lock is held
+ * @returns {Promise<T>} Result of the function
+ */
+export async function withFileLock(filePath, fn) {
+  const key = path.resolve(filePath);
+
+  return withProcessLock(key, async () => {
+    const lockPath = getLockPath(key);
+    await acquireLockFile(lockPath);
+
+    try {
+      return await fn();
+    } finally {
+      await fs.remove(lockPath);
+    }
+  });
+}
+
+/**
+ * Create a lock file, waiting for other holders and breaking stale locks
+ * @param {string} lockPath Lock file path
+ */
+async function acquireLockFile(lockPath) {
+  const startTime = Date.now();
+
+  await fs.ensureDir(path.dirname(lockPath));
+
+  while (true) {
+    try {
+      await fs.writeFile(lockPath, JSON.stringify({ pid: process.pid, acquiredAt: new Date().toISOString() }), { flag: 'wx' });
+      return;
+    } catch (error) {
+
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    try {
+      const stats = await fs.stat(lockPath);
+
+      if (Date.now() - stats.mtimeMs > LOCK_OPTIONS.stale) {
+        logger.warn(`Removing stale lock file: ${lockPath}`);
+        await fs.remove(lockPath);
+        continue;
+      }
+    } catch {
+      // Lock was released in the meantime
+      continue;
+    }
+
+    if (Date.now() - startTime > LOCK_OPTIONS.timeout) {
+      throw new MemoryBankError(
+        MemoryErrorCode.LOCK_TIMEOUT,
+        `Timed out waiting for lock: ${lockPath}`,
+        { lockPath }
+      );
+    }
+
+    await new Promise(resolve => setTimeout(resolve, LOCK_OPTIONS.retryInterval));
+  }
+}
+
+/**
+ * Write a file atomically by writing a temporary file next to it and
+ * renaming it over the target, so readers never see a partial write
+ * @param {string} filePath Target file path
+ * @param {string} content File content
+ */
+export async function writeFileAtomic(filePath, content) {
+  const tempPath = path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`
+  );
+
+  try {
+    const fd = await fs.open(tempPath, 'w');
+
+    try {
+      await fs.writeFile(fd, content, 'utf8');
+      await fs.fsync(fd);
+    } finally {
+      await fs.close(fd);
+    }
+
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.remove(tempPath);
+    throw error;
+  }
+}
+
+export default {
+  withProcessLock,
+  withFileLock,
+  writeFileAtomic,
+  getLockPath
+};
@@ -0,0 +1,152 @@
+/**
+ * Split text into lines, without the trailing empty line of a final newline
+ * @param {string} text Text to split
+ * @returns {string[]} Lines
+ */
+function splitLines(text) {
+  if (text === '') {
+    return [];
+  }
+
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+
+  return lines;
+}
+
+/**
+ * Compute the shortest edit script between two line arrays (Myers' algorithm)
+ * @param {string[]} a Old lines
+ * @param {string[]} b New lines
+ * @returns {Object[]} Diff operations
+ */
+function diffLines(a, b) {
+  const max = a.length + b.length;
+  const offset = max + 1;
+  const v = new Array(2 * max + 3).fill(0);
+  const trace = [];
+
+  outer:
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice());
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+
+      v[offset + k] = x;
+
+      if (x >= a.length && y >= b.length) {
+        break outer;
+      }
+    }
+  }
+
+  // Walk the trace backwards to recover the edit script
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const vd = trace[d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && vd[offset + k - 1] < vd[offset + k + 1])) ? k + 1 : k - 1;
+    const prevX = vd[offset + prevK];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', line: a[x - 1] });
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: 'insert', line: b[y - 1] });
+      } else {
+        ops.push({ type: 'delete', line: a[x - 1] });
+      }
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Create a unified diff between two texts
+ * @param {string} oldText Old text
+ * @param {string} newText New text
+ * @param {Object} options Labels and number of context lines
+ * @returns {string} Unified diff, or an empty string if the texts are equal
+ */
+export function createUnifiedDiff(oldText, newText, options = {}) {
+  const { oldLabel = 'a', newLabel = 'b', context = 3 } = options;
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+
+  if (ops.every(op => op.type === 'equal')) {
+    return '';
+  }
+
+  const output = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  let index = 0;
+
+  while (index < ops.length) {
+    // Find the next change
+    while (index < ops.length && ops[index].type === 'equal') {
+      index++;
+    }
+    if (index >= ops.length) {
+      break;
+    }
+
+    // Extend the hunk until there is more than 2 * context unchanged lines
+    const start = Math.max(0, index - context);
+    let end = index;
+    let equalRun = 0;
+
+    while (end < ops.length && equalRun <= context * 2) {
+      equalRun = ops[end].type === 'equal' ? equalRun + 1 : 0;
+      end++;
+    }
+    end -= Math.max(0, equalRun - context);
+
+    // Line numbers at the start of the hunk
+    let oldLine = 1;
+    let newLine = 1;
+    for (let i = 0; i < start; i++) {
+      if (ops[i].type !== 'insert') oldLine++;
+      if (ops[i].type !== 'delete') newLine++;
+    }
+
+    const hunk = ops.slice(start, end);
+    const oldCount = hunk.filter(op => op.type !== 'insert').length;
+    const newCount = hunk.filter(op => op.type !== 'delete').length;
+
+    output.push(`@@ -${oldCount === 0 ? oldLine - 1 : oldLine},${oldCount} +${newCount === 0 ? newLine - 1 : newLine},${newCount} @@`);
+
+    for (const op of hunk) {
+      const prefix = op.type === 'equal' ? ' ' : op.type === 'delete' ? '-' : '+';
+      output.push(`${prefix}${op.line}`);
+    }
+
+    index = end;
+  }
+
+  return output.join('\n') + '\n';
+}
+
+export default {
+  createUnifiedDiff
+};
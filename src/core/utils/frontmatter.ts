@@ -0,0 +1,261 @@
+/**
+ * frontmatter.ts
+ * Parsing and serialization of YAML frontmatter in Memory Bank files.
+ * Supports the flat subset used for file metadata: scalars (strings, numbers,
+ * booleans, null) and lists of scalars, in inline ([a, b]) or block (- a) form.
+ */
+
+import { MemoryBankError, MemoryErrorCode } from '../errors.js';
+
+export type FrontmatterScalar = string | number | boolean | null;
+export type FrontmatterValue = FrontmatterScalar | FrontmatterScalar[];
+export type FrontmatterData = Record<string, FrontmatterValue>;
+
+export interface ParsedFrontmatter {
+  data: FrontmatterData;
+  body: string;
+  hasFrontmatter: boolean;
+}
+
+// Keys written first, in this order; other keys follow in their original order
+const KEY_ORDER = ['tags', 'owner', 'status', 'priority', 'created', 'updated'];
+
+const FRONTMATTER_PATTERN = /^---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?---[ \t]*(?:\r?\n|$)/;
+
+/**
+ * Parse a scalar YAML value
+ * @param text Raw value
+ * @returns Parsed value
+ */
+function parseScalar(text: string): FrontmatterScalar {
+  const value = text.trim();
+
+  if (value.startsWith('"')) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      throw new MemoryBankError(MemoryErrorCode.INVALID_FRONTMATTER, `Invalid quoted value in frontmatter: ${value}`);
+    }
+  }
+
+  if (value.startsWith("'")) {
+    if (!/^'(?:[^']|'')*'$/.test(value)) {
+      throw new MemoryBankError(MemoryErrorCode.INVALID_FRONTMATTER, `Invalid quoted value in frontmatter: ${value}`);
+    }
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+
+  if (value === '' || value === '~' || value === 'null') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^-?\d+(?:\.\d+)?$/.test(value)) return Number(value);
+
+  // Strip trailing comments
+  return value.replace(/\s+#.*$/, '');
+}
+
+/**
+ * Split an inline list into its items, respecting quotes
+ * @param text List content without the brackets
+ * @returns Raw items
+ */
+function splitInlineList(text: string): string[] {
+  const items: string[] = [];
+  let current = '';
+  let quote: string | null = null;
+
+  for (const char of text) {
+    if (quote) {
+      current += char;
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      current += char;
+    } else if (char === ',') {
+      items.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current.trim() || items.length > 0) {
+    items.push(current);
+  }
+
+  return items.map(item => item.trim()).filter(item => item !== '');
+}
+
+/**
+ * Check whether a document starts with a frontmatter block
+ * @param content Document content
+ * @returns True if the document has frontmatter
+ */
+export function hasFrontmatter(content: string): boolean {
+  return FRONTMATTER_PATTERN.test(content);
+}
+
+/**
+ * Split a document into its frontmatter data and body
+ * @param content Document content
+ * @returns Frontmatter data, body and whether the document had frontmatter
+ */
+export function parseFrontmatter(content: string): ParsedFrontmatter {
+  const match = FRONTMATTER_PATTERN.exec(content);
+  if (!match) {
+    return { data: {}, body: content, hasFrontmatter: false };
+  }
+
+  const data: FrontmatterData = {};
+  const blockKeys: string[] = [];
+  let listKey: string | null = null;
+
+  for (const line of (match[1] || '').split(/\r?\n/)) {
+    if (!line.trim() || /^\s*#/.test(line)) {
+      continue;
+    }
+
+    const itemMatch = /^\s*-\s+(.*)$/.exec(line) || /^\s*-$/.exec(line);
+    if (itemMatch) {
+      if (!listKey) {
+        throw new MemoryBankError(MemoryErrorCode.INVALID_FRONTMATTER, `List item without a key in frontmatter: ${line}`);
+      }
+      (data[listKey] as FrontmatterScalar[]).push(parseScalar(itemMatch[1] || ''));
+      continue;
+    }
+
+    const keyMatch = /^([A-Za-z_][\w-]*)\s*:(?:\s+(.*))?$/.exec(line);
+    if (!keyMatch) {
+      throw new MemoryBankError(MemoryErrorCode.INVALID_FRONTMATTER, `Unsupported frontmatter line: ${line}`);
+    }
+
+    const [, key, rawValue = ''] = keyMatch;
+    const value = rawValue.replace(/\s+#.*$/, '').trim();
+    listKey = null;
+
+    if (value === '') {
+      // Either null or the start of a block list
+      data[key] = [];
+      listKey = key;
+      blockKeys.push(key);
+    } else if (value.startsWith('[')) {
+      if (!value.endsWith(']')) {
+        throw new MemoryBankError(MemoryErrorCode.INVALID_FRONTMATTER, `Unterminated list in frontmatter: ${line}`);
+      }
+      data[key] = splitInlineList(value.slice(1, -1)).map(parseScalar);
+    } else if (value.startsWith('{') || value.startsWith('|') || value.startsWith('>')) {
+      throw new MemoryBankError(MemoryErrorCode.INVALID_FRONTMATTER, `Unsupported frontmatter value for ${key}`);
+    } else {
+      data[key] = parseScalar(rawValue);
+    }
+  }
+
+  // A key without a value and without list items is null
+  for (const key of blockKeys) {
+    if (Array.isArray(data[key]) && (data[key] as FrontmatterScalar[]).length === 0) {
+      data[key] = null;
+    }
+  }
+
+  return {
+    data,
+    body: content.slice(match[0].length),
+    hasFrontmatter: true
+  };
+}
+
+/**
+ * Format a scalar as YAML, quoting it when needed
+ * @param value Scalar value
+ * @param inList Whether the value is an item of an inline list
+ * @returns YAML text
+ */
+function formatScalar(value: FrontmatterScalar, inList = false): string {
+  if (value === null) return 'null';
+  if (typeof value !== 'string') return String(value);
+
+  const plain = /^[A-Za-z0-9_./+-][^#]*$/.test(value) &&
+    !/^-(\s|$)/.test(value) && !/:(\s|$)/.test(value) && !/\s$/.test(value) &&
+    !(inList && /[,[\]{}]/.test(value)) &&
+    !/^(true|false|null|~|-?\d+(\.\d+)?)$/.test(value);
+
+  return plain ? value : JSON.stringify(value);
+}
+
+/**
+ * Serialize frontmatter data and prepend it to a body
+ * @param data Frontmatter data
+ * @param body Document body
+ * @param eol Line ending
+ * @returns Document content
+ */
+export function serializeFrontmatter(data: FrontmatterData, body: string, eol = '\n'): string {
+  const keys = [
+    ...KEY_ORDER.filter(key => key in data),
+    ...Object.keys(data).filter(key => !KEY_ORDER.includes(key))
+  ];
+
+  if (keys.length === 0) {
+    return body;
+  }
+
+  const lines = keys.map(key => {
+    const value = data[key];
+    return Array.isArray(value)
+      ? `${key}: [${value.map(item => formatScalar(item, true)).join(', ')}]`
+      : `${key}: ${formatScalar(value)}`;
+  });
+
+  return `---${eol}${lines.join(eol)}${eol}---${eol}${body}`;
+}
+
+/**
+ * Maintain the frontmatter of a document being written. Metadata of the
+ * previous content is kept when the new content has no frontmatter, `created`
+ * is never changed once set and `updated` is set to the time of the write
+ * unless nothing but the timestamps would change.
+ * @param content New content
+ * @param previousContent Current content of the file, or null for a new file
+ * @param now Time of the write
+ * @param createdFallback Creation time used when the file has no `created` entry
+ * @returns Content to write
+ */
+export function maintainFrontmatter(
+  content: string,
+  previousContent: string | null,
+  now: Date,
+  createdFallback: Date = now
+): string {
+  const next = parseFrontmatter(content);
+  let previous: ParsedFrontmatter = { data: {}, body: '', hasFrontmatter: false };
+
+  if (previousContent !== null) {
+    try {
+      previous = parseFrontmatter(previousContent);
+    } catch {
+      // Unreadable previous metadata is replaced by the new content's metadata
+    }
+  }
+
+  const data: FrontmatterData = { ...(next.hasFrontmatter ? next.data : previous.data) };
+  data.created = previous.data.created ?? next.data.created ?? createdFallback.toISOString();
+
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+
+  if (previousContent !== null && previous.data.updated !== undefined) {
+    const unchanged = serializeFrontmatter({ ...data, updated: previous.data.updated }, next.body, eol);
+    if (unchanged === previousContent) {
+      return previousContent;
+    }
+  }
+
+  data.updated = now.toISOString();
+  return serializeFrontmatter(data, next.body, eol);
+}
+
+export default {
+  hasFrontmatter,
+  parseFrontmatter,
+  serializeFrontmatter,
+  maintainFrontmatter
+};
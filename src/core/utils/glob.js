@@ -0,0 +1,85 @@
+/**
+ * glob.js
+ * Minimal glob matching for Memory Bank relative paths
+ */
+
+const regexCache = new Map();
+
+/**
+ * Convert a glob pattern to a regular expression.
+ * Supports `**` (any number of path segments), `*` (anything within a segment),
+ * `?` (a single character) and `{a,b}` alternatives.
+ * @param {string} pattern Glob pattern using forward slashes
+ * @returns {RegExp} Regular expression matching whole paths
+ */
+export function globToRegExp(pattern) {
+  const cached = regexCache.get(pattern);
+  if (cached) {
+    return cached;
+  }
+
+  let source = '';
+  let inGroup = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // "**/" matches zero or more directories, a trailing "**" matches everything
+        if (pattern[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      inGroup = true;
+      source += '(?:';
+    } else if (char === '}' && inGroup) {
+      inGroup = false;
+      source += ')';
+    } else if (char === ',' && inGroup) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  const regex = new RegExp(`^${source}$`);
+  regexCache.set(pattern, regex);
+
+  return regex;
+}
+
+/**
+ * Check whether a relative path matches a glob pattern
+ * @param {string} relativePath Path relative to the Memory Bank root, using forward slashes
+ * @param {string} pattern Glob pattern
+ * @returns {boolean} True if the path matches
+ */
+export function matchGlob(relativePath, pattern) {
+  return globToRegExp(pattern).test(relativePath);
+}
+
+/**
+ * Check whether a relative path matches any of the given glob patterns
+ * @param {string} relativePath Path relative to the Memory Bank root
+ * @param {string[]} patterns Glob patterns
+ * @returns {boolean} True if at least one pattern matches
+ */
+export function matchAnyGlob(relativePath, patterns) {
+  return patterns.some(pattern => matchGlob(relativePath, pattern));
+}
+
+export default {
+  globToRegExp,
+  matchGlob,
+  matchAnyGlob
+};
@@ -0,0 +1,85 @@
+/**
+ * glob.ts
+ * Minimal glob matching for Memory Bank relative paths
+ */
+
+const regexCache = new Map<string, RegExp>();
+
+/**
+ * Convert a glob pattern to a regular expression.
+ * Supports `**` (any number of path segments), `*` (anything within a segment),
+ * `?` (a single character) and `{a,b}` alternatives.
+ * @param pattern Glob pattern using forward slashes
+ * @returns Regular expression matching whole paths
+ */
+export function globToRegExp(pattern: string): RegExp {
+  const cached = regexCache.get(pattern);
+  if (cached) {
+    return cached;
+  }
+
+  let source = '';
+  let inGroup = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // "**/" matches zero or more directories, a trailing "**" matches everything
+        if (pattern[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      inGroup = true;
+      source += '(?:';
+    } else if (char === '}' && inGroup) {
+      inGroup = false;
+      source += ')';
+    } else if (char === ',' && inGroup) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  const regex = new RegExp(`^${source}$`);
+  regexCache.set(pattern, regex);
+
+  return regex;
+}
+
+/**
+ * Check whether a relative path matches a glob pattern
+ * @param relativePath Path relative to the Memory Bank root, using forward slashes
+ * @param pattern Glob pattern
+ * @returns True if the path matches
+ */
+export function matchGlob(relativePath: string, pattern: string): boolean {
+  return globToRegExp(pattern).test(relativePath);
+}
+
+/**
+ * Check whether a relative path matches any of the given glob patterns
+ * @param relativePath Path relative to the Memory Bank root
+ * @param patterns Glob patterns
+ * @returns True if at least one pattern matches
+ */
+export function matchAnyGlob(relativePath: string, patterns: string[]): boolean {
+  return patterns.some(pattern => matchGlob(relativePath, pattern));
+}
+
+export default {
+  globToRegExp,
+  matchGlob,
+  matchAnyGlob
+};
@@ -0,0 +1,211 @@
+/**
+ * markdown-links.ts
+ * Parsing of the links between Memory Bank files, and rewriting of relative
+ * Markdown links when files are moved. Inline links and images
+ * ([text](target), ![alt](target)) and reference definitions ([id]: target)
+ * are handled; links inside fenced code blocks, absolute URLs and in-page
+ * anchors are left alone. Wiki-links ([[name]], [[name#heading|alias]]) are
+ * parsed but never rewritten, as they name a file rather than a path.
+ */
+
+import path from 'path';
+
+// Inline link or image: captures the text part and the destination
+const INLINE_LINK_PATTERN = /(!?\[[^\]\n]*\]\()(<[^>\n]*>|[^)\s]+)((?:\s+(?:"[^"\n]*"|'[^'\n]*'|\([^)\n]*\)))?\s*\))/g;
+
+// Reference definition at the start of a line
+const REFERENCE_PATTERN = /^( {0,3}\[[^\]\n]+\]:[ \t]*)(<[^>\n]*>|\S+)/;
+
+// Wiki-link: captures the target name, without heading and alias
+const WIKI_LINK_PATTERN = /\[\[([^\]|#\n]*)(?:#[^\]|\n]*)?(?:\|[^\]\n]*)?\]\]/g;
+
+export type LinkType = 'markdown' | 'wiki';
+
+export interface MarkdownLink {
+  type: LinkType;
+  /** Destination or wiki-link as written */
+  raw: string;
+  /** Markdown links: path relative to the Memory Bank root; wiki-links: the file name as written */
+  target: string;
+  /** 1-based line number */
+  line: number;
+}
+
+interface ParsedDestination {
+  bracketed: boolean;
+  raw: string;
+  linkPath: string;
+  suffix: string;
+  resolved: string;
+}
+
+/**
+ * Map a link destination to a new destination
+ * @param target Link path relative to the Memory Bank root, without fragment
+ * @returns New link path relative to the Memory Bank root, or null to keep the link
+ */
+export type LinkMapper = (target: string) => string | null;
+
+/**
+ * Parse a link destination that may point to a Memory Bank file
+ * @param destination Destination as written, possibly in angle brackets
+ * @param fromDir Directory the link is resolved from
+ * @returns Parsed destination, or null for URLs, anchors and paths leaving the Memory Bank
+ */
+function parseDestination(destination: string, fromDir: string): ParsedDestination | null {
+  const bracketed = destination.startsWith('<') && destination.endsWith('>');
+  const raw = bracketed ? destination.slice(1, -1) : destination;
+
+  // Absolute URLs (http:, mailto:, memory:), root-relative paths and anchors are not file links
+  if (!raw || /^[A-Za-z][A-Za-z0-9+.-]*:/.test(raw) || raw.startsWith('/') || raw.startsWith('#')) {
+    return null;
+  }
+
+  const suffixIndex = raw.search(/[?#]/);
+  const linkPath = suffixIndex === -1 ? raw : raw.slice(0, suffixIndex);
+  const suffix = suffixIndex === -1 ? '' : raw.slice(suffixIndex);
+
+  let decoded: string;
+  try {
+    decoded = decodeURI(linkPath);
+  } catch {
+    return null;
+  }
+
+  const resolved = path.posix.normalize(path.posix.join(fromDir, decoded));
+  if (resolved === '..' || resolved.startsWith('../')) {
+    return null;
+  }
+
+  return { bracketed, raw, linkPath, suffix, resolved };
+}
+
+/**
+ * Rewrite one link destination
+ * @param destination Destination as written, possibly in angle brackets
+ * @param fromDir Directory the link was resolved from
+ * @param toDir Directory the link is written from after the rewrite
+ * @param mapTarget Target mapping
+ * @returns New destination, or the original one if unchanged
+ */
+function rewriteDestination(destination: string, fromDir: string, toDir: string, mapTarget: LinkMapper): string {
+  const parsed = parseDestination(destination, fromDir);
+  if (!parsed) {
+    return destination;
+  }
+
+  const { bracketed, raw, linkPath, suffix, resolved } = parsed;
+
+  const mapped = mapTarget(resolved);
+  if (mapped === null && fromDir === toDir) {
+    return destination;
+  }
+
+  let relative = path.posix.relative(toDir, mapped ?? resolved);
+  if (linkPath.startsWith('./') && !relative.startsWith('.')) {
+    relative = `./${relative}`;
+  }
+
+  const rewritten = `${bracketed ? relative : encodeURI(relative)}${suffix}`;
+  if (rewritten === raw) {
+    return destination;
+  }
+
+  return bracketed ? `<${rewritten}>` : rewritten;
+}
+
+/**
+ * Create a tracker of fenced code blocks, to be called with every line in order
+ * @returns Function returning true for fence lines and lines inside a fence
+ */
+function createFenceTracker(): (line: string) => boolean {
+  let fence: string | null = null;
+
+  return line => {
+    const fenceMatch = /^\s*(```|~~~)/.exec(line);
+    if (fenceMatch) {
+      fence = fence === null ? fenceMatch[1] : (fence === fenceMatch[1] ? null : fence);
+      return true;
+    }
+
+    return fence !== null;
+  };
+}
+
+/**
+ * Rewrite the relative links of a Markdown document
+ * @param content Document content
+ * @param fromFile Path of the document the links were written for, relative to the Memory Bank root
+ * @param toFile Path of the document after the rewrite (differs from fromFile when the document itself moves)
+ * @param mapTarget Mapping of link targets, returning null for links to keep
+ * @returns Updated content
+ */
+export function rewriteMarkdownLinks(content: string, fromFile: string, toFile: string, mapTarget: LinkMapper): string {
+  const fromDir = path.posix.dirname(fromFile);
+  const toDir = path.posix.dirname(toFile);
+  const inCode = createFenceTracker();
+
+  return content.split(/(?<=\n)/).map(line => {
+    if (inCode(line)) {
+      return line;
+    }
+
+    const referenceMatch = REFERENCE_PATTERN.exec(line);
+    if (referenceMatch) {
+      const destination = rewriteDestination(referenceMatch[2], fromDir, toDir, mapTarget);
+      return referenceMatch[1] + destination + line.slice(referenceMatch[0].length);
+    }
+
+    return line.replace(INLINE_LINK_PATTERN, (_match, prefix: string, destination: string, rest: string) =>
+      prefix + rewriteDestination(destination, fromDir, toDir, mapTarget) + rest
+    );
+  }).join('');
+}
+
+/**
+ * Extract the links of a Markdown document to other Memory Bank files
+ * @param content Document content
+ * @param fromFile Path of the document, relative to the Memory Bank root
+ * @returns Links in document order
+ */
+export function extractMarkdownLinks(content: string, fromFile: string): MarkdownLink[] {
+  const fromDir = path.posix.dirname(fromFile);
+  const inCode = createFenceTracker();
+  const links: MarkdownLink[] = [];
+
+  content.split(/\r?\n/).forEach((line, index) => {
+    if (inCode(line)) {
+      return;
+    }
+
+    const addMarkdownLink = (destination: string): void => {
+      const parsed = parseDestination(destination, fromDir);
+      if (parsed && parsed.linkPath) {
+        links.push({ type: 'markdown', raw: destination, target: parsed.resolved, line: index + 1 });
+      }
+    };
+
+    const referenceMatch = REFERENCE_PATTERN.exec(line);
+    if (referenceMatch) {
+      addMarkdownLink(referenceMatch[2]);
+    } else {
+      for (const match of line.matchAll(INLINE_LINK_PATTERN)) {
+        addMarkdownLink(match[2]);
+      }
+    }
+
+    for (const match of line.matchAll(WIKI_LINK_PATTERN)) {
+      const target = match[1].trim();
+      if (target) {
+        links.push({ type: 'wiki', raw: match[0], target, line: index + 1 });
+      }
+    }
+  });
+
+  return links;
+}
+
+export default {
+  rewriteMarkdownLinks,
+  extractMarkdownLinks
+};
@@ -0,0 +1,241 @@
+/**
+ * markdown-sections.js
+ * Heading tree parsing and section-level edits of Markdown documents.
+ * Edits only touch the targeted section; the rest of the document is kept
+ * byte-for-byte.
+ */
+
+import { MemoryBankError, MemoryErrorCode } from '../errors.js';
+
+/**
+ * Detect the line ending used by a document
+ * @param {string} content Document content
+ * @returns {string} '\r\n' or '\n'
+ */
+function detectEol(content) {
+  return content.includes('\r\n') ? '\r\n' : '\n';
+}
+
+/**
+ * Parse the ATX heading tree of a Markdown document. Headings inside fenced
+ * code blocks are ignored. Offsets are character offsets into the content:
+ * a section spans from its heading to the next heading of the same or a
+ * higher level; its body ends at its first subsection.
+ * @param {string} content Document content
+ * @returns {Object[]} Sections in document order
+ */
+export function parseSections(content) {
+  const sections = [];
+  const stack = [];
+  const linePattern = /[^\r\n]*(?:\r?\n|$)/g;
+  let fence = null;
+  let line = 0;
+  let match;
+
+  while ((match = linePattern.exec(content)) !== null && match.index < content.length) {
+    const text = match[0].replace(/\r?\n$/, '');
+    const fenceMatch = /^\s*(```|~~~)/.exec(text);
+
+    if (fenceMatch) {
+      fence = fence === null ? fenceMatch[1] : (fence === fenceMatch[1] ? null : fence);
+    } else if (fence === null) {
+      const headingMatch = /^(#{1,6})\s+(.*?)\s*#*\s*$/.exec(text);
+
+      if (headingMatch) {
+        const level = headingMatch[1].length;
+
+        // Close sections at the same or a deeper level
+        while (stack.length > 0 && stack[stack.length - 1].level >= level) {
+          stack.pop().end = match.index;
+        }
+
+        // The first subsection ends the parent's own body
+        const parent = stack[stack.length - 1];
+        if (parent && parent.bodyEnd === -1) {
+          parent.bodyEnd = match.index;
+        }
+
+        const section = {
+          level,
+          title: headingMatch[2],
+          headingPath: [...stack.map(s => s.title), headingMatch[2]],
+          line: line + 1,
+          start: match.index,
+          bodyStart: match.index + match[0].length,
+          bodyEnd: -1,
+          end: content.length
+        };
+
+        sections.push(section);
+        stack.push(section);
+      }
+    }
+
+    line++;
+  }
+
+  for (const section of sections) {
+    if (section.bodyEnd === -1) {
+      section.bodyEnd = section.end;
+    }
+  }
+
+  return sections;
+}
+
+/**
+ * Find a section by heading path. The path may be the full path from the top
+ * level heading or any unique suffix of it; titles are compared case-insensitively.
+ * @param {string} content Document content
+ * @param {string[]} headingPath Heading titles, outermost first
+ * @returns {Object} Matching section
+ */
+export function findSection(content, headingPath) {
+  const normalize = (title) => title.trim().toLowerCase();
+  const wanted = headingPath.map(normalize);
+
+  if (wanted.length === 0 || wanted.some(title => !title)) {
+    throw new MemoryBankError(MemoryErrorCode.SECTION_NOT_FOUND, 'Heading path must not be empty', { headingPath });
+  }
+
+  const matches = parseSections(content).filter(section => {
+    const path = section.headingPath.map(normalize);
+    return path.length >= wanted.length &&
+      wanted.every((title, i) => path[path.length - wanted.length + i] === title);
+  });
+
+  if (matches.length === 0) {
+    throw new MemoryBankError(
+      MemoryErrorCode.SECTION_NOT_FOUND,
+      `Section not found: ${headingPath.join(' > ')}`,
+      { headingPath }
+    );
+  }
+
+  if (matches.length > 1) {
+    throw new MemoryBankError(
+      MemoryErrorCode.SECTION_AMBIGUOUS,
+      `Heading path matches ${matches.length} sections: ${headingPath.join(' > ')}`,
+      { headingPath, matches: matches.map(section => section.headingPath) }
+    );
+  }
+
+  return matches[0];
+}
+
+/**
+ * Normalize text supplied for a section body to the document's line endings,
+ * ending with a single line break
+ * @param {string} text Body text
+ * @param {string} eol Line ending
+ * @returns {string} Normalized text, or an empty string for blank text
+ */
+function normalizeBody(text, eol) {
+  const trimmed = text.replace(/^(?:[ \t]*\r?\n)+/, '').replace(/\s+$/, '');
+  return trimmed ? `${trimmed.replace(/\r?\n/g, eol)}${eol}` : '';
+}
+
+/**
+ * Replace the body of a section, keeping its heading and subsections
+ * @param {string} content Document content
+ * @param {string[]} headingPath Heading path of the section
+ * @param {string} body New body
+ * @returns {string} Updated content
+ */
+export function replaceSectionBody(content, headingPath, body) {
+  const section = findSection(content, headingPath);
+  const eol = detectEol(content);
+  const heading = content.slice(section.start, section.bodyStart);
+  const newBody = normalizeBody(body, eol);
+  const following = section.bodyEnd < content.length;
+
+  const replacement = (heading.endsWith('\n') ? '' : eol) +
+    (newBody ? `${eol}${newBody}` : '') +
+    (following ? eol : '');
+
+  return content.slice(0, section.bodyStart) + replacement + content.slice(section.bodyEnd);
+}
+
+/**
+ * Append text to the end of a section's body, before its subsections
+ * @param {string} content Document content
+ * @param {string[]} headingPath Heading path of the section
+ * @param {string} text Text to append
+ * @returns {string} Updated content
+ */
+export function appendToSection(content, headingPath, text) {
+  const section = findSection(content, headingPath);
+  const eol = detectEol(content);
+  const addition = normalizeBody(text, eol);
+
+  if (!addition) {
+    return content;
+  }
+
+  const body = content.slice(section.bodyStart, section.bodyEnd);
+  const existing = body.replace(/\s+$/, '');
+  const trailing = body.slice(existing.length);
+  const heading = content.slice(section.start, section.bodyStart);
+
+  // Keep the blank lines that separated the body from what follows
+  const rest = trailing.includes('\n') ? trailing.replace(/^[^\n]*\n/, '') : '';
+  const prefix = existing
+    ? `${existing}${eol}`
+    : `${heading.endsWith('\n') ? '' : eol}${eol}`;
+
+  return content.slice(0, section.bodyStart) + prefix + addition + rest + content.slice(section.bodyEnd);
+}
+
+/**
+ * Insert a new section after an existing one (after all of its subsections)
+ * @param {string} content Document content
+ * @param {string[]} headingPath Heading path of the existing section
+ * @param {string} title Title of the new section
+ * @param {string} body Body of the new section
+ * @param {number} level Heading level of the new section (default: same as the existing section)
+ * @returns {string} Updated content
+ */
+export function insertSectionAfter(content, headingPath, title, body, level) {
+  const section = findSection(content, headingPath);
+  const eol = detectEol(content);
+  const headingLevel = level || section.level;
+
+  if (!title.trim() || /[\r\n]/.test(title) || headingLevel < 1 || headingLevel > 6) {
+    throw new MemoryBankError(MemoryErrorCode.INVALID_SECTION, 'A new section needs a single-line title and a heading level from 1 to 6', {
+      title,
+      level: headingLevel
+    });
+  }
+
+  const before = content.slice(0, section.end);
+  const after = content.slice(section.end);
+  const newBody = normalizeBody(body, eol);
+
+  // Separate the new section from the previous one with a blank line
+  const separator = /\r?\n\r?\n$/.test(before) ? '' : (before.endsWith('\n') ? eol : `${eol}${eol}`);
+  const newSection = `${'#'.repeat(headingLevel)} ${title.trim()}${eol}` +
+    (newBody ? `${eol}${newBody}` : '') +
+    (after ? eol : '');
+
+  return before + separator + newSection + after;
+}
+
+/**
+ * Delete a section together with its subsections
+ * @param {string} content Document content
+ * @param {string[]} headingPath Heading path of the section
+ * @returns {string} Updated content
+ */
+export function deleteSection(content, headingPath) {
+  const section = findSection(content, headingPath);
+  return content.slice(0, section.start) + content.slice(section.end);
+}
+
+export default {
+  parseSections,
+  findSection,
+  replaceSectionBody,
+  appendToSection,
+  insertSectionAfter,
+  deleteSection
+};
@@ -0,0 +1,71 @@
+/**
+ * real-path.js
+ * Symlink-aware checks that a path stays inside a directory
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { MemoryBankError, MemoryErrorCode } from '../errors.js';
+
+/**
+ * Check whether a relative path leaves its base directory
+ * @param {string} relativePath Relative path
+ * @returns {boolean} True if the path is outside
+ */
+function isOutside(relativePath) {
+  return relativePath === '..' || relativePath.startsWith(`..${path.sep}`) || path.isAbsolute(relativePath);
+}
+
+/**
+ * Resolve the real path of a file that may not exist yet, by resolving
+ * its nearest existing ancestor
+ * @param {string} absolutePath Absolute path
+ * @returns {Promise<string>} Real path
+ */
+export async function realpathOfNearestExisting(absolutePath) {
+  let current = absolutePath;
+  const missing = [];
+
+  while (true) {
+    try {
+      const realPath = await fs.realpath(current);
+      return path.join(realPath, ...missing);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+
+      // A dangling symlink cannot be checked, so refuse it
+      if (await fs.lstat(current).then(() => true, () => false)) {
+        throw new MemoryBankError(
+          MemoryErrorCode.PATH_OUTSIDE_BANK,
+          `Path contains a dangling symlink: ${current}`
+        );
+      }
+
+      const parent = path.dirname(current);
+      if (parent === current) {
+        return absolutePath;
+      }
+
+      missing.unshift(path.basename(current));
+      current = parent;
+    }
+  }
+}
+
+/**
+ * Check whether a path is inside a directory once symlinks are followed
+ * @param {string} directory Directory; it may not exist yet
+ * @param {string} target Absolute path; it may not exist yet
+ * @param {boolean} allowSelf Count the directory itself as inside
+ * @returns {Promise<boolean>} True if the target is inside the directory
+ */
+export async function isInsideDirectory(directory, target, allowSelf = true) {
+  const realDirectory = await realpathOfNearestExisting(path.resolve(directory));
+  const relativeReal = path.relative(realDirectory, await realpathOfNearestExisting(path.resolve(target)));
+
+  return !isOutside(relativeReal) && (allowSelf || relativeReal !== '');
+}
+
+export default { realpathOfNearestExisting, isInsideDirectory };
@@ -0,0 +1,194 @@
+/**
+ * tar.ts
+ * Minimal reading and writing of uncompressed ustar archives holding regular files
+ */
+
+import { MemoryBankError, MemoryErrorCode } from '../errors.js';
+
+const BLOCK_SIZE = 512;
+
+export interface TarEntry {
+  path: string;
+  content: Buffer;
+  mtime?: Date;
+}
+
+/**
+ * Write a string into a header field, truncated to the field size
+ * @param header Header block
+ * @param offset Field offset
+ * @param size Field size
+ * @param value Value
+ */
+function writeString(header: Buffer, offset: number, size: number, value: string): void {
+  header.write(value, offset, Math.min(size, Buffer.byteLength(value)), 'utf8');
+}
+
+/**
+ * Write a number into a header field as zero-padded octal followed by a NUL
+ * @param header Header block
+ * @param offset Field offset
+ * @param size Field size
+ * @param value Value
+ */
+function writeOctal(header: Buffer, offset: number, size: number, value: number): void {
+  writeString(header, offset, size, value.toString(8).padStart(size - 1, '0') + '\0');
+}
+
+/**
+ * Read a NUL-terminated string from a header field
+ * @param header Header block
+ * @param offset Field offset
+ * @param size Field size
+ * @returns Value
+ */
+function readString(header: Buffer, offset: number, size: number): string {
+  const field = header.subarray(offset, offset + size);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? size : end).toString('utf8');
+}
+
+/**
+ * Read an octal number from a header field
+ * @param header Header block
+ * @param offset Field offset
+ * @param size Field size
+ * @returns Value
+ */
+function readOctal(header: Buffer, offset: number, size: number): number {
+  const text = readString(header, offset, size).trim();
+  return text === '' ? 0 : parseInt(text, 8);
+}
+
+/**
+ * Compute the checksum of a header block, counting the checksum field as spaces
+ * @param header Header block
+ * @returns Checksum
+ */
+function checksum(header: Buffer): number {
+  let sum = 0;
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    sum += i >= 148 && i < 156 ? 0x20 : header[i];
+  }
+  return sum;
+}
+
+/**
+ * Split a path into the ustar name and prefix fields
+ * @param entryPath Path using forward slashes
+ * @returns Name and prefix
+ */
+function splitPath(entryPath: string): { name: string; prefix: string } {
+  if (Buffer.byteLength(entryPath) <= 100) {
+    return { name: entryPath, prefix: '' };
+  }
+
+  // Split at the last slash that leaves both parts within their fields
+  for (let i = entryPath.lastIndexOf('/'); i > 0; i = entryPath.lastIndexOf('/', i - 1)) {
+    const prefix = entryPath.slice(0, i);
+    const name = entryPath.slice(i + 1);
+
+    if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(name) <= 100) {
+      return { name, prefix };
+    }
+  }
+
+  throw new MemoryBankError(MemoryErrorCode.INVALID_PATH, `Path too long for a tar archive: ${entryPath}`, { fileName: entryPath });
+}
+
+/**
+ * Create a ustar archive
+ * @param entries Files to archive
+ * @returns Archive
+ */
+export function createTar(entries: TarEntry[]): Buffer {
+  const blocks: Buffer[] = [];
+
+  for (const entry of entries) {
+    const { name, prefix } = splitPath(entry.path);
+    const header = Buffer.alloc(BLOCK_SIZE);
+
+    writeString(header, 0, 100, name);
+    writeOctal(header, 100, 8, 0o644);
+    writeOctal(header, 108, 8, 0);
+    writeOctal(header, 116, 8, 0);
+    writeOctal(header, 124, 12, entry.content.length);
+    writeOctal(header, 136, 12, Math.floor((entry.mtime || new Date()).getTime() / 1000));
+    header[156] = 0x30; // Regular file
+    writeString(header, 257, 6, 'ustar\0');
+    writeString(header, 263, 2, '00');
+    writeString(header, 345, 155, prefix);
+    writeString(header, 148, 8, checksum(header).toString(8).padStart(6, '0') + '\0 ');
+
+    blocks.push(header, entry.content);
+
+    const padding = (BLOCK_SIZE - (entry.content.length % BLOCK_SIZE)) % BLOCK_SIZE;
+    if (padding > 0) {
+      blocks.push(Buffer.alloc(padding));
+    }
+  }
+
+  // End-of-archive marker
+  blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+
+  return Buffer.concat(blocks);
+}
+
+/**
+ * Check whether data looks like a ustar archive
+ * @param data Data
+ * @returns True if the first header carries the ustar magic
+ */
+export function isTar(data: Buffer): boolean {
+  return data.length >= BLOCK_SIZE && data.subarray(257, 262).toString('latin1') === 'ustar';
+}
+
+/**
+ * Read the regular files of a ustar archive; other entry types are skipped
+ * @param data Archive
+ * @returns Files in archive order
+ */
+export function readTar(data: Buffer): TarEntry[] {
+  const entries: TarEntry[] = [];
+  let offset = 0;
+
+  while (offset + BLOCK_SIZE <= data.length) {
+    const header = data.subarray(offset, offset + BLOCK_SIZE);
+
+    if (header.every(byte => byte === 0)) {
+      break;
+    }
+
+    if (readOctal(header, 148, 8) !== checksum(header)) {
+      throw new MemoryBankError(MemoryErrorCode.INVALID_BUNDLE, `Corrupt tar header at offset ${offset}`);
+    }
+
+    const size = readOctal(header, 124, 12);
+    const type = String.fromCharCode(header[156]);
+    const name = readString(header, 0, 100);
+    const prefix = readString(header, 345, 155);
+    const start = offset + BLOCK_SIZE;
+
+    if (start + size > data.length) {
+      throw new MemoryBankError(MemoryErrorCode.INVALID_BUNDLE, `Truncated tar entry: ${prefix ? `${prefix}/${name}` : name}`);
+    }
+
+    if (type === '0' || type === '\0') {
+      entries.push({
+        path: prefix ? `${prefix}/${name}` : name,
+        content: Buffer.from(data.subarray(start, start + size)),
+        mtime: new Date(readOctal(header, 136, 12) * 1000)
+      });
+    }
+
+    offset = start + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+  }
+
+  return entries;
+}
+
+export default {
+  createTar,
+  isTar,
+  readTar
+};
@@ -12,9 +12,12 @@ import { fileURLToPath } from 'url';
 import fs from 'fs';
 import logger from './logger.js';
 import { registerTaskflowTools } from './tools/index.js';
+import { registerMemoryResources, registerResourceSubscriptions } from './resources/index.js';
+import { registerTaskflowPrompts } from './prompts/index.js';
 import { asyncOperationManager } from './core/utils/async-manager.js';
 import { MemoryManager } from './core/memory-manager.js';
 import { contextManager } from './core/context-manager.js';
+import { bankManager } from './core/bank-manager.js';
 
 // Load environment variables
 dotenv.config();
@@ -44,14 +47,12 @@ class TaskflowMemoryServer {
 		// Initialize with the MCP SDK
 		this.server = new McpServer(
 			{ name: 'TaskFlow Memory Server', version },
-			{ capabilities: { tools: {}, resources: {} } }
+			{ capabilities: { tools: {}, resources: { subscribe: true, listChanged: true }, prompts: { listChanged: true } } }
 		);
 		this.initialized = false;
 
 		// Make managers accessible
-		this.asyncManager = asyncOperationManager;
-		this.memoryManager = MemoryManager.getInstance();
-		this.contextManager = contextManager;
+		this.bankManager = bankManager;
 
 		// Bind methods
 		this.init = this.init.bind(this);
@@ -62,17 +63,39 @@ class TaskflowMemoryServer {
 		this.logger = logger;
 	}
 
+	// The Memory Bank managers are those of the active bank
+	get asyncManager() {
+		return this.bankManager.getActiveBank().asyncManager;
+	}
+
+	get memoryManager() {
+		return this.bankManager.getActiveBank().memoryManager;
+	}
+
+	get contextManager() {
+		return this.bankManager.getActiveBank().contextManager;
+	}
+
 	/**
 	 * Initialize the TaskFlow server with necessary tools and routes
 	 */
 	async init() {
 		if (this.initialized) return;
 
-		// Initialize the Memory Manager
-		await this.memoryManager.init();
+		// Open the startup Memory Bank and build its full-text search index
+		await this.bankManager.init();
 
 		// Register all tools with the server
-		registerTaskflowTools(this.server, this.asyncManager, this.memoryManager);
+		registerTaskflowTools(this.server, this.bankManager);
+
+		// Register Plan/Act workflow prompts
+		await registerTaskflowPrompts(this.server, this.bankManager);
+
+		// Expose Memory Bank files as resources
+		await registerMemoryResources(this.server, this.bankManager);
+
+		// Notify subscribed clients about changed Memory Bank files
+		registerResourceSubscriptions(this.server, this.bankManager);
 
 		this.initialized = true;
 		logger.info('TaskFlow Memory Server initialized');
@@ -114,6 +137,9 @@ class TaskflowMemoryServer {
 	 * Stop the TaskFlow server
 	 */
 	async stop() {
+		// Stop watching for external edits and commit any batched Memory Bank changes
+		await this.bankManager.close();
+
 		if (this.server) {
 			await this.server.disconnect();
 			logger.info('TaskFlow Memory Server stopped');
@@ -122,6 +148,6 @@ class TaskflowMemoryServer {
 }
 
 // Export managers for use in other modules
-export { asyncOperationManager, MemoryManager, contextManager };
+export { asyncOperationManager, MemoryManager, contextManager, bankManager };
 
 export default TaskflowMemoryServer;
@@ -12,9 +12,12 @@ import { fileURLToPath } from 'url';
 import fs from 'fs';
 import { logger } from './logger.js';
 import { registerTaskflowTools } from './tools/index.js';
+import { registerMemoryResources, registerResourceSubscriptions } from './resources/index.js';
+import { registerTaskflowPrompts } from './prompts/index.js';
 import { asyncOperationManager } from './core/utils/async-manager.js';
 import { MemoryManager } from './core/memory-manager.js';
 import { contextManager } from './core/context-manager.js';
+import { bankManager } from './core/bank-manager.js';
 
 // Load environment variables
 dotenv.config();
@@ -49,15 +52,13 @@ class TaskflowMemoryServer {
     // Initialize MCP server
     this.server = new McpServer(
       { name: 'TaskFlow Memory Server', version: this.version },
-      { capabilities: { tools: {}, resources: {} } }
+      { capabilities: { tools: {}, resources: { subscribe: true, listChanged: true }, prompts: { listChanged: true } } }
     );
     
     this.initialized = false;
     
     // Make managers accessible
-    this.asyncManager = asyncOperationManager;
-    this.memoryManager = MemoryManager.getInstance();
-    this.contextManager = contextManager;
+    this.bankManager = bankManager;
     
     // Bind methods
     this.init = this.init.bind(this);
@@ -68,23 +69,42 @@ class TaskflowMemoryServer {
     this.logger = logger;
   }
   
-  // Expose managers as properties
-  public readonly asyncManager: typeof asyncOperationManager;
-  public readonly memoryManager: MemoryManager;
-  public readonly contextManager: typeof contextManager;
+  // Expose managers as properties; the Memory Bank managers are those of the active bank
+  public readonly bankManager: typeof bankManager;
   public readonly logger: typeof logger;
   
+  get asyncManager(): typeof asyncOperationManager {
+    return this.bankManager.getActiveBank().asyncManager;
+  }
+  
+  get memoryManager(): MemoryManager {
+    return this.bankManager.getActiveBank().memoryManager;
+  }
+  
+  get contextManager(): typeof contextManager {
+    return this.bankManager.getActiveBank().contextManager;
+  }
+  
   /**
    * Initialize the TaskFlow server with necessary tools and routes
    */
   async init(): Promise<this> {
     if (this.initialized) return this;
     
-    // Initialize the Memory Manager
-    await this.memoryManager.init();
+    // Open the startup Memory Bank and build its full-text search index
+    await this.bankManager.init();
     
     // Register all tools with the server
-    registerTaskflowTools(this.server, this.asyncManager, this.memoryManager);
+    registerTaskflowTools(this.server, this.bankManager);
+    
+    // Register Plan/Act workflow prompts
+    await registerTaskflowPrompts(this.server, this.bankManager);
+    
+    // Expose Memory Bank files as resources
+    await registerMemoryResources(this.server, this.bankManager);
+    
+    // Notify subscribed clients about changed Memory Bank files
+    registerResourceSubscriptions(this.server, this.bankManager);
     
     this.initialized = true;
     logger.info('TaskFlow Memory Server initialized');
@@ -126,6 +146,9 @@ class TaskflowMemoryServer {
    * Stop the TaskFlow server
    */
   async stop(): Promise<void> {
+    // Stop watching for external edits and commit any batched Memory Bank changes
+    await this.bankManager.close();
+    
     if (this.server) {
       await this.server.disconnect();
       logger.info('TaskFlow Memory Server stopped');
@@ -134,6 +157,6 @@ class TaskflowMemoryServer {
 }
 
 // Export managers for use in other modules
-export { asyncOperationManager, MemoryManager, contextManager };
+export { asyncOperationManager, MemoryManager, contextManager, bankManager };
 
 export default TaskflowMemoryServer;
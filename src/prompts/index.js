@@ -0,0 +1,231 @@
+/**
+ * prompts/index.js
+ * MCP prompts for the Plan/Act workflow
+ */
+
+import path from 'path';
+import { z } from 'zod';
+import { parseFrontmatter } from '../core/utils/frontmatter.js';
+import logger from '../logger.js';
+import { BUILTIN_PROMPTS, getTemplateFiles, usesContext, renderPromptTemplate } from './templates.js';
+
+// Memory Bank directory holding prompt templates that override or add to the built-in ones
+export const PROMPTS_DIR = 'prompts';
+
+// Token budget of the Memory Bank content included with {{context}}
+const PROMPT_CONTEXT_TOKEN_BUDGET = 3000;
+
+const PROMPT_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+const ARGUMENT_NAME_PATTERN = /^[A-Za-z_]\w*$/;
+
+/**
+ * Get the prompt name of a template file in the Memory Bank
+ * @param {string} fileName Path relative to the Memory Bank root
+ * @returns {string|null} Prompt name, or null if the file is not a prompt template
+ */
+function getPromptName(fileName) {
+  const dir = path.posix.dirname(fileName);
+  const name = path.posix.basename(fileName, '.md');
+
+  return dir === PROMPTS_DIR && fileName.endsWith('.md') && PROMPT_NAME_PATTERN.test(name) ? name : null;
+}
+
+/**
+ * Parse a prompt template file. The frontmatter may set `title`,
+ * `description` and `arguments`, a list of argument names where a trailing
+ * `?` marks an optional argument; the body is the template.
+ * @param {string} name Prompt name
+ * @param {string} content File content
+ * @returns {PromptTemplate} Prompt template
+ */
+function parsePromptFile(name, content) {
+  const { data, body } = parseFrontmatter(content);
+  const builtin = BUILTIN_PROMPTS.find(prompt => prompt.name === name);
+  const declared = data.arguments === undefined ? null : [data.arguments].flat();
+
+  const args = declared === null
+    ? builtin?.arguments || []
+    : declared
+      .map(item => String(item ?? '').trim())
+      .filter(item => {
+        const valid = ARGUMENT_NAME_PATTERN.test(item.replace(/\?$/, ''));
+        if (!valid) {
+          logger.warn(`Ignoring invalid argument "${item}" of prompt template ${PROMPTS_DIR}/${name}.md`);
+        }
+        return valid;
+      })
+      .map(item => ({ name: item.replace(/\?$/, ''), required: !item.endsWith('?') }));
+
+  return {
+    name,
+    title: typeof data.title === 'string' ? data.title : builtin?.title,
+    description: typeof data.description === 'string'
+      ? data.description
+      : builtin?.description || `Prompt template from ${PROMPTS_DIR}/${name}.md`,
+    arguments: args,
+    template: body.trim(),
+    source: 'memory-bank'
+  };
+}
+
+/**
+ * Register the Plan/Act workflow prompts. Templates in the Memory Bank's
+ * prompts/ directory replace the built-in prompt of the same name or add new
+ * prompts, and are picked up again whenever they change or another Memory
+ * Bank becomes active.
+ * @param {Object} server MCP server instance
+ * @param {BankManager} bankManager Bank manager providing the active Memory Bank
+ */
+export async function registerTaskflowPrompts(server, bankManager) {
+  const registered = new Map();
+  const sources = new Map();
+
+  /**
+   * Render a prompt template with the current mode and Memory Bank content
+   * @param prompt Prompt template
+   * @param args Argument values
+   * @returns Prompt text
+   */
+  const renderPrompt = async (prompt, args) => {
+    const { memoryManager, contextManager, modeManager } = bankManager.getActiveBank();
+    const values = {};
+    for (const argument of prompt.arguments) {
+      values[argument.name] = args[argument.name];
+    }
+
+    let context;
+    if (usesContext(prompt.template)) {
+      const query = Object.values(values).filter(Boolean).join(' ');
+      context = (await contextManager.getRelevantContext(query, PROMPT_CONTEXT_TOKEN_BUDGET)).context;
+    }
+
+    const files = {};
+    for (const file of getTemplateFiles(prompt.template)) {
+      try {
+        files[file] = parseFrontmatter(await memoryManager.readMemoryFile(file)).body;
+      } catch (error) {
+        logger.warn(`Prompt ${prompt.name} could not include ${file}: ${error.message}`);
+      }
+    }
+
+    return renderPromptTemplate(prompt.template, {
+      mode: modeManager.getCurrentMode(),
+      args: values,
+      context,
+      files
+    });
+  };
+
+  /**
+   * Register a prompt, replacing any prompt registered under the same name
+   * @param prompt Prompt template
+   */
+  const definePrompt = (prompt) => {
+    registered.get(prompt.name)?.remove();
+
+    const argsSchema = {};
+    for (const argument of prompt.arguments) {
+      const schema = argument.required ? z.string() : z.string().optional();
+      argsSchema[argument.name] = argument.description ? schema.describe(argument.description) : schema;
+    }
+
+    const registeredPrompt = server.registerPrompt(
+      prompt.name,
+      { title: prompt.title, description: prompt.description, argsSchema },
+      async args => {
+        const text = await renderPrompt(prompt, args);
+
+        return {
+          description: prompt.description,
+          messages: [{ role: 'user', content: { type: 'text', text } }]
+        };
+      }
+    );
+
+    registered.set(prompt.name, registeredPrompt);
+    sources.set(prompt.name, prompt.source);
+  };
+
+  /**
+   * Load the template of a prompt from the Memory Bank, falling back to the
+   * built-in prompt, and register it; the prompt is removed if neither exists
+   * @param name Prompt name
+   * @param content Content of the template file if already known, null if it was removed
+   */
+  const loadPrompt = async (name, content) => {
+    const fileName = `${PROMPTS_DIR}/${name}.md`;
+    let prompt = BUILTIN_PROMPTS.find(builtin => builtin.name === name) || null;
+
+    try {
+      const text = content !== undefined ? content : await bankManager.getActiveBank().memoryManager.readMemoryFile(fileName);
+      if (text !== null) {
+        prompt = parsePromptFile(name, text);
+      }
+    } catch (error) {
+      logger.warn(`Ignoring prompt template ${fileName}: ${error.message}`);
+    }
+
+    if (prompt) {
+      definePrompt(prompt);
+      logger.debug(`Registered ${prompt.source} prompt: ${name}`);
+    } else if (registered.has(name)) {
+      registered.get(name).remove();
+      registered.delete(name);
+      sources.delete(name);
+      logger.debug(`Removed prompt: ${name}`);
+    }
+  };
+
+  /**
+   * Register the built-in prompts and the templates of the active Memory
+   * Bank, removing templates of a previously active bank
+   */
+  const loadPrompts = async () => {
+    const files = await bankManager.getActiveBank().memoryManager.listMemoryFiles([`${PROMPTS_DIR}/*.md`]);
+    const templates = new Set(files.map(getPromptName).filter(name => name !== null));
+
+    for (const [name, registeredPrompt] of registered) {
+      if (!templates.has(name) && !BUILTIN_PROMPTS.some(prompt => prompt.name === name)) {
+        registeredPrompt.remove();
+        registered.delete(name);
+        sources.delete(name);
+      }
+    }
+
+    for (const prompt of BUILTIN_PROMPTS) {
+      if (!templates.has(prompt.name) && sources.get(prompt.name) !== 'builtin') {
+        definePrompt(prompt);
+      }
+    }
+
+    for (const name of templates) {
+      await loadPrompt(name);
+    }
+  };
+
+  await loadPrompts();
+
+  // Reloads run one after another so that quick switches end with the prompts of the last bank
+  let reloading = Promise.resolve();
+
+  bankManager.on('bankSwitched', () => {
+    reloading = reloading.then(loadPrompts).catch(error => {
+      logger.error(`Failed to reload prompts: ${error.message}`);
+    });
+  });
+
+  bankManager.on('fileChanged', (change) => {
+    const name = getPromptName(change.fileName);
+    if (!name) {
+      return;
+    }
+
+    loadPrompt(name, change.content).catch(error => {
+      logger.error(`Failed to reload prompt ${name}: ${error.message}`);
+    });
+  });
+
+  logger.info('Prompts registered successfully');
+}
+
+export default { registerTaskflowPrompts };
@@ -0,0 +1,251 @@
+/**
+ * prompts/index.ts
+ * MCP prompts for the Plan/Act workflow
+ */
+
+import path from 'path';
+import { z } from 'zod';
+import { McpServer, RegisteredPrompt } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { ZodRawShapeCompat } from '@modelcontextprotocol/sdk/server/zod-compat.js';
+import { MemoryFileChange } from '../core/memory-manager.js';
+import { BankManager } from '../core/bank-manager.js';
+import { parseFrontmatter } from '../core/utils/frontmatter.js';
+import { logger } from '../logger.js';
+import {
+  BUILTIN_PROMPTS,
+  PromptArgument,
+  PromptTemplate,
+  getTemplateFiles,
+  usesContext,
+  renderPromptTemplate
+} from './templates.js';
+
+// Memory Bank directory holding prompt templates that override or add to the built-in ones
+export const PROMPTS_DIR = 'prompts';
+
+// Token budget of the Memory Bank content included with {{context}}
+const PROMPT_CONTEXT_TOKEN_BUDGET = 3000;
+
+const PROMPT_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+const ARGUMENT_NAME_PATTERN = /^[A-Za-z_]\w*$/;
+
+/**
+ * Get the prompt name of a template file in the Memory Bank
+ * @param fileName Path relative to the Memory Bank root
+ * @returns Prompt name, or null if the file is not a prompt template
+ */
+function getPromptName(fileName: string): string | null {
+  const dir = path.posix.dirname(fileName);
+  const name = path.posix.basename(fileName, '.md');
+
+  return dir === PROMPTS_DIR && fileName.endsWith('.md') && PROMPT_NAME_PATTERN.test(name) ? name : null;
+}
+
+/**
+ * Parse a prompt template file. The frontmatter may set `title`,
+ * `description` and `arguments`, a list of argument names where a trailing
+ * `?` marks an optional argument; the body is the template.
+ * @param name Prompt name
+ * @param content File content
+ * @returns Prompt template
+ */
+function parsePromptFile(name: string, content: string): PromptTemplate {
+  const { data, body } = parseFrontmatter(content);
+  const builtin = BUILTIN_PROMPTS.find(prompt => prompt.name === name);
+  const declared = data.arguments === undefined ? null : [data.arguments].flat();
+
+  const args: PromptArgument[] = declared === null
+    ? builtin?.arguments || []
+    : declared
+      .map(item => String(item ?? '').trim())
+      .filter(item => {
+        const valid = ARGUMENT_NAME_PATTERN.test(item.replace(/\?$/, ''));
+        if (!valid) {
+          logger.warn(`Ignoring invalid argument "${item}" of prompt template ${PROMPTS_DIR}/${name}.md`);
+        }
+        return valid;
+      })
+      .map(item => ({ name: item.replace(/\?$/, ''), required: !item.endsWith('?') }));
+
+  return {
+    name,
+    title: typeof data.title === 'string' ? data.title : builtin?.title,
+    description: typeof data.description === 'string'
+      ? data.description
+      : builtin?.description || `Prompt template from ${PROMPTS_DIR}/${name}.md`,
+    arguments: args,
+    template: body.trim(),
+    source: 'memory-bank'
+  };
+}
+
+/**
+ * Register the Plan/Act workflow prompts. Templates in the Memory Bank's
+ * prompts/ directory replace the built-in prompt of the same name or add new
+ * prompts, and are picked up again whenever they change or another Memory
+ * Bank becomes active.
+ * @param server MCP server instance
+ * @param bankManager Bank manager providing the active Memory Bank
+ */
+export async function registerTaskflowPrompts(server: McpServer, bankManager: BankManager): Promise<void> {
+  const registered = new Map<string, RegisteredPrompt>();
+  const sources = new Map<string, PromptTemplate['source']>();
+
+  /**
+   * Render a prompt template with the current mode and Memory Bank content
+   * @param prompt Prompt template
+   * @param args Argument values
+   * @returns Prompt text
+   */
+  const renderPrompt = async (prompt: PromptTemplate, args: Record<string, string | undefined>): Promise<string> => {
+    const { memoryManager, contextManager, modeManager } = bankManager.getActiveBank();
+    const values: Record<string, string | undefined> = {};
+    for (const argument of prompt.arguments) {
+      values[argument.name] = args[argument.name];
+    }
+
+    let context: string | undefined;
+    if (usesContext(prompt.template)) {
+      const query = Object.values(values).filter(Boolean).join(' ');
+      context = (await contextManager.getRelevantContext(query, PROMPT_CONTEXT_TOKEN_BUDGET)).context;
+    }
+
+    const files: Record<string, string> = {};
+    for (const file of getTemplateFiles(prompt.template)) {
+      try {
+        files[file] = parseFrontmatter(await memoryManager.readMemoryFile(file)).body;
+      } catch (error) {
+        const err = error as Error;
+        logger.warn(`Prompt ${prompt.name} could not include ${file}: ${err.message}`);
+      }
+    }
+
+    return renderPromptTemplate(prompt.template, {
+      mode: modeManager.getCurrentMode(),
+      args: values,
+      context,
+      files
+    });
+  };
+
+  /**
+   * Register a prompt, replacing any prompt registered under the same name
+   * @param prompt Prompt template
+   */
+  const definePrompt = (prompt: PromptTemplate): void => {
+    registered.get(prompt.name)?.remove();
+
+    const argsSchema: Record<string, z.ZodTypeAny> = {};
+    for (const argument of prompt.arguments) {
+      const schema = argument.required ? z.string() : z.string().optional();
+      argsSchema[argument.name] = argument.description ? schema.describe(argument.description) : schema;
+    }
+
+    const registeredPrompt = server.registerPrompt(
+      prompt.name,
+      {
+        title: prompt.title,
+        description: prompt.description,
+        // The shape is built at runtime, so its type cannot be checked against the SDK's zod types
+        argsSchema: argsSchema as unknown as ZodRawShapeCompat
+      },
+      async args => {
+        const text = await renderPrompt(prompt, args);
+
+        return {
+          description: prompt.description,
+          messages: [{ role: 'user', content: { type: 'text', text } }]
+        };
+      }
+    );
+
+    registered.set(prompt.name, registeredPrompt);
+    sources.set(prompt.name, prompt.source);
+  };
+
+  /**
+   * Load the template of a prompt from the Memory Bank, falling back to the
+   * built-in prompt, and register it; the prompt is removed if neither exists
+   * @param name Prompt name
+   * @param content Content of the template file if already known, null if it was removed
+   */
+  const loadPrompt = async (name: string, content?: string | null): Promise<void> => {
+    const fileName = `${PROMPTS_DIR}/${name}.md`;
+    let prompt = BUILTIN_PROMPTS.find(builtin => builtin.name === name) || null;
+
+    try {
+      const text = content !== undefined ? content : await bankManager.getActiveBank().memoryManager.readMemoryFile(fileName);
+      if (text !== null) {
+        prompt = parsePromptFile(name, text);
+      }
+    } catch (error) {
+      const err = error as Error;
+      logger.warn(`Ignoring prompt template ${fileName}: ${err.message}`);
+    }
+
+    if (prompt) {
+      definePrompt(prompt);
+      logger.debug(`Registered ${prompt.source} prompt: ${name}`);
+    } else if (registered.has(name)) {
+      registered.get(name)!.remove();
+      registered.delete(name);
+      sources.delete(name);
+      logger.debug(`Removed prompt: ${name}`);
+    }
+  };
+
+  /**
+   * Register the built-in prompts and the templates of the active Memory
+   * Bank, removing templates of a previously active bank
+   */
+  const loadPrompts = async (): Promise<void> => {
+    const files = await bankManager.getActiveBank().memoryManager.listMemoryFiles([`${PROMPTS_DIR}/*.md`]);
+    const templates = new Set(files.map(getPromptName).filter((name): name is string => name !== null));
+
+    for (const [name, registeredPrompt] of registered) {
+      if (!templates.has(name) && !BUILTIN_PROMPTS.some(prompt => prompt.name === name)) {
+        registeredPrompt.remove();
+        registered.delete(name);
+        sources.delete(name);
+      }
+    }
+
+    for (const prompt of BUILTIN_PROMPTS) {
+      if (!templates.has(prompt.name) && sources.get(prompt.name) !== 'builtin') {
+        definePrompt(prompt);
+      }
+    }
+
+    for (const name of templates) {
+      await loadPrompt(name);
+    }
+  };
+
+  await loadPrompts();
+
+  // Reloads run one after another so that quick switches end with the prompts of the last bank
+  let reloading = Promise.resolve();
+
+  bankManager.on('bankSwitched', () => {
+    reloading = reloading.then(loadPrompts).catch(error => {
+      const err = error as Error;
+      logger.error(`Failed to reload prompts: ${err.message}`);
+    });
+  });
+
+  bankManager.on('fileChanged', (change: MemoryFileChange) => {
+    const name = getPromptName(change.fileName);
+    if (!name) {
+      return;
+    }
+
+    loadPrompt(name, change.content).catch(error => {
+      const err = error as Error;
+      logger.error(`Failed to reload prompt ${name}: ${err.message}`);
+    });
+  });
+
+  logger.info('Prompts registered successfully');
+}
+
+export default { registerTaskflowPrompts };
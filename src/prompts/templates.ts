@@ -0,0 +1,223 @@
+/**
+ * prompts/templates.ts
+ * Built-in Plan/Act prompt templates and template rendering.
+ *
+ * Templates are Markdown text with placeholders:
+ * - {{mode}}: current Plan/Act mode
+ * - {{context}}: Memory Bank content relevant to the prompt arguments
+ * - {{file:<path>}}: content of a Memory Bank file, without its frontmatter
+ * - {{<argument>}}: value of a prompt argument (empty if not given)
+ * Unknown placeholders are left as they are.
+ */
+
+export interface PromptArgument {
+  name: string;
+  description?: string;
+  required: boolean;
+}
+
+export interface PromptTemplate {
+  name: string;
+  title?: string;
+  description: string;
+  arguments: PromptArgument[];
+  template: string;
+  source: 'builtin' | 'memory-bank';
+}
+
+export interface PromptRenderValues {
+  mode: string;
+  args: Record<string, string | undefined>;
+  context?: string;
+  files?: Record<string, string>;
+}
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.:/-]+)\s*\}\}/g;
+
+export const BUILTIN_PROMPTS: PromptTemplate[] = [
+  {
+    name: 'start_session',
+    title: 'Start session',
+    description: 'Load the Memory Bank and get oriented at the start of a session',
+    arguments: [
+      { name: 'focus', description: 'What you intend to work on in this session', required: false }
+    ],
+    template: `You are starting a new work session on this project. The Memory Bank below is your only memory of earlier sessions, so read it carefully before doing anything else.
+
+Current mode: {{mode}}
+Intended focus: {{focus}}
+
+## Memory Bank
+
+{{context}}
+
+## Instructions
+
+1. Summarize the project, the current focus and the most recent progress in a few sentences.
+2. List open questions and anything in the Memory Bank that looks outdated or contradictory.
+3. Propose the next steps. Stay in plan mode until the plan is agreed; switch with the \`set_mode\` tool.
+4. Use \`get_relevant_context\` or \`search_memory\` to look up details instead of guessing.`,
+    source: 'builtin'
+  },
+  {
+    name: 'plan_task',
+    title: 'Plan a task',
+    description: 'Plan a task in plan mode using the relevant Memory Bank content',
+    arguments: [
+      { name: 'task', description: 'Description of the task to plan', required: true },
+      { name: 'constraints', description: 'Constraints or requirements the plan must respect', required: false }
+    ],
+    template: `Plan the following task. Do not change any code or files yet.
+
+Task: {{task}}
+Constraints: {{constraints}}
+Current mode: {{mode}}
+
+## Relevant Memory Bank content
+
+{{context}}
+
+## Instructions
+
+1. If the current mode is not plan, switch to it with \`set_mode\`.
+2. Check the task against the project brief, system patterns and recent decisions above; ask about anything unclear.
+3. Break the task into small, verifiable steps, with the files or components each step touches.
+4. Call out risks, open questions and how each step will be validated.
+5. Record the agreed plan with \`generate_plan\` and note the new focus in activeContext.md.`,
+    source: 'builtin'
+  },
+  {
+    name: 'execute_next_task',
+    title: 'Execute next task',
+    description: 'Pick up the next planned task in act mode and document the outcome',
+    arguments: [
+      { name: 'task', description: 'Task to execute; defaults to the next open item in the Memory Bank', required: false }
+    ],
+    template: `Execute the next task of the current plan.
+
+Task: {{task}}
+Current mode: {{mode}}
+
+## Relevant Memory Bank content
+
+{{context}}
+
+## Instructions
+
+1. If no task is given, take the next open item from activeContext.md and progress.md.
+2. Switch to act mode with \`set_mode\` if needed, then run the task with \`execute_task\`.
+3. Follow the established system patterns; stop and return to plan mode if the plan turns out to be wrong.
+4. When done, record what you learned with \`document_insights\` and update progress.md.`,
+    source: 'builtin'
+  },
+  {
+    name: 'update_memory_bank',
+    title: 'Update Memory Bank',
+    description: 'Review all Memory Bank files and bring them up to date',
+    arguments: [
+      { name: 'changes', description: 'Recent changes that the Memory Bank should reflect', required: false }
+    ],
+    template: `Review the Memory Bank and update it so that a fresh session can continue the work without any other context.
+
+Recent changes: {{changes}}
+Current mode: {{mode}}
+
+## Memory Bank
+
+{{context}}
+
+## Instructions
+
+1. Review every core file, even those that seem unaffected.
+2. Update activeContext.md with the current focus, recent changes and next steps.
+3. Update progress.md with what works, what is left and known issues.
+4. Record new patterns and decisions in systemPatterns.md and techContext.md.
+5. Prefer the section tools (\`replace_memory_section\`, \`append_memory_section\`) over rewriting whole files, and pass \`expectedVersion\` to avoid overwriting concurrent edits.`,
+    source: 'builtin'
+  },
+  {
+    name: 'end_of_day_handoff',
+    title: 'End-of-day handoff',
+    description: 'Write a handoff note so the next session can pick up where this one stopped',
+    arguments: [
+      { name: 'notes', description: 'Anything the next session must know', required: false }
+    ],
+    template: `The session is ending. Write a handoff so that the next session, which will only have the Memory Bank, can continue without losing anything.
+
+Notes: {{notes}}
+Current mode: {{mode}}
+
+## Memory Bank
+
+{{context}}
+
+## Instructions
+
+1. Summarize what was done in this session, what is in progress and what is blocked.
+2. Append the summary under a dated "Handoff" section of activeContext.md.
+3. Update the next steps in progress.md so that the first task of the next session is obvious.
+4. List any uncommitted or unverified work explicitly.`,
+    source: 'builtin'
+  }
+];
+
+/**
+ * Get the names of the Memory Bank files a template includes with {{file:<path>}}
+ * @param template Template text
+ * @returns File paths
+ */
+export function getTemplateFiles(template: string): string[] {
+  const files = new Set<string>();
+
+  for (const match of template.matchAll(PLACEHOLDER_PATTERN)) {
+    if (match[1].startsWith('file:')) {
+      files.add(match[1].slice('file:'.length));
+    }
+  }
+
+  return [...files];
+}
+
+/**
+ * Check whether a template includes the relevant context
+ * @param template Template text
+ * @returns True if the template contains {{context}}
+ */
+export function usesContext(template: string): boolean {
+  return [...template.matchAll(PLACEHOLDER_PATTERN)].some(match => match[1] === 'context');
+}
+
+/**
+ * Fill in the placeholders of a template
+ * @param template Template text
+ * @param values Values of the placeholders
+ * @returns Rendered text
+ */
+export function renderPromptTemplate(template: string, values: PromptRenderValues): string {
+  return template.replace(PLACEHOLDER_PATTERN, (placeholder, key: string) => {
+    if (key === 'mode') {
+      return values.mode;
+    }
+
+    if (key === 'context') {
+      return values.context ?? '';
+    }
+
+    if (key.startsWith('file:')) {
+      return values.files?.[key.slice('file:'.length)] ?? '';
+    }
+
+    if (key in values.args) {
+      return values.args[key] ?? '';
+    }
+
+    return placeholder;
+  });
+}
+
+export default {
+  BUILTIN_PROMPTS,
+  getTemplateFiles,
+  usesContext,
+  renderPromptTemplate
+};
@@ -0,0 +1,191 @@
+/**
+ * resources/index.js
+ * Memory Bank resources for the TaskFlow Memory server
+ */
+
+import path from 'path';
+import { ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
+import {
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  McpError,
+  ErrorCode
+} from '@modelcontextprotocol/sdk/types.js';
+import { getErrorCode } from '../core/errors.js';
+import logger from '../logger.js';
+
+// URI scheme of Memory Bank resources
+export const MEMORY_URI_SCHEME = 'memory';
+
+// Template matching any path in the Memory Bank, including subdirectories
+export const MEMORY_URI_TEMPLATE = `${MEMORY_URI_SCHEME}://{+path}`;
+
+// MIME types by file extension; other files are served as plain text
+const MIME_TYPES = {
+  '.md': 'text/markdown',
+  '.markdown': 'text/markdown',
+  '.json': 'application/json',
+  '.yaml': 'application/yaml',
+  '.yml': 'application/yaml',
+  '.txt': 'text/plain'
+};
+
+/**
+ * Get the resource URI of a Memory Bank file
+ * @param {string} relativePath Path relative to the Memory Bank root
+ * @returns {string} Resource URI, e.g. memory://decisions/001.md
+ */
+export function getMemoryResourceUri(relativePath) {
+  return `${MEMORY_URI_SCHEME}://${relativePath.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+/**
+ * Get the MIME type of a Memory Bank file
+ * @param {string} relativePath Path relative to the Memory Bank root
+ * @returns {string} MIME type
+ */
+export function getMemoryMimeType(relativePath) {
+  return MIME_TYPES[path.extname(relativePath).toLowerCase()] || 'text/plain';
+}
+
+/**
+ * Register every Memory Bank file as a resource under the memory:// scheme.
+ * Files are listed and read through a single resource template, so files
+ * created after startup are available without registering them, and clients
+ * receive `notifications/resources/list_changed` when files are added or
+ * removed, or when another Memory Bank becomes active.
+ * @param {Object} server MCP server instance
+ * @param {BankManager} bankManager Bank manager providing the active Memory Bank
+ */
+export async function registerMemoryResources(server, bankManager) {
+  const template = new ResourceTemplate(MEMORY_URI_TEMPLATE, {
+    list: async () => {
+      const files = await bankManager.getActiveBank().memoryManager.listMemoryFilesWithMetadata();
+
+      return {
+        resources: files.map(({ fileName, metadata, modified }) => ({
+          uri: getMemoryResourceUri(fileName),
+          name: fileName,
+          title: path.basename(fileName),
+          mimeType: getMemoryMimeType(fileName),
+          ...(typeof metadata.status === 'string' ? { description: `Status: ${metadata.status}` } : {}),
+          annotations: { lastModified: modified }
+        }))
+      };
+    },
+    complete: {
+      path: async value => (await bankManager.getActiveBank().memoryManager.listMemoryFiles()).filter(file => file.startsWith(value))
+    }
+  });
+
+  server.registerResource(
+    'memory-bank-file',
+    template,
+    {
+      title: 'Memory Bank file',
+      description: 'A file in the Memory Bank, addressed by its path relative to the Memory Bank root'
+    },
+    async (uri, variables) => {
+      const rawPath = Array.isArray(variables.path) ? variables.path.join('/') : variables.path;
+
+      try {
+        const fileName = rawPath.split('/').map(decodeURIComponent).join('/');
+        const { content } = await bankManager.getActiveBank().memoryManager.readMemoryFileWithVersion(fileName);
+
+        return {
+          contents: [{
+            uri: uri.toString(),
+            mimeType: getMemoryMimeType(fileName),
+            text: content
+          }]
+        };
+      } catch (error) {
+        logger.error(`Failed to read Memory Bank resource ${uri}: ${error.message}`);
+        throw new McpError(ErrorCode.InvalidParams, error.message, { uri: uri.toString(), code: getErrorCode(error) });
+      }
+    }
+  );
+
+  // Notify clients when the set of files changes
+  let knownFiles = new Set(await bankManager.getActiveBank().memoryManager.listMemoryFiles());
+
+  bankManager.on('fileChanged', (change) => {
+    const exists = change.content !== null;
+    if (exists === knownFiles.has(change.fileName)) {
+      return;
+    }
+
+    if (exists) {
+      knownFiles.add(change.fileName);
+    } else {
+      knownFiles.delete(change.fileName);
+    }
+
+    if (server.isConnected()) {
+      server.sendResourceListChanged();
+    }
+  });
+
+  bankManager.on('bankSwitched', async () => {
+    try {
+      knownFiles = new Set(await bankManager.getActiveBank().memoryManager.listMemoryFiles());
+    } catch (error) {
+      logger.error(`Failed to list the files of the active Memory Bank: ${error.message}`);
+    }
+
+    if (server.isConnected()) {
+      server.sendResourceListChanged();
+    }
+  });
+
+  logger.info('Memory Bank resources registered successfully');
+}
+
+/**
+ * Handle resource subscriptions and send `notifications/resources/updated`
+ * to subscribed clients whenever a Memory Bank file changes, whether through
+ * the server or in an external editor, and for every subscription when
+ * another Memory Bank becomes active
+ * @param {Object} server MCP server instance
+ * @param {BankManager} bankManager Bank manager providing the active Memory Bank
+ */
+export function registerResourceSubscriptions(server, bankManager) {
+  const subscriptions = new Set();
+
+  server.server.setRequestHandler(SubscribeRequestSchema, async request => {
+    subscriptions.add(request.params.uri);
+    logger.debug(`Client subscribed to ${request.params.uri}`);
+    return {};
+  });
+
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async request => {
+    subscriptions.delete(request.params.uri);
+    logger.debug(`Client unsubscribed from ${request.params.uri}`);
+    return {};
+  });
+
+  const notifyUpdated = (uri) => {
+    server.server.sendResourceUpdated({ uri }).catch(error => {
+      logger.error(`Failed to notify resource update for ${uri}: ${error.message}`);
+    });
+  };
+
+  bankManager.on('fileChanged', (change) => {
+    const uri = getMemoryResourceUri(change.fileName);
+
+    if (subscriptions.has(uri) && server.isConnected()) {
+      notifyUpdated(uri);
+    }
+  });
+
+  // The same URIs refer to the files of the new bank
+  bankManager.on('bankSwitched', () => {
+    if (server.isConnected()) {
+      subscriptions.forEach(notifyUpdated);
+    }
+  });
+
+  logger.info('Resource subscriptions registered successfully');
+}
+
+export default { registerMemoryResources, registerResourceSubscriptions };
@@ -0,0 +1,196 @@
+/**
+ * resources/index.ts
+ * Memory Bank resources for the TaskFlow Memory server
+ */
+
+import path from 'path';
+import { McpServer, ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
+import {
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  McpError,
+  ErrorCode
+} from '@modelcontextprotocol/sdk/types.js';
+import { MemoryFileChange } from '../core/memory-manager.js';
+import { BankManager } from '../core/bank-manager.js';
+import { getErrorCode } from '../core/errors.js';
+import { logger } from '../logger.js';
+
+// URI scheme of Memory Bank resources
+export const MEMORY_URI_SCHEME = 'memory';
+
+// Template matching any path in the Memory Bank, including subdirectories
+export const MEMORY_URI_TEMPLATE = `${MEMORY_URI_SCHEME}://{+path}`;
+
+// MIME types by file extension; other files are served as plain text
+const MIME_TYPES: Record<string, string> = {
+  '.md': 'text/markdown',
+  '.markdown': 'text/markdown',
+  '.json': 'application/json',
+  '.yaml': 'application/yaml',
+  '.yml': 'application/yaml',
+  '.txt': 'text/plain'
+};
+
+/**
+ * Get the resource URI of a Memory Bank file
+ * @param relativePath Path relative to the Memory Bank root
+ * @returns Resource URI, e.g. memory://decisions/001.md
+ */
+export function getMemoryResourceUri(relativePath: string): string {
+  return `${MEMORY_URI_SCHEME}://${relativePath.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+/**
+ * Get the MIME type of a Memory Bank file
+ * @param relativePath Path relative to the Memory Bank root
+ * @returns MIME type
+ */
+export function getMemoryMimeType(relativePath: string): string {
+  return MIME_TYPES[path.extname(relativePath).toLowerCase()] || 'text/plain';
+}
+
+/**
+ * Register every Memory Bank file as a resource under the memory:// scheme.
+ * Files are listed and read through a single resource template, so files
+ * created after startup are available without registering them, and clients
+ * receive `notifications/resources/list_changed` when files are added or
+ * removed, or when another Memory Bank becomes active.
+ * @param server MCP server instance
+ * @param bankManager Bank manager providing the active Memory Bank
+ */
+export async function registerMemoryResources(server: McpServer, bankManager: BankManager): Promise<void> {
+  const template = new ResourceTemplate(MEMORY_URI_TEMPLATE, {
+    list: async () => {
+      const files = await bankManager.getActiveBank().memoryManager.listMemoryFilesWithMetadata();
+
+      return {
+        resources: files.map(({ fileName, metadata, modified }) => ({
+          uri: getMemoryResourceUri(fileName),
+          name: fileName,
+          title: path.basename(fileName),
+          mimeType: getMemoryMimeType(fileName),
+          ...(typeof metadata.status === 'string' ? { description: `Status: ${metadata.status}` } : {}),
+          annotations: { lastModified: modified }
+        }))
+      };
+    },
+    complete: {
+      path: async value => (await bankManager.getActiveBank().memoryManager.listMemoryFiles()).filter(file => file.startsWith(value))
+    }
+  });
+
+  server.registerResource(
+    'memory-bank-file',
+    template,
+    {
+      title: 'Memory Bank file',
+      description: 'A file in the Memory Bank, addressed by its path relative to the Memory Bank root'
+    },
+    async (uri, variables) => {
+      const rawPath = Array.isArray(variables.path) ? variables.path.join('/') : variables.path;
+
+      try {
+        const fileName = rawPath.split('/').map(decodeURIComponent).join('/');
+        const { content } = await bankManager.getActiveBank().memoryManager.readMemoryFileWithVersion(fileName);
+
+        return {
+          contents: [{
+            uri: uri.toString(),
+            mimeType: getMemoryMimeType(fileName),
+            text: content
+          }]
+        };
+      } catch (error) {
+        const err = error as Error;
+        logger.error(`Failed to read Memory Bank resource ${uri}: ${err.message}`);
+        throw new McpError(ErrorCode.InvalidParams, err.message, { uri: uri.toString(), code: getErrorCode(error) });
+      }
+    }
+  );
+
+  // Notify clients when the set of files changes
+  let knownFiles = new Set(await bankManager.getActiveBank().memoryManager.listMemoryFiles());
+
+  bankManager.on('fileChanged', (change: MemoryFileChange) => {
+    const exists = change.content !== null;
+    if (exists === knownFiles.has(change.fileName)) {
+      return;
+    }
+
+    if (exists) {
+      knownFiles.add(change.fileName);
+    } else {
+      knownFiles.delete(change.fileName);
+    }
+
+    if (server.isConnected()) {
+      server.sendResourceListChanged();
+    }
+  });
+
+  bankManager.on('bankSwitched', async () => {
+    try {
+      knownFiles = new Set(await bankManager.getActiveBank().memoryManager.listMemoryFiles());
+    } catch (error) {
+      const err = error as Error;
+      logger.error(`Failed to list the files of the active Memory Bank: ${err.message}`);
+    }
+
+    if (server.isConnected()) {
+      server.sendResourceListChanged();
+    }
+  });
+
+  logger.info('Memory Bank resources registered successfully');
+}
+
+/**
+ * Handle resource subscriptions and send `notifications/resources/updated`
+ * to subscribed clients whenever a Memory Bank file changes, whether through
+ * the server or in an external editor, and for every subscription when
+ * another Memory Bank becomes active
+ * @param server MCP server instance
+ * @param bankManager Bank manager providing the active Memory Bank
+ */
+export function registerResourceSubscriptions(server: McpServer, bankManager: BankManager): void {
+  const subscriptions = new Set<string>();
+
+  server.server.setRequestHandler(SubscribeRequestSchema, async request => {
+    subscriptions.add(request.params.uri);
+    logger.debug(`Client subscribed to ${request.params.uri}`);
+    return {};
+  });
+
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async request => {
+    subscriptions.delete(request.params.uri);
+    logger.debug(`Client unsubscribed from ${request.params.uri}`);
+    return {};
+  });
+
+  const notifyUpdated = (uri: string): void => {
+    server.server.sendResourceUpdated({ uri }).catch(error => {
+      const err = error as Error;
+      logger.error(`Failed to notify resource update for ${uri}: ${err.message}`);
+    });
+  };
+
+  bankManager.on('fileChanged', (change: MemoryFileChange) => {
+    const uri = getMemoryResourceUri(change.fileName);
+
+    if (subscriptions.has(uri) && server.isConnected()) {
+      notifyUpdated(uri);
+    }
+  });
+
+  // The same URIs refer to the files of the new bank
+  bankManager.on('bankSwitched', () => {
+    if (server.isConnected()) {
+      subscriptions.forEach(notifyUpdated);
+    }
+  });
+
+  logger.info('Resource subscriptions registered successfully');
+}
+
+export default { registerMemoryResources, registerResourceSubscriptions };
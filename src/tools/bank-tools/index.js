@@ -0,0 +1,158 @@
+/**
+ * bank-tools/index.js
+ * Tools for listing, opening, switching and creating Memory Banks
+ */
+
+import { z } from 'zod';
+import logger from '../../logger.js';
+import { getErrorCode } from '../../core/errors.js';
+
+/**
+ * Describe a bank in tool responses
+ * @param {MemoryBank} bank Bank
+ * @returns {Object<string, *>} Bank name, path, label, profile and current mode
+ */
+function describeBank(bank) {
+  return {
+    name: bank.name,
+    path: bank.path,
+    label: bank.label,
+    profile: bank.profile,
+    registered: bank.registered,
+    mode: bank.modeManager.getCurrentMode()
+  };
+}
+
+/**
+ * Register Memory Bank management tools with the MCP server
+ * @param {Object} server MCP server instance
+ * @param {BankManager} bankManager Bank manager providing the active Memory Bank
+ */
+export function registerBankTools(server, bankManager) {
+  try {
+    // List banks tool
+    server.tool(
+      'list_memory_banks',
+      'List the registered Memory Banks and the Memory Banks open in this server',
+      z.object({}),
+      async () => {
+        try {
+          const banks = await bankManager.listBanks();
+
+          return {
+            success: true,
+            activeBank: bankManager.getActiveBank().name,
+            registryPath: bankManager.getRegistry().getRegistryPath(),
+            banks
+          };
+        } catch (error) {
+          logger.error(`Failed to list Memory Banks: ${error.message}`, { error });
+
+          return {
+            success: false,
+            error: error.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+
+    // Open bank tool
+    server.tool(
+      'open_memory_bank',
+      'Register an existing Memory Bank directory and switch to it',
+      z.object({
+        path: z.string().describe('Absolute path of the Memory Bank directory; unless it is registered, it must be inside a bank root (MEMORY_BANK_ROOTS)'),
+        name: z.string().optional().describe('Name to register the bank under (default: derived from the path)'),
+        label: z.string().optional().describe('Human-readable label of the bank')
+      }),
+      async ({ path, name, label }) => {
+        try {
+          const bank = await bankManager.openBank(path, { name, label });
+
+          return {
+            success: true,
+            bank: describeBank(bank)
+          };
+        } catch (error) {
+          logger.error(`Failed to open Memory Bank: ${error.message}`, { path, name, error });
+
+          return {
+            success: false,
+            error: error.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+
+    // Switch bank tool
+    server.tool(
+      'switch_memory_bank',
+      'Switch the active Memory Bank; all Memory Bank tools work on the active bank',
+      z.object({
+        name: z.string().describe('Name of a registered Memory Bank')
+      }),
+      async ({ name }) => {
+        try {
+          const previous = bankManager.getActiveBank().name;
+          const bank = await bankManager.switchBank(name);
+
+          return {
+            success: true,
+            previousBank: previous,
+            bank: describeBank(bank)
+          };
+        } catch (error) {
+          logger.error(`Failed to switch Memory Bank: ${error.message}`, { name, error });
+
+          return {
+            success: false,
+            error: error.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+
+    // Create bank tool
+    server.tool(
+      'create_memory_bank',
+      'Create a new Memory Bank from a template profile, register it and switch to it',
+      z.object({
+        name: z.string().describe('Name to register the bank under'),
+        path: z.string().describe('Absolute path of the new Memory Bank directory inside a bank root (MEMORY_BANK_ROOTS); it must not exist or be empty'),
+        label: z.string().optional().describe('Human-readable label of the bank, also used as the project name'),
+        profile: z.string().optional().describe('Template profile (default: minimal)'),
+        variables: z.record(z.string()).optional().describe('Values of the profile\'s template variables'),
+        switchTo: z.boolean().optional().describe('Switch to the new bank (default: true)')
+      }),
+      async ({ name, path, label, profile, variables, switchTo = true }) => {
+        try {
+          const bank = await bankManager.createBank({ name, path, label, profile, variables }, switchTo);
+
+          return {
+            success: true,
+            activeBank: bankManager.getActiveBank().name,
+            bank: describeBank(bank)
+          };
+        } catch (error) {
+          logger.error(`Failed to create Memory Bank: ${error.message}`, { name, path, error });
+
+          return {
+            success: false,
+            error: error.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+
+    logger.info('Bank tools registered successfully');
+  } catch (error) {
+    logger.error(`Error registering bank tools: ${error.message}`, { error });
+    throw error;
+  }
+}
+
+export default { registerBankTools };
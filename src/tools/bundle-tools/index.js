@@ -0,0 +1,145 @@
+/**
+ * bundle-tools/index.js
+ * Tools for exporting and importing a Memory Bank as a portable bundle
+ */
+
+import path from 'path';
+import { z } from 'zod';
+import logger from '../../logger.js';
+import { createBundle, encodeBundle, decodeBundle, getBundleEncoding, writeBundleFile, readBundleFile, importBundle } from '../../core/bank-bundle.js';
+import { MemoryBankError, MemoryErrorCode, getErrorCode } from '../../core/errors.js';
+import { isInsideDirectory } from '../../core/utils/real-path.js';
+
+/**
+ * Resolve the path of a bundle file, which must be inside the export directory
+ * @param {string} exportDirectory Export directory
+ * @param {string} filePath Path relative to the export directory, or absolute
+ * @returns {Promise<string>} Absolute path
+ */
+async function resolveBundlePath(exportDirectory, filePath) {
+  const resolved = path.resolve(exportDirectory, filePath);
+
+  if (!await isInsideDirectory(exportDirectory, resolved, false)) {
+    throw new MemoryBankError(
+      MemoryErrorCode.PATH_NOT_ALLOWED,
+      `Bundle files must be inside the export directory ${exportDirectory}: ${filePath}`,
+      { path: filePath, exportDirectory }
+    );
+  }
+
+  return resolved;
+}
+
+/**
+ * Register bundle tools with the MCP server
+ * @param {Object} server MCP server instance
+ * @param {BankManager} bankManager Bank manager providing the active Memory Bank
+ */
+export function registerBundleTools(server, bankManager) {
+  try {
+    // Export bank tool
+    server.tool(
+      'export_memory_bank',
+      'Export the Memory Bank files, their metadata and a manifest with checksums as a single JSON or tar bundle',
+      z.object({
+        outputPath: z.string().optional().describe('Path of the bundle file to write, relative to the export directory (MEMORY_BANK_EXPORT_DIR); without it the bundle is returned in the response'),
+        format: z.enum(['json', 'tar']).optional().describe('Bundle format (default: tar for .tar output files, json otherwise)'),
+        glob: z.array(z.string()).optional().describe('Only export files matching one of these glob patterns'),
+        overwrite: z.boolean().optional().describe('Replace an existing bundle file at outputPath in the export directory (default: false)')
+      }),
+      async ({ outputPath, format, glob, overwrite = false }) => {
+        const { name, memoryManager } = bankManager.getActiveBank();
+
+        try {
+          const filePath = outputPath ? await resolveBundlePath(bankManager.getExportDirectory(), outputPath) : null;
+
+          const bundle = await createBundle(memoryManager, { patterns: glob, bankName: name });
+          const encoding = format || (filePath ? getBundleEncoding(filePath) : 'json');
+
+          if (filePath) {
+            const size = await writeBundleFile(bundle, filePath, encoding, overwrite);
+
+            return {
+              success: true,
+              outputPath: filePath,
+              format: encoding,
+              size,
+              manifest: bundle.manifest
+            };
+          }
+
+          return {
+            success: true,
+            format: encoding,
+            // A tar bundle is returned base64-encoded
+            bundle: encoding === 'json' ? bundle : encodeBundle(bundle, 'tar').toString('base64')
+          };
+        } catch (error) {
+          logger.error(`Failed to export Memory Bank: ${error.message}`, { outputPath, error });
+
+          return {
+            success: false,
+            error: error.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+
+    // Import bank tool
+    server.tool(
+      'import_memory_bank',
+      'Import a Memory Bank bundle into the active Memory Bank, or report what an import would change',
+      z.object({
+        inputPath: z.string().optional().describe('Path of a bundle file, relative to the export directory (MEMORY_BANK_EXPORT_DIR)'),
+        bundle: z.string().optional().describe('Bundle given inline: a JSON bundle or a base64-encoded tar bundle'),
+        strategy: z.enum(['overwrite', 'skip', 'keep-both']).optional().describe('How to handle files that exist with different content: overwrite them, skip them, or keep both and import the file with an -imported suffix (default: skip)'),
+        dryRun: z.boolean().optional().describe('Only report what would change (default: false)')
+      }),
+      async ({ inputPath, bundle, strategy = 'skip', dryRun = false }) => {
+        const { memoryManager, contextManager } = bankManager.getActiveBank();
+
+        try {
+          let decoded;
+
+          if (inputPath) {
+            decoded = await readBundleFile(await resolveBundlePath(bankManager.getExportDirectory(), inputPath));
+          } else if (bundle) {
+            decoded = decodeBundle(bundle.trimStart().startsWith('{') ? Buffer.from(bundle, 'utf8') : Buffer.from(bundle, 'base64'));
+          } else {
+            throw new MemoryBankError(MemoryErrorCode.INVALID_BUNDLE, 'Either inputPath or bundle is required');
+          }
+
+          const report = await importBundle(memoryManager, decoded, { strategy, dryRun, source: 'import_memory_bank' });
+
+          if (!dryRun) {
+            for (const change of report.changes) {
+              contextManager.invalidateContext(change.target);
+            }
+          }
+
+          return {
+            success: true,
+            manifest: { bank: decoded.manifest.bank, createdAt: decoded.manifest.createdAt, files: decoded.manifest.files.length },
+            ...report
+          };
+        } catch (error) {
+          logger.error(`Failed to import Memory Bank bundle: ${error.message}`, { inputPath, error });
+
+          return {
+            success: false,
+            error: error.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+
+    logger.info('Bundle tools registered successfully');
+  } catch (error) {
+    logger.error(`Error registering bundle tools: ${error.message}`, { error });
+    throw error;
+  }
+}
+
+export default { registerBundleTools };
@@ -0,0 +1,219 @@
+/**
+ * file-tools/index.js
+ * Tools for deleting, renaming and moving Memory Bank files and managing the trash
+ */
+
+import { z } from 'zod';
+import logger from '../../logger.js';
+import { getErrorCode, getConflictState } from '../../core/errors.js';
+
+/**
+ * Register file management tools with the MCP server
+ * @param {Object} server MCP server instance
+ * @param {BankManager} bankManager Bank manager providing the active Memory Bank
+ */
+export function registerFileTools(server, bankManager) {
+  try {
+    // Delete file tool
+    server.tool(
+      'delete_memory_file',
+      'Delete a Memory Bank file by moving it to the trash, from where it can be restored',
+      z.object({
+        fileName: z.string().describe('Name of the file in the Memory Bank'),
+        expectedVersion: z.string().optional().describe('Version returned by a read; the delete is rejected if the file changed since')
+      }),
+      async ({ fileName, expectedVersion }) => {
+        const { memoryManager } = bankManager.getActiveBank();
+
+        try {
+          const entry = await memoryManager.deleteMemoryFile(fileName, { expectedVersion, source: 'delete_memory_file' });
+
+          return {
+            success: true,
+            fileName: entry.fileName,
+            trashId: entry.id
+          };
+        } catch (error) {
+          logger.error(`Failed to delete Memory Bank file: ${error.message}`, { fileName, error });
+
+          return {
+            success: false,
+            error: error.message,
+            code: getErrorCode(error),
+            ...getConflictState(error)
+          };
+        }
+      }
+    );
+
+    // Rename file tool
+    server.tool(
+      'rename_memory_file',
+      'Rename a Memory Bank file, optionally rewriting relative Markdown links that point at it',
+      z.object({
+        fileName: z.string().describe('Current name of the file in the Memory Bank'),
+        newFileName: z.string().describe('New name of the file, relative to the Memory Bank root'),
+        updateLinks: z.boolean().optional().describe('Rewrite relative Markdown links to the file in other Memory Bank files (default: false)'),
+        expectedVersion: z.string().optional().describe('Version returned by a read; the rename is rejected if the file changed since')
+      }),
+      async ({ fileName, newFileName, updateLinks = false, expectedVersion }) => {
+        const { memoryManager } = bankManager.getActiveBank();
+
+        try {
+          const result = await memoryManager.renameMemoryFile(fileName, newFileName, {
+            updateLinks,
+            expectedVersion,
+            source: 'rename_memory_file'
+          });
+
+          return {
+            success: true,
+            ...result
+          };
+        } catch (error) {
+          logger.error(`Failed to rename Memory Bank file: ${error.message}`, { fileName, newFileName, error });
+
+          return {
+            success: false,
+            error: error.message,
+            code: getErrorCode(error),
+            ...getConflictState(error)
+          };
+        }
+      }
+    );
+
+    // Move file tool
+    server.tool(
+      'move_memory_file',
+      'Move a Memory Bank file into another directory of the Memory Bank, keeping its name',
+      z.object({
+        fileName: z.string().describe('Name of the file in the Memory Bank'),
+        directory: z.string().describe('Target directory relative to the Memory Bank root; an empty string for the root'),
+        updateLinks: z.boolean().optional().describe('Rewrite relative Markdown links to and from the file (default: false)'),
+        expectedVersion: z.string().optional().describe('Version returned by a read; the move is rejected if the file changed since')
+      }),
+      async ({ fileName, directory, updateLinks = false, expectedVersion }) => {
+        const { memoryManager } = bankManager.getActiveBank();
+
+        try {
+          const result = await memoryManager.moveMemoryFile(fileName, directory, {
+            updateLinks,
+            expectedVersion,
+            source: 'move_memory_file'
+          });
+
+          return {
+            success: true,
+            ...result
+          };
+        } catch (error) {
+          logger.error(`Failed to move Memory Bank file: ${error.message}`, { fileName, directory, error });
+
+          return {
+            success: false,
+            error: error.message,
+            code: getErrorCode(error),
+            ...getConflictState(error)
+          };
+        }
+      }
+    );
+
+    // List trash tool
+    server.tool(
+      'list_memory_trash',
+      'List deleted Memory Bank files in the trash',
+      z.object({}),
+      async () => {
+        const { memoryManager } = bankManager.getActiveBank();
+
+        try {
+          const entries = await memoryManager.listTrash();
+
+          return {
+            success: true,
+            entries
+          };
+        } catch (error) {
+          logger.error(`Failed to list Memory Bank trash: ${error.message}`, { error });
+
+          return {
+            success: false,
+            error: error.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+
+    // Restore from trash tool
+    server.tool(
+      'restore_memory_file',
+      'Restore a deleted Memory Bank file from the trash',
+      z.object({
+        trashId: z.string().describe('ID of the trash entry, as returned by delete_memory_file or list_memory_trash'),
+        fileName: z.string().optional().describe('Path to restore the file to (default: its original path)')
+      }),
+      async ({ trashId, fileName }) => {
+        const { memoryManager } = bankManager.getActiveBank();
+
+        try {
+          const result = await memoryManager.restoreFromTrash(trashId, { fileName, source: 'restore_memory_file' });
+
+          return {
+            success: true,
+            fileName: result.fileName,
+            version: result.version,
+            deletedAt: result.entry.deletedAt
+          };
+        } catch (error) {
+          logger.error(`Failed to restore Memory Bank file from trash: ${error.message}`, { trashId, fileName, error });
+
+          return {
+            success: false,
+            error: error.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+
+    // Purge trash tool
+    server.tool(
+      'purge_memory_trash',
+      'Permanently delete files from the trash; empties the whole trash unless an entry or age is given',
+      z.object({
+        trashId: z.string().optional().describe('ID of a single trash entry to delete'),
+        olderThanDays: z.number().min(0).optional().describe('Only delete entries deleted more than this many days ago')
+      }),
+      async ({ trashId, olderThanDays }) => {
+        const { memoryManager } = bankManager.getActiveBank();
+
+        try {
+          const purged = await memoryManager.purgeTrash({ id: trashId, olderThanDays });
+
+          return {
+            success: true,
+            purged: purged.map(entry => ({ id: entry.id, fileName: entry.fileName }))
+          };
+        } catch (error) {
+          logger.error(`Failed to purge Memory Bank trash: ${error.message}`, { trashId, olderThanDays, error });
+
+          return {
+            success: false,
+            error: error.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+
+    logger.info('File tools registered successfully');
+  } catch (error) {
+    logger.error(`Error registering file tools: ${error.message}`, { error });
+    throw error;
+  }
+}
+
+export default { registerFileTools };
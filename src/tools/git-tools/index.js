@@ -0,0 +1,117 @@
+/**
+ * git-tools/index.js
+ * Tools for the git-backed Memory Bank mode
+ */
+
+import { z } from 'zod';
+import logger from '../../logger.js';
+import { getErrorCode } from '../../core/errors.js';
+
+/**
+ * Register git tools with the MCP server
+ * @param {Object} server MCP server instance
+ * @param {BankManager} bankManager Bank manager providing the active Memory Bank
+ */
+export function registerGitTools(server, bankManager) {
+  try {
+    // Git log tool
+    server.tool(
+      'git_memory_log',
+      'Show the git commit log of the Memory Bank',
+      z.object({
+        limit: z.number().int().positive().optional().describe('Maximum number of commits to return (default: 20)'),
+        fileName: z.string().optional().describe('Only show commits that changed this file')
+      }),
+      async ({ limit = 20, fileName }) => {
+        const { memoryManager } = bankManager.getActiveBank();
+
+        try {
+          const commits = await memoryManager.getGitLog(limit, fileName);
+
+          return {
+            success: true,
+            commits
+          };
+        } catch (error) {
+          logger.error(`Failed to get Memory Bank git log: ${error.message}`, { fileName, error });
+
+          return {
+            success: false,
+            error: error.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+
+    // Git show tool
+    server.tool(
+      'git_memory_show',
+      'Show the message and patch of a Memory Bank git commit',
+      z.object({
+        commit: z.string().describe('Hash of the commit to show')
+      }),
+      async ({ commit }) => {
+        const { memoryManager } = bankManager.getActiveBank();
+
+        try {
+          const details = await memoryManager.showGitCommit(commit);
+
+          return {
+            success: true,
+            commit: details
+          };
+        } catch (error) {
+          logger.error(`Failed to show Memory Bank commit: ${error.message}`, { commit, error });
+
+          return {
+            success: false,
+            error: error.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+
+    // Git revert tool
+    server.tool(
+      'git_memory_revert',
+      'Revert a Memory Bank git commit with a new commit',
+      z.object({
+        commit: z.string().describe('Hash of the commit to revert')
+      }),
+      async ({ commit }) => {
+        const { memoryManager, contextManager } = bankManager.getActiveBank();
+
+        try {
+          const result = await memoryManager.revertGitCommit(commit);
+
+          // Invalidate cache for the reverted files
+          result.files.forEach(file => contextManager.invalidateContext(file));
+
+          return {
+            success: true,
+            revertedCommit: commit,
+            commit: result.commit,
+            files: result.files
+          };
+        } catch (error) {
+          logger.error(`Failed to revert Memory Bank commit: ${error.message}`, { commit, error });
+
+          return {
+            success: false,
+            error: error.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+
+    logger.info('Git tools registered successfully');
+  } catch (error) {
+    logger.error(`Error registering git tools: ${error.message}`, { error });
+    throw error;
+  }
+}
+
+export default { registerGitTools };
@@ -0,0 +1,129 @@
+/**
+ * history-tools/index.js
+ * Tools for browsing and restoring Memory Bank file revisions
+ */
+
+import { z } from 'zod';
+import logger from '../../logger.js';
+import { getErrorCode } from '../../core/errors.js';
+
+/**
+ * Register revision history tools with the MCP server
+ * @param {Object} server MCP server instance
+ * @param {BankManager} bankManager Bank manager providing the active Memory Bank
+ */
+export function registerHistoryTools(server, bankManager) {
+  try {
+    // List revisions tool
+    server.tool(
+      'list_memory_revisions',
+      'List the revision history of a Memory Bank file',
+      z.object({
+        fileName: z.string().describe('Name of the file in the Memory Bank')
+      }),
+      async ({ fileName }) => {
+        const { memoryManager } = bankManager.getActiveBank();
+
+        try {
+          const revisions = await memoryManager.listRevisions(fileName);
+
+          return {
+            success: true,
+            fileName,
+            retention: memoryManager.getHistoryRetention(),
+            revisions: revisions.reverse()
+          };
+        } catch (error) {
+          logger.error(`Failed to list Memory Bank revisions: ${error.message}`, { fileName, error });
+
+          return {
+            success: false,
+            error: error.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+
+    // Diff revisions tool
+    server.tool(
+      'diff_memory_revisions',
+      'Show a unified diff between two revisions of a Memory Bank file',
+      z.object({
+        fileName: z.string().describe('Name of the file in the Memory Bank'),
+        fromRevision: z.string().describe('ID of the revision to diff from'),
+        toRevision: z.string().optional().describe('ID of the revision to diff to (default: current content)')
+      }),
+      async ({ fileName, fromRevision, toRevision }) => {
+        const { memoryManager } = bankManager.getActiveBank();
+
+        try {
+          const diff = await memoryManager.diffRevisions(fileName, fromRevision, toRevision);
+
+          return {
+            success: true,
+            fileName,
+            fromRevision,
+            toRevision: toRevision || 'current',
+            changed: diff !== '',
+            diff
+          };
+        } catch (error) {
+          logger.error(`Failed to diff Memory Bank revisions: ${error.message}`, { fileName, error });
+
+          return {
+            success: false,
+            error: error.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+
+    // Restore revision tool
+    server.tool(
+      'restore_memory_revision',
+      'Restore a Memory Bank file to a previous revision',
+      z.object({
+        fileName: z.string().describe('Name of the file in the Memory Bank'),
+        revisionId: z.string().describe('ID of the revision to restore'),
+        expectedVersion: z.string().optional().describe('Version returned by read_memory_file; the restore is rejected if the file changed since')
+      }),
+      async ({ fileName, revisionId, expectedVersion }) => {
+        const { memoryManager, contextManager } = bankManager.getActiveBank();
+
+        try {
+          const version = await memoryManager.restoreRevision(fileName, revisionId, {
+            expectedVersion,
+            source: `restore_memory_revision:${revisionId}`
+          });
+
+          // Invalidate cache for this file
+          contextManager.invalidateContext(fileName);
+
+          return {
+            success: true,
+            fileName,
+            restoredRevision: revisionId,
+            version
+          };
+        } catch (error) {
+          logger.error(`Failed to restore Memory Bank revision: ${error.message}`, { fileName, revisionId, error });
+
+          return {
+            success: false,
+            error: error.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+
+    logger.info('History tools registered successfully');
+  } catch (error) {
+    logger.error(`Error registering history tools: ${error.message}`, { error });
+    throw error;
+  }
+}
+
+export default { registerHistoryTools };
@@ -0,0 +1,135 @@
+/**
+ * history-tools/index.ts
+ * Tools for browsing and restoring Memory Bank file revisions
+ */
+
+import { z } from 'zod';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { logger } from '../../logger.js';
+import { BankManager } from '../../core/bank-manager.js';
+import { getErrorCode } from '../../core/errors.js';
+
+/**
+ * Register revision history tools with the MCP server
+ * @param server MCP server instance
+ * @param bankManager Bank manager providing the active Memory Bank
+ */
+export function registerHistoryTools(server: McpServer, bankManager: BankManager): void {
+  try {
+    // List revisions tool
+    server.tool(
+      'list_memory_revisions',
+      'List the revision history of a Memory Bank file',
+      z.object({
+        fileName: z.string().describe('Name of the file in the Memory Bank')
+      }),
+      async ({ fileName }) => {
+        const { memoryManager } = bankManager.getActiveBank();
+
+        try {
+          const revisions = await memoryManager.listRevisions(fileName);
+
+          return {
+            success: true,
+            fileName,
+            retention: memoryManager.getHistoryRetention(),
+            revisions: revisions.reverse()
+          };
+        } catch (error) {
+          const err = error as Error;
+          logger.error(`Failed to list Memory Bank revisions: ${err.message}`, { fileName, error });
+
+          return {
+            success: false,
+            error: err.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+
+    // Diff revisions tool
+    server.tool(
+      'diff_memory_revisions',
+      'Show a unified diff between two revisions of a Memory Bank file',
+      z.object({
+        fileName: z.string().describe('Name of the file in the Memory Bank'),
+        fromRevision: z.string().describe('ID of the revision to diff from'),
+        toRevision: z.string().optional().describe('ID of the revision to diff to (default: current content)')
+      }),
+      async ({ fileName, fromRevision, toRevision }) => {
+        const { memoryManager } = bankManager.getActiveBank();
+
+        try {
+          const diff = await memoryManager.diffRevisions(fileName, fromRevision, toRevision);
+
+          return {
+            success: true,
+            fileName,
+            fromRevision,
+            toRevision: toRevision || 'current',
+            changed: diff !== '',
+            diff
+          };
+        } catch (error) {
+          const err = error as Error;
+          logger.error(`Failed to diff Memory Bank revisions: ${err.message}`, { fileName, error });
+
+          return {
+            success: false,
+            error: err.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+
+    // Restore revision tool
+    server.tool(
+      'restore_memory_revision',
+      'Restore a Memory Bank file to a previous revision',
+      z.object({
+        fileName: z.string().describe('Name of the file in the Memory Bank'),
+        revisionId: z.string().describe('ID of the revision to restore'),
+        expectedVersion: z.string().optional().describe('Version returned by read_memory_file; the restore is rejected if the file changed since')
+      }),
+      async ({ fileName, revisionId, expectedVersion }) => {
+        const { memoryManager, contextManager } = bankManager.getActiveBank();
+
+        try {
+          const version = await memoryManager.restoreRevision(fileName, revisionId, {
+            expectedVersion,
+            source: `restore_memory_revision:${revisionId}`
+          });
+
+          // Invalidate cache for this file
+          contextManager.invalidateContext(fileName);
+
+          return {
+            success: true,
+            fileName,
+            restoredRevision: revisionId,
+            version
+          };
+        } catch (error) {
+          const err = error as Error;
+          logger.error(`Failed to restore Memory Bank revision: ${err.message}`, { fileName, revisionId, error });
+
+          return {
+            success: false,
+            error: err.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+
+    logger.info('History tools registered successfully');
+  } catch (error) {
+    const err = error as Error;
+    logger.error(`Error registering history tools: ${err.message}`, { error });
+    throw error;
+  }
+}
+
+export default { registerHistoryTools };
@@ -7,28 +7,56 @@ import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { z } from 'zod';
 import { registerMemoryBankTools } from './memory-bank-tools/index.js';
 import { registerPlanActTools } from './plan-act-tools/index.js';
-import { modeManager } from '../core/plan-act/index.js';
-import { asyncOperationManager } from '../core/utils/async-manager.js';
-import { MemoryManager } from '../core/memory-manager.js';
+import { registerHistoryTools } from './history-tools/index.js';
+import { registerSectionTools } from './section-tools/index.js';
+import { registerFileTools } from './file-tools/index.js';
+import { registerGitTools } from './git-tools/index.js';
+import { registerBankTools } from './bank-tools/index.js';
+import { registerBundleTools } from './bundle-tools/index.js';
+import { registerLinkTools } from './link-tools/index.js';
+import { registerTaskTools } from './task-tools/index.js';
+import { BankManager } from '../core/bank-manager.js';
+import { getAICacheStats } from '../core/utils/ai-client.js';
 import { logger } from '../logger.js';
 
 /**
  * Register all tools with the TaskFlow server
  * @param server MCP server instance
- * @param asyncManager Async operation manager
- * @param memoryManager Memory Manager instance
+ * @param bankManager Bank manager providing the active Memory Bank
  */
-export function registerTaskflowTools(
-  server: McpServer, 
-  asyncManager: typeof asyncOperationManager,
-  memoryManager: MemoryManager
-): void {
+export function registerTaskflowTools(server: McpServer, bankManager: BankManager): void {
   try {
     // Register Memory Bank tools
-    registerMemoryBankTools(server, asyncManager);
+    registerMemoryBankTools(server, bankManager);
     
     // Register Plan-Act tools
-    registerPlanActTools(server, asyncManager);
+    registerPlanActTools(server, bankManager);
+    
+    // Register task store tools
+    registerTaskTools(server, bankManager);
+    
+    // Register Markdown section tools
+    registerSectionTools(server, bankManager);
+    
+    // Register delete, rename, move and trash tools
+    registerFileTools(server, bankManager);
+    
+    // Register revision history tools
+    registerHistoryTools(server, bankManager);
+    
+    // Register git tools when git-backed mode is enabled
+    if (bankManager.getActiveBank().memoryManager.isGitEnabled()) {
+      registerGitTools(server, bankManager);
+    }
+    
+    // Register tools for listing, opening, switching and creating Memory Banks
+    registerBankTools(server, bankManager);
+    
+    // Register tools for exporting and importing Memory Bank bundles
+    registerBundleTools(server, bankManager);
+    
+    // Register tools for following links between Memory Bank files
+    registerLinkTools(server, bankManager);
     
     // Register operation status tool
     server.tool(
@@ -39,9 +67,9 @@ export function registerTaskflowTools(
       }),
       async ({ operationId }) => {
         try {
-          const status = asyncManager.getOperationStatus(operationId);
+          const found = bankManager.findOperation(operationId);
           
-          if (!status) {
+          if (!found) {
             return {
               success: false,
               error: `Operation not found: ${operationId}`
@@ -51,10 +79,11 @@ export function registerTaskflowTools(
           return {
             success: true,
             operationId,
-            status: status.status,
-            startTime: status.startTime,
-            endTime: status.endTime,
-            duration: status.duration
+            bank: found.bank.name,
+            status: found.operation.status,
+            startTime: found.operation.startTime,
+            endTime: found.operation.endTime,
+            duration: found.operation.duration
           };
         } catch (error) {
           const err = error as Error;
@@ -77,9 +106,9 @@ export function registerTaskflowTools(
       }),
       async ({ operationId }) => {
         try {
-          const result = asyncManager.getOperationResult(operationId);
+          const found = bankManager.findOperation(operationId);
           
-          if (!result) {
+          if (!found) {
             return {
               success: false,
               error: `Operation not found: ${operationId}`
@@ -89,12 +118,14 @@ export function registerTaskflowTools(
           return {
             success: true,
             operationId,
-            status: result.status,
-            result: result.result,
-            error: result.error,
-            startTime: result.startTime,
-            endTime: result.endTime,
-            duration: result.duration
+            bank: found.bank.name,
+            status: found.operation.status,
+            result: found.operation.result,
+            error: found.operation.error,
+            code: found.operation.code,
+            startTime: found.operation.startTime,
+            endTime: found.operation.endTime,
+            duration: found.operation.duration
           };
         } catch (error) {
           const err = error as Error;
@@ -114,6 +145,9 @@ export function registerTaskflowTools(
       'Get the current status of the TaskFlow system',
       z.object({}),
       async () => {
+        const bank = bankManager.getActiveBank();
+        const { memoryManager, asyncManager, modeManager } = bank;
+        
         try {
           // Get Memory Manager stats
           const memoryStats = await memoryManager.getStats();
@@ -121,6 +155,9 @@ export function registerTaskflowTools(
           // Get Async Manager stats
           const asyncStats = asyncManager.getStats();
           
+          // Get AI Cache stats
+          const aiCacheStats = getAICacheStats();
+          
           // Get Mode Manager state
           const modeState = {
             currentMode: modeManager.getCurrentMode()
@@ -134,8 +171,16 @@ export function registerTaskflowTools(
                 uptime: process.uptime(),
                 memory: process.memoryUsage()
               },
+              bank: {
+                name: bank.name,
+                path: bank.path,
+                label: bank.label,
+                registered: bank.registered,
+                openBanks: bankManager.getOpenBanks().length
+              },
               memory: memoryStats,
               async: asyncStats,
+              ai: aiCacheStats,
               mode: modeState
             }
           };
@@ -157,12 +202,15 @@ export function registerTaskflowTools(
       'Get the current operating mode (plan or act)',
       z.object({}),
       async () => {
+        const { name, modeManager } = bankManager.getActiveBank();
+        
         try {
           const currentMode = modeManager.getCurrentMode();
           
           return {
             success: true,
-            mode: currentMode
+            mode: currentMode,
+            bank: name
           };
         } catch (error) {
           const err = error as Error;
@@ -0,0 +1,121 @@
+/**
+ * link-tools/index.js
+ * Tools for following the links between Memory Bank files
+ */
+
+import { z } from 'zod';
+import logger from '../../logger.js';
+import { getErrorCode } from '../../core/errors.js';
+
+// Deepest neighbourhood get_linked_files follows
+const MAX_LINK_DEPTH = 5;
+
+/**
+ * Register link graph tools with the MCP server
+ * @param {Object} server MCP server instance
+ * @param {BankManager} bankManager Bank manager providing the active Memory Bank
+ */
+export function registerLinkTools(server, bankManager) {
+  try {
+    // Links of a file tool
+    server.tool(
+      'get_memory_links',
+      'List the outgoing links and backlinks of a Memory Bank file, counting Markdown links and [[wiki-links]]',
+      z.object({
+        fileName: z.string().describe('Name of the file')
+      }),
+      async ({ fileName }) => {
+        const { contextManager } = bankManager.getActiveBank();
+
+        try {
+          const { file, outgoing, backlinks } = await contextManager.getLinks(fileName);
+
+          return {
+            success: true,
+            fileName: file,
+            outgoing: outgoing.map(({ target, type, raw, line }) => ({ target, type, raw, line, broken: target === null })),
+            backlinks: backlinks.map(({ source, type, raw, line }) => ({ source, type, raw, line }))
+          };
+        } catch (error) {
+          logger.error(`Failed to get Memory Bank links: ${error.message}`, { fileName, error });
+
+          return {
+            success: false,
+            error: error.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+
+    // Broken link and orphan report tool
+    server.tool(
+      'check_memory_links',
+      'Report links to Memory Bank files that do not exist, and files no other file links to',
+      z.object({}),
+      async () => {
+        const { contextManager } = bankManager.getActiveBank();
+
+        try {
+          const { broken, orphans } = await contextManager.getLinkReport();
+
+          return {
+            success: true,
+            valid: broken.length === 0 && orphans.length === 0,
+            broken: broken.map(({ source, type, raw, line }) => ({ source, type, raw, line })),
+            orphans
+          };
+        } catch (error) {
+          logger.error(`Failed to check Memory Bank links: ${error.message}`, { error });
+
+          return {
+            success: false,
+            error: error.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+
+    // Linked neighbourhood tool
+    server.tool(
+      'get_linked_files',
+      'Read a Memory Bank file together with the files linked to it, up to a number of links away',
+      z.object({
+        fileName: z.string().describe('Name of the file to start from'),
+        depth: z.number().int().min(0).max(MAX_LINK_DEPTH).optional().describe(`Maximum number of links to follow (default: 1, at most ${MAX_LINK_DEPTH})`),
+        direction: z.enum(['outgoing', 'incoming', 'both']).optional().describe('Follow outgoing links, backlinks or both (default: both)')
+      }),
+      async ({ fileName, depth = 1, direction = 'both' }) => {
+        const { contextManager } = bankManager.getActiveBank();
+
+        try {
+          const files = await contextManager.getLinkedContext(fileName, depth, direction);
+
+          return {
+            success: true,
+            fileName: files[0].file,
+            depth,
+            direction,
+            files
+          };
+        } catch (error) {
+          logger.error(`Failed to get linked Memory Bank files: ${error.message}`, { fileName, error });
+
+          return {
+            success: false,
+            error: error.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+
+    logger.info('Link tools registered successfully');
+  } catch (error) {
+    logger.error(`Error registering link tools: ${error.message}`, { error });
+    throw error;
+  }
+}
+
+export default { registerLinkTools };
@@ -0,0 +1,127 @@
+/**
+ * link-tools/index.ts
+ * Tools for following the links between Memory Bank files
+ */
+
+import { z } from 'zod';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { logger } from '../../logger.js';
+import { BankManager } from '../../core/bank-manager.js';
+import { getErrorCode } from '../../core/errors.js';
+
+// Deepest neighbourhood get_linked_files follows
+const MAX_LINK_DEPTH = 5;
+
+/**
+ * Register link graph tools with the MCP server
+ * @param server MCP server instance
+ * @param bankManager Bank manager providing the active Memory Bank
+ */
+export function registerLinkTools(server: McpServer, bankManager: BankManager): void {
+  try {
+    // Links of a file tool
+    server.tool(
+      'get_memory_links',
+      'List the outgoing links and backlinks of a Memory Bank file, counting Markdown links and [[wiki-links]]',
+      z.object({
+        fileName: z.string().describe('Name of the file')
+      }),
+      async ({ fileName }) => {
+        const { contextManager } = bankManager.getActiveBank();
+
+        try {
+          const { file, outgoing, backlinks } = await contextManager.getLinks(fileName);
+
+          return {
+            success: true,
+            fileName: file,
+            outgoing: outgoing.map(({ target, type, raw, line }) => ({ target, type, raw, line, broken: target === null })),
+            backlinks: backlinks.map(({ source, type, raw, line }) => ({ source, type, raw, line }))
+          };
+        } catch (error) {
+          const err = error as Error;
+          logger.error(`Failed to get Memory Bank links: ${err.message}`, { fileName, error });
+
+          return {
+            success: false,
+            error: err.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+
+    // Broken link and orphan report tool
+    server.tool(
+      'check_memory_links',
+      'Report links to Memory Bank files that do not exist, and files no other file links to',
+      z.object({}),
+      async () => {
+        const { contextManager } = bankManager.getActiveBank();
+
+        try {
+          const { broken, orphans } = await contextManager.getLinkReport();
+
+          return {
+            success: true,
+            valid: broken.length === 0 && orphans.length === 0,
+            broken: broken.map(({ source, type, raw, line }) => ({ source, type, raw, line })),
+            orphans
+          };
+        } catch (error) {
+          const err = error as Error;
+          logger.error(`Failed to check Memory Bank links: ${err.message}`, { error });
+
+          return {
+            success: false,
+            error: err.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+
+    // Linked neighbourhood tool
+    server.tool(
+      'get_linked_files',
+      'Read a Memory Bank file together with the files linked to it, up to a number of links away',
+      z.object({
+        fileName: z.string().describe('Name of the file to start from'),
+        depth: z.number().int().min(0).max(MAX_LINK_DEPTH).optional().describe(`Maximum number of links to follow (default: 1, at most ${MAX_LINK_DEPTH})`),
+        direction: z.enum(['outgoing', 'incoming', 'both']).optional().describe('Follow outgoing links, backlinks or both (default: both)')
+      }),
+      async ({ fileName, depth = 1, direction = 'both' }) => {
+        const { contextManager } = bankManager.getActiveBank();
+
+        try {
+          const files = await contextManager.getLinkedContext(fileName, depth, direction);
+
+          return {
+            success: true,
+            fileName: files[0].file,
+            depth,
+            direction,
+            files
+          };
+        } catch (error) {
+          const err = error as Error;
+          logger.error(`Failed to get linked Memory Bank files: ${err.message}`, { fileName, error });
+
+          return {
+            success: false,
+            error: err.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+
+    logger.info('Link tools registered successfully');
+  } catch (error) {
+    const err = error as Error;
+    logger.error(`Error registering link tools: ${err.message}`, { error });
+    throw error;
+  }
+}
+
+export default { registerLinkTools };
@@ -5,16 +5,14 @@
 
 import { z } from 'zod';
 import logger from '../../logger.js';
-import { contextManager } from '../../core/context-manager.js';
+import { getErrorCode, getConflictState, getSchemaViolations } from '../../core/errors.js';
 
 /**
  * Register Memory Bank tools with the MCP server
  * @param {Object} server - MCP server instance
- * @param {Object} asyncManager - Async operation manager instance
+ * @param {BankManager} bankManager - Bank manager providing the active Memory Bank
  */
-export function registerMemoryBankTools(server, asyncManager) {
-  const memoryManager = MemoryManager.getInstance();
-  
+export function registerMemoryBankTools(server, bankManager) {
   try {
     // Read Memory Bank file tool
     server.tool(
@@ -24,20 +22,24 @@ export function registerMemoryBankTools(server, asyncManager) {
         fileName: z.string().describe('Name of the file to read from the Memory Bank')
       }),
       async ({ fileName }) => {
+        const { memoryManager } = bankManager.getActiveBank();
+        
         try {
-          const content = await memoryManager.readMemoryFile(fileName);
+          const { content, version } = await memoryManager.readMemoryFileWithVersion(fileName);
           
           return {
             success: true,
             fileName,
-            content
+            content,
+            version
           };
         } catch (error) {
           logger.error(`Failed to read Memory Bank file: ${error.message}`, { fileName, error });
           
           return {
             success: false,
-            error: error.message
+            error: error.message,
+            code: getErrorCode(error)
           };
         }
       }
@@ -49,25 +51,37 @@ export function registerMemoryBankTools(server, asyncManager) {
       'Write content to a file in the Memory Bank',
       z.object({
         fileName: z.string().describe('Name of the file to write to the Memory Bank'),
-        content: z.string().describe('Content to write to the file')
+        content: z.string().describe('Content to write to the file'),
+        expectedVersion: z.string().optional().describe('Version returned by read_memory_file; the write is rejected if the file changed since'),
+        validateSchema: z.boolean().optional().describe('Reject the write if it breaks the Memory Bank schema, even if the schema does not set enforceOnWrite')
       }),
-      async ({ fileName, content }) => {
+      async ({ fileName, content, expectedVersion, validateSchema }) => {
+        const { memoryManager, contextManager } = bankManager.getActiveBank();
+        
         try {
-          await memoryManager.writeMemoryFile(fileName, content);
+          const version = await memoryManager.writeMemoryFile(fileName, content, {
+            expectedVersion,
+            validateSchema,
+            source: 'write_memory_file'
+          });
           
           // Invalidate cache for this file
           contextManager.invalidateContext(fileName);
           
           return {
             success: true,
-            fileName
+            fileName,
+            version
           };
         } catch (error) {
           logger.error(`Failed to write Memory Bank file: ${error.message}`, { fileName, error });
           
           return {
             success: false,
-            error: error.message
+            error: error.message,
+            code: getErrorCode(error),
+            ...getConflictState(error),
+            ...getSchemaViolations(error)
           };
         }
       }
@@ -76,11 +90,18 @@ export function registerMemoryBankTools(server, asyncManager) {
     // List Memory Bank files tool
     server.tool(
       'list_memory_files',
-      'List all files in the Memory Bank',
-      z.object({}),
-      async () => {
+      'List all files in the Memory Bank, including files in subdirectories',
+      z.object({
+        includeMetadata: z.boolean().optional().describe('Include the frontmatter metadata of each file (default: false)'),
+        glob: z.array(z.string()).optional().describe('Only include files matching one of these glob patterns, e.g. ["decisions/**"]')
+      }),
+      async ({ includeMetadata = false, glob }) => {
+        const { memoryManager } = bankManager.getActiveBank();
+        
         try {
-          const files = await memoryManager.listMemoryFiles();
+          const files = includeMetadata
+            ? await memoryManager.listMemoryFilesWithMetadata(glob)
+            : await memoryManager.listMemoryFiles(glob);
           
           return {
             success: true,
@@ -91,7 +112,70 @@ export function registerMemoryBankTools(server, asyncManager) {
           
           return {
             success: false,
-            error: error.message
+            error: error.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+    
+    // Memory Bank tree tool
+    server.tool(
+      'get_memory_tree',
+      'Get the directory tree of the Memory Bank',
+      z.object({
+        glob: z.array(z.string()).optional().describe('Only include files matching one of these glob patterns, e.g. ["decisions/**"]')
+      }),
+      async ({ glob }) => {
+        const { memoryManager } = bankManager.getActiveBank();
+        
+        try {
+          const tree = await memoryManager.getMemoryTree(glob);
+          
+          return {
+            success: true,
+            tree
+          };
+        } catch (error) {
+          logger.error(`Failed to get Memory Bank tree: ${error.message}`, { error });
+          
+          return {
+            success: false,
+            error: error.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+    
+    // Query Memory Bank files by metadata tool
+    server.tool(
+      'query_memory_files',
+      'Find Memory Bank files by frontmatter metadata',
+      z.object({
+        tags: z.array(z.string()).optional().describe('Tags the files must all have'),
+        status: z.string().optional().describe('Status the files must have, e.g. "open"'),
+        owner: z.string().optional().describe('Owner the files must have'),
+        priority: z.union([z.string(), z.number()]).optional().describe('Priority the files must have'),
+        updatedSince: z.string().optional().describe('Only files updated at or after this ISO 8601 date')
+      }),
+      async ({ tags, status, owner, priority, updatedSince }) => {
+        const { memoryManager } = bankManager.getActiveBank();
+        
+        try {
+          const files = await memoryManager.queryMemoryFiles({ tags, status, owner, priority, updatedSince });
+          
+          return {
+            success: true,
+            files
+          };
+        } catch (error) {
+          logger.error(`Failed to query Memory Bank files: ${error.message}`, { error });
+          
+          return {
+            success: false,
+            error: error.message,
+            code: getErrorCode(error)
           };
         }
       }
@@ -101,13 +185,17 @@ export function registerMemoryBankTools(server, asyncManager) {
     server.tool(
       'get_memory_bank_context',
       'Get the complete context from all Memory Bank files',
-      z.object({}),
-      async () => {
+      z.object({
+        glob: z.array(z.string()).optional().describe('Only include files matching one of these glob patterns, e.g. ["decisions/**"]')
+      }),
+      async ({ glob }) => {
+        const { contextManager, asyncManager } = bankManager.getActiveBank();
+        
         // Start asynchronous operation
         const operationId = asyncManager.startOperation();
         
         try {
-          const contextMap = await contextManager.getCompleteContext();
+          const contextMap = await contextManager.getCompleteContext(glob);
           
           // Convert Map to Object for JSON serialization
           const context = {};
@@ -132,7 +220,8 @@ export function registerMemoryBankTools(server, asyncManager) {
           return {
             success: false,
             operationId,
-            error: error.message
+            error: error.message,
+            code: getErrorCode(error)
           };
         }
       }
@@ -144,29 +233,136 @@ export function registerMemoryBankTools(server, asyncManager) {
       'Update an existing file in the Memory Bank',
       z.object({
         fileName: z.string().describe('Name of the file to update in the Memory Bank'),
-        content: z.string().describe('New content for the file')
+        content: z.string().describe('New content for the file'),
+        expectedVersion: z.string().optional().describe('Version returned by read_memory_file; the update is rejected if the file changed since')
       }),
-      async ({ fileName, content }) => {
+      async ({ fileName, content, expectedVersion }) => {
+        const { memoryManager, contextManager } = bankManager.getActiveBank();
+        
         try {
           // Check if file exists first
           await memoryManager.readMemoryFile(fileName);
           
           // Then write the new content
-          await memoryManager.writeMemoryFile(fileName, content);
+          const version = await memoryManager.writeMemoryFile(fileName, content, {
+            expectedVersion,
+            source: 'update_memory_file'
+          });
           
           // Invalidate cache
           contextManager.invalidateContext(fileName);
           
           return {
             success: true,
-            fileName
+            fileName,
+            version
           };
         } catch (error) {
           logger.error(`Failed to update Memory Bank file: ${error.message}`, { fileName, error });
           
           return {
             success: false,
-            error: error.message
+            error: error.message,
+            code: getErrorCode(error),
+            ...getConflictState(error),
+            ...getSchemaViolations(error)
+          };
+        }
+      }
+    );
+    
+    // Get relevant context tool
+    server.tool(
+      'get_relevant_context',
+      'Get the Memory Bank sections most relevant to a query or task, packed within a token budget',
+      z.object({
+        query: z.string().describe('Query or task description to rank Memory Bank sections against'),
+        tokenBudget: z.number().int().positive().optional().describe('Maximum number of tokens to return (default: 4000)'),
+        glob: z.array(z.string()).optional().describe('Only include files matching one of these glob patterns, e.g. ["decisions/**"]')
+      }),
+      async ({ query, tokenBudget = 4000, glob }) => {
+        const { contextManager } = bankManager.getActiveBank();
+        
+        try {
+          const { context, tokens, manifest } = await contextManager.getRelevantContext(query, tokenBudget, glob);
+          
+          return {
+            success: true,
+            query,
+            tokenBudget,
+            tokens,
+            context,
+            manifest
+          };
+        } catch (error) {
+          logger.error(`Failed to get relevant context: ${error.message}`, { query, error });
+          
+          return {
+            success: false,
+            error: error.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+    
+    // Search Memory Bank tool
+    server.tool(
+      'search_memory',
+      'Full-text search across all Memory Bank files',
+      z.object({
+        query: z.string().describe('Search terms; wrap exact phrases in double quotes'),
+        regex: z.boolean().optional().describe('Treat the query as a regular expression (default: false)'),
+        caseSensitive: z.boolean().optional().describe('Match case exactly (default: false)'),
+        limit: z.number().int().positive().optional().describe('Maximum number of hits to return (default: 20)')
+      }),
+      async ({ query, regex = false, caseSensitive = false, limit = 20 }) => {
+        const { contextManager } = bankManager.getActiveBank();
+        
+        try {
+          const hits = contextManager.search(query, { regex, caseSensitive, limit });
+          
+          return {
+            success: true,
+            query,
+            hits
+          };
+        } catch (error) {
+          logger.error(`Failed to search Memory Bank: ${error.message}`, { query, error });
+          
+          return {
+            success: false,
+            error: error.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+    
+    // Lint Memory Bank tool
+    server.tool(
+      'lint_memory_bank',
+      'Check the Memory Bank against its schema (.memory-schema.json) and report violations with file and line',
+      z.object({}),
+      async () => {
+        const { memoryManager } = bankManager.getActiveBank();
+        
+        try {
+          const violations = await memoryManager.lintMemoryBank();
+          
+          return {
+            success: true,
+            valid: violations.length === 0,
+            enforceOnWrite: memoryManager.getSchema().isEnforcedOnWrite(),
+            violations
+          };
+        } catch (error) {
+          logger.error(`Failed to lint Memory Bank: ${error.message}`, { error });
+          
+          return {
+            success: false,
+            error: error.message,
+            code: getErrorCode(error)
           };
         }
       }
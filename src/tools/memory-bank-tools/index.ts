@@ -6,18 +6,15 @@
 import { z } from 'zod';
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { logger } from '../../logger.js';
-import { asyncOperationManager } from '../../core/utils/async-manager.js';
-import { MemoryManager } from '../../core/memory-manager.js';
-import { contextManager } from '../../core/context-manager.js';
+import { BankManager } from '../../core/bank-manager.js';
+import { getErrorCode, getConflictState, getSchemaViolations } from '../../core/errors.js';
 
 /**
  * Register Memory Bank tools with the MCP server
  * @param server MCP server instance
- * @param asyncManager Async operation manager instance
+ * @param bankManager Bank manager providing the active Memory Bank
  */
-export function registerMemoryBankTools(server: McpServer, asyncManager: typeof asyncOperationManager): void {
-  const memoryManager = MemoryManager.getInstance();
-  
+export function registerMemoryBankTools(server: McpServer, bankManager: BankManager): void {
   try {
     // Read Memory Bank file tool
     server.tool(
@@ -27,13 +24,16 @@ export function registerMemoryBankTools(server: McpServer, asyncManager: typeof
         fileName: z.string().describe('Name of the file to read from the Memory Bank')
       }),
       async ({ fileName }) => {
+        const { memoryManager } = bankManager.getActiveBank();
+        
         try {
-          const content = await memoryManager.readMemoryFile(fileName);
+          const { content, version } = await memoryManager.readMemoryFileWithVersion(fileName);
           
           return {
             success: true,
             fileName,
-            content
+            content,
+            version
           };
         } catch (error) {
           const err = error as Error;
@@ -41,7 +41,8 @@ export function registerMemoryBankTools(server: McpServer, asyncManager: typeof
           
           return {
             success: false,
-            error: err.message
+            error: err.message,
+            code: getErrorCode(error)
           };
         }
       }
@@ -53,18 +54,27 @@ export function registerMemoryBankTools(server: McpServer, asyncManager: typeof
       'Write content to a file in the Memory Bank',
       z.object({
         fileName: z.string().describe('Name of the file to write to the Memory Bank'),
-        content: z.string().describe('Content to write to the file')
+        content: z.string().describe('Content to write to the file'),
+        expectedVersion: z.string().optional().describe('Version returned by read_memory_file; the write is rejected if the file changed since'),
+        validateSchema: z.boolean().optional().describe('Reject the write if it breaks the Memory Bank schema, even if the schema does not set enforceOnWrite')
       }),
-      async ({ fileName, content }) => {
+      async ({ fileName, content, expectedVersion, validateSchema }) => {
+        const { memoryManager, contextManager } = bankManager.getActiveBank();
+        
         try {
-          await memoryManager.writeMemoryFile(fileName, content);
+          const version = await memoryManager.writeMemoryFile(fileName, content, {
+            expectedVersion,
+            validateSchema,
+            source: 'write_memory_file'
+          });
           
           // Invalidate cache for this file
           contextManager.invalidateContext(fileName);
           
           return {
             success: true,
-            fileName
+            fileName,
+            version
           };
         } catch (error) {
           const err = error as Error;
@@ -72,7 +82,10 @@ export function registerMemoryBankTools(server: McpServer, asyncManager: typeof
           
           return {
             success: false,
-            error: err.message
+            error: err.message,
+            code: getErrorCode(error),
+            ...getConflictState(error),
+            ...getSchemaViolations(error)
           };
         }
       }
@@ -81,11 +94,18 @@ export function registerMemoryBankTools(server: McpServer, asyncManager: typeof
     // List Memory Bank files tool
     server.tool(
       'list_memory_files',
-      'List all files in the Memory Bank',
-      z.object({}),
-      async () => {
+      'List all files in the Memory Bank, including files in subdirectories',
+      z.object({
+        includeMetadata: z.boolean().optional().describe('Include the frontmatter metadata of each file (default: false)'),
+        glob: z.array(z.string()).optional().describe('Only include files matching one of these glob patterns, e.g. ["decisions/**"]')
+      }),
+      async ({ includeMetadata = false, glob }) => {
+        const { memoryManager } = bankManager.getActiveBank();
+        
         try {
-          const files = await memoryManager.listMemoryFiles();
+          const files = includeMetadata
+            ? await memoryManager.listMemoryFilesWithMetadata(glob)
+            : await memoryManager.listMemoryFiles(glob);
           
           return {
             success: true,
@@ -97,7 +117,72 @@ export function registerMemoryBankTools(server: McpServer, asyncManager: typeof
           
           return {
             success: false,
-            error: err.message
+            error: err.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+    
+    // Memory Bank tree tool
+    server.tool(
+      'get_memory_tree',
+      'Get the directory tree of the Memory Bank',
+      z.object({
+        glob: z.array(z.string()).optional().describe('Only include files matching one of these glob patterns, e.g. ["decisions/**"]')
+      }),
+      async ({ glob }) => {
+        const { memoryManager } = bankManager.getActiveBank();
+        
+        try {
+          const tree = await memoryManager.getMemoryTree(glob);
+          
+          return {
+            success: true,
+            tree
+          };
+        } catch (error) {
+          const err = error as Error;
+          logger.error(`Failed to get Memory Bank tree: ${err.message}`, { error });
+          
+          return {
+            success: false,
+            error: err.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+    
+    // Query Memory Bank files by metadata tool
+    server.tool(
+      'query_memory_files',
+      'Find Memory Bank files by frontmatter metadata',
+      z.object({
+        tags: z.array(z.string()).optional().describe('Tags the files must all have'),
+        status: z.string().optional().describe('Status the files must have, e.g. "open"'),
+        owner: z.string().optional().describe('Owner the files must have'),
+        priority: z.union([z.string(), z.number()]).optional().describe('Priority the files must have'),
+        updatedSince: z.string().optional().describe('Only files updated at or after this ISO 8601 date')
+      }),
+      async ({ tags, status, owner, priority, updatedSince }) => {
+        const { memoryManager } = bankManager.getActiveBank();
+        
+        try {
+          const files = await memoryManager.queryMemoryFiles({ tags, status, owner, priority, updatedSince });
+          
+          return {
+            success: true,
+            files
+          };
+        } catch (error) {
+          const err = error as Error;
+          logger.error(`Failed to query Memory Bank files: ${err.message}`, { error });
+          
+          return {
+            success: false,
+            error: err.message,
+            code: getErrorCode(error)
           };
         }
       }
@@ -107,13 +192,17 @@ export function registerMemoryBankTools(server: McpServer, asyncManager: typeof
     server.tool(
       'get_memory_bank_context',
       'Get the complete context from all Memory Bank files',
-      z.object({}),
-      async () => {
+      z.object({
+        glob: z.array(z.string()).optional().describe('Only include files matching one of these glob patterns, e.g. ["decisions/**"]')
+      }),
+      async ({ glob }) => {
+        const { contextManager, asyncManager } = bankManager.getActiveBank();
+        
         // Start asynchronous operation
         const operationId = asyncManager.startOperation();
         
         try {
-          const contextMap = await contextManager.getCompleteContext();
+          const contextMap = await contextManager.getCompleteContext(glob);
           
           // Convert Map to Object for JSON serialization
           const context: Record<string, string> = {};
@@ -139,7 +228,8 @@ export function registerMemoryBankTools(server: McpServer, asyncManager: typeof
           return {
             success: false,
             operationId,
-            error: err.message
+            error: err.message,
+            code: getErrorCode(error)
           };
         }
       }
@@ -151,22 +241,29 @@ export function registerMemoryBankTools(server: McpServer, asyncManager: typeof
       'Update an existing file in the Memory Bank',
       z.object({
         fileName: z.string().describe('Name of the file to update in the Memory Bank'),
-        content: z.string().describe('New content for the file')
+        content: z.string().describe('New content for the file'),
+        expectedVersion: z.string().optional().describe('Version returned by read_memory_file; the update is rejected if the file changed since')
       }),
-      async ({ fileName, content }) => {
+      async ({ fileName, content, expectedVersion }) => {
+        const { memoryManager, contextManager } = bankManager.getActiveBank();
+        
         try {
           // Check if file exists first
           await memoryManager.readMemoryFile(fileName);
           
           // Then write the new content
-          await memoryManager.writeMemoryFile(fileName, content);
+          const version = await memoryManager.writeMemoryFile(fileName, content, {
+            expectedVersion,
+            source: 'update_memory_file'
+          });
           
           // Invalidate cache
           contextManager.invalidateContext(fileName);
           
           return {
             success: true,
-            fileName
+            fileName,
+            version
           };
         } catch (error) {
           const err = error as Error;
@@ -174,7 +271,110 @@ export function registerMemoryBankTools(server: McpServer, asyncManager: typeof
           
           return {
             success: false,
-            error: err.message
+            error: err.message,
+            code: getErrorCode(error),
+            ...getConflictState(error),
+            ...getSchemaViolations(error)
+          };
+        }
+      }
+    );
+    
+    // Get relevant context tool
+    server.tool(
+      'get_relevant_context',
+      'Get the Memory Bank sections most relevant to a query or task, packed within a token budget',
+      z.object({
+        query: z.string().describe('Query or task description to rank Memory Bank sections against'),
+        tokenBudget: z.number().int().positive().optional().describe('Maximum number of tokens to return (default: 4000)'),
+        glob: z.array(z.string()).optional().describe('Only include files matching one of these glob patterns, e.g. ["decisions/**"]')
+      }),
+      async ({ query, tokenBudget = 4000, glob }) => {
+        const { contextManager } = bankManager.getActiveBank();
+        
+        try {
+          const { context, tokens, manifest } = await contextManager.getRelevantContext(query, tokenBudget, glob);
+          
+          return {
+            success: true,
+            query,
+            tokenBudget,
+            tokens,
+            context,
+            manifest
+          };
+        } catch (error) {
+          const err = error as Error;
+          logger.error(`Failed to get relevant context: ${err.message}`, { query, error });
+          
+          return {
+            success: false,
+            error: err.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+    
+    // Search Memory Bank tool
+    server.tool(
+      'search_memory',
+      'Full-text search across all Memory Bank files',
+      z.object({
+        query: z.string().describe('Search terms; wrap exact phrases in double quotes'),
+        regex: z.boolean().optional().describe('Treat the query as a regular expression (default: false)'),
+        caseSensitive: z.boolean().optional().describe('Match case exactly (default: false)'),
+        limit: z.number().int().positive().optional().describe('Maximum number of hits to return (default: 20)')
+      }),
+      async ({ query, regex = false, caseSensitive = false, limit = 20 }) => {
+        const { contextManager } = bankManager.getActiveBank();
+        
+        try {
+          const hits = contextManager.search(query, { regex, caseSensitive, limit });
+          
+          return {
+            success: true,
+            query,
+            hits
+          };
+        } catch (error) {
+          const err = error as Error;
+          logger.error(`Failed to search Memory Bank: ${err.message}`, { query, error });
+          
+          return {
+            success: false,
+            error: err.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+    
+    // Lint Memory Bank tool
+    server.tool(
+      'lint_memory_bank',
+      'Check the Memory Bank against its schema (.memory-schema.json) and report violations with file and line',
+      z.object({}),
+      async () => {
+        const { memoryManager } = bankManager.getActiveBank();
+        
+        try {
+          const violations = await memoryManager.lintMemoryBank();
+          
+          return {
+            success: true,
+            valid: violations.length === 0,
+            enforceOnWrite: memoryManager.getSchema().isEnforcedOnWrite(),
+            violations
+          };
+        } catch (error) {
+          const err = error as Error;
+          logger.error(`Failed to lint Memory Bank: ${err.message}`, { error });
+          
+          return {
+            success: false,
+            error: err.message,
+            code: getErrorCode(error)
           };
         }
       }
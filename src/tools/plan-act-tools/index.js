@@ -5,15 +5,16 @@
 
 import { z } from 'zod';
 import logger from '../../logger.js';
-import { modeManager } from '../../core/plan-act/index.js';
-import { contextManager } from '../../core/context-manager.js';
+import { MemoryBankError, MemoryErrorCode, getErrorCode } from '../../core/errors.js';
+import { generatePlan, PLAN_CONTEXT_TOKEN_BUDGET } from '../../core/plan-generator.js';
+import { isAIConfigured } from '../../core/utils/ai-client.js';
 
 /**
  * Register Plan-Act mode tools with the MCP server
  * @param {Object} server - MCP server instance
- * @param {Object} asyncManager - Async operation manager instance
+ * @param {BankManager} bankManager - Bank manager providing the active Memory Bank
  */
-export function registerPlanActTools(server, asyncManager) {
+export function registerPlanActTools(server, bankManager) {
   try {
     // Set mode tool
     server.tool(
@@ -23,6 +24,8 @@ export function registerPlanActTools(server, asyncManager) {
         mode: z.enum(['plan', 'act']).describe('Mode to set (plan or act)')
       }),
       async ({ mode }) => {
+        const { modeManager } = bankManager.getActiveBank();
+        
         try {
           const previousMode = modeManager.getCurrentMode();
           modeManager.setMode(mode);
@@ -46,12 +49,14 @@ export function registerPlanActTools(server, asyncManager) {
     // Generate plan tool
     server.tool(
       'generate_plan',
-      'Generate a task plan based on project context',
+      'Generate a task plan with the model, based on project context, and save its steps as tasks',
       z.object({
         taskDescription: z.string().describe('Description of the task to plan'),
         includeMemoryContext: z.boolean().optional().describe('Whether to include Memory Bank context in planning (default: true)')
       }),
       async ({ taskDescription, includeMemoryContext = true }) => {
+        const { modeManager, asyncManager, contextManager, taskStore } = bankManager.getActiveBank();
+        
         // Start asynchronous operation
         const operationId = asyncManager.startOperation();
         
@@ -63,23 +68,58 @@ export function registerPlanActTools(server, asyncManager) {
             logger.info(`Switched from ${previousMode} to plan mode for planning`);
           }
           
-          // This would normally call an AI service to generate a plan
-          // For now, we just create a simple plan structure
-          const plan = {
-            task: taskDescription,
-            steps: [
-              { id: 1, description: `Analyze requirements for: ${taskDescription}` },
-              { id: 2, description: 'Break down into implementable subtasks' },
-              { id: 3, description: 'Prioritize subtasks and assign complexity' },
-              { id: 4, description: 'Create implementation plan' },
-              { id: 5, description: 'Define success criteria and validation approach' }
-            ],
-            estimatedEffort: 'medium',
-            generatedAt: new Date().toISOString()
+          const createPlan = async () => {
+            if (!isAIConfigured()) {
+              throw new MemoryBankError(
+                MemoryErrorCode.AI_NOT_CONFIGURED,
+                'The AI provider is not configured; set AI_PROVIDER=echo to plan offline with fixture responses'
+              );
+            }
+            
+            const context = includeMemoryContext
+              ? (await contextManager.getRelevantContext(taskDescription, PLAN_CONTEXT_TOKEN_BUDGET)).context
+              : null;
+            
+            const generated = await generatePlan(taskDescription, context);
+            
+            // Save the plan as a task with one subtask per step
+            const { task, subtasks } = await taskStore.createTask(
+              { title: taskDescription, description: generated.summary || taskDescription },
+              generated.steps.map(step => ({
+                title: step.title,
+                description: step.description,
+                priority: step.priority,
+                siblingDependencies: step.dependsOn.map(number => number - 1)
+              })),
+              'generate_plan'
+            );
+            
+            return {
+              task: taskDescription,
+              taskId: task.id,
+              summary: generated.summary,
+              steps: subtasks.map(subtask => ({
+                id: subtask.id,
+                title: subtask.title,
+                description: subtask.description,
+                priority: subtask.priority,
+                status: subtask.status,
+                dependencies: subtask.dependencies
+              })),
+              estimatedEffort: generated.estimatedEffort,
+              generatedAt: task.createdAt
+            };
           };
           
-          // Complete the operation with the plan
-          asyncManager.completeOperation(operationId, plan);
+          // The model can take a while, so the plan is generated in the
+          // background and the operation completed when it is saved
+          createPlan().then(
+            plan => asyncManager.completeOperation(operationId, plan),
+            error => {
+              logger.error(`Failed to generate plan: ${error.message}`, { taskDescription, error });
+              asyncManager.failOperation(operationId, error);
+            }
+          );
           
           return {
             success: true,
@@ -95,7 +135,8 @@ export function registerPlanActTools(server, asyncManager) {
           return {
             success: false,
             operationId,
-            error: error.message
+            error: error.message,
+            code: getErrorCode(error)
           };
         }
       }
@@ -104,17 +145,38 @@ export function registerPlanActTools(server, asyncManager) {
     // Execute task tool
     server.tool(
       'execute_task',
-      'Execute a specific task with proper context',
+      'Start executing a stored task with proper context, marking it in progress',
       z.object({
-        taskId: z.string().describe('ID of the task to execute'),
-        taskDescription: z.string().describe('Description of the task to execute'),
+        taskId: z.string().describe('ID of the task to execute, as returned by generate_plan, create_task or list_tasks'),
+        taskDescription: z.string().optional().describe('Description of the task to execute (default: the stored task\'s description)'),
         useMemoryContext: z.boolean().optional().describe('Whether to use Memory Bank context during execution (default: true)')
       }),
       async ({ taskId, taskDescription, useMemoryContext = true }) => {
+        const { modeManager, asyncManager, taskStore } = bankManager.getActiveBank();
+        
         // Start asynchronous operation
         const operationId = asyncManager.startOperation();
         
         try {
+          const stored = await taskStore.getTask(taskId);
+          
+          if (stored.status === 'done' || stored.status === 'cancelled') {
+            throw new MemoryBankError(
+              MemoryErrorCode.INVALID_TASK,
+              `Task ${taskId} is ${stored.status} and cannot be executed`,
+              { taskId, status: stored.status }
+            );
+          }
+          
+          const unfinished = await taskStore.getUnfinishedDependencies(taskId);
+          if (unfinished.length > 0) {
+            throw new MemoryBankError(
+              MemoryErrorCode.INVALID_DEPENDENCY,
+              `Task ${taskId} depends on unfinished tasks: ${unfinished.join(', ')}`,
+              { taskId, unfinished }
+            );
+          }
+          
           // Switch to act mode if not already
           const previousMode = modeManager.getCurrentMode();
           if (!modeManager.isActMode()) {
@@ -122,16 +184,17 @@ export function registerPlanActTools(server, asyncManager) {
             logger.info(`Switched from ${previousMode} to act mode for execution`);
           }
           
-          // This would normally involve executing the task through an AI service or other means
-          // For now, we just create a simple execution result
+          // The work itself is done by the client, which reports the outcome
+          // with update_task_status
+          const { task, previousStatus } = await taskStore.updateStatus(taskId, 'in-progress', 'execute_task');
+          
           const executionResult = {
             taskId,
-            description: taskDescription,
-            status: 'completed',
-            startTime: new Date().toISOString(),
-            endTime: new Date().toISOString(),
-            outcome: `Successfully executed task: ${taskDescription}`,
-            notes: 'This is a simulated task execution.'
+            description: taskDescription || task.description || task.title,
+            previousStatus,
+            status: task.status,
+            startTime: task.updatedAt,
+            task
           };
           
           // Complete the operation with the execution result
@@ -140,7 +203,7 @@ export function registerPlanActTools(server, asyncManager) {
           return {
             success: true,
             operationId,
-            message: `Started executing task "${taskDescription}". Use get_operation_result with operationId to get results.`
+            message: `Started executing task ${taskId} "${task.title}". Use get_operation_result with operationId to get results, and update_task_status when it is done.`
           };
         } catch (error) {
           logger.error(`Failed to execute task: ${error.message}`, { taskId, taskDescription, error });
@@ -151,7 +214,8 @@ export function registerPlanActTools(server, asyncManager) {
           return {
             success: false,
             operationId,
-            error: error.message
+            error: error.message,
+            code: getErrorCode(error)
           };
         }
       }
@@ -168,6 +232,8 @@ export function registerPlanActTools(server, asyncManager) {
         updateMemoryBank: z.boolean().optional().describe('Whether to update Memory Bank with insights (default: true)')
       }),
       async ({ taskId, taskDescription, insights, updateMemoryBank = true }) => {
+        const { memoryManager } = bankManager.getActiveBank();
+        
         try {
           const insightRecord = {
             taskId,
@@ -179,14 +245,13 @@ export function registerPlanActTools(server, asyncManager) {
           // If updateMemoryBank is true, update the activeContext file
           if (updateMemoryBank) {
             try {
-              // Get current active context
-              const activeContext = await contextManager.getContext('activeContext.md');
-              
-              // Append insights
-              const updatedContext = `${activeContext}\n\n## Insights from Task ${taskId}\n\n${insights}\n\n_Documented at ${new Date().toISOString()}_\n`;
-              
-              // Write back to active context
-              await contextManager.updateContext('activeContext.md', updatedContext);
+              // Append insights under the file's lock, so a concurrent
+              // compaction of activeContext.md cannot be overwritten
+              await memoryManager.patchMemoryFile(
+                'activeContext.md',
+                activeContext => `${activeContext}\n\n## Insights from Task ${taskId}\n\n${insights}\n\n_Documented at ${insightRecord.timestamp}_\n`,
+                { source: 'document_insights' }
+              );
               
               logger.info(`Updated activeContext.md with insights from task ${taskId}`);
             } catch (error) {
@@ -214,6 +279,37 @@ export function registerPlanActTools(server, asyncManager) {
       }
     );
     
+    // Compact active context tool
+    server.tool(
+      'compact_active_context',
+      'Move task insights beyond the configured count or age from activeContext.md into monthly archive files, keeping a digest of them',
+      z.object({
+        maxCount: z.number().int().min(0).optional().describe('Number of most recent insights to keep (default: MEMORY_INSIGHTS_MAX_COUNT or 10)'),
+        maxAgeDays: z.number().min(0).optional().describe('Archive insights documented more than this many days ago; 0 disables (default: MEMORY_INSIGHTS_MAX_AGE_DAYS or 30)'),
+        dryRun: z.boolean().optional().describe('Only report which insights would be archived (default: false)')
+      }),
+      async ({ maxCount, maxAgeDays, dryRun = false }) => {
+        const { memoryManager } = bankManager.getActiveBank();
+        
+        try {
+          const result = await memoryManager.compactInsights({ maxCount, maxAgeDays, dryRun, source: 'compact_active_context' });
+          
+          return {
+            success: true,
+            ...result
+          };
+        } catch (error) {
+          logger.error(`Failed to compact active context: ${error.message}`, { error });
+          
+          return {
+            success: false,
+            error: error.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+    
     logger.info('Plan-Act tools registered successfully');
   } catch (error) {
     logger.error(`Error registering Plan-Act tools: ${error.message}`, { error });
@@ -0,0 +1,227 @@
+/**
+ * section-tools/index.ts
+ * Tools for reading and editing single Markdown sections of Memory Bank files
+ */
+
+import { z } from 'zod';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { logger } from '../../logger.js';
+import { BankManager } from '../../core/bank-manager.js';
+import { getErrorCode, getConflictState } from '../../core/errors.js';
+import {
+  parseSections,
+  findSection,
+  replaceSectionBody,
+  appendToSection,
+  insertSectionAfter,
+  deleteSection
+} from '../../core/utils/markdown-sections.js';
+
+const headingPathSchema = z.array(z.string()).min(1)
+  .describe('Heading titles from the outermost heading down, e.g. ["Active Context", "Current Focus"]; a unique trailing part of the path is enough');
+
+/**
+ * Register section tools with the MCP server
+ * @param server MCP server instance
+ * @param bankManager Bank manager providing the active Memory Bank
+ */
+export function registerSectionTools(server: McpServer, bankManager: BankManager): void {
+  /**
+   * Apply a section edit to a file and report the result
+   * @param tool Name of the tool making the edit
+   * @param fileName File name
+   * @param expectedVersion Expected version of the file
+   * @param edit Edit to apply to the file content
+   * @returns Tool response
+   */
+  const editSection = async (
+    tool: string,
+    fileName: string,
+    expectedVersion: string | undefined,
+    edit: (content: string) => string
+  ): Promise<Record<string, any>> => {
+    const { memoryManager, contextManager } = bankManager.getActiveBank();
+
+    try {
+      const version = await memoryManager.patchMemoryFile(fileName, edit, { expectedVersion, source: tool });
+
+      // Invalidate cache for this file
+      contextManager.invalidateContext(fileName);
+
+      return {
+        success: true,
+        fileName,
+        version
+      };
+    } catch (error) {
+      const err = error as Error;
+      logger.error(`Failed to edit Memory Bank section: ${err.message}`, { tool, fileName, error });
+
+      return {
+        success: false,
+        error: err.message,
+        code: getErrorCode(error),
+        ...getConflictState(error)
+      };
+    }
+  };
+
+  try {
+    // List sections tool
+    server.tool(
+      'list_memory_sections',
+      'List the Markdown heading tree of a Memory Bank file',
+      z.object({
+        fileName: z.string().describe('Name of the file in the Memory Bank')
+      }),
+      async ({ fileName }) => {
+        const { memoryManager } = bankManager.getActiveBank();
+
+        try {
+          const { content, version } = await memoryManager.readMemoryFileWithVersion(fileName);
+          const sections = parseSections(content).map(section => ({
+            title: section.title,
+            level: section.level,
+            headingPath: section.headingPath,
+            line: section.line
+          }));
+
+          return {
+            success: true,
+            fileName,
+            version,
+            sections
+          };
+        } catch (error) {
+          const err = error as Error;
+          logger.error(`Failed to list Memory Bank sections: ${err.message}`, { fileName, error });
+
+          return {
+            success: false,
+            error: err.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+
+    // Read section tool
+    server.tool(
+      'read_memory_section',
+      'Read one section of a Memory Bank file by heading path',
+      z.object({
+        fileName: z.string().describe('Name of the file in the Memory Bank'),
+        headingPath: headingPathSchema
+      }),
+      async ({ fileName, headingPath }) => {
+        const { memoryManager } = bankManager.getActiveBank();
+
+        try {
+          const { content, version } = await memoryManager.readMemoryFileWithVersion(fileName);
+          const section = findSection(content, headingPath);
+
+          return {
+            success: true,
+            fileName,
+            version,
+            headingPath: section.headingPath,
+            level: section.level,
+            line: section.line,
+            body: content.slice(section.bodyStart, section.bodyEnd),
+            content: content.slice(section.start, section.end)
+          };
+        } catch (error) {
+          const err = error as Error;
+          logger.error(`Failed to read Memory Bank section: ${err.message}`, { fileName, headingPath, error });
+
+          return {
+            success: false,
+            error: err.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+
+    // Replace section tool
+    server.tool(
+      'replace_memory_section',
+      'Replace the body of one section of a Memory Bank file, keeping its heading and subsections',
+      z.object({
+        fileName: z.string().describe('Name of the file in the Memory Bank'),
+        headingPath: headingPathSchema,
+        body: z.string().describe('New body of the section'),
+        expectedVersion: z.string().optional().describe('Version returned by a read; the edit is rejected if the file changed since')
+      }),
+      async ({ fileName, headingPath, body, expectedVersion }) => editSection(
+        'replace_memory_section',
+        fileName,
+        expectedVersion,
+        content => replaceSectionBody(content, headingPath, body)
+      )
+    );
+
+    // Append to section tool
+    server.tool(
+      'append_memory_section',
+      'Append text to the body of one section of a Memory Bank file',
+      z.object({
+        fileName: z.string().describe('Name of the file in the Memory Bank'),
+        headingPath: headingPathSchema,
+        text: z.string().describe('Text to append to the section body'),
+        expectedVersion: z.string().optional().describe('Version returned by a read; the edit is rejected if the file changed since')
+      }),
+      async ({ fileName, headingPath, text, expectedVersion }) => editSection(
+        'append_memory_section',
+        fileName,
+        expectedVersion,
+        content => appendToSection(content, headingPath, text)
+      )
+    );
+
+    // Insert section tool
+    server.tool(
+      'insert_memory_section',
+      'Insert a new section after an existing section of a Memory Bank file',
+      z.object({
+        fileName: z.string().describe('Name of the file in the Memory Bank'),
+        afterHeadingPath: headingPathSchema.describe('Heading path of the section to insert after'),
+        title: z.string().describe('Title of the new section'),
+        body: z.string().optional().describe('Body of the new section'),
+        level: z.number().int().min(1).max(6).optional().describe('Heading level of the new section (default: same as the section it follows)'),
+        expectedVersion: z.string().optional().describe('Version returned by a read; the edit is rejected if the file changed since')
+      }),
+      async ({ fileName, afterHeadingPath, title, body = '', level, expectedVersion }) => editSection(
+        'insert_memory_section',
+        fileName,
+        expectedVersion,
+        content => insertSectionAfter(content, afterHeadingPath, title, body, level)
+      )
+    );
+
+    // Delete section tool
+    server.tool(
+      'delete_memory_section',
+      'Delete one section, including its subsections, from a Memory Bank file',
+      z.object({
+        fileName: z.string().describe('Name of the file in the Memory Bank'),
+        headingPath: headingPathSchema,
+        expectedVersion: z.string().optional().describe('Version returned by a read; the edit is rejected if the file changed since')
+      }),
+      async ({ fileName, headingPath, expectedVersion }) => editSection(
+        'delete_memory_section',
+        fileName,
+        expectedVersion,
+        content => deleteSection(content, headingPath)
+      )
+    );
+
+    logger.info('Section tools registered successfully');
+  } catch (error) {
+    const err = error as Error;
+    logger.error(`Error registering section tools: ${err.message}`, { error });
+    throw error;
+  }
+}
+
+export default { registerSectionTools };
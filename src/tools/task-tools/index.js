@@ -0,0 +1,281 @@
+/**
+ * task-tools/index.js
+ * Tools for managing the tasks stored in the Memory Bank
+ */
+
+import { z } from 'zod';
+import logger from '../../logger.js';
+import { TASK_STATUSES, TASK_PRIORITIES, TASK_GRAPH_FORMATS } from '../../core/task-store.js';
+import { getErrorCode } from '../../core/errors.js';
+
+/**
+ * Register task tools with the MCP server
+ * @param {Object} server MCP server instance
+ * @param {BankManager} bankManager Bank manager providing the active Memory Bank
+ */
+export function registerTaskTools(server, bankManager) {
+  try {
+    // Create task tool
+    server.tool(
+      'create_task',
+      'Create a task in the Memory Bank task store (tasks/tasks.json)',
+      z.object({
+        title: z.string().describe('Short title of the task'),
+        description: z.string().optional().describe('What the task involves'),
+        priority: z.enum(TASK_PRIORITIES).optional().describe('Priority (default: medium)'),
+        status: z.enum(TASK_STATUSES).optional().describe('Initial status (default: pending)'),
+        parentId: z.string().optional().describe('ID of the task this is a subtask of'),
+        dependencies: z.array(z.string()).optional().describe('IDs of the tasks that must be done before this one')
+      }),
+      async ({ title, description, priority, status, parentId, dependencies }) => {
+        const { taskStore } = bankManager.getActiveBank();
+
+        try {
+          const { task } = await taskStore.createTask({ title, description, priority, status, parentId, dependencies }, [], 'create_task');
+
+          return {
+            success: true,
+            task
+          };
+        } catch (error) {
+          logger.error(`Failed to create task: ${error.message}`, { title, error });
+
+          return {
+            success: false,
+            error: error.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+
+    // List tasks tool
+    server.tool(
+      'list_tasks',
+      'List the tasks in the Memory Bank task store, optionally filtered',
+      z.object({
+        status: z.array(z.enum(TASK_STATUSES)).optional().describe('Only tasks with one of these statuses'),
+        priority: z.array(z.enum(TASK_PRIORITIES)).optional().describe('Only tasks with one of these priorities'),
+        parentId: z.string().optional().describe('Only subtasks of this task'),
+        topLevel: z.boolean().optional().describe('Only tasks that are not subtasks (default: false)'),
+        query: z.string().optional().describe('Text that must occur in the title or description')
+      }),
+      async ({ status, priority, parentId, topLevel = false, query }) => {
+        const { taskStore } = bankManager.getActiveBank();
+
+        try {
+          const tasks = await taskStore.listTasks({
+            status,
+            priority,
+            parentId: topLevel ? null : parentId,
+            query
+          });
+
+          return {
+            success: true,
+            count: tasks.length,
+            tasks
+          };
+        } catch (error) {
+          logger.error(`Failed to list tasks: ${error.message}`, { error });
+
+          return {
+            success: false,
+            error: error.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+
+    // Get task tool
+    server.tool(
+      'get_task',
+      'Get a task from the Memory Bank task store, with its subtasks',
+      z.object({
+        taskId: z.string().describe('ID of the task')
+      }),
+      async ({ taskId }) => {
+        const { taskStore } = bankManager.getActiveBank();
+
+        try {
+          const task = await taskStore.getTask(taskId);
+          const subtasks = await taskStore.listTasks({ parentId: task.id });
+
+          return {
+            success: true,
+            task,
+            subtasks
+          };
+        } catch (error) {
+          logger.error(`Failed to get task: ${error.message}`, { taskId, error });
+
+          return {
+            success: false,
+            error: error.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+
+    // Update task status tool
+    server.tool(
+      'update_task_status',
+      'Change the status of a task in the Memory Bank task store',
+      z.object({
+        taskId: z.string().describe('ID of the task'),
+        status: z.enum(TASK_STATUSES).describe('New status')
+      }),
+      async ({ taskId, status }) => {
+        const { taskStore } = bankManager.getActiveBank();
+
+        try {
+          const { task, previousStatus } = await taskStore.updateStatus(taskId, status, 'update_task_status');
+
+          return {
+            success: true,
+            previousStatus,
+            task
+          };
+        } catch (error) {
+          logger.error(`Failed to update task status: ${error.message}`, { taskId, status, error });
+
+          return {
+            success: false,
+            error: error.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+
+    // Set task dependencies tool
+    server.tool(
+      'set_task_dependencies',
+      'Replace the dependencies of a task; unknown task IDs and dependency cycles are rejected',
+      z.object({
+        taskId: z.string().describe('ID of the task'),
+        dependencies: z.array(z.string()).describe('IDs of the tasks that must be done before this one; empty to remove all')
+      }),
+      async ({ taskId, dependencies }) => {
+        const { taskStore } = bankManager.getActiveBank();
+
+        try {
+          const task = await taskStore.setDependencies(taskId, dependencies, 'set_task_dependencies');
+
+          return {
+            success: true,
+            task
+          };
+        } catch (error) {
+          logger.error(`Failed to set task dependencies: ${error.message}`, { taskId, dependencies, error });
+
+          return {
+            success: false,
+            error: error.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+
+    // Next task tool
+    server.tool(
+      'next_task',
+      'Get the highest-priority pending task whose dependencies are all done',
+      z.object({
+        parentId: z.string().optional().describe('Only consider tasks below this task, e.g. the steps of one plan')
+      }),
+      async ({ parentId }) => {
+        const { taskStore } = bankManager.getActiveBank();
+
+        try {
+          const { task, ready } = await taskStore.getNextTask(parentId);
+
+          return {
+            success: true,
+            task,
+            ready,
+            ...(task ? {} : { message: 'No pending task has all its dependencies done' })
+          };
+        } catch (error) {
+          logger.error(`Failed to get next task: ${error.message}`, { parentId, error });
+
+          return {
+            success: false,
+            error: error.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+
+    // Task graph tool
+    server.tool(
+      'task_graph',
+      'Export the task dependency graph as Mermaid or DOT',
+      z.object({
+        format: z.enum(TASK_GRAPH_FORMATS).optional().describe('Graph format (default: mermaid)'),
+        parentId: z.string().optional().describe('Only include this task and the tasks below it')
+      }),
+      async ({ format = 'mermaid', parentId }) => {
+        const { taskStore } = bankManager.getActiveBank();
+
+        try {
+          const graph = await taskStore.exportGraph(format, parentId);
+
+          return {
+            success: true,
+            format,
+            graph
+          };
+        } catch (error) {
+          logger.error(`Failed to export task graph: ${error.message}`, { format, parentId, error });
+
+          return {
+            success: false,
+            error: error.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+
+    // Delete task tool
+    server.tool(
+      'delete_task',
+      'Delete a task and its subtasks from the Memory Bank task store',
+      z.object({
+        taskId: z.string().describe('ID of the task')
+      }),
+      async ({ taskId }) => {
+        const { taskStore } = bankManager.getActiveBank();
+
+        try {
+          const deleted = await taskStore.deleteTask(taskId, 'delete_task');
+
+          return {
+            success: true,
+            deleted
+          };
+        } catch (error) {
+          logger.error(`Failed to delete task: ${error.message}`, { taskId, error });
+
+          return {
+            success: false,
+            error: error.message,
+            code: getErrorCode(error)
+          };
+        }
+      }
+    );
+
+    logger.info('Task tools registered successfully');
+  } catch (error) {
+    logger.error(`Error registering task tools: ${error.message}`, { error });
+    throw error;
+  }
+}
+
+export default { registerTaskTools };
@@ -16,27 +16,12 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Create memory-bank directory in current working directory if it doesn't exist
+// Create memory-bank directory in current working directory if it doesn't exist;
+// the server populates it from the selected template profile (--profile, --var)
 const cwdMemoryBankPath = path.join(process.cwd(), 'memory-bank');
 if (!fs.existsSync(cwdMemoryBankPath)) {
   console.log(`Creating memory-bank directory at: ${cwdMemoryBankPath}`);
   fs.mkdirSync(cwdMemoryBankPath, { recursive: true });
-  
-  // Copy template files if they exist in the server's default memory-bank
-  const templateDir = path.join(__dirname, 'memory-bank');
-  if (fs.existsSync(templateDir)) {
-    const templateFiles = fs.readdirSync(templateDir);
-    templateFiles.forEach(file => {
-      const sourcePath = path.join(templateDir, file);
-      const destPath = path.join(cwdMemoryBankPath, file);
-      
-      // Only copy if the destination file doesn't exist
-      if (!fs.existsSync(destPath) && fs.statSync(sourcePath).isFile()) {
-        fs.copyFileSync(sourcePath, destPath);
-        console.log(`Copied template file: ${file}`);
-      }
-    });
-  }
 }
 
 // Path to server.js
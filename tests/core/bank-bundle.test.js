@@ -0,0 +1,91 @@
+/**
+ * bank-bundle.test.js
+ * Exporting a Memory Bank to a bundle and importing it into another bank
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs-extra';
+import path from 'path';
+import { createBundle, encodeBundle, decodeBundle, importBundle } from '../../src/core/bank-bundle.js';
+import { TaskStore, TASKS_FILE } from '../../src/core/task-store.js';
+import { createTempBank } from '../helpers.js';
+
+describe('bank bundles', () => {
+  let source;
+  let target;
+
+  beforeEach(async () => {
+    source = await createTempBank('source');
+    target = await createTempBank('target');
+
+    await source.memoryManager.writeMemoryFile('notes/design.md', '# Design\n\nUse bundles.\n');
+    await new TaskStore(source.memoryManager).createTask({ title: 'Export the bank' }, [{ title: 'Check the manifest' }]);
+  });
+
+  afterEach(async () => {
+    for (const bank of [source, target]) {
+      bank.memoryManager.stopWatching();
+      await fs.remove(bank.directory);
+    }
+  });
+
+  test.each(['json', 'tar'])('round-trips every file through a %s bundle', async encoding => {
+    const bundle = decodeBundle(encodeBundle(await createBundle(source.memoryManager), encoding));
+
+    expect(bundle.manifest.files.map(entry => entry.path)).toEqual(expect.arrayContaining(['notes/design.md', TASKS_FILE]));
+
+    const report = await importBundle(target.memoryManager, bundle);
+
+    expect(report.failed).toEqual([]);
+    expect(report.changes).toEqual(expect.arrayContaining([
+      { fileName: 'notes/design.md', action: 'create', target: 'notes/design.md' },
+      { fileName: TASKS_FILE, action: 'create', target: TASKS_FILE }
+    ]));
+
+    for (const entry of bundle.manifest.files) {
+      expect(await fs.readFile(path.join(target.directory, entry.path), 'utf8'))
+        .toBe(await fs.readFile(path.join(source.directory, entry.path), 'utf8'));
+    }
+
+    const tasks = await new TaskStore(target.memoryManager).listTasks();
+    expect(tasks.map(task => task.title)).toEqual(['Export the bank', 'Check the manifest']);
+  });
+
+  test('keeps an existing tasks file unless told otherwise', async () => {
+    await new TaskStore(target.memoryManager).createTask({ title: 'Local task' });
+    const local = await target.memoryManager.readMemoryFile(TASKS_FILE);
+    const bundle = await createBundle(source.memoryManager);
+
+    const skipped = await importBundle(target.memoryManager, bundle);
+
+    expect(skipped.changes).toContainEqual({ fileName: TASKS_FILE, action: 'skip', target: TASKS_FILE });
+    expect(await target.memoryManager.readMemoryFile(TASKS_FILE)).toBe(local);
+
+    const keptBoth = await importBundle(target.memoryManager, bundle, { strategy: 'keep-both' });
+
+    expect(keptBoth.changes).toContainEqual({ fileName: TASKS_FILE, action: 'keep-both', target: 'tasks/tasks-imported.json' });
+    expect(await target.memoryManager.readMemoryFile(TASKS_FILE)).toBe(local);
+    expect(await target.memoryManager.readMemoryFile('tasks/tasks-imported.json'))
+      .toBe(await source.memoryManager.readMemoryFile(TASKS_FILE));
+  });
+
+  test('reports changes without writing on a dry run', async () => {
+    const report = await importBundle(target.memoryManager, await createBundle(source.memoryManager), { dryRun: true });
+
+    expect(report.changes).toContainEqual({ fileName: TASKS_FILE, action: 'create', target: TASKS_FILE });
+    expect(await fs.pathExists(path.join(target.directory, TASKS_FILE))).toBe(false);
+  });
+
+  test('rejects a damaged bundle without echoing its content', async () => {
+    const bundle = await createBundle(source.memoryManager);
+    bundle.files.find(file => file.path === TASKS_FILE).content += ' ';
+
+    expect(() => decodeBundle(encodeBundle(bundle))).toThrow(expect.objectContaining({ code: 'INVALID_BUNDLE' }));
+
+    const secret = 'not a bundle: api-key=12345';
+    expect(() => decodeBundle(Buffer.from(secret))).toThrow(expect.objectContaining({
+      code: 'INVALID_BUNDLE',
+      message: expect.not.stringContaining('api-key')
+    }));
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * bank-manager.test.js
+ * Opening and creating Memory Banks by path, and the bank registry
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs-extra';
+import path from 'path';
+import { BankManager } from '../../src/core/bank-manager.js';
+import { BankRegistry } from '../../src/core/bank-registry.js';
+import { MemoryManager } from '../../src/core/memory-manager.js';
+import { createTempDir } from '../helpers.js';
+
+describe('BankManager', () => {
+  let home;
+  let outside;
+  let root;
+  let registry;
+  let bankManager;
+
+  beforeEach(async () => {
+    home = await createTempDir('home');
+    outside = await createTempDir('outside');
+    root = path.join(home, 'banks');
+    await fs.ensureDir(root);
+
+    registry = new BankRegistry(path.join(home, 'banks.json'));
+    bankManager = new BankManager(registry);
+  });
+
+  afterEach(async () => {
+    delete process.env.MEMORY_BANK_ROOTS;
+    await bankManager.close();
+    await fs.remove(home);
+    await fs.remove(outside);
+  });
+
+  test('uses the banks directory next to the registry as the default root', () => {
+    expect(bankManager.getBankRoots()).toEqual([root]);
+  });
+
+  test('creates and registers a bank inside a root', async () => {
+    const bank = await bankManager.createBank({ name: 'alpha', path: path.join(root, 'alpha') });
+
+    expect(bankManager.getActiveBank()).toBe(bank);
+    expect(await registry.get('alpha')).toMatchObject({ name: 'alpha', path: path.join(root, 'alpha') });
+    expect(await fs.pathExists(path.join(root, 'alpha', 'projectbrief.md'))).toBe(true);
+  });
+
+  test('creates banks in the roots set by MEMORY_BANK_ROOTS', async () => {
+    process.env.MEMORY_BANK_ROOTS = outside;
+
+    await bankManager.createBank({ name: 'configured', path: path.join(outside, 'configured') });
+    await expect(bankManager.createBank({ name: 'default-root', path: path.join(root, 'default-root') }))
+      .rejects.toMatchObject({ code: 'PATH_NOT_ALLOWED' });
+  });
+
+  test('refuses to create a bank outside the roots', async () => {
+    const victim = path.join(outside, 'victim');
+
+    await expect(bankManager.createBank({ name: 'victim', path: victim })).rejects.toMatchObject({ code: 'PATH_NOT_ALLOWED' });
+    await expect(bankManager.createBank({ name: 'root', path: root })).rejects.toMatchObject({ code: 'PATH_NOT_ALLOWED' });
+
+    expect(await fs.pathExists(victim)).toBe(false);
+    expect(await registry.list()).toEqual([]);
+  });
+
+  test('opens and registers an existing bank inside a root', async () => {
+    const memoryManager = MemoryManager.forPath(path.join(root, 'beta'));
+    await memoryManager.init();
+
+    const bank = await bankManager.openBank(path.join(root, 'beta'), { label: 'Beta' });
+
+    expect(bank).toMatchObject({ name: 'beta', label: 'Beta', registered: true, memoryManager });
+    expect(bankManager.getActiveBank()).toBe(bank);
+    expect(await registry.get('beta')).toMatchObject({ path: path.join(root, 'beta') });
+  });
+
+  test('refuses to open a directory outside the roots without writing to it', async () => {
+    await fs.writeFile(path.join(outside, 'projectbrief.md'), '# Not yours\n');
+
+    await expect(bankManager.openBank(outside)).rejects.toMatchObject({ code: 'PATH_NOT_ALLOWED' });
+
+    expect(await fs.readdir(outside)).toEqual(['projectbrief.md']);
+    expect(await registry.list()).toEqual([]);
+  });
+
+  test('refuses a symlink in a root that points outside the roots', async () => {
+    await fs.writeFile(path.join(outside, 'projectbrief.md'), '# Not yours\n');
+    await fs.symlink(outside, path.join(root, 'escape'));
+
+    await expect(bankManager.openBank(path.join(root, 'escape'))).rejects.toMatchObject({ code: 'PATH_NOT_ALLOWED' });
+    await expect(bankManager.createBank({ name: 'escape', path: path.join(root, 'escape', 'new') }))
+      .rejects.toMatchObject({ code: 'PATH_NOT_ALLOWED' });
+
+    expect(await fs.readdir(outside)).toEqual(['projectbrief.md']);
+  });
+
+  test('refuses to open a directory that is not a Memory Bank without writing to it', async () => {
+    const plain = path.join(root, 'plain');
+    await fs.outputFile(path.join(plain, 'notes.txt'), 'notes\n');
+
+    await expect(bankManager.openBank(plain)).rejects.toMatchObject({ code: 'INVALID_PATH' });
+
+    expect(await fs.readdir(plain)).toEqual(['notes.txt']);
+  });
+
+  test('reports a damaged registry instead of overwriting it', async () => {
+    const damaged = '{ "banks": [ { "name": "alpha", ';
+    await fs.writeFile(registry.getRegistryPath(), damaged);
+
+    await expect(registry.list()).rejects.toMatchObject({ code: 'INVALID_REGISTRY' });
+    await expect(bankManager.createBank({ name: 'alpha', path: path.join(root, 'alpha') }))
+      .rejects.toMatchObject({ code: 'INVALID_REGISTRY' });
+
+    expect(await fs.readFile(registry.getRegistryPath(), 'utf8')).toBe(damaged);
+  });
+
+  test('reports a registry without a banks array', async () => {
+    await fs.writeJson(registry.getRegistryPath(), { banks: [{ name: 'alpha' }] });
+
+    await expect(registry.add({ name: 'beta', path: path.join(root, 'beta') })).rejects.toMatchObject({ code: 'INVALID_REGISTRY' });
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * git-manager.test.js
+ * Batched commits of Memory Bank changes in git-backed mode
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs-extra';
+import path from 'path';
+import { GitManager } from '../../src/core/git-manager.js';
+import { createTempDir } from '../helpers.js';
+
+const execFileAsync = promisify(execFile);
+
+describe('GitManager', () => {
+  let directory;
+  let gitManager;
+
+  /**
+   * Run git in the test repository
+   * @param {string[]} args Git arguments
+   * @returns {Promise<string>} Standard output
+   */
+  const git = async (...args) => (await execFileAsync('git', args, { cwd: directory })).stdout;
+
+  beforeEach(async () => {
+    process.env.MEMORY_BANK_GIT = 'true';
+    directory = await createTempDir('git');
+    gitManager = new GitManager(directory);
+    await gitManager.init();
+  });
+
+  afterEach(async () => {
+    delete process.env.MEMORY_BANK_GIT;
+    await fs.remove(directory);
+  });
+
+  test('commits changes made within the batch delay together', async () => {
+    await fs.writeFile(path.join(directory, 'a.md'), 'a\n');
+    await fs.writeFile(path.join(directory, 'b.md'), 'b\n');
+    gitManager.scheduleCommit('a.md', 'write_memory_file');
+    gitManager.scheduleCommit('b.md', 'write_memory_file');
+
+    const hash = await gitManager.flush();
+
+    expect(hash).toMatch(/^[0-9a-f]{40}$/);
+    expect(await git('log', '-1', '--format=%s')).toBe('Update 2 Memory Bank files\n');
+    expect((await git('show', '--name-only', '--format=', hash)).split('\n').filter(Boolean).sort()).toEqual(['a.md', 'b.md']);
+    expect(await git('status', '--porcelain')).toBe('');
+  });
+
+  test('commits the rest of the batch when a file no longer exists', async () => {
+    await fs.writeFile(path.join(directory, 'kept.md'), 'kept\n');
+    await fs.writeFile(path.join(directory, 'draft.md'), 'draft\n');
+    gitManager.scheduleCommit('kept.md', 'write_memory_file');
+    gitManager.scheduleCommit('draft.md', 'write_memory_file');
+    await fs.move(path.join(directory, 'draft.md'), path.join(directory, 'final.md'));
+    gitManager.scheduleCommit('final.md', 'rename_memory_file');
+
+    const hash = await gitManager.flush();
+
+    expect((await git('show', '--name-only', '--format=', hash)).split('\n').filter(Boolean).sort()).toEqual(['final.md', 'kept.md']);
+    expect(await git('status', '--porcelain')).toBe('');
+  });
+
+  test('keeps the changes of a failed commit for the next one', async () => {
+    await fs.writeFile(path.join(directory, 'a.md'), 'a\n');
+    gitManager.scheduleCommit('a.md', 'write_memory_file');
+
+    // Signing with a program that always fails makes the commit fail
+    await git('config', 'commit.gpgsign', 'true');
+    await git('config', 'gpg.program', 'false');
+
+    await expect(gitManager.flush()).rejects.toMatchObject({ code: 'GIT_ERROR' });
+
+    await git('config', 'commit.gpgsign', 'false');
+    const hash = await gitManager.flush();
+
+    expect(hash).toMatch(/^[0-9a-f]{40}$/);
+    expect(await git('log', '-1', '--format=%s')).toBe('write_memory_file: a.md\n');
+    expect(await git('status', '--porcelain')).toBe('');
+  });
+
+  test('reports nothing to commit when the batch is empty', async () => {
+    expect(await gitManager.flush()).toBeNull();
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * memory-manager.test.js
+ * Path sandboxing, optimistic concurrency and section edits of Memory Bank files
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs-extra';
+import path from 'path';
+import { getContentVersion } from '../../src/core/memory-manager.js';
+import { replaceSectionBody, appendToSection } from '../../src/core/utils/markdown-sections.js';
+import { createTempDir, createTempBank } from '../helpers.js';
+
+describe('MemoryManager', () => {
+  let directory;
+  let outside;
+  let memoryManager;
+
+  beforeEach(async () => {
+    ({ directory, memoryManager } = await createTempBank('bank'));
+    outside = await createTempDir('outside');
+  });
+
+  afterEach(async () => {
+    memoryManager.stopWatching();
+    await fs.remove(directory);
+    await fs.remove(outside);
+  });
+
+  describe('path sandboxing', () => {
+    test('rejects paths that leave the Memory Bank', async () => {
+      await expect(memoryManager.readMemoryFile('../secret.md')).rejects.toMatchObject({ code: 'PATH_OUTSIDE_BANK' });
+      await expect(memoryManager.writeMemoryFile('notes/../../escape.md', 'x')).rejects.toMatchObject({ code: 'PATH_OUTSIDE_BANK' });
+      await expect(memoryManager.writeMemoryFile(path.join(outside, 'absolute.md'), 'x')).rejects.toMatchObject({ code: 'INVALID_PATH' });
+
+      expect(await fs.pathExists(path.join(directory, '..', 'escape.md'))).toBe(false);
+      expect(await fs.readdir(outside)).toEqual([]);
+    });
+
+    test('rejects a symlinked file pointing outside the Memory Bank', async () => {
+      const target = path.join(outside, 'secret.md');
+      await fs.writeFile(target, 'secret\n');
+      await fs.symlink(target, path.join(directory, 'link.md'));
+
+      await expect(memoryManager.readMemoryFile('link.md')).rejects.toMatchObject({ code: 'PATH_OUTSIDE_BANK' });
+      await expect(memoryManager.writeMemoryFile('link.md', 'overwritten\n')).rejects.toMatchObject({ code: 'PATH_OUTSIDE_BANK' });
+
+      expect(await fs.readFile(target, 'utf8')).toBe('secret\n');
+    });
+
+    test('rejects new files below a symlinked directory pointing outside the Memory Bank', async () => {
+      await fs.symlink(outside, path.join(directory, 'linked'));
+
+      await expect(memoryManager.writeMemoryFile('linked/new.md', 'x')).rejects.toMatchObject({ code: 'PATH_OUTSIDE_BANK' });
+      await expect(memoryManager.writeMemoryFile('linked/sub/new.md', 'x')).rejects.toMatchObject({ code: 'PATH_OUTSIDE_BANK' });
+
+      expect(await fs.readdir(outside)).toEqual([]);
+    });
+
+    test('rejects dangling symlinks', async () => {
+      await fs.symlink(path.join(outside, 'missing.md'), path.join(directory, 'dangling.md'));
+
+      await expect(memoryManager.writeMemoryFile('dangling.md', 'x')).rejects.toMatchObject({ code: 'PATH_OUTSIDE_BANK' });
+      expect(await fs.readdir(outside)).toEqual([]);
+    });
+
+    test('follows symlinks that stay inside the Memory Bank', async () => {
+      await memoryManager.writeMemoryFile('notes/target.md', 'inside\n');
+      await fs.symlink(path.join(directory, 'notes'), path.join(directory, 'alias'));
+
+      expect(await memoryManager.readMemoryFile('alias/target.md')).toBe('inside\n');
+    });
+  });
+
+  describe('version conflicts', () => {
+    test('writes when the expected version is current', async () => {
+      const version = await memoryManager.writeMemoryFile('notes.md', 'first\n');
+      expect(version).toBe(getContentVersion('first\n'));
+
+      const next = await memoryManager.writeMemoryFile('notes.md', 'second\n', { expectedVersion: version });
+
+      expect(await memoryManager.readMemoryFileWithVersion('notes.md')).toEqual({ content: 'second\n', version: next });
+    });
+
+    test('rejects a write based on a stale version and reports the current state', async () => {
+      const stale = await memoryManager.writeMemoryFile('notes.md', 'first\n');
+      const current = await memoryManager.writeMemoryFile('notes.md', 'second\n');
+
+      await expect(memoryManager.writeMemoryFile('notes.md', 'lost\n', { expectedVersion: stale })).rejects.toMatchObject({
+        code: 'VERSION_CONFLICT',
+        details: { expectedVersion: stale, currentVersion: current, currentContent: 'second\n' }
+      });
+      expect(await memoryManager.readMemoryFile('notes.md')).toBe('second\n');
+    });
+
+    test('rejects a patch based on a stale version', async () => {
+      const stale = await memoryManager.writeMemoryFile('notes.md', '# Notes\n\n## Log\n\nfirst\n');
+      await memoryManager.writeMemoryFile('notes.md', '# Notes\n\n## Log\n\nsecond\n');
+
+      await expect(memoryManager.patchMemoryFile('notes.md', content => appendToSection(content, ['Log'], 'third'), { expectedVersion: stale }))
+        .rejects.toMatchObject({ code: 'VERSION_CONFLICT' });
+      expect(await memoryManager.readMemoryFile('notes.md')).toBe('# Notes\n\n## Log\n\nsecond\n');
+    });
+  });
+
+  describe('section edits', () => {
+    const document = [
+      '---',
+      'tags: [design]',
+      'updated: 2025-01-01T00:00:00.000Z',
+      '---',
+      '# Design',
+      '',
+      'Intro with trailing spaces  ',
+      '',
+      '## Current Focus',
+      '',
+      'old focus',
+      '',
+      '## Decisions',
+      '',
+      '* kept\tas is',
+      ''
+    ].join('\r\n');
+
+    beforeEach(async () => {
+      await fs.writeFile(path.join(directory, 'design.md'), document);
+    });
+
+    test('replacing a section leaves the rest of the file byte-for-byte intact', async () => {
+      await memoryManager.patchMemoryFile('design.md', content => replaceSectionBody(content, ['Current Focus'], 'new focus'));
+
+      expect(await fs.readFile(path.join(directory, 'design.md'), 'utf8'))
+        .toBe(document.replace('old focus', 'new focus'));
+    });
+
+    test('appending to a section leaves the rest of the file byte-for-byte intact', async () => {
+      await memoryManager.patchMemoryFile('design.md', content => appendToSection(content, ['Decisions'], 'added'));
+
+      expect(await fs.readFile(path.join(directory, 'design.md'), 'utf8'))
+        .toBe(document.replace('* kept\tas is\r\n', '* kept\tas is\r\nadded\r\n'));
+    });
+
+    test('writing a file without frontmatter does not add any', async () => {
+      await memoryManager.writeMemoryFile('plain.md', '# Plain\n');
+
+      expect(await fs.readFile(path.join(directory, 'plain.md'), 'utf8')).toBe('# Plain\n');
+    });
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * task-store.test.js
+ * Task dependencies: unknown IDs, cycles and readiness
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs-extra';
+import { TaskStore, TASKS_FILE } from '../../src/core/task-store.js';
+import { createTempBank } from '../helpers.js';
+
+describe('TaskStore', () => {
+  let directory;
+  let memoryManager;
+  let taskStore;
+
+  beforeEach(async () => {
+    ({ directory, memoryManager } = await createTempBank('tasks'));
+    taskStore = new TaskStore(memoryManager);
+  });
+
+  afterEach(async () => {
+    memoryManager.stopWatching();
+    await fs.remove(directory);
+  });
+
+  test('rejects a dependency on an unknown task without writing', async () => {
+    await taskStore.createTask({ title: 'First' });
+    const before = await memoryManager.readMemoryFile(TASKS_FILE);
+
+    await expect(taskStore.createTask({ title: 'Second', dependencies: ['42'] })).rejects.toMatchObject({ code: 'INVALID_DEPENDENCY' });
+    expect(await memoryManager.readMemoryFile(TASKS_FILE)).toBe(before);
+  });
+
+  test('rejects dependencies that form a cycle and keeps the previous ones', async () => {
+    await taskStore.createTask({ title: 'Design' });
+    await taskStore.createTask({ title: 'Build', dependencies: ['1'] });
+    await taskStore.createTask({ title: 'Ship', dependencies: ['2'] });
+
+    await expect(taskStore.setDependencies('1', ['3'])).rejects.toMatchObject({
+      code: 'INVALID_DEPENDENCY',
+      details: { cycle: ['1', '3', '2', '1'] }
+    });
+    expect((await taskStore.getTask('1')).dependencies).toEqual([]);
+  });
+
+  test('rejects a task depending on itself', async () => {
+    await taskStore.createTask({ title: 'Loop' });
+
+    await expect(taskStore.setDependencies('1', ['1'])).rejects.toMatchObject({ code: 'INVALID_DEPENDENCY' });
+  });
+
+  test('rejects unknown sibling dependencies of subtasks', async () => {
+    await expect(taskStore.createTask({ title: 'Parent' }, [{ title: 'Child', siblingDependencies: [3] }]))
+      .rejects.toMatchObject({ code: 'INVALID_DEPENDENCY' });
+    expect(await taskStore.listTasks()).toEqual([]);
+  });
+
+  test('offers a task once its dependencies are done', async () => {
+    const { task, subtasks } = await taskStore.createTask({ title: 'Release' }, [
+      { title: 'Write code' },
+      { title: 'Write tests', siblingDependencies: [0] }
+    ]);
+    const [code, tests] = subtasks;
+
+    expect(tests.dependencies).toEqual([code.id]);
+    expect((await taskStore.getNextTask(task.id)).task).toMatchObject({ id: code.id });
+    expect(await taskStore.getUnfinishedDependencies(tests.id)).toEqual([code.id]);
+
+    await taskStore.updateStatus(code.id, 'done');
+
+    expect((await taskStore.getNextTask(task.id)).task).toMatchObject({ id: tests.id });
+    expect(await taskStore.getUnfinishedDependencies(tests.id)).toEqual([]);
+  });
+});
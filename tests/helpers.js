@@ -0,0 +1,35 @@
+/**
+ * helpers.js
+ * Temporary directories and Memory Banks for tests
+ */
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { MemoryManager } from '../src/core/memory-manager.js';
+
+/**
+ * Create an empty temporary directory
+ * @param {string} prefix Directory name prefix
+ * @returns {Promise<string>} Real path of the directory
+ */
+export async function createTempDir(prefix) {
+  return fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), `taskflow-${prefix}-`)));
+}
+
+/**
+ * Create and initialize a Memory Bank in a new temporary directory
+ * @param {string} prefix Directory name prefix
+ * @param {boolean} populate Populate the bank from the default template profile
+ * @returns {Promise<{directory: string, memoryManager: MemoryManager}>} Bank directory and its Memory Manager
+ */
+export async function createTempBank(prefix, populate = true) {
+  const directory = await createTempDir(prefix);
+  const memoryManager = MemoryManager.forPath(directory);
+
+  await memoryManager.init(populate);
+
+  return { directory, memoryManager };
+}
+
+export default { createTempDir, createTempBank };
@@ -0,0 +1,9 @@
+/**
+ * setup.js
+ * Test environment: no log output and no file watchers
+ */
+
+import logger from '../src/logger.js';
+
+process.env.MEMORY_BANK_WATCH = 'false';
+logger.silent = true;